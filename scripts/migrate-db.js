@@ -1,18 +1,26 @@
 #!/usr/bin/env node
 /**
  * Script de migration de la base de données C.A.R.L.
- * 
+ *
+ * Utilise le même registre de migrations que SQLiteDatabase
+ * (src/repositories/migrations/), suivi dans la table schema_migrations.
+ *
  * Usage:
  *   node scripts/migrate-db.js [--dry-run] [--optimize]
- * 
+ *   node scripts/migrate-db.js --status
+ *   node scripts/migrate-db.js --rollback N [--dry-run]
+ *
  * Options:
- *   --dry-run   Affiche les changements sans les appliquer
- *   --optimize  Exécute VACUUM et ANALYZE après la migration
+ *   --dry-run     Affiche les changements sans les appliquer
+ *   --optimize    Exécute VACUUM et ANALYZE après la migration
+ *   --status      Affiche la version du schéma et l'état de chaque migration
+ *   --rollback N  Annule les N dernières migrations appliquées (défaut: 1)
  */
 
 import Database from 'better-sqlite3';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { Migrator } from '../src/repositories/Migrator.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const DB_PATH = process.env.DATABASE_PATH || path.join(__dirname, '..', 'data', 'carl.db');
@@ -20,154 +28,90 @@ const DB_PATH = process.env.DATABASE_PATH || path.join(__dirname, '..', 'data',
 const args = process.argv.slice(2);
 const isDryRun = args.includes('--dry-run');
 const shouldOptimize = args.includes('--optimize');
+const showStatus = args.includes('--status');
+const rollbackIndex = args.indexOf('--rollback');
+// Le nombre est optionnel: "--rollback --dry-run" annule une seule migration
+const rollbackArg = rollbackIndex !== -1 ? args[rollbackIndex + 1] : undefined;
+const rollbackSteps = rollbackIndex === -1 ? 0
+  : rollbackArg !== undefined && !rollbackArg.startsWith('--') ? Number(rollbackArg) : 1;
+
+if (rollbackIndex !== -1 && (!Number.isInteger(rollbackSteps) || rollbackSteps < 1)) {
+  console.error('❌ --rollback attend un nombre de migrations positif (ex: --rollback 1)');
+  process.exit(1);
+}
+
+const mode = showStatus ? 'STATUS' : rollbackSteps > 0 ? `ROLLBACK ${rollbackSteps}` : 'MIGRATE';
 
 console.log('='.repeat(50));
 console.log('C.A.R.L. Database Migration Tool');
 console.log('='.repeat(50));
 console.log(`Database: ${DB_PATH}`);
-console.log(`Mode: ${isDryRun ? 'DRY RUN' : 'LIVE'}`);
+console.log(`Mode: ${mode}${isDryRun ? ' (DRY RUN)' : ''}`);
 console.log('');
 
 const db = new Database(DB_PATH);
 db.pragma('journal_mode = WAL');
 db.pragma('foreign_keys = ON');
 
+const migrator = new Migrator(db);
+
+const STATUS_ICONS = {
+  applied: '✅',
+  pending: '⏳',
+  modified: '⚠️ ',
+  missing: '❓'
+};
+
 // ============================================
-// MIGRATION STEPS
+// STATUS
 // ============================================
 
-const migrations = [
-  {
-    name: 'Add settings table',
-    check: () => {
-      const exists = db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='settings'").get();
-      return !exists;
-    },
-    up: () => {
-      db.exec(`
-        CREATE TABLE IF NOT EXISTS settings (
-          key TEXT PRIMARY KEY,
-          value TEXT,
-          description TEXT,
-          updated_at INTEGER DEFAULT (strftime('%s', 'now') * 1000)
-        )
-      `);
-    }
-  },
-  {
-    name: 'Add missing indexes for messages',
-    check: () => {
-      const exists = db.prepare("SELECT name FROM sqlite_master WHERE type='index' AND name='idx_messages_message_id'").get();
-      return !exists;
-    },
-    up: () => {
-      db.exec(`CREATE INDEX IF NOT EXISTS idx_messages_message_id ON messages(message_id)`);
-    }
-  },
-  {
-    name: 'Add missing indexes for message_analysis',
-    check: () => {
-      const exists = db.prepare("SELECT name FROM sqlite_master WHERE type='index' AND name='idx_message_analysis_sentiment'").get();
-      return !exists;
-    },
-    up: () => {
-      db.exec(`CREATE INDEX IF NOT EXISTS idx_message_analysis_sentiment ON message_analysis(sentiment)`);
-    }
-  },
-  {
-    name: 'Add missing indexes for contacts',
-    check: () => {
-      const exists = db.prepare("SELECT name FROM sqlite_master WHERE type='index' AND name='idx_contacts_last_seen'").get();
-      return !exists;
-    },
-    up: () => {
-      db.exec(`CREATE INDEX IF NOT EXISTS idx_contacts_last_seen ON contacts(last_seen_at)`);
-    }
-  },
-  {
-    name: 'Add missing indexes for conversations',
-    check: () => {
-      const exists = db.prepare("SELECT name FROM sqlite_master WHERE type='index' AND name='idx_conversations_status'").get();
-      return !exists;
-    },
-    up: () => {
-      db.exec(`CREATE INDEX IF NOT EXISTS idx_conversations_status ON conversations(status)`);
-    }
-  },
-  {
-    name: 'Add missing indexes for errors',
-    check: () => {
-      const exists = db.prepare("SELECT name FROM sqlite_master WHERE type='index' AND name='idx_errors_resolved'").get();
-      return !exists;
-    },
-    up: () => {
-      db.exec(`CREATE INDEX IF NOT EXISTS idx_errors_resolved ON errors(resolved)`);
-    }
-  },
-  {
-    name: 'Add missing indexes for actions',
-    check: () => {
-      const exists = db.prepare("SELECT name FROM sqlite_master WHERE type='index' AND name='idx_actions_status'").get();
-      return !exists;
-    },
-    up: () => {
-      db.exec(`CREATE INDEX IF NOT EXISTS idx_actions_status ON actions(status)`);
-    }
-  },
-  {
-    name: 'Add missing indexes for responses',
-    check: () => {
-      const exists = db.prepare("SELECT name FROM sqlite_master WHERE type='index' AND name='idx_responses_message_id'").get();
-      return !exists;
-    },
-    up: () => {
-      db.exec(`CREATE INDEX IF NOT EXISTS idx_responses_message_id ON responses(message_id)`);
-    }
-  },
-  {
-    name: 'Remove legacy conversations_old table',
-    check: () => {
-      const exists = db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='conversations_old'").get();
-      return !!exists;
-    },
-    up: () => {
-      db.exec(`DROP TABLE IF EXISTS conversations_old`);
+function printStatus() {
+  console.log(`Schema version: ${migrator.getCurrentVersion()}\n`);
+
+  for (const m of migrator.getStatus()) {
+    const appliedAt = m.appliedAt ? new Date(m.appliedAt).toISOString() : '-';
+    const version = String(m.version).padStart(3, '0');
+    console.log(`${STATUS_ICONS[m.status] || '•'} ${version} ${m.name.padEnd(30)} ${m.status.padEnd(9)} ${appliedAt}`);
+    if (m.status === 'modified') {
+      console.log(`     Le fichier a changé depuis son application (checksum ${m.checksum.slice(0, 12)}...)`);
     }
   }
-];
+  console.log('');
+}
 
 // ============================================
-// RUN MIGRATIONS
+// RUN
 // ============================================
 
-let appliedCount = 0;
-let skippedCount = 0;
-
-console.log('Checking migrations...\n');
-
-for (const migration of migrations) {
-  const needsRun = migration.check();
-  
-  if (needsRun) {
-    console.log(`[PENDING] ${migration.name}`);
-    
-    if (!isDryRun) {
-      try {
-        migration.up();
-        console.log(`  ✅ Applied successfully`);
-        appliedCount++;
-      } catch (error) {
-        console.error(`  ❌ Failed: ${error.message}`);
-        process.exit(1);
-      }
-    } else {
-      console.log(`  ⏭️  Would apply (dry-run)`);
-      appliedCount++;
+let changed = [];
+
+try {
+  if (showStatus) {
+    printStatus();
+  } else if (rollbackSteps > 0) {
+    changed = migrator.rollback(rollbackSteps, { dryRun: isDryRun });
+    if (changed.length === 0) {
+      console.log('Aucune migration à annuler.\n');
+    }
+    for (const m of changed) {
+      console.log(`[ROLLBACK] ${m.version} ${m.name}`);
+      console.log(isDryRun ? `  ⏭️  Would roll back (dry-run)` : `  ✅ Rolled back successfully`);
     }
   } else {
-    console.log(`[SKIP] ${migration.name} - Already applied`);
-    skippedCount++;
+    changed = migrator.migrate({ dryRun: isDryRun });
+    if (changed.length === 0) {
+      console.log('Schéma à jour, aucune migration en attente.\n');
+    }
+    for (const m of changed) {
+      console.log(`[PENDING] ${m.version} ${m.name}`);
+      console.log(isDryRun ? `  ⏭️  Would apply (dry-run)` : `  ✅ Applied successfully`);
+    }
   }
+} catch (error) {
+  console.error(`❌ Failed: ${error.message}`);
+  db.close();
+  process.exit(1);
 }
 
 console.log('');
@@ -176,7 +120,7 @@ console.log('');
 // OPTIMIZATION
 // ============================================
 
-if (shouldOptimize && !isDryRun) {
+if (shouldOptimize && !isDryRun && !showStatus) {
   console.log('Running optimization...');
   db.exec('VACUUM');
   db.exec('ANALYZE');
@@ -196,8 +140,10 @@ const sizeMB = ((pageCount * pageSize) / (1024 * 1024)).toFixed(2);
 console.log('='.repeat(50));
 console.log('Migration Summary');
 console.log('='.repeat(50));
-console.log(`Applied: ${appliedCount}`);
-console.log(`Skipped: ${skippedCount}`);
+if (!showStatus) {
+  console.log(`${rollbackSteps > 0 ? 'Rolled back' : 'Applied'}: ${changed.length}`);
+}
+console.log(`Schema version: ${migrator.getCurrentVersion()}`);
 console.log(`Tables: ${tables.count}`);
 console.log(`Indexes: ${indexes.count}`);
 console.log(`Size: ${sizeMB} MB`);
@@ -205,8 +151,12 @@ console.log('');
 
 db.close();
 
+if (showStatus) {
+  process.exit(0);
+}
+
 if (isDryRun) {
   console.log('⚠️  DRY RUN - No changes were made');
 } else {
-  console.log('✅ Migration complete!');
+  console.log(rollbackSteps > 0 ? '✅ Rollback complete!' : '✅ Migration complete!');
 }
@@ -7,11 +7,23 @@ import { WhatsAppService } from '../services/WhatsAppService.js';
 import { CalendarService } from '../services/CalendarService.js';
 import { TelegramService } from '../services/TelegramService.js';
 import { CronService } from '../services/CronService.js';
+import { BudgetService } from '../services/BudgetService.js';
+import { QuietHoursService } from '../services/QuietHoursService.js';
+import { FollowUpService } from '../services/FollowUpService.js';
+import { MemoryService } from '../services/MemoryService.js';
+import { ProfileService } from '../services/ProfileService.js';
+import { TranscriptionService } from '../services/TranscriptionService.js';
+import { MediaService } from '../services/MediaService.js';
+import { MediaStore } from '../services/media/MediaStore.js';
+import { GroupTriageService } from '../services/GroupTriageService.js';
 import { QueueService } from '../services/QueueService.js';
 import { MessageHandler } from '../handlers/MessageHandler.js';
 import { GatekeeperHandler } from '../handlers/GatekeeperHandler.js';
 import { TelegramCommandHandler } from '../handlers/TelegramCommandHandler.js';
+import { GroupMessageHandler } from '../handlers/GroupMessageHandler.js';
 import { Message } from '../domain/Message.js';
+import { getContactPolicy } from '../domain/ContactPolicy.js';
+import { escapeHtml } from '../utils/Sanitizer.js';
 
 /**
  * Application - Point d'entrée principal de C.A.R.L.
@@ -22,27 +34,6 @@ import { Message } from '../domain/Message.js';
  * @class
  */
 
-// Mots-clés pour détecter les messages organisationnels dans les groupes
-const ORGANIZATIONAL_KEYWORDS = [
-  // Événements et rendez-vous
-  'rdv', 'rendez-vous', 'rendezvous', 'meeting', 'réunion', 'reunion',
-  // Temps
-  'demain', 'ce soir', 'samedi', 'dimanche', 'lundi', 'mardi', 'mercredi', 'jeudi', 'vendredi',
-  'semaine prochaine', 'weekend', 'week-end',
-  // Heures
-  /\d{1,2}[h:]\d{0,2}/i, /à \d{1,2}h/i,
-  // Lieux et activités
-  'on se retrouve', 'on se voit', 'chez', 'resto', 'restaurant', 'bar', 'café', 'cinema', 'cinéma',
-  'soirée', 'fête', 'anniversaire', 'mariage', 'apéro', 'bbq', 'barbecue',
-  // Propositions
-  'ça vous dit', 'ca vous dit', 'qui est dispo', 'qui vient', 'on fait quoi',
-  'vous êtes libres', 'vous etes libres', 'dispo ?', 'disponible',
-  // Confirmations
-  'je viens', 'je serai là', 'je serai la', 'compte sur moi', 'présent', 'ok pour',
-  // Sport et activités
-  'match', 'entrainement', 'entraînement', 'course', 'rando', 'randonnée', 'ski', 'sortie'
-];
-
 export class Application {
   #config;
   #logger;
@@ -50,7 +41,15 @@ export class Application {
   #whatsapp;
   #queue;
   #telegramService;
-  #groupMessageTimestamps = new Map(); // Rate limiting pour les groupes
+  #budget;
+  #quietHours;
+  #followUps;
+  #memory;
+  #profiles;
+  #transcription;
+  #media;
+  #mediaStore;
+  #groups;
 
   constructor() {
     this.#config = new Config();
@@ -72,7 +71,7 @@ export class Application {
         this.#initializeServices();
 
       // Configuration des commandes Telegram
-      this.#initializeTelegramCommands(messageRepo, cronService);
+      this.#initializeTelegramCommands(messageRepo, cronService, aiService);
 
       // Configuration des événements WhatsApp
       this.#setupWhatsAppEvents(messageRepo, messageHandler);
@@ -105,24 +104,55 @@ export class Application {
    */
   #initializeServices() {
     const messageRepo = new MessageRepository(this.#db);
-    const aiService = new AIService(this.#config);
+    this.#telegramService = new TelegramService(this.#config, { repository: messageRepo });
+    this.#budget = new BudgetService(this.#config, messageRepo, this.#telegramService, this.#logger);
+    this.#quietHours = new QuietHoursService(this.#config, this.#telegramService, this.#logger, { repository: messageRepo });
+    this.#quietHours.start();
+    this.#followUps = new FollowUpService(this.#config, messageRepo, this.#quietHours, this.#logger, { telegram: this.#telegramService });
+    this.#followUps.start();
+
+    const aiService = new AIService(this.#config, { repository: messageRepo, budget: this.#budget });
+    this.#memory = new MemoryService(this.#config, messageRepo, this.#logger, { budget: this.#budget });
+    this.#memory.start();
+    this.#profiles = new ProfileService(this.#config, messageRepo, aiService, this.#logger, { budget: this.#budget });
+    this.#profiles.start();
+    this.#mediaStore = new MediaStore(this.#config, messageRepo, this.#logger);
+    this.#mediaStore.start();
+    this.#transcription = new TranscriptionService(this.#config, messageRepo, this.#logger, { budget: this.#budget, store: this.#mediaStore });
+    this.#media = new MediaService(this.#config, messageRepo, this.#mediaStore, this.#logger, { budget: this.#budget });
+    const groupTriage = new GroupTriageService(this.#config, messageRepo, this.#logger, { budget: this.#budget });
+    this.#groups = new GroupMessageHandler({
+      repository: messageRepo,
+      triage: groupTriage,
+      logger: this.#logger,
+      telegram: this.#telegramService,
+      quietHours: this.#quietHours,
+      getOwnId: () => this.#whatsapp?.ownId,
+      settings: this.#config.features.groups
+    });
     const calendarService = new CalendarService(this.#config);
     
-    this.#telegramService = new TelegramService(this.#config);
-    
     const cronService = new CronService(
       this.#config, 
       messageRepo, 
       this.#telegramService, 
       this.#logger, 
       aiService, 
-      calendarService
+      calendarService,
+      this.#budget,
+      this.#followUps
     );
 
     this.#whatsapp = new WhatsAppService(this.#config);
     const gatekeeper = new GatekeeperHandler();
 
-    this.#logger.info(`Using AI provider: ${this.#config.ai.provider} (${this.#config.ai.model})`);
+    this.#logger.info(`Using AI provider: ${this.#config.ai.provider} (${this.#config.ai.model})`, {
+      failover: this.#config.ai.providers.map(p => p.provider),
+      embeddings: this.#memory.model || 'disabled',
+      transcription: this.#transcription.model || 'disabled',
+      vision: this.#media.model || 'disabled',
+      groupTriage: groupTriage.model || 'keywords'
+    });
 
     const messageHandler = new MessageHandler({
       gatekeeper,
@@ -131,7 +161,11 @@ export class Application {
       repository: messageRepo,
       whatsapp: this.#whatsapp,
       logger: this.#logger,
-      telegram: this.#telegramService
+      telegram: this.#telegramService,
+      approvalCategories: this.#config.features.replyApprovalCategories,
+      quietHours: this.#quietHours,
+      memory: this.#memory,
+      profiles: this.#profiles
     });
 
     return { messageRepo, aiService, calendarService, cronService, messageHandler };
@@ -140,12 +174,19 @@ export class Application {
   /**
    * Initialise les commandes Telegram
    */
-  #initializeTelegramCommands(messageRepo, cronService) {
+  #initializeTelegramCommands(messageRepo, cronService, aiService) {
     const commandHandler = new TelegramCommandHandler({
       telegram: this.#telegramService,
       messageRepo,
       cronService,
       whatsappService: this.#whatsapp,
+      aiService,
+      budgetService: this.#budget,
+      quietHours: this.#quietHours,
+      followUps: this.#followUps,
+      memory: this.#memory,
+      profiles: this.#profiles,
+      mediaStore: this.#mediaStore,
       config: this.#config,
       logger: this.#logger
     });
@@ -218,7 +259,7 @@ export class Application {
         
         // Gestion des messages de groupe
         if (chat?.isGroup) {
-          await this.#handleGroupMessage(msg, chat, messageRepo);
+          await this.#groups.handle(msg, chat);
           return;
         }
 
@@ -228,17 +269,19 @@ export class Application {
           return; // Message déjà sauvegardé, ignorer silencieusement
         }
 
-        const message = this.#createMessage(msg);
-        const metadata = this.#extractMessageMetadata(msg, chat);
-
-        // Mode économique vs mode complet
-        if (!this.#config.features.enableAutoResponse) {
-          this.#saveMessageWithoutAI(messageRepo, message, metadata);
-        } else {
-          this.#queue.enqueue(msg.from, async () => {
-            await messageHandler.handle(message, metadata);
-          });
+        // Politique du contact (bloqué/ignoré, enregistrement seul, VIP)
+        const knownContact = messageRepo.getContactByPhone(msg.from);
+        const policy = getContactPolicy(knownContact);
+        if (policy === 'ignore') {
+          this.#logger.debug('Message ignored (contact policy)', { from: msg.from });
+          return;
         }
+
+        // Transcription, pièces jointes et analyse dans la file du contact: une note vocale,
+        // une image ou un document long à traiter n'est jamais doublé par le message suivant
+        this.#queue.enqueue(msg.from, () =>
+          this.#processIncomingMessage(msg, chat, knownContact, policy, { messageRepo, messageHandler })
+        );
       } catch (error) {
         // Ignorer les erreurs de contrainte UNIQUE (doublon)
         if (error.message?.includes('UNIQUE constraint')) {
@@ -252,6 +295,46 @@ export class Application {
     });
   }
 
+  /**
+   * Prépare et traite un message entrant, dans l'ordre de réception de son expéditeur
+   * (tâche de la file du contact, y compris en mode économique)
+   */
+  async #processIncomingMessage(msg, chat, contact, policy, { messageRepo, messageHandler }) {
+    try {
+      // Notes vocales: la transcription devient le corps du message
+      const voiceNote = TranscriptionService.isVoiceNote(msg)
+        ? await this.#transcription.transcribeVoiceNote(msg, { contactId: contact?.id ?? null })
+        : null;
+
+      // Images et documents: description ou texte extrait ajouté au corps du message
+      const attachment = MediaService.isMedia(msg)
+        ? await this.#media.processMedia(msg, { contactId: contact?.id ?? null })
+        : null;
+
+      const message = this.#createMessage(msg, voiceNote?.body ?? attachment?.body);
+      const metadata = this.#extractMessageMetadata(msg, chat, voiceNote?.mediaUrl ?? attachment?.mediaUrl);
+
+      if (contact?.is_vip) {
+        await this.#notifyVipMessage(contact, message);
+      }
+
+      // Mode économique vs mode complet (bascule automatique si le budget IA est épuisé)
+      // Une note vocale non transcrite ou une pièce jointe sans texte est seulement enregistrée: rien à analyser
+      if (!this.#config.features.enableAutoResponse || policy === 'log' || this.#budget.isExhausted() ||
+          voiceNote?.transcribed === false || attachment?.understood === false) {
+        this.#saveMessageWithoutAI(messageRepo, message, metadata);
+      } else {
+        await messageHandler.handle(message, metadata);
+      }
+    } catch (error) {
+      if (error.message?.includes('UNIQUE constraint')) return;
+      this.#logger.error('Error processing incoming message', {
+        error: error.message,
+        from: msg?.from
+      });
+    }
+  }
+
   /**
    * Configure le handler pour les messages sortants (envoyés par Jonas manuellement)
    * NOTE: message_create est déclenché pour TOUS les messages, donc on filtre strictement
@@ -270,7 +353,8 @@ export class Application {
         if (chat?.isGroup) return;
 
         // Éviter les doublons - vérifier si le message existe déjà
-        const existingMessage = messageRepo.getMessageById(msg.id.id);
+        // (les réponses du bot sont enregistrées sous leur ID sérialisé par MessageHandler)
+        const existingMessage = messageRepo.getMessageById(msg.id.id) || messageRepo.getMessageById(msg.id._serialized);
         if (existingMessage) {
           return; // Message déjà sauvegardé, ignorer silencieusement
         }
@@ -281,16 +365,22 @@ export class Application {
           isGroup: false
         });
 
+        const voiceNote = TranscriptionService.isVoiceNote(msg)
+          ? await this.#transcription.transcribeVoiceNote(msg, { contactId: contact.id })
+          : null;
+        const body = voiceNote?.body ?? msg.body;
+
         messageRepo.saveOutgoingMessage(
           msg.id.id,
           contact.id,
-          msg.body,
-          msg.timestamp * 1000
+          body,
+          msg.timestamp * 1000,
+          { mediaType: msg.hasMedia ? msg.type : null, mediaUrl: voiceNote?.mediaUrl }
         );
 
         this.#logger.debug('Outgoing message saved', {
           to: msg.to,
-          bodyPreview: msg.body?.substring(0, 50)
+          bodyPreview: body?.substring(0, 50)
         });
       } catch (error) {
         // Ignorer les erreurs de contrainte UNIQUE (doublon)
@@ -320,137 +410,49 @@ export class Application {
     }
   }
 
-  /**
-   * Vérifie si un message contient du contenu organisationnel
-   * @param {string} text - Texte du message
-   * @returns {boolean}
-   */
-  #isOrganizationalMessage(text) {
-    if (!text || text.length < 5) return false;
-    
-    const lowerText = text.toLowerCase();
-    
-    for (const keyword of ORGANIZATIONAL_KEYWORDS) {
-      if (keyword instanceof RegExp) {
-        if (keyword.test(text)) return true;
-      } else if (lowerText.includes(keyword)) {
-        return true;
-      }
-    }
-    
-    return false;
-  }
-
-  /**
-   * Rate limiting pour les groupes (max 1 message par groupe toutes les 30 secondes)
-   * @param {string} groupId - ID du groupe
-   * @returns {boolean} - true si le message peut être traité
-   */
-  #canProcessGroupMessage(groupId) {
-    const now = Date.now();
-    const lastProcessed = this.#groupMessageTimestamps.get(groupId) || 0;
-    
-    // Limite: 1 message organisationnel par groupe toutes les 30 secondes
-    if (now - lastProcessed < 30000) {
-      return false;
-    }
-    
-    this.#groupMessageTimestamps.set(groupId, now);
-    return true;
-  }
-
-  /**
-   * Gère les messages de groupe (détection de contenu organisationnel uniquement)
-   * @param {Object} msg - Message WhatsApp
-   * @param {Object} chat - Chat WhatsApp
-   * @param {MessageRepository} messageRepo - Repository des messages
-   */
-  async #handleGroupMessage(msg, chat, messageRepo) {
-    // Ignorer les messages trop courts ou sans texte
-    if (!msg.body || msg.body.length < 10) return;
-
-    // Vérifier si c'est un message organisationnel (détection LOCALE, sans API)
-    if (!this.#isOrganizationalMessage(msg.body)) {
-      return; // Pas organisationnel, on ignore
-    }
-
-    // Rate limiting pour éviter trop de stockage
-    if (!this.#canProcessGroupMessage(chat.id._serialized)) {
-      this.#logger.debug('Group message rate limited', { 
-        group: chat.name,
-        message: msg.body.substring(0, 50)
-      });
-      return;
-    }
-
-    // Sauvegarder le message organisationnel du groupe
-    try {
-      // Récupérer l'auteur du message dans le groupe
-      const contact = await msg.getContact();
-      const authorName = contact?.pushname || contact?.name || 'Inconnu';
-
-      const groupContact = messageRepo.findOrCreateContact(chat.id._serialized, {
-        pushName: chat.name,
-        displayName: chat.name,
-        isGroup: true
-      });
-
-      messageRepo.saveIncomingMessage(
-        new Message({
-          id: msg.id.id,
-          from: chat.id._serialized,
-          body: `[${authorName}] ${msg.body}`,
-          timestamp: msg.timestamp * 1000
-        }),
-        groupContact.id,
-        {
-          mediaType: null,
-          isForwarded: msg.isForwarded || false,
-          isBroadcast: false,
-          quotedMessageId: null
-        }
-      );
-
-      this.#logger.info('📅 Organizational message detected in group', {
-        group: chat.name,
-        author: authorName,
-        preview: msg.body.substring(0, 80)
-      });
-    } catch (error) {
-      if (!error.message?.includes('UNIQUE constraint')) {
-        this.#logger.error('Error saving group message', { error: error.message });
-      }
-    }
-  }
-
   /**
    * Crée un objet Message à partir d'un message WhatsApp
+   * @param {Object} msg
+   * @param {string} [body] - Corps à utiliser à la place de msg.body (note vocale transcrite, pièce jointe analysée)
    */
-  #createMessage(msg) {
+  #createMessage(msg, body = msg.body) {
     return new Message({
       id: msg.id.id,
       from: msg.from,
-      body: msg.body,
+      body,
       timestamp: msg.timestamp * 1000
     });
   }
 
   /**
    * Extrait les métadonnées d'un message
+   * @param {string} [mediaUrl] - Fichier local de la pièce jointe (MediaStore)
    */
-  #extractMessageMetadata(msg, chat) {
+  #extractMessageMetadata(msg, chat, mediaUrl = null) {
     return {
       pushName: msg._data?.notifyName || null,
       displayName: chat?.name || msg._data?.notifyName || null,
       isGroup: chat?.isGroup || false,
       mediaType: msg.hasMedia ? msg.type : null,
-      mediaUrl: null,
+      mediaUrl,
       isForwarded: msg.isForwarded || false,
       isBroadcast: msg.broadcast || false,
       quotedMessageId: msg.hasQuotedMsg ? msg._data?.quotedMsgId : null
     };
   }
 
+  /**
+   * Notifie l'admin de chaque message d'un contact VIP (même pendant les heures calmes)
+   */
+  async #notifyVipMessage(contact, message) {
+    const name = contact.push_name || contact.display_name || contact.phone_number.split('@')[0];
+    const body = message.body.length > 500 ? `${message.body.substring(0, 500)}...` : message.body;
+
+    await this.#telegramService.sendMessage(
+      `⭐ <b>Message VIP de ${escapeHtml(name)}</b>\n\n${escapeHtml(body)}`
+    );
+  }
+
   /**
    * Sauvegarde un message sans analyse IA (mode économique)
    */
@@ -487,6 +489,11 @@ export class Application {
       
       try {
         this.#telegramService?.stopPolling();
+        this.#quietHours?.stop();
+        this.#followUps?.stop();
+        this.#memory?.stop();
+        this.#profiles?.stop();
+        this.#mediaStore?.stop();
         await this.#queue.onIdle();
         
         if (this.#whatsapp) {
@@ -1,4 +1,5 @@
 import dotenv from 'dotenv';
+import path from 'path';
 import { ConfigurationError } from '../utils/Errors.js';
 
 dotenv.config();
@@ -9,13 +10,14 @@ export class Config {
   }
 
   validate() {
-    // AI provider is required (either Gemini, OpenAI, or Groq)
+    // AI provider is required (either Gemini, OpenAI, Groq, or a local server)
     const hasAI = process.env.GEMINI_API_KEY || 
                   process.env.OPENAI_API_KEY || 
-                  process.env.GROQ_API_KEY;
+                  process.env.GROQ_API_KEY ||
+                  process.env.AI_BASE_URL;
     
     if (!hasAI) {
-      throw new ConfigurationError('At least one AI API key is required (GEMINI_API_KEY, OPENAI_API_KEY, or GROQ_API_KEY)');
+      throw new ConfigurationError('At least one AI API key is required (GEMINI_API_KEY, OPENAI_API_KEY, or GROQ_API_KEY) or a local AI_BASE_URL');
     }
 
     if (!process.env.DATABASE_PATH) {
@@ -24,34 +26,99 @@ export class Config {
   }
 
   get ai() {
-    // Priority: Gemini (free) > Groq (free) > OpenAI (paid)
-    if (process.env.GEMINI_API_KEY) {
-      return {
+    // Priority: local server (offline) > Gemini (free) > Groq (free) > OpenAI (paid), overridable via AI_PROVIDER_ORDER
+    const providers = this.#aiProviders();
+    const primary = providers[0] || {
+      provider: 'openai',
+      apiKey: process.env.OPENAI_API_KEY,
+      model: process.env.OPENAI_MODEL || 'gpt-4o'
+    };
+
+    return {
+      ...primary,
+      maxTokens: parseInt(process.env.AI_MAX_TOKENS || process.env.OPENAI_MAX_TOKENS || '500'),
+      temperature: parseFloat(process.env.AI_TEMPERATURE || process.env.OPENAI_TEMPERATURE || '0.3'),
+      // Failover chain: every provider with an API key, in priority order
+      providers,
+      timeoutMs: parseInt(process.env.AI_TIMEOUT_MS || '30000'),
+      circuitBreaker: {
+        failureThreshold: parseInt(process.env.AI_CB_FAILURES || '3'),
+        cooldownMs: parseInt(process.env.AI_CB_COOLDOWN_MS || '300000')
+      },
+      // Response cache for identical prompts (reports, conversation summaries)
+      cache: {
+        enabled: process.env.AI_CACHE_ENABLED !== 'false',
+        ttlMs: parseInt(process.env.AI_CACHE_TTL_MS || '21600000')
+      },
+      // Semantic memory (see MemoryService): EMBEDDING_PROVIDER=none disables it, empty = first provider
+      // of the chain supporting embeddings; EMBEDDING_BASE_URL points at a local OpenAI-compatible /embeddings server
+      embeddings: {
+        provider: (process.env.EMBEDDING_PROVIDER || '').trim().toLowerCase() || null,
+        model: process.env.EMBEDDING_MODEL || null,
+        baseUrl: process.env.EMBEDDING_BASE_URL || null,
+        apiKey: process.env.EMBEDDING_API_KEY || process.env.AI_LOCAL_API_KEY
+      },
+      // Voice notes (see TranscriptionService): TRANSCRIPTION_PROVIDER=none disables, empty = first provider
+      // of the chain supporting transcription; TRANSCRIPTION_URL points at a local whisper.cpp /inference endpoint
+      transcription: {
+        provider: (process.env.TRANSCRIPTION_PROVIDER || '').trim().toLowerCase() || null,
+        model: process.env.TRANSCRIPTION_MODEL || null,
+        url: process.env.TRANSCRIPTION_URL || null,
+        apiKey: process.env.TRANSCRIPTION_API_KEY || process.env.AI_LOCAL_API_KEY,
+        language: process.env.TRANSCRIPTION_LANGUAGE || null,
+        maxDurationSeconds: parseInt(process.env.TRANSCRIPTION_MAX_SECONDS || '600')
+      },
+      // Images and scanned documents (see MediaService): VISION_PROVIDER=none disables, empty = first provider
+      // of the chain supporting vision; text PDFs are read locally without any AI call.
+      // Larger files are neither described nor read
+      vision: {
+        provider: (process.env.VISION_PROVIDER || '').trim().toLowerCase() || null,
+        model: process.env.VISION_MODEL || null,
+        maxBytes: parseFloat(process.env.VISION_MAX_MB || '10') * 1024 * 1024
+      },
+      // Budget caps (0 = unlimited); past 100% the app switches to no-AI mode
+      budget: {
+        dailyTokens: parseInt(process.env.AI_BUDGET_DAILY_TOKENS || '0'),
+        monthlyTokens: parseInt(process.env.AI_BUDGET_MONTHLY_TOKENS || '0'),
+        dailyUsd: parseFloat(process.env.AI_BUDGET_DAILY_USD || '0'),
+        monthlyUsd: parseFloat(process.env.AI_BUDGET_MONTHLY_USD || '0')
+      }
+    };
+  }
+
+  #aiProviders() {
+    const available = {
+      // Any OpenAI-compatible server: Ollama, llama.cpp server, LM Studio
+      local: process.env.AI_BASE_URL && {
+        provider: 'local',
+        baseUrl: process.env.AI_BASE_URL,
+        apiKey: process.env.AI_LOCAL_API_KEY,
+        model: process.env.AI_LOCAL_MODEL || 'llama3.1'
+      },
+      gemini: process.env.GEMINI_API_KEY && {
         provider: 'gemini',
         apiKey: process.env.GEMINI_API_KEY,
-        model: process.env.GEMINI_MODEL || 'gemini-1.5-flash',
-        maxTokens: parseInt(process.env.AI_MAX_TOKENS || '500'),
-        temperature: parseFloat(process.env.AI_TEMPERATURE || '0.3')
-      };
-    }
-    
-    if (process.env.GROQ_API_KEY) {
-      return {
+        model: process.env.GEMINI_MODEL || 'gemini-1.5-flash'
+      },
+      groq: process.env.GROQ_API_KEY && {
         provider: 'groq',
         apiKey: process.env.GROQ_API_KEY,
-        model: process.env.GROQ_MODEL || 'llama-3.1-70b-versatile',
-        maxTokens: parseInt(process.env.AI_MAX_TOKENS || '500'),
-        temperature: parseFloat(process.env.AI_TEMPERATURE || '0.3')
-      };
-    }
-    
-    return {
-      provider: 'openai',
-      apiKey: process.env.OPENAI_API_KEY,
-      model: process.env.OPENAI_MODEL || 'gpt-4o',
-      maxTokens: parseInt(process.env.AI_MAX_TOKENS || process.env.OPENAI_MAX_TOKENS || '500'),
-      temperature: parseFloat(process.env.AI_TEMPERATURE || process.env.OPENAI_TEMPERATURE || '0.3')
+        model: process.env.GROQ_MODEL || 'llama-3.1-70b-versatile'
+      },
+      openai: process.env.OPENAI_API_KEY && {
+        provider: 'openai',
+        apiKey: process.env.OPENAI_API_KEY,
+        model: process.env.OPENAI_MODEL || 'gpt-4o'
+      }
     };
+
+    // When AI_PROVIDER_ORDER is set, only the listed providers are used
+    const order = (process.env.AI_PROVIDER_ORDER || Object.keys(available).join(','))
+      .split(',')
+      .map(name => name.trim().toLowerCase())
+      .filter(name => name in available);
+
+    return [...new Set(order)].map(name => available[name]).filter(Boolean);
   }
 
   // Keep for backward compatibility
@@ -70,6 +137,16 @@ export class Config {
     };
   }
 
+  // Downloaded WhatsApp media, next to the database by default (data/media), deduplicated by content.
+  // Retention (see MediaStore): files not received for maxAgeDays, then oldest first above maxTotalMb (0 = no limit)
+  get media() {
+    return {
+      path: process.env.MEDIA_PATH || path.join(path.dirname(process.env.DATABASE_PATH || './data/carl.db'), 'media'),
+      maxAgeDays: parseInt(process.env.MEDIA_MAX_AGE_DAYS || '90'),
+      maxTotalMb: parseInt(process.env.MEDIA_MAX_TOTAL_MB || '1024')
+    };
+  }
+
   get google() {
     return {
       serviceAccountJson: process.env.GOOGLE_SERVICE_ACCOUNT_JSON,
@@ -86,11 +163,63 @@ export class Config {
   }
 
   get features() {
+    const enableDailyBriefing = process.env.ENABLE_DAILY_BRIEFING === 'true';
+
     return {
-      enableDailyBriefing: process.env.ENABLE_DAILY_BRIEFING === 'true',
+      enableDailyBriefing,
       dailyBriefingTime: process.env.DAILY_BRIEFING_TIME || '0 8 * * *',
+      // Digests (see DigestService) - empty string disables the scheduled digest, /hebdo and /mensuel still work.
+      // Scheduled by default only with the daily briefing
+      weeklyDigestTime: process.env.WEEKLY_DIGEST_TIME ?? (enableDailyBriefing ? '0 19 * * 0' : ''),
+      monthlyDigestTime: process.env.MONTHLY_DIGEST_TIME ?? (enableDailyBriefing ? '0 9 1 * *' : ''),
+      // Nightly daily_stats rollup and conversation session sweep - empty string disables
+      statsRollupTime: process.env.STATS_ROLLUP_TIME ?? '5 0 * * *',
       enableAutoResponse: process.env.ENABLE_AUTO_RESPONSE === 'true',
-      enableCalendar: process.env.ENABLE_CALENDAR_INTEGRATION === 'true'
+      enableCalendar: process.env.ENABLE_CALENDAR_INTEGRATION === 'true',
+      // Categories whose AI replies must be approved on Telegram before sending ('all' = every reply)
+      replyApprovalCategories: (process.env.REPLY_APPROVAL_CATEGORIES || '')
+        .split(',')
+        .map(c => c.trim().toLowerCase())
+        .filter(Boolean),
+      // Quiet hours: "22:00-07:00" or "mon-fri 22:00-07:00; sat,sun 23:00-10:00" (see QuietHoursService)
+      quietHours: {
+        schedule: process.env.QUIET_HOURS || '',
+        awayMessage: process.env.QUIET_HOURS_AWAY_MESSAGE || null
+      },
+      // Unanswered-message reminders: wait threshold weighted by urgency (0 = no reminders, see FollowUpService)
+      followUp: {
+        thresholdMinutes: parseInt(process.env.FOLLOW_UP_THRESHOLD_MINUTES || '240')
+      },
+      // Long-term contact profiles: AI update once a contact has this many new messages (0 = manual only, see ProfileService)
+      profiles: {
+        minNewMessages: parseInt(process.env.PROFILE_MIN_NEW_MESSAGES || '5')
+      },
+      // Group chats (see GroupMessageHandler): mode per group via /groups, GROUP_DEFAULT_MODE otherwise.
+      // Keyword lists per language, GROUP_KEYWORDS_<LANG> replaces the built-in list of that language;
+      // GROUP_AI_TRIAGE=true asks a cheap model instead (keywords remain the fallback).
+      // Mentions of the user and replies to their messages are always kept; GROUP_MENTION_NOTIFY=true sends them to Telegram
+      groups: {
+        defaultMode: (process.env.GROUP_DEFAULT_MODE || 'organizational').trim().toLowerCase(),
+        rateLimitSeconds: parseInt(process.env.GROUP_RATE_LIMIT_SECONDS || '30'),
+        notifyMentions: process.env.GROUP_MENTION_NOTIFY === 'true',
+        keywordLanguages: (process.env.GROUP_KEYWORD_LANGUAGES || 'fr')
+          .split(',')
+          .map(l => l.trim().toLowerCase())
+          .filter(Boolean),
+        keywords: Object.fromEntries(
+          Object.entries(process.env)
+            .filter(([name, value]) => name.startsWith('GROUP_KEYWORDS_') && value.trim())
+            .map(([name, value]) => [
+              name.slice('GROUP_KEYWORDS_'.length).toLowerCase(),
+              value.split(',').map(k => k.trim().toLowerCase()).filter(Boolean)
+            ])
+        ),
+        triage: {
+          enabled: process.env.GROUP_AI_TRIAGE === 'true',
+          provider: (process.env.GROUP_TRIAGE_PROVIDER || '').trim().toLowerCase() || null,
+          model: process.env.GROUP_TRIAGE_MODEL || null
+        }
+      }
     };
   }
 
@@ -0,0 +1,37 @@
+/**
+ * ContactPolicy - Politique de traitement des messages d'un contact
+ *
+ * Stockée dans contacts.reply_mode (+ is_blocked, is_vip, reply_tone,
+ * reply_language). Une politique NULL applique le comportement par défaut
+ * (réponse auto, ou validation selon la catégorie du message).
+ *
+ * @module domain/ContactPolicy
+ */
+
+export const CONTACT_POLICIES = {
+  auto: '🤖 Réponse auto',
+  approve: '✋ Validation',
+  log: '📝 Enregistrer seulement',
+  ignore: '🚫 Ignorer'
+};
+
+/**
+ * Politique effective d'un contact (un contact bloqué est toujours ignoré)
+ * @param {Object|null} contact - Ligne de la table contacts
+ * @returns {'auto'|'approve'|'log'|'ignore'|null}
+ */
+export function getContactPolicy(contact) {
+  if (!contact) return null;
+  if (contact.is_blocked) return 'ignore';
+  return CONTACT_POLICIES[contact.reply_mode] ? contact.reply_mode : null;
+}
+
+/**
+ * Libellé de la politique pour Telegram
+ * @param {Object|null} contact
+ * @returns {string}
+ */
+export function formatContactPolicy(contact) {
+  const policy = getContactPolicy(contact);
+  return policy ? CONTACT_POLICIES[policy] : '⚙️ Par défaut';
+}
@@ -0,0 +1,109 @@
+/**
+ * GroupPolicy - Traitement des messages de groupe
+ *
+ * Stocké dans contacts.group_mode (lignes is_group = 1). Un mode NULL
+ * applique le mode par défaut de la configuration (GROUP_DEFAULT_MODE).
+ *
+ * En mode 'organizational', un message est retenu s'il contient un des
+ * mots-clés des langues configurées (ou selon le tri IA, s'il est activé).
+ * Les mentions (@Jonas) et réponses à ses messages sont toujours retenues,
+ * quel que soit le mode (comme WhatsApp les notifie dans un groupe en sourdine).
+ *
+ * @module domain/GroupPolicy
+ */
+
+export const GROUP_MODES = {
+  ignore: '🚫 Ignorer',
+  organizational: '📅 Organisationnel',
+  full: '📥 Tout enregistrer'
+};
+
+export const DEFAULT_GROUP_MODE = 'organizational';
+
+/**
+ * Messages de groupe adressés à l'utilisateur (messages.mention_type)
+ */
+export const MENTION_TYPES = {
+  mention: '📣',
+  reply: '↩️'
+};
+
+/**
+ * Mots-clés organisationnels par langue (chaînes en minuscules ou RegExp)
+ * Remplaçables par langue via GROUP_KEYWORDS_<LANGUE> (voir Config.features.groups)
+ */
+export const ORGANIZATIONAL_KEYWORDS = {
+  fr: [
+    // Événements et rendez-vous
+    'rdv', 'rendez-vous', 'rendezvous', 'meeting', 'réunion', 'reunion',
+    // Temps
+    'demain', 'ce soir', 'samedi', 'dimanche', 'lundi', 'mardi', 'mercredi', 'jeudi', 'vendredi',
+    'semaine prochaine', 'weekend', 'week-end',
+    // Heures
+    /\d{1,2}[h:]\d{0,2}/i, /à \d{1,2}h/i,
+    // Lieux et activités
+    'on se retrouve', 'on se voit', 'chez', 'resto', 'restaurant', 'bar', 'café', 'cinema', 'cinéma',
+    'soirée', 'fête', 'anniversaire', 'mariage', 'apéro', 'bbq', 'barbecue',
+    // Propositions
+    'ça vous dit', 'ca vous dit', 'qui est dispo', 'qui vient', 'on fait quoi',
+    'vous êtes libres', 'vous etes libres', 'dispo ?', 'disponible',
+    // Confirmations
+    'je viens', 'je serai là', 'je serai la', 'compte sur moi', 'présent', 'ok pour',
+    // Sport et activités
+    'match', 'entrainement', 'entraînement', 'course', 'rando', 'randonnée', 'ski', 'sortie'
+  ],
+  en: [
+    'appointment', 'meeting', 'meetup', 'tomorrow', 'tonight', 'next week', 'weekend',
+    'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday',
+    /\d{1,2}(:\d{2})?\s?(am|pm)\b/i, /\bat \d{1,2}(:\d{2})?\b/i,
+    'dinner', 'lunch', 'drinks', 'party', 'birthday', 'wedding', 'bbq', 'barbecue',
+    'who is in', "who's in", 'who is free', 'anyone free', 'are you free', 'available',
+    "i'm coming", 'count me in', 'see you at',
+    'game', 'training', 'practice', 'hike', 'trip'
+  ],
+  de: [
+    'termin', 'treffen', 'besprechung', 'morgen', 'heute abend', 'nächste woche', 'wochenende',
+    'montag', 'dienstag', 'mittwoch', 'donnerstag', 'freitag', 'samstag', 'sonntag',
+    /\d{1,2}([:.]\d{2})?\s?uhr\b/i,
+    'abendessen', 'mittagessen', 'party', 'feier', 'geburtstag', 'hochzeit', 'grillen', 'apéro',
+    'wer kommt', 'wer hat zeit', 'habt ihr zeit', 'ich komme', 'bin dabei',
+    'spiel', 'training', 'wanderung', 'ausflug'
+  ]
+};
+
+/**
+ * Mode effectif d'un groupe
+ * @param {Object|null} group - Ligne de la table contacts
+ * @param {string} [defaultMode] - Mode appliqué si le groupe n'a pas de réglage
+ * @returns {'ignore'|'organizational'|'full'}
+ */
+export function getGroupMode(group, defaultMode = DEFAULT_GROUP_MODE) {
+  if (GROUP_MODES[group?.group_mode]) return group.group_mode;
+  return GROUP_MODES[defaultMode] ? defaultMode : DEFAULT_GROUP_MODE;
+}
+
+/**
+ * Libellé du mode pour Telegram
+ * @param {Object|null} group
+ * @param {string} [defaultMode]
+ * @returns {string}
+ */
+export function formatGroupMode(group, defaultMode = DEFAULT_GROUP_MODE) {
+  const label = GROUP_MODES[getGroupMode(group, defaultMode)];
+  return GROUP_MODES[group?.group_mode] ? label : `${label} (par défaut)`;
+}
+
+/**
+ * Phrase décrivant une mention pour Telegram (texte brut, à échapper)
+ * @param {Object} mention
+ * @param {'mention'|'reply'} mention.type
+ * @param {string} mention.groupName
+ * @param {string} [mention.authorName]
+ * @returns {string} Ex: "Marc t'a mentionné dans Volley du jeudi"
+ */
+export function describeMention({ type, groupName, authorName = null }) {
+  if (type === 'reply') {
+    return `${authorName || "Quelqu'un"} a répondu à ton message dans ${groupName}`;
+  }
+  return authorName ? `${authorName} t'a mentionné dans ${groupName}` : `Tu as été mentionné dans ${groupName}`;
+}
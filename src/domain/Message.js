@@ -1,5 +1,19 @@
 import { ValidationError } from '../utils/Errors.js';
 
+// Notes vocales: transcrites et stockées comme texte, précédées de ce marqueur
+export const VOICE_NOTE_MARKER = '[vocal]';
+
+// Types whatsapp-web.js des enregistrements audio (ptt = note vocale, audio = fichier audio)
+export const VOICE_NOTE_TYPES = ['ptt', 'audio'];
+
+// Images et documents: description (vision) ou texte extrait, précédés de ces marqueurs
+export const IMAGE_MARKER = '[image]';
+export const DOCUMENT_MARKER = '[document]';
+
+// Types whatsapp-web.js des pièces jointes analysées (photos, captures, PDF, fichiers texte)
+export const IMAGE_TYPES = ['image'];
+export const DOCUMENT_TYPES = ['document'];
+
 export class Message {
   #id;
   #from;
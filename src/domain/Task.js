@@ -0,0 +1,27 @@
+/**
+ * Task - Tâches extraites des rapports et leur cycle de vie
+ *
+ * Une tâche est ouverte (open) à sa première apparition dans un rapport, puis
+ * planifiée dans l'agenda (scheduled), faite (done) ou ignorée (dismissed).
+ * Les rapports successifs qui la reproposent sont dédupliqués par taskKey().
+ *
+ * @module domain/Task
+ */
+
+export const TASK_STATUSES = ['open', 'scheduled', 'done', 'dismissed'];
+
+export const PRIORITY_ICONS = { haute: '🔴', moyenne: '🟡', basse: '🟢' };
+
+/**
+ * Clé de déduplication: titre sans casse, accents ni ponctuation
+ * @param {string} title
+ * @returns {string}
+ */
+export function taskKey(title) {
+  return (title || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
@@ -0,0 +1,241 @@
+/**
+ * GroupMessageHandler - Messages reçus dans les groupes WhatsApp
+ *
+ * Les groupes ne reçoivent jamais de réponse automatique: leurs messages
+ * sont seulement enregistrés, selon le mode du groupe (voir GroupPolicy):
+ * - 'ignore': rien n'est enregistré
+ * - 'organizational': messages organisationnels (mots-clés ou tri IA),
+ *   au plus un toutes les `rateLimitSeconds` secondes par groupe
+ * - 'full': tous les messages texte
+ *
+ * Les mentions de l'utilisateur (@) et les réponses à ses messages sont
+ * toujours enregistrées, sans limite de fréquence (messages.mention_type),
+ * et peuvent être notifiées immédiatement sur Telegram.
+ *
+ * Le message est rattaché au contact du groupe; son auteur est enregistré
+ * comme contact à part entière (messages.author_contact_id).
+ *
+ * @module handlers/GroupMessageHandler
+ */
+import { Message } from '../domain/Message.js';
+import { getGroupMode, describeMention, MENTION_TYPES } from '../domain/GroupPolicy.js';
+import { escapeHtml } from '../utils/Sanitizer.js';
+
+// En mode organisationnel, les messages plus courts sont ignorés ("ok", "👍", "mdr")
+const MIN_ORGANIZATIONAL_LENGTH = 10;
+
+// Extrait du message dans la notification Telegram
+const NOTIFICATION_PREVIEW_CHARS = 300;
+
+export class GroupMessageHandler {
+  #repo;
+  #triage;
+  #logger;
+  #telegram;
+  #quietHours;
+  #getOwnId;
+  #notifyMentions;
+  #defaultMode;
+  #rateLimitMs;
+  #now;
+  #lastSavedAt = new Map(); // Rate limiting par groupe
+
+  /**
+   * @param {Object} deps
+   * @param {MessageRepository} deps.repository - Contacts et messages
+   * @param {GroupTriageService} deps.triage - Détection des messages organisationnels
+   * @param {Logger} deps.logger
+   * @param {TelegramService} deps.telegram - Notification des mentions
+   * @param {QuietHoursService} deps.quietHours - Notifications mises de côté pendant les heures calmes
+   * @param {Function} deps.getOwnId - ID WhatsApp de l'utilisateur (null tant que le client n'est pas prêt)
+   * @param {Object} deps.settings - config.features.groups (defaultMode, rateLimitSeconds, notifyMentions)
+   * @param {Function} deps.now - Horloge injectable (tests)
+   */
+  constructor({ repository, triage, logger = null, telegram = null, quietHours = null, getOwnId = () => null, settings = {}, now = Date.now }) {
+    this.#repo = repository;
+    this.#triage = triage;
+    this.#logger = logger;
+    this.#telegram = telegram;
+    this.#quietHours = quietHours;
+    this.#getOwnId = getOwnId;
+    this.#notifyMentions = settings.notifyMentions ?? false;
+    this.#defaultMode = settings.defaultMode;
+    this.#rateLimitMs = (settings.rateLimitSeconds ?? 30) * 1000;
+    this.#now = now;
+  }
+
+  /**
+   * Traite un message de groupe. Ne lève jamais d'erreur.
+   * @param {Object} msg - Message whatsapp-web.js
+   * @param {Object} chat - Chat du groupe
+   * @returns {Promise<number|null>} ID interne du message enregistré, null s'il est ignoré
+   */
+  async handle(msg, chat) {
+    try {
+      const groupId = chat.id._serialized;
+      const group = this.#repo.findOrCreateContact(groupId, {
+        pushName: chat.name,
+        displayName: chat.name,
+        isGroup: true
+      });
+
+      const body = msg.body?.trim();
+      if (!body) return null;
+
+      // Mentions et réponses: enregistrées quel que soit le mode, hors limite de fréquence
+      const mentionType = await this.#detectMention(msg, body);
+      if (mentionType) {
+        const { id, authorName } = await this.#save(msg, chat, group, body, mentionType);
+        await this.#notifyMention({ type: mentionType, groupName: chat.name, authorName, body });
+        return id;
+      }
+
+      const mode = getGroupMode(group, this.#defaultMode);
+      if (mode === 'ignore') return null;
+
+      if (mode === 'organizational' && !(await this.#isWorthSaving(body, group, groupId))) {
+        return null;
+      }
+
+      const { id } = await this.#save(msg, chat, group, body);
+      if (mode === 'organizational') this.#lastSavedAt.set(groupId, this.#now());
+      return id;
+    } catch (error) {
+      if (!error.message?.includes('UNIQUE constraint')) {
+        this.#logger?.error('Error saving group message', { error: error.message, group: chat?.name });
+      }
+      return null;
+    }
+  }
+
+  // ============================================
+  // MÉTHODES PRIVÉES
+  // ============================================
+
+  /**
+   * Mode organisationnel: message assez long, groupe pas limité, contenu organisationnel
+   * (la limite est vérifiée avant le tri pour ne pas payer un appel IA inutile)
+   */
+  async #isWorthSaving(body, group, groupId) {
+    if (body.length < MIN_ORGANIZATIONAL_LENGTH) return false;
+
+    const lastSavedAt = this.#lastSavedAt.get(groupId) || 0;
+    if (this.#now() - lastSavedAt < this.#rateLimitMs) {
+      this.#logger?.debug('Group message rate limited', { group: group.push_name, message: body.substring(0, 50) });
+      return false;
+    }
+
+    const { organizational, source } = await this.#triage.isOrganizational(body, { contactId: group.id });
+    if (organizational) {
+      this.#logger?.info('📅 Organizational message detected in group', { group: group.push_name, source, preview: body.substring(0, 80) });
+    }
+    return organizational;
+  }
+
+  /**
+   * Message adressé à l'utilisateur: mention (@), ou citation d'un de ses messages
+   * @returns {Promise<'mention'|'reply'|null>}
+   */
+  async #detectMention(msg, body) {
+    const ownId = this.#getOwnId();
+    if (!ownId) return null;
+
+    const ownNumber = userPart(ownId);
+    const mentioned = (msg.mentionedIds || []).map(id => (typeof id === 'string' ? id : id?._serialized));
+    if (mentioned.some(id => id && userPart(id) === ownNumber) || body.includes(`@${ownNumber}`)) {
+      return 'mention';
+    }
+
+    if (!msg.hasQuotedMsg) return null;
+
+    // L'auteur du message cité est dans les données brutes, sinon on charge la citation
+    const participant = msg._data?.quotedParticipant;
+    const quotedAuthor = typeof participant === 'string' ? participant : participant?._serialized;
+    if (quotedAuthor) {
+      return userPart(quotedAuthor) === ownNumber ? 'reply' : null;
+    }
+
+    try {
+      const quoted = await msg.getQuotedMessage();
+      return quoted?.fromMe ? 'reply' : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Notification Telegram immédiate (mise de côté pendant les heures calmes)
+   */
+  async #notifyMention({ type, groupName, authorName, body }) {
+    if (!this.#notifyMentions) return;
+
+    const preview = body.length > NOTIFICATION_PREVIEW_CHARS ? `${body.substring(0, NOTIFICATION_PREVIEW_CHARS)}...` : body;
+    const message = `${MENTION_TYPES[type]} <b>${escapeHtml(describeMention({ type, groupName, authorName }))}</b>\n\n${escapeHtml(preview)}`;
+
+    try {
+      if (this.#quietHours) {
+        await this.#quietHours.notify(message);
+      } else {
+        await this.#telegram?.sendMessage(message);
+      }
+    } catch (error) {
+      this.#logger?.warn('Failed to notify group mention', { error: error.message, group: groupName });
+    }
+  }
+
+  /**
+   * Enregistre le message sous le groupe, avec son auteur
+   * @returns {Promise<{id: number, authorName: string}>}
+   */
+  async #save(msg, chat, group, body, mentionType = null) {
+    const author = await this.#getAuthorSafe(msg);
+    const authorName = author?.pushname || author?.name || 'Inconnu';
+    const authorId = msg.author || author?.id?._serialized;
+
+    const authorContact = authorId
+      ? this.#repo.findOrCreateContact(authorId, { pushName: author?.pushname, displayName: author?.name })
+      : null;
+
+    const id = this.#repo.saveIncomingMessage(
+      new Message({
+        id: msg.id.id,
+        from: chat.id._serialized,
+        body: `[${authorName}] ${body}`,
+        timestamp: msg.timestamp * 1000
+      }),
+      group.id,
+      {
+        mediaType: null,
+        isForwarded: msg.isForwarded || false,
+        isBroadcast: false,
+        quotedMessageId: msg.hasQuotedMsg ? msg._data?.quotedMsgId || null : null,
+        authorContactId: authorContact?.id ?? null,
+        mentionType
+      }
+    );
+
+    if (mentionType) {
+      this.#logger?.info(`${MENTION_TYPES[mentionType]} Mentioned in group`, { group: chat.name, author: authorName, type: mentionType });
+    }
+    return { id, authorName };
+  }
+
+  async #getAuthorSafe(msg) {
+    try {
+      return await msg.getContact();
+    } catch {
+      return null;
+    }
+  }
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * '41790000000@c.us' -> '41790000000' (les mentions peuvent utiliser un autre suffixe)
+ */
+function userPart(id) {
+  return id.split('@')[0].split(':')[0];
+}
@@ -1,4 +1,8 @@
 import { escapeHtml } from '../utils/Sanitizer.js';
+import { getContactPolicy } from '../domain/ContactPolicy.js';
+
+// Un brouillon de réponse reste validable 24h sur Telegram
+const REPLY_APPROVAL_TTL_MS = 24 * 60 * 60 * 1000;
 
 export class MessageHandler {
   #gatekeeper;
@@ -8,8 +12,19 @@ export class MessageHandler {
   #whatsapp;
   #logger;
   #telegram;
+  #approvalCategories;
+  #quietHours;
+  #memory;
+  #profiles;
 
-  constructor({ gatekeeper, openAI, calendar, repository, whatsapp, logger, telegram }) {
+  /**
+   * @param {Object} deps
+   * @param {string[]} deps.approvalCategories - Catégories dont les réponses sont validées sur Telegram ('all' = toutes)
+   * @param {QuietHoursService} deps.quietHours - Heures calmes (résumé des notifications, message d'absence)
+   * @param {MemoryService} deps.memory - Mémoire sémantique (anciens messages pertinents injectés dans l'analyse)
+   * @param {ProfileService} deps.profiles - Profils long terme des contacts (injectés dans l'analyse)
+   */
+  constructor({ gatekeeper, openAI, calendar, repository, whatsapp, logger, telegram, approvalCategories = [], quietHours = null, memory = null, profiles = null }) {
     this.#gatekeeper = gatekeeper;
     this.#openAI = openAI;
     this.#calendar = calendar;
@@ -17,6 +32,10 @@ export class MessageHandler {
     this.#whatsapp = whatsapp;
     this.#logger = logger;
     this.#telegram = telegram;
+    this.#approvalCategories = approvalCategories;
+    this.#quietHours = quietHours;
+    this.#memory = memory;
+    this.#profiles = profiles;
   }
 
   async handle(rawMessage, messageMetadata = {}) {
@@ -42,6 +61,13 @@ export class MessageHandler {
         isGroup: messageMetadata.isGroup
       }, { incrementReceived: true }); // ⚡ Bolt: Atomically increment stats
 
+      // Politique du contact: ignoré => rien, enregistrement seul => pas d'IA
+      const policy = getContactPolicy(contact);
+      if (policy === 'ignore') {
+        this.#logger.info('Message ignored by contact policy', { from: rawMessage.from });
+        return;
+      }
+
       // ⚡ Bolt: Fetch context BEFORE saving current message to avoid duplication in AI context
       const context = this.#repo.findRecentByContactId(contact.id, rawMessage.from, 5);
 
@@ -60,13 +86,34 @@ export class MessageHandler {
         from: rawMessage.from
       });
 
+      if (policy === 'log') {
+        return;
+      }
+
+      // Mémoire: messages plus anciens que le contexte récent (3 derniers) et engagements en cours
+      const memory = this.#memory
+        ? await this.#memory.recallForMessage({
+            messageId: messageDbId,
+            contactId: contact.id,
+            body: rawMessage.body,
+            before: context.slice(-3)[0]?.timestamp ?? null
+          })
+        : null;
+      const profile = this.#profiles?.getProfile(contact.id) ?? null;
+
       // ============================================
       // ÉTAPE 3 & 4: Traitement IA et Simulation de frappe EN PARALLÈLE
       // ⚡ Bolt: Optimized to run typing simulation and AI analysis concurrently
       // ============================================
 
       const typingPromise = this.#simulateTyping(rawMessage.from, rawMessage.body.length);
-      const analysisPromise = this.#openAI.analyzeMessage(rawMessage, context);
+      const analysisPromise = this.#openAI.analyzeMessage(rawMessage, context, {
+        contactId: contact.id,
+        tone: contact.reply_tone,
+        language: contact.reply_language,
+        ...(memory && { memories: memory.messages, facts: memory.facts }),
+        ...(profile && { profile })
+      });
 
       const [_, analysis] = await Promise.all([typingPromise, analysisPromise]);
       const processingTime = Date.now() - startTime;
@@ -77,9 +124,25 @@ export class MessageHandler {
       await this.#handleActions(analysis, rawMessage, messageDbId);
 
       // ============================================
-      // ÉTAPE 7: Envoyer la réponse
+      // ÉTAPE 7: Envoyer la réponse (ou la soumettre à validation)
+      // Heures calmes: message d'absence à la place de la réponse IA (une fois par période)
       // ============================================
-      const sentMessage = await this.#whatsapp.sendMessage(rawMessage.from, analysis.reply);
+      const needsApproval = this.#needsApproval(contact, analysis);
+      const quiet = !needsApproval && this.#quietHours?.isQuiet();
+      let reply = analysis.reply;
+      let responseType = 'auto';
+      let sentMessage = null;
+
+      if (needsApproval) {
+        await this.#requestApproval(rawMessage, contact, analysis, messageDbId);
+      } else if (quiet) {
+        reply = this.#quietHours.takeAwayReply(contact.id);
+        responseType = 'away';
+      }
+
+      if (!needsApproval && reply) {
+        sentMessage = await this.#whatsapp.sendMessage(rawMessage.from, reply);
+      }
 
       // ============================================
       // ÉTAPE 5 (Moved): Sauvegarder l'analyse IA
@@ -96,19 +159,21 @@ export class MessageHandler {
         action: analysis.action
       }, {
         processingTime,
-        model: 'gpt-4o',
+        model: analysis.model,
         tokensUsed: analysis.tokensUsed
       });
 
-      // Sauvegarder la réponse
-      this.#repo.saveResponse(messageDbId, analysis.reply, 'auto');
+      // Sauvegarder la réponse (en mode validation: à l'approbation, voir TelegramCommandHandler)
+      if (!needsApproval && reply) {
+        this.#repo.saveResponse(messageDbId, reply, responseType);
+      }
 
       // Sauvegarder le message sortant
       if (sentMessage?.id?._serialized) {
         this.#repo.saveOutgoingMessage(
           sentMessage.id._serialized,
           contact.id,
-          analysis.reply,
+          reply,
           Date.now()
         );
       }
@@ -120,6 +185,8 @@ export class MessageHandler {
         urgency: analysis.urgency,
         category: analysis.category,
         confidence: analysis.confidence,
+        awaitingApproval: needsApproval,
+        quietHours: Boolean(quiet),
         processingTime: `${processingTime}ms`
       });
 
@@ -146,13 +213,63 @@ export class MessageHandler {
         const errorDetails = messageDbId 
           ? `Message ID: ${messageDbId}\n` 
           : '';
-        await this.#telegram.sendMessage(
+        await this.#notify(
           `❌ Error processing message:\n${errorDetails}From: ${rawMessage.from}\nError: ${error.message}`
         );
       }
     }
   }
 
+  /**
+   * Détermine si la réponse doit être validée sur Telegram avant envoi
+   * Le mode du contact (reply_mode) prime sur la règle par catégorie.
+   */
+  #needsApproval(contact, analysis) {
+    if (!this.#telegram?.storePendingEvent) return false;
+    const policy = getContactPolicy(contact);
+    if (policy === 'auto') return false;
+    if (policy === 'approve') return true;
+
+    return this.#approvalCategories.includes('all') ||
+      this.#approvalCategories.includes(analysis.category);
+  }
+
+  /**
+   * Envoie le brouillon de réponse sur Telegram avec les boutons de validation
+   */
+  async #requestApproval(rawMessage, contact, analysis, messageDbId) {
+    const contactName = contact.push_name || contact.display_name || rawMessage.from.split('@')[0];
+
+    const replyId = this.#telegram.storePendingEvent({
+      to: rawMessage.from,
+      contactId: contact.id,
+      contactName,
+      messageDbId,
+      reply: analysis.reply
+    }, { prefix: 'rpl', step: 'approve_reply', ttlMs: REPLY_APPROVAL_TTL_MS });
+
+    const incoming = rawMessage.body.length > 300 ? `${rawMessage.body.substring(0, 300)}...` : rawMessage.body;
+
+    await this.#notify(
+      `✍️ <b>Réponse à valider</b>\n\n` +
+      `👤 <b>${escapeHtml(contactName)}</b> (${escapeHtml(analysis.category || 'other')}, ${escapeHtml(analysis.urgency || 'low')})\n` +
+      `💬 "${escapeHtml(incoming)}"\n\n` +
+      `🤖 <b>Brouillon:</b>\n<i>${escapeHtml(analysis.reply)}</i>`,
+      {
+        inlineKeyboard: [
+          [
+            { text: '✅ Envoyer', callback_data: `rsend_${replyId}` },
+            { text: '✏️ Modifier', callback_data: `redit_${replyId}` }
+          ],
+          [
+            { text: '🗑️ Ignorer', callback_data: `rdrop_${replyId}` },
+            { text: '🤖 Toujours auto', callback_data: `rauto_${replyId}` }
+          ]
+        ]
+      }
+    );
+  }
+
   async #simulateTyping(chatId, messageLength) {
     try {
       await this.#whatsapp.sendStateTyping(chatId);
@@ -195,7 +312,7 @@ export class MessageHandler {
     if (analysis.action === 'notify_admin' && this.#telegram) {
       this.#repo.createAction(messageDbId, 'notify_admin', { from: rawMessage.from });
       
-      await this.#telegram.sendMessage(
+      await this.#notify(
         `🚨 Urgent message from ${escapeHtml(rawMessage.from)}:\n\n${escapeHtml(rawMessage.body)}`
       );
       
@@ -205,14 +322,26 @@ export class MessageHandler {
     if (analysis.urgency === 'critical' && this.#telegram) {
       this.#repo.createAction(messageDbId, 'critical_alert', { urgency: analysis.urgency });
       
-      await this.#telegram.sendMessage(
-        `⚠️ Critical urgency detected from ${escapeHtml(rawMessage.from)}:\n\n${escapeHtml(rawMessage.body)}`
+      await this.#notify(
+        `⚠️ Critical urgency detected from ${escapeHtml(rawMessage.from)}:\n\n${escapeHtml(rawMessage.body)}`,
+        { critical: true }
       );
       
       this.#repo.updateActionStatus(messageDbId, 'completed');
     }
   }
 
+  /**
+   * Notification Telegram, mise de côté pendant les heures calmes sauf si critique
+   */
+  async #notify(message, { critical = false, ...options } = {}) {
+    if (this.#quietHours) {
+      await this.#quietHours.notify(message, { critical, ...options });
+      return;
+    }
+    await this.#telegram.sendMessage(message, options);
+  }
+
   #sleep(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
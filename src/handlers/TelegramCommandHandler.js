@@ -8,6 +8,15 @@
  */
 
 import { escapeHtml } from '../utils/Sanitizer.js';
+import { BudgetService } from '../services/BudgetService.js';
+import { QuietHoursService } from '../services/QuietHoursService.js';
+import { CronService } from '../services/CronService.js';
+import { CONTACT_POLICIES, formatContactPolicy } from '../domain/ContactPolicy.js';
+import { GROUP_MODES, formatGroupMode } from '../domain/GroupPolicy.js';
+import { PRIORITY_ICONS } from '../domain/Task.js';
+import { FollowUpService } from '../services/FollowUpService.js';
+import { SEARCH_MARKERS } from '../repositories/MessageRepository.js';
+import { ProfileService, PROFILE_FIELDS } from '../services/ProfileService.js';
 
 // ============================================
 // CONSTANTES
@@ -37,6 +46,43 @@ const ACTIVITY_DURATIONS = {
 const JOURS_SEMAINE = ['dimanche', 'lundi', 'mardi', 'mercredi', 'jeudi', 'vendredi', 'samedi'];
 const JOURS_SEMAINE_SHORT = ['dim', 'lun', 'mar', 'mer', 'jeu', 'ven', 'sam'];
 
+/**
+ * Tâches affichées par /tasks et heure de fin du report "💤" (lendemain)
+ */
+const TASKS_LIST_LIMIT = 15;
+const TASK_SNOOZE_HOUR = 8;
+
+/**
+ * Conversations affichées par /pending et durée de la saisie d'une réponse
+ */
+const PENDING_LIST_LIMIT = 10;
+const MANUAL_REPLY_TTL_MS = 60 * 60 * 1000;
+
+/**
+ * /search: résultats par page, durée de validité du bouton "Plus de résultats"
+ */
+const SEARCH_PAGE_SIZE = 5;
+const SEARCH_TTL_MS = 60 * 60 * 1000;
+const SEARCH_DIRECTIONS = { in: 'incoming', out: 'outgoing' };
+
+/**
+ * /ask: messages retrouvés par la mémoire et transmis à l'IA, sources affichées
+ */
+const ASK_RECALL_LIMIT = 8;
+const ASK_SOURCES_LIMIT = 3;
+
+/**
+ * /media: fichiers listés et icône par type whatsapp-web.js
+ */
+const MEDIA_LIST_LIMIT = 10;
+const MEDIA_ICONS = { image: '🖼️', document: '📄', ptt: '🎙️', audio: '🎵', video: '🎬', sticker: '🏷️' };
+
+/**
+ * /groups: groupes listés et période des messages comptés
+ */
+const GROUPS_LIST_LIMIT = 15;
+const GROUPS_ACTIVITY_DAYS = 7;
+
 // ============================================
 // CLASSE PRINCIPALE
 // ============================================
@@ -46,6 +92,13 @@ export class TelegramCommandHandler {
   #messageRepo;
   #cronService;
   #whatsappService;
+  #aiService;
+  #budgetService;
+  #quietHours;
+  #followUps;
+  #memory;
+  #profiles;
+  #mediaStore;
   #config;
   #logger;
 
@@ -55,14 +108,28 @@ export class TelegramCommandHandler {
    * @param {MessageRepository} deps.messageRepo - Repository des messages
    * @param {CronService} deps.cronService - Service cron pour les rapports
    * @param {WhatsAppService} deps.whatsappService - Service WhatsApp
+   * @param {AIService} deps.aiService - Service IA (santé des providers)
+   * @param {BudgetService} deps.budgetService - Plafonds de consommation IA
+   * @param {QuietHoursService} deps.quietHours - Heures calmes / ne pas déranger
+   * @param {FollowUpService} deps.followUps - Messages sans réponse et rappels
+   * @param {MemoryService} deps.memory - Mémoire sémantique (/ask)
+   * @param {ProfileService} deps.profiles - Profils long terme des contacts (/profile)
+   * @param {MediaStore} deps.mediaStore - Fichiers reçus stockés localement (/media)
    * @param {Config} deps.config - Configuration
    * @param {Logger} deps.logger - Logger
    */
-  constructor({ telegram, messageRepo, cronService, whatsappService, config, logger }) {
+  constructor({ telegram, messageRepo, cronService, whatsappService, aiService, budgetService, quietHours, followUps, memory, profiles, mediaStore, config, logger }) {
     this.#telegram = telegram;
     this.#messageRepo = messageRepo;
     this.#cronService = cronService;
     this.#whatsappService = whatsappService;
+    this.#aiService = aiService;
+    this.#budgetService = budgetService;
+    this.#quietHours = quietHours;
+    this.#followUps = followUps;
+    this.#memory = memory;
+    this.#profiles = profiles;
+    this.#mediaStore = mediaStore;
     this.#config = config;
     this.#logger = logger;
   }
@@ -72,9 +139,12 @@ export class TelegramCommandHandler {
    */
   registerAll() {
     this.#registerRapportCommand();
+    this.#registerDigestCommands();
     this.#registerBriefCommand();
     this.#registerStatsCommand();
     this.#registerStatusCommand();
+    this.#registerUsageCommand();
+    this.#registerDndCommand();
     this.#registerConnectCommand();
     this.#registerResetCommand();
     this.#registerHelpCommand();
@@ -86,6 +156,15 @@ export class TelegramCommandHandler {
     this.#registerCalendarCallbacks();    // Nouveau: sélection de calendrier
     this.#registerEditCallbacks();        // Nouveau: modification d'événements
     this.#registerTitleInputHandler();    // Nouveau: capture du nouveau titre
+    this.#registerReplyApprovalCallbacks(); // Validation des réponses IA avant envoi
+    this.#registerReplyCommand();         // Envoi WhatsApp depuis Telegram
+    this.#registerContactCommands();      // Politiques par contact
+    this.#registerProfileCommand();       // Profils long terme des contacts
+    this.#registerPendingCommands();      // Messages sans réponse
+    this.#registerSearchCommand();        // Recherche dans l'historique
+    this.#registerAskCommand();           // Questions sur l'historique (mémoire sémantique)
+    this.#registerMediaCommand();         // Fichiers reçus (photos, documents, notes vocales)
+    this.#registerGroupsCommand();        // Réglages des groupes WhatsApp
 
     this.#telegram.startPolling();
     this.#logger.info('Telegram commands registered');
@@ -99,10 +178,120 @@ export class TelegramCommandHandler {
    * /rapport - Génère un rapport complet avec IA
    */
   #registerRapportCommand() {
-    this.#telegram.onCommand('rapport', async () => {
+    // /rapport - nouveau rapport ; /rapport hier|<date> - rapport archivé
+    this.#telegram.onCommand('rapport', async (args) => {
+      if (args.length > 0) {
+        const date = this.#parseReportDate(args.join(' '));
+        if (!date) {
+          await this.#telegram.sendMessage('❌ Date invalide. Exemples: /rapport hier, /rapport 2026-10-12, /rapport 12.10');
+          return;
+        }
+
+        const archived = this.#messageRepo.getLatestReport({ date });
+        if (!archived) {
+          await this.#telegram.sendMessage(`📭 Aucun rapport archivé pour le ${escapeHtml(date)}.\n\n<i>/rapports pour la liste.</i>`);
+          return;
+        }
+
+        await this.#sendArchivedReport(archived);
+        return;
+      }
+
       await this.#telegram.sendMessage('⏳ Génération du rapport de la journée en cours...');
       await this.#cronService.generateAndSendReport();
     });
+
+    // /rapports - liste des rapports archivés
+    this.#telegram.onCommand('rapports', async () => {
+      const reports = this.#messageRepo.getRecentReports(10);
+      if (reports.length === 0) {
+        await this.#telegram.sendMessage('📭 Aucun rapport archivé. Générez-en un avec /rapport');
+        return;
+      }
+
+      const lines = reports.map(r => {
+        const when = new Date(r.createdAt).toLocaleString('fr-CH', {
+          weekday: 'short', day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit'
+        });
+        const received = r.stats?.received !== undefined ? ` · ${r.stats.received} reçus` : '';
+        const model = r.hasAI ? ` · ${escapeHtml(r.model || r.provider || 'IA')}` : ' · sans IA';
+        return `• ${when}${received}${model}`;
+      });
+
+      await this.#telegram.sendMessage(
+        `🗄️ <b>Rapports archivés</b>\n\n${lines.join('\n')}\n\n<i>/rapport hier ou /rapport AAAA-MM-JJ</i>`,
+        {
+          inlineKeyboard: reports.map(r => [{
+            text: `📄 ${r.reportDate} ${new Date(r.createdAt).toLocaleTimeString('fr-CH', { hour: '2-digit', minute: '2-digit' })}`,
+            callback_data: `rptv_${r.id}`
+          }])
+        }
+      );
+    });
+
+    this.#telegram.onCallback('rptv_', async (data) => {
+      const archived = this.#messageRepo.getReportById(parseInt(data.replace('rptv_', ''), 10));
+      if (!archived) {
+        await this.#telegram.sendMessage('⌛ Ce rapport n\'est plus disponible.');
+        return;
+      }
+      await this.#sendArchivedReport(archived);
+    });
+  }
+
+  /**
+   * Renvoie un rapport archivé avec un bandeau indiquant sa date
+   */
+  async #sendArchivedReport(archived) {
+    const when = new Date(archived.createdAt).toLocaleString('fr-CH', {
+      weekday: 'long', day: 'numeric', month: 'long', hour: '2-digit', minute: '2-digit'
+    });
+    const model = archived.model ? ` · ${escapeHtml(archived.model)}` : '';
+
+    await this.#telegram.sendMessage(`🗄️ <i>Rapport archivé du ${when}${model}</i>\n\n${archived.formatted}`);
+  }
+
+  /**
+   * Date d'un rapport archivé: "hier", "aujourd'hui", "2026-10-12", "12.10" ou "12/10/2026"
+   * @returns {string|null} YYYY-MM-DD
+   */
+  #parseReportDate(text) {
+    const value = text.trim().toLowerCase();
+    const date = new Date();
+
+    if (value === 'hier') {
+      date.setDate(date.getDate() - 1);
+      return CronService.localDate(date);
+    }
+    if (value === 'aujourd\'hui' || value === 'aujourdhui') {
+      return CronService.localDate(date);
+    }
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      return value;
+    }
+
+    const match = value.match(/^(\d{1,2})[./](\d{1,2})(?:[./](\d{4}))?$/);
+    if (!match) return null;
+
+    const [, day, month, year] = match;
+    const parsed = new Date(year ? parseInt(year, 10) : date.getFullYear(), parseInt(month, 10) - 1, parseInt(day, 10));
+    if (parsed.getDate() !== parseInt(day, 10)) return null;
+    return CronService.localDate(parsed);
+  }
+
+  /**
+   * /hebdo et /mensuel - Bilans sans IA (tendances, contacts, temps de réponse)
+   */
+  #registerDigestCommands() {
+    this.#telegram.onCommand('hebdo', async () => {
+      await this.#telegram.sendMessage('⏳ Préparation du bilan de la semaine...');
+      await this.#cronService.generateAndSendDigest('weekly');
+    });
+
+    this.#telegram.onCommand('mensuel', async () => {
+      await this.#telegram.sendMessage('⏳ Préparation du bilan du mois...');
+      await this.#cronService.generateAndSendDigest('monthly');
+    });
   }
 
   /**
@@ -133,19 +322,47 @@ export class TelegramCommandHandler {
         ? Object.entries(stats.byCategory).map(([k, v]) => `• ${escapeHtml(k)}: ${v}`).join('\n')
         : '• Aucun message analysé';
 
+      const sessions = this.#messageRepo.countOpenConversations();
+
       const report = 
         `📊 <b>Stats du jour</b>\n\n` +
         `📨 Total messages: ${totalMessages}\n` +
         `├ 📥 Reçus (des autres): ${stats.received}\n` +
         `└ 📤 Envoyés (par toi): ${stats.sent}\n\n` +
         `👥 Contacts actifs: ${stats.contacts}\n` +
+        `💬 Conversations en cours: ${sessions.active} (${sessions.idle} en pause)\n` +
         `❌ Erreurs: ${stats.errors}\n\n` +
-        `📁 Par catégorie:\n${categoriesText}`;
+        `📁 Par catégorie:\n${categoriesText}` +
+        this.#formatWeekStats();
 
       await this.#telegram.sendMessage(report);
     });
   }
 
+  /**
+   * 7 jours précédents, lus dans daily_stats (agrégation nocturne)
+   */
+  #formatWeekStats() {
+    const yesterday = new Date();
+    yesterday.setDate(yesterday.getDate() - 1);
+    const weekAgo = new Date();
+    weekAgo.setDate(weekAgo.getDate() - 7);
+
+    const days = this.#messageRepo.getStatsRange(CronService.localDate(weekAgo), CronService.localDate(yesterday));
+    if (days.length === 0) return '';
+
+    const received = days.reduce((sum, d) => sum + d.total_messages_received, 0);
+    const sent = days.reduce((sum, d) => sum + d.total_messages_sent, 0);
+    const responseTimes = days.map(d => d.avg_response_time_ms).filter(ms => ms !== null);
+    const avgResponse = responseTimes.length > 0
+      ? `\n⏱️ Temps de réponse moyen: ${Math.round(responseTimes.reduce((a, b) => a + b, 0) / responseTimes.length / 60000)} min`
+      : '';
+
+    return `\n\n📅 <b>${days.length} jour(s) précédent(s)</b>\n` +
+      `📥 ${received} reçus (${Math.round(received / days.length)}/j) · 📤 ${sent} envoyés` +
+      avgResponse;
+  }
+
   /**
    * /status - État du système
    */
@@ -167,12 +384,75 @@ export class TelegramCommandHandler {
         `🤖 <b>État C.A.R.L.</b>\n\n` +
         `📱 WhatsApp: ${whatsappStatus}\n` +
         `🧠 IA: ${this.#config.ai.provider} (${this.#config.ai.model})\n` +
+        this.#formatAIHealth() +
         `⏰ Uptime: ${this.#formatUptime(process.uptime())}`;
 
       await this.#telegram.sendMessage(status);
     });
   }
 
+  /**
+   * /usage - Consommation IA (tokens et coût estimé)
+   */
+  #registerUsageCommand() {
+    this.#telegram.onCommand('usage', async () => {
+      const now = new Date();
+      const startOfWeek = new Date(now);
+      startOfWeek.setDate(now.getDate() - ((now.getDay() + 6) % 7)); // Lundi
+      startOfWeek.setHours(0, 0, 0, 0);
+      const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
+
+      const periods = [
+        ['Aujourd\'hui', this.#getMidnightTimestamp()],
+        ['Semaine', startOfWeek.getTime()],
+        ['Mois', startOfMonth.getTime()]
+      ];
+
+      const formatCost = (cost) => `$${(cost || 0).toFixed(cost > 0 && cost < 0.01 ? 4 : 2)}`;
+      const formatTokens = (tokens) => (tokens || 0).toLocaleString('fr-FR');
+
+      let report = `💰 <b>Usage IA</b>\n\n`;
+
+      for (const [label, since] of periods) {
+        const usage = this.#messageRepo.getAIUsageSince(since);
+        report += `<b>${label}</b>: ${formatCost(usage.cost)} - ${usage.calls} appels, ${formatTokens(usage.tokens)} tokens`;
+        if (usage.failures > 0) report += ` (${usage.failures} échecs)`;
+        report += '\n';
+      }
+
+      const budget = this.#budgetService?.getStatus() || [];
+      if (budget.length > 0) {
+        report += `\n🎯 <b>Budget</b>\n`;
+        report += budget.map(s => BudgetService.formatStatus(s)).join('\n') + '\n';
+        if (budget.some(s => s.ratio >= 1)) {
+          report += `⚠️ Mode économique actif (IA désactivée)\n`;
+        }
+      }
+
+      const { byPurpose, byModel, byContact } = this.#messageRepo.getAIUsageBreakdown(startOfMonth.getTime());
+
+      if (byPurpose.length > 0) {
+        report += `\n📂 <b>Par usage (mois)</b>\n`;
+        report += byPurpose.map(r => `• ${escapeHtml(r.purpose)}: ${formatCost(r.cost)} (${r.calls} appels)`).join('\n') + '\n';
+      }
+
+      if (byModel.length > 0) {
+        report += `\n🧠 <b>Par modèle (mois)</b>\n`;
+        report += byModel.map(r => `• ${escapeHtml(r.provider)}/${escapeHtml(r.model || '?')}: ${formatCost(r.cost)} (${formatTokens(r.tokens)} tokens)`).join('\n') + '\n';
+      }
+
+      if (byContact.length > 0) {
+        report += `\n👥 <b>Top contacts (mois)</b>\n`;
+        report += byContact.map(r => {
+          const name = r.push_name || r.display_name || r.phone_number.split('@')[0];
+          return `• ${escapeHtml(name)}: ${formatCost(r.cost)} (${r.calls} analyses)`;
+        }).join('\n') + '\n';
+      }
+
+      await this.#telegram.sendMessage(report);
+    });
+  }
+
   /**
    * /connect - Obtenir le QR code WhatsApp
    */
@@ -209,6 +489,67 @@ export class TelegramCommandHandler {
     });
   }
 
+  /**
+   * /dnd [on|off|auto|until HH:MM] - Ne pas déranger
+   */
+  #registerDndCommand() {
+    this.#telegram.onCommand('dnd', async (args) => {
+      if (!this.#quietHours) {
+        await this.#telegram.sendMessage('❌ Heures calmes non disponibles.');
+        return;
+      }
+
+      const action = args[0]?.toLowerCase();
+
+      if (action === 'on') {
+        this.#quietHours.enable();
+      } else if (action === 'off') {
+        await this.#quietHours.disable();
+      } else if (action === 'auto') {
+        await this.#quietHours.resume();
+      } else if (action === 'until') {
+        const until = this.#parseUntil(args[1]);
+        if (!until) {
+          await this.#telegram.sendMessage('❌ Heure invalide. Exemple: /dnd until 14:00');
+          return;
+        }
+        this.#quietHours.enable(until);
+      } else if (action) {
+        await this.#telegram.sendMessage(
+          'Usage:\n' +
+          '/dnd - État actuel\n' +
+          '/dnd on - Ne pas déranger jusqu\'à /dnd off\n' +
+          '/dnd until 14:00 - Ne pas déranger jusqu\'à une heure\n' +
+          '/dnd off - Réactiver les notifications (envoie le résumé)\n' +
+          '/dnd auto - Revenir au planning QUIET_HOURS'
+        );
+        return;
+      }
+
+      await this.#telegram.sendMessage(QuietHoursService.formatStatus(this.#quietHours.getStatus()));
+    });
+  }
+
+  /**
+   * Prochaine occurrence d'une heure "14:00" / "14h" / "14h30"
+   * @returns {number|null} Timestamp
+   */
+  #parseUntil(value) {
+    const match = value?.match(/^(\d{1,2})(?:[:h](\d{2})?)?$/i);
+    if (!match) return null;
+
+    const hours = parseInt(match[1], 10);
+    const minutes = parseInt(match[2] || '0', 10);
+    if (hours > 23 || minutes > 59) return null;
+
+    const until = new Date();
+    until.setHours(hours, minutes, 0, 0);
+    if (until.getTime() <= Date.now()) {
+      until.setDate(until.getDate() + 1);
+    }
+    return until.getTime();
+  }
+
   /**
    * /help - Afficher l'aide
    */
@@ -219,13 +560,34 @@ export class TelegramCommandHandler {
         '<b>📊 Rapports</b>\n' +
         '/brief - ⚡ Résumé express (essentiel)\n' +
         '/rapport - 📋 Rapport complet avec IA\n' +
-        '/stats - 📈 Statistiques rapides\n\n' +
+        '/rapport hier|&lt;date&gt; - 🗄️ Rapport archivé\n' +
+        '/rapports - Liste des rapports archivés\n' +
+        '/hebdo - 📆 Bilan de la semaine\n' +
+        '/mensuel - 📆 Bilan du mois\n' +
+        '/stats - 📈 Statistiques rapides\n' +
+        '/usage - 💰 Consommation et coût IA\n\n' +
         '<b>📱 WhatsApp</b>\n' +
         '/status - État du système\n' +
         '/connect - Obtenir le QR code\n' +
-        '/reset - Réinitialiser la session\n\n' +
+        '/reset - Réinitialiser la session\n' +
+        '/dnd on|off|until 14:00 - Ne pas déranger\n\n' +
         '<b>📋 Tâches</b>\n' +
-        '/tasks - Tâches et événements à planifier\n\n' +
+        '/tasks - Tâches ouvertes et événements à planifier\n' +
+        '/pending - ⏳ Messages en attente de réponse\n' +
+        '/reply &lt;contact&gt; &lt;texte&gt; - 📤 Répondre sur WhatsApp\n' +
+        '/search &lt;mots&gt; - 🔎 Rechercher dans les messages\n' +
+        '/ask &lt;question&gt; - 🧠 Interroger l\'historique\n' +
+        '/media [contact] - 📎 Récupérer un fichier reçu\n\n' +
+        '<b>👥 Contacts</b>\n' +
+        '/contact &lt;nom&gt; - Profil et politique d\'un contact\n' +
+        '/profile &lt;nom&gt; - 🧾 Ce que C.A.R.L. sait d\'un contact\n' +
+        '/profile &lt;nom&gt; &lt;champ&gt; &lt;valeur&gt; - Corriger le profil\n' +
+        '/policy - Contacts avec une politique\n' +
+        '/policy &lt;nom&gt; auto|approve|log|ignore|default\n' +
+        '/policy &lt;nom&gt; tone|lang &lt;valeur&gt;\n' +
+        '/block &lt;nom&gt; - Ignorer un contact\n' +
+        '/vip &lt;nom&gt; - Activer/désactiver le statut VIP\n' +
+        '/groups [nom] [ignore|organizational|full|default] - Réglages des groupes\n\n' +
         '<b>🔧 Debug</b>\n' +
         '/debug - Diagnostic des messages\n' +
         '/help - Cette aide';
@@ -279,13 +641,15 @@ export class TelegramCommandHandler {
   }
 
   /**
-   * /tasks - Afficher les tâches et événements à planifier
+   * /tasks - Tâches ouvertes (suivies d'un rapport à l'autre) et événements du dernier rapport
    */
   #registerTasksCommand() {
     this.#telegram.onCommand('tasks', async () => {
       const data = this.#cronService.getLastReportData();
+      const tasks = this.#messageRepo.getOpenTasks(TASKS_LIST_LIMIT);
+      const evenements = data?.agenda?.evenements_proposes || [];
 
-      if (!data) {
+      if (!data && tasks.length === 0) {
         await this.#telegram.sendMessage(
           '📋 <b>Aucune donnée disponible</b>\n\n' +
           'Générez d\'abord un rapport avec /rapport pour avoir des tâches à planifier.'
@@ -293,18 +657,15 @@ export class TelegramCommandHandler {
         return;
       }
 
-      const taches = data.taches || [];
-      const evenements = data.agenda?.evenements_proposes || [];
-
-      if (taches.length === 0 && evenements.length === 0) {
+      if (tasks.length === 0 && evenements.length === 0) {
         await this.#telegram.sendMessage(
           '✅ <b>Rien à planifier !</b>\n\n' +
-          'Aucune tâche ou événement détecté dans le dernier rapport.'
+          'Aucune tâche ouverte ni événement proposé dans le dernier rapport.'
         );
         return;
       }
 
-      const { message, buttons } = this.#formatTasksMessage(taches, evenements);
+      const { message, buttons } = this.#formatTasksMessage(tasks, evenements);
       await this.#telegram.sendMessage(message, { inlineKeyboard: buttons });
     });
   }
@@ -314,45 +675,83 @@ export class TelegramCommandHandler {
   // ============================================
 
   /**
-   * Handler pour les clics sur les boutons de tâches
+   * Handlers des boutons de tâches: planifier (📅), fait (✅), reporter (💤), ignorer (✖️)
+   * Une tâche faite ou ignorée n'est plus reproposée par les rapports suivants.
    */
   #registerTaskCallbacks() {
     this.#telegram.onCallback('task_', async (data) => {
-      const index = parseInt(data.replace('task_', ''));
-      const reportData = this.#cronService.getLastReportData();
-      const calendarService = this.#cronService.getCalendarService();
-
-      if (!reportData?.taches?.[index]) {
-        await this.#telegram.sendMessage('❌ Tâche introuvable. Regénérez le rapport avec /rapport');
-        return;
-      }
+      const task = await this.#findActiveTask(data.replace('task_', ''));
+      if (!task) return;
 
+      const calendarService = this.#cronService.getCalendarService();
       if (!calendarService?.isConfigured) {
         await this.#telegram.sendMessage('❌ Google Calendar non configuré');
         return;
       }
 
-      const tache = reportData.taches[index];
       const taskData = {
-        summary: tache.titre,
-        description: `${tache.description}\n\nPriorité: ${tache.priorite || 'normale'}\nSource: ${tache.source || 'C.A.R.L.'}`
+        summary: task.title,
+        description: `${task.description || ''}\n\nPriorité: ${task.priority || 'normale'}\nSource: ${task.source || 'C.A.R.L.'}`
       };
 
-      if (tache.deadline) {
-        const parsed = this.#parseDate(tache.deadline, false);
+      if (task.due_date) {
+        const parsed = this.#parseDate(task.due_date, false);
         if (parsed) taskData.dueDate = parsed;
       }
 
       try {
         const result = await calendarService.createTask(taskData);
+        this.#messageRepo.updateTaskStatus(task.id, 'scheduled');
         await this.#telegram.sendMessage(
           `✅ <b>Tâche ajoutée à l'agenda !</b>\n\n` +
-          `📋 ${tache.titre}\n${result}`
+          `📋 ${escapeHtml(task.title)}\n${result}`
         );
       } catch (error) {
         await this.#telegram.sendMessage(`❌ Erreur: ${error.message}`);
       }
     });
+
+    this.#telegram.onCallback('tdone_', async (data) => {
+      const task = await this.#findActiveTask(data.replace('tdone_', ''));
+      if (!task) return;
+
+      this.#messageRepo.updateTaskStatus(task.id, 'done');
+      await this.#telegram.sendMessage(`✅ <b>Tâche terminée</b>\n\n<s>${escapeHtml(task.title)}</s>`);
+    });
+
+    this.#telegram.onCallback('tsnz_', async (data) => {
+      const task = await this.#findActiveTask(data.replace('tsnz_', ''));
+      if (!task) return;
+
+      const until = new Date();
+      until.setDate(until.getDate() + 1);
+      until.setHours(TASK_SNOOZE_HOUR, 0, 0, 0);
+
+      this.#messageRepo.snoozeTask(task.id, until.getTime());
+      await this.#telegram.sendMessage(
+        `💤 <b>Tâche reportée</b> à demain ${TASK_SNOOZE_HOUR}h\n\n${escapeHtml(task.title)}`
+      );
+    });
+
+    this.#telegram.onCallback('tdis_', async (data) => {
+      const task = await this.#findActiveTask(data.replace('tdis_', ''));
+      if (!task) return;
+
+      this.#messageRepo.updateTaskStatus(task.id, 'dismissed');
+      await this.#telegram.sendMessage(`✖️ <b>Tâche ignorée</b>\n\n${escapeHtml(task.title)}`);
+    });
+  }
+
+  /**
+   * Tâche encore à faire (ouverte ou planifiée), sinon prévient que le bouton est périmé
+   */
+  async #findActiveTask(rawId) {
+    const task = this.#messageRepo.getTaskById(parseInt(rawId, 10));
+    if (!task || !['open', 'scheduled'].includes(task.status)) {
+      await this.#telegram.sendMessage('⌛ Cette tâche est déjà traitée. Utilisez /tasks pour la liste à jour.');
+      return null;
+    }
+    return task;
   }
 
   /**
@@ -362,12 +761,11 @@ export class TelegramCommandHandler {
   #registerEventCallbacks() {
     this.#telegram.onCallback('event_', async (data) => {
       const reportData = this.#cronService.getLastReportData();
-      const tachesCount = reportData?.taches?.length || 0;
-      const eventIndex = parseInt(data.replace('event_', '')) - tachesCount;
+      const eventIndex = parseInt(data.replace('event_', ''), 10);
       const calendarService = this.#cronService.getCalendarService();
 
       if (!reportData?.agenda?.evenements_proposes?.[eventIndex]) {
-        await this.#telegram.sendMessage('❌ Événement introuvable. Regénérez le rapport avec /rapport');
+        await this.#sendReportExpired(reportData);
         return;
       }
 
@@ -403,6 +801,17 @@ export class TelegramCommandHandler {
     });
   }
 
+  /**
+   * Bouton d'un rapport qui n'est plus disponible (remplacé ou sans données IA)
+   */
+  async #sendReportExpired(reportData) {
+    await this.#telegram.sendMessage(
+      reportData
+        ? '⌛ <b>Bouton expiré</b>\n\nUn rapport plus récent a été généré. Utilisez /tasks pour voir les tâches à jour.'
+        : '⌛ <b>Bouton expiré</b>\n\nLes données de ce rapport ne sont plus disponibles. Regénérez-le avec /rapport.'
+    );
+  }
+
   /**
    * Affiche le message de confirmation avec les détails de l'événement
    */
@@ -838,40 +1247,948 @@ export class TelegramCommandHandler {
     });
   }
 
+  // ============================================
+  // VALIDATION DES RÉPONSES IA
+  // ============================================
+
+  /**
+   * Handlers des boutons de validation (voir MessageHandler.#requestApproval)
+   * Envoyer / Modifier / Ignorer / Toujours auto pour ce contact
+   */
+  #registerReplyApprovalCallbacks() {
+    // Envoyer le brouillon tel quel
+    this.#telegram.onCallback('rsend_', async (data) => {
+      const replyId = data.replace('rsend_', '');
+      const pending = await this.#getPendingReply(replyId);
+      if (!pending) return;
+
+      await this.#deliverReply(replyId, pending.event, pending.event.reply, pending.event.responseType || 'approved');
+    });
+
+    // Modifier: le prochain message texte remplace le brouillon
+    this.#telegram.onCallback('redit_', async (data) => {
+      const replyId = data.replace('redit_', '');
+      const pending = await this.#getPendingReply(replyId);
+      if (!pending) return;
+
+      this.#telegram.updatePendingEvent(replyId, { step: 'edit_reply' });
+
+      await this.#telegram.sendMessage(
+        `✏️ <b>MODIFIER LA RÉPONSE</b>\n\n` +
+        `Brouillon actuel:\n<i>${escapeHtml(pending.event.reply)}</i>\n\n` +
+        `Envoyez le texte à transmettre à <b>${escapeHtml(pending.event.contactName)}</b>.`,
+        { inlineKeyboard: [[{ text: '🗑️ Ignorer', callback_data: `rdrop_${replyId}` }]] }
+      );
+    });
+
+    // Ignorer: aucune réponse envoyée
+    this.#telegram.onCallback('rdrop_', async (data) => {
+      const replyId = data.replace('rdrop_', '');
+      const pending = await this.#getPendingReply(replyId);
+      if (!pending) return;
+
+      this.#telegram.removePendingEvent(replyId);
+      await this.#telegram.sendMessage(`🗑️ Réponse à <b>${escapeHtml(pending.event.contactName)}</b> ignorée.`);
+    });
+
+    // Toujours auto: envoyer et ne plus demander de validation pour ce contact
+    this.#telegram.onCallback('rauto_', async (data) => {
+      const replyId = data.replace('rauto_', '');
+      const pending = await this.#getPendingReply(replyId);
+      if (!pending) return;
+
+      // Le mode auto n'est activé qu'une fois la réponse effectivement envoyée
+      try {
+        await this.#deliverReply(replyId, pending.event, pending.event.reply, 'approved');
+      } catch (error) {
+        await this.#telegram.sendMessage(`❌ Envoi impossible: ${escapeHtml(error.message)}`);
+        return;
+      }
+
+      this.#messageRepo.setContactReplyMode(pending.event.contactId, 'auto');
+      await this.#telegram.sendMessage(
+        `🤖 Les prochaines réponses à <b>${escapeHtml(pending.event.contactName)}</b> seront envoyées automatiquement.`
+      );
+    });
+
+    // Saisie du texte modifié (message texte non-commande)
+    this.#telegram.onCallback('reply_input_', async (newText, replyId) => {
+      const pending = this.#telegram.getPendingEvent(replyId);
+
+      if (!pending || pending.step !== 'edit_reply') {
+        return; // Ignorer si pas en mode édition
+      }
+
+      try {
+        await this.#deliverReply(replyId, pending.event, newText, pending.event.responseType || 'edited');
+      } catch (error) {
+        await this.#telegram.sendMessage(`❌ Envoi impossible: ${escapeHtml(error.message)}`);
+      }
+    });
+  }
+
+  /**
+   * Récupère un brouillon en attente ou prévient qu'il a expiré
+   */
+  async #getPendingReply(replyId) {
+    const pending = this.#telegram.getPendingEvent(replyId);
+    if (!pending) {
+      await this.#telegram.sendMessage('❌ Brouillon expiré ou déjà traité.');
+      return null;
+    }
+    return pending;
+  }
+
+  /**
+   * Envoie la réponse sur WhatsApp et l'enregistre dans responses
+   * @param {string} replyId - ID du brouillon
+   * @param {Object} reply - Données du brouillon
+   * @param {string} text - Texte envoyé
+   * @param {'approved'|'edited'|'manual'} responseType
+   */
+  async #deliverReply(replyId, reply, text, responseType) {
+    await this.#sendWhatsApp(reply, text, responseType);
+    this.#telegram.removePendingEvent(replyId);
+
+    this.#logger.info('Approved reply sent', { to: reply.to, responseType });
+    await this.#telegram.sendMessage(`✅ Réponse envoyée à <b>${escapeHtml(reply.contactName)}</b>.`);
+  }
+
+  /**
+   * Envoi WhatsApp depuis Telegram: message sortant et réponse au dernier message reçu
+   * (message_create peut avoir déjà enregistré le message sortant, même ID)
+   * @param {Object} reply - { to, contactId, messageDbId }
+   */
+  async #sendWhatsApp(reply, text, responseType) {
+    const sent = await this.#whatsappService.sendMessage(reply.to, text);
+
+    const sentId = sent?.id?.id;
+    if (sentId && reply.contactId && !this.#messageRepo.getMessageById(sentId)) {
+      this.#messageRepo.saveOutgoingMessage(sentId, reply.contactId, text, Date.now());
+    }
+    if (reply.messageDbId) {
+      this.#messageRepo.saveResponse(reply.messageDbId, text, responseType);
+    }
+  }
+
+  // ============================================
+  // RÉPONSE MANUELLE
+  // ============================================
+
+  /**
+   * /reply <contact> <texte> - Envoie un message WhatsApp sans passer par un brouillon.
+   * Le destinataire doit correspondre exactement à un seul contact (nom ou numéro);
+   * sinon le contact approché est proposé avec des boutons 📤 Envoyer / ❌ Annuler,
+   * ou les homonymes sont listés.
+   */
+  #registerReplyCommand() {
+    this.#telegram.onCommand('reply', async (args) => {
+      if (args.length < 2) {
+        await this.#telegram.sendMessage('Usage: /reply &lt;contact&gt; &lt;texte&gt;\nEx: /reply Marc J\'arrive dans 10 min');
+        return;
+      }
+
+      // Nom sur plusieurs mots: le plus long préfixe correspondant exactement à un contact
+      for (let i = args.length - 1; i >= 1; i--) {
+        const query = args.slice(0, i).join(' ');
+        const contacts = this.#findExactContacts(query);
+        if (contacts.length === 1) {
+          await this.#sendManualReply(contacts[0], args.slice(i).join(' '));
+          return;
+        }
+        if (contacts.length > 1) {
+          await this.#telegram.sendMessage(
+            `⚠️ Plusieurs contacts s'appellent "${escapeHtml(query)}":\n` +
+            contacts.map(c => `• ${escapeHtml(this.#contactName(c))} (${escapeHtml(c.phone_number.split('@')[0])})`).join('\n') +
+            `\n\nUtilisez le numéro: /reply +${escapeHtml(contacts[0].phone_number.split('@')[0])} ${escapeHtml(args.slice(i).join(' '))}`
+          );
+          return;
+        }
+      }
+
+      // Pas de correspondance exacte: le premier mot désigne le contact, à confirmer
+      const contact = await this.#resolveContact(args[0]);
+      if (!contact) return;
+
+      const text = args.slice(1).join(' ');
+      const contactName = this.#contactName(contact);
+      const replyId = this.#telegram.storePendingEvent({
+        to: contact.phone_number,
+        contactId: contact.id,
+        contactName,
+        messageDbId: this.#messageRepo.getLatestIncomingMessageId(contact.id),
+        reply: text,
+        responseType: 'manual'
+      }, { prefix: 'rpl', step: 'approve_reply', ttlMs: MANUAL_REPLY_TTL_MS });
+
+      await this.#telegram.sendMessage(
+        `❓ <b>Envoyer à ${escapeHtml(contactName)} ?</b> (${escapeHtml(contact.phone_number.split('@')[0])})\n\n<i>${escapeHtml(text)}</i>`,
+        {
+          inlineKeyboard: [[
+            { text: '📤 Envoyer', callback_data: `rsend_${replyId}` },
+            { text: '❌ Annuler', callback_data: `rdrop_${replyId}` }
+          ]]
+        }
+      );
+    });
+  }
+
+  /**
+   * Contacts dont le nom ou le numéro correspond exactement (groupes exclus)
+   * @returns {Array<Object>} Plusieurs contacts en cas d'homonymes
+   */
+  #findExactContacts(query) {
+    const number = query.replace(/^\+/, '');
+    const byNumber = this.#messageRepo.findContacts(number).filter(c => c.phone_number.split('@')[0] === number);
+    return byNumber.length > 0 ? byNumber : this.#messageRepo.findContactsByName(query);
+  }
+
+  async #sendManualReply(contact, text) {
+    try {
+      await this.#sendWhatsApp({
+        to: contact.phone_number,
+        contactId: contact.id,
+        messageDbId: this.#messageRepo.getLatestIncomingMessageId(contact.id)
+      }, text, 'manual');
+    } catch (error) {
+      await this.#telegram.sendMessage(`❌ Envoi impossible: ${escapeHtml(error.message)}`);
+      return;
+    }
+
+    this.#logger.info('Manual reply sent', { to: contact.phone_number });
+    await this.#telegram.sendMessage(`📤 Envoyé à <b>${escapeHtml(this.#contactName(contact))}</b>:\n<i>${escapeHtml(text)}</i>`);
+  }
+
+  // ============================================
+  // MESSAGES SANS RÉPONSE
+  // ============================================
+
+  /**
+   * /pending et boutons des rappels: répondre, reporter 2h, ignorer
+   */
+  #registerPendingCommands() {
+    this.#telegram.onCommand('pending', async () => {
+      if (!this.#followUps) {
+        await this.#telegram.sendMessage('❌ Suivi des messages sans réponse non disponible');
+        return;
+      }
+
+      const pending = this.#followUps.getPending({ all: true }).slice(0, PENDING_LIST_LIMIT);
+      if (pending.length === 0) {
+        await this.#telegram.sendMessage('✅ <b>Personne n\'attend de réponse !</b>');
+        return;
+      }
+
+      await this.#telegram.sendMessage(
+        FollowUpService.format(pending, { title: '⏳ <b>En attente de ta réponse</b>' }),
+        { inlineKeyboard: FollowUpService.buttons(pending) }
+      );
+    });
+
+    // Répondre: le prochain message texte est envoyé au contact sur WhatsApp
+    this.#telegram.onCallback('fupr_', async (data) => {
+      const thread = await this.#findPendingThread(data.replace('fupr_', ''));
+      if (!thread) return;
+
+      const replyId = this.#telegram.storePendingEvent({
+        to: thread.phoneNumber,
+        contactId: thread.contactId,
+        contactName: thread.name,
+        messageDbId: thread.messageId,
+        reply: '',
+        responseType: 'manual'
+      }, { prefix: 'rpl', step: 'edit_reply', ttlMs: MANUAL_REPLY_TTL_MS });
+
+      await this.#telegram.sendMessage(
+        `✍️ <b>RÉPONDRE À ${escapeHtml(thread.name.toUpperCase())}</b>\n\n` +
+        `💬 <i>${escapeHtml(thread.body)}</i>\n\n` +
+        `Envoyez le texte à transmettre sur WhatsApp.`,
+        { inlineKeyboard: [[{ text: '🗑️ Annuler', callback_data: `rdrop_${replyId}` }]] }
+      );
+    });
+
+    this.#telegram.onCallback('fups_', async (data) => {
+      const thread = await this.#findPendingThread(data.replace('fups_', ''));
+      if (!thread) return;
+
+      const until = this.#followUps.snooze(thread.contactId, thread.messageId);
+      const time = new Date(until).toLocaleTimeString('fr-FR', { hour: '2-digit', minute: '2-digit' });
+      await this.#telegram.sendMessage(`💤 Rappel pour <b>${escapeHtml(thread.name)}</b> reporté à ${time}.`);
+    });
+
+    this.#telegram.onCallback('fupi_', async (data) => {
+      const thread = await this.#findPendingThread(data.replace('fupi_', ''));
+      if (!thread) return;
+
+      this.#followUps.ignore(thread.contactId, thread.messageId);
+      await this.#telegram.sendMessage(
+        `✖️ <b>${escapeHtml(thread.name)}</b> retiré des messages en attente (jusqu'à son prochain message).`
+      );
+    });
+  }
+
+  /**
+   * Conversation toujours en attente pour un bouton "<contactId>_<messageId>"
+   * Un bouton devient caduc quand la réponse est partie ou que le contact a réécrit.
+   */
+  async #findPendingThread(ids) {
+    const [contactId, messageId] = ids.split('_').map(id => parseInt(id, 10));
+    const thread = this.#followUps?.getPending({ all: true })
+      .find(t => t.contactId === contactId && t.messageId === messageId);
+
+    if (!thread) {
+      await this.#telegram.sendMessage('⌛ Cette conversation n\'attend plus de réponse. Utilisez /pending pour la liste à jour.');
+      return null;
+    }
+    return thread;
+  }
+
+  // ============================================
+  // RECHERCHE
+  // ============================================
+
+  /**
+   * /search <mots> [contact:nom] [du:AAAA-MM-JJ] [au:AAAA-MM-JJ] [sens:in|out] [cat:catégorie]
+   * La recherche est conservée (élément en attente 'srch') pour paginer avec un bouton.
+   */
+  #registerSearchCommand() {
+    this.#telegram.onCommand('search', async (args) => {
+      const search = this.#parseSearchArgs(args);
+      if (!search.query) {
+        await this.#telegram.sendMessage(
+          'Usage: /search &lt;mots&gt; [filtres]\n\n' +
+          'Filtres:\n' +
+          '• contact:marc (contact:marc_dupont pour un nom composé)\n' +
+          '• du:2026-10-01 au:2026-10-15\n' +
+          '• sens:in (reçus) ou sens:out (envoyés)\n' +
+          '• cat:professional'
+        );
+        return;
+      }
+
+      const searchId = this.#telegram.storePendingEvent(search, { prefix: 'srch', step: 'search', ttlMs: SEARCH_TTL_MS });
+      await this.#sendSearchPage(searchId, search, 0);
+    });
+
+    // smore_<searchId>_<offset>
+    this.#telegram.onCallback('smore_', async (data) => {
+      const [, prefix, id, offset] = data.split('_');
+      const searchId = `${prefix}_${id}`;
+      const pending = this.#telegram.getPendingEvent(searchId);
+      if (!pending) return;
+
+      await this.#sendSearchPage(searchId, pending.event, parseInt(offset, 10) || 0);
+    });
+  }
+
+  /**
+   * /ask <question> - Réponse de l'IA à partir des messages les plus proches (embeddings)
+   * Sans IA disponible (budget épuisé), seuls les messages retrouvés sont affichés.
+   */
+  #registerAskCommand() {
+    this.#telegram.onCommand('ask', async (args) => {
+      const question = args.join(' ').trim();
+      if (!question) {
+        await this.#telegram.sendMessage('Usage: /ask &lt;question&gt;\nEx: /ask quand est-ce que Marc a parlé de la facture ?');
+        return;
+      }
+      if (!this.#memory?.isEnabled) {
+        await this.#telegram.sendMessage('❌ Mémoire désactivée: aucun provider d\'embeddings configuré (EMBEDDING_PROVIDER, EMBEDDING_BASE_URL).');
+        return;
+      }
+
+      await this.#telegram.sendMessage('🧠 Recherche dans vos messages...');
+
+      let memories;
+      try {
+        memories = await this.#memory.recall(question, { limit: ASK_RECALL_LIMIT });
+      } catch (error) {
+        await this.#telegram.sendMessage(`❌ Mémoire indisponible: ${escapeHtml(error.message)}`);
+        return;
+      }
+
+      if (memories.length === 0) {
+        await this.#telegram.sendMessage(
+          `🤷 Rien de pertinent dans les messages indexés pour "<b>${escapeHtml(question)}</b>".\n` +
+          `<i>Essayez /search avec des mots précis.</i>`
+        );
+        return;
+      }
+
+      let answer = null;
+      let sources = memories.slice(0, ASK_SOURCES_LIMIT);
+      if (this.#aiService && !this.#budgetService?.isExhausted()) {
+        try {
+          const result = await this.#aiService.answerFromMemory(question, memories);
+          answer = result.answer;
+          if (result.sourceIds.length > 0) {
+            sources = memories.filter(m => result.sourceIds.includes(m.id)).slice(0, ASK_SOURCES_LIMIT);
+          }
+        } catch (error) {
+          this.#logger.warn('Memory answer failed', { error: error.message });
+        }
+      }
+
+      let message = `🧠 <b>${escapeHtml(question)}</b>\n\n`;
+      if (answer) message += `${escapeHtml(answer)}\n\n`;
+      message += `<b>${answer ? 'Sources' : 'Messages les plus proches'}:</b>\n`;
+      for (const m of sources) {
+        const date = new Date(m.received_at).toLocaleString('fr-FR', { day: '2-digit', month: '2-digit', year: '2-digit', hour: '2-digit', minute: '2-digit' });
+        const preview = m.body.length > 150 ? `${m.body.substring(0, 150)}...` : m.body;
+        const author = m.direction === 'outgoing' ? `Moi → ${this.#contactName(m)}` : this.#contactName(m);
+        message += `• <b>${escapeHtml(author)}</b> · ${date}\n  <i>${escapeHtml(preview)}</i>\n`;
+      }
+
+      await this.#telegram.sendMessage(message.trimEnd());
+    });
+  }
+
+  /**
+   * Sépare les mots cherchés des filtres "clé:valeur"
+   * @returns {{ query: string, filters: Object }}
+   */
+  #parseSearchArgs(args) {
+    const words = [];
+    const filters = {};
+
+    for (const arg of args) {
+      const [, key, value] = arg.match(/^(contact|du|au|sens|cat):(.+)$/i) || [];
+      switch (key?.toLowerCase()) {
+        case 'contact':
+          filters.contact = value.replace(/_/g, ' ');
+          break;
+        case 'du':
+          filters.from = this.#parseSearchDate(value);
+          break;
+        case 'au': {
+          const day = this.#parseSearchDate(value);
+          filters.to = day === null ? null : day + 24 * 60 * 60 * 1000 - 1;
+          break;
+        }
+        case 'sens':
+          filters.direction = SEARCH_DIRECTIONS[value.toLowerCase()] || null;
+          break;
+        case 'cat':
+          filters.category = value.toLowerCase();
+          break;
+        default:
+          words.push(arg);
+      }
+    }
+
+    return { query: words.join(' ').trim(), filters };
+  }
+
+  /**
+   * AAAA-MM-JJ => minuit heure locale (null si invalide)
+   */
+  #parseSearchDate(value) {
+    const match = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (!match) return null;
+    const time = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])).getTime();
+    return Number.isNaN(time) ? null : time;
+  }
+
+  async #sendSearchPage(searchId, { query, filters }, offset) {
+    const { total, results } = this.#messageRepo.search(query, { ...filters, limit: SEARCH_PAGE_SIZE, offset });
+
+    if (total === 0) {
+      this.#telegram.removePendingEvent(searchId);
+      await this.#telegram.sendMessage(`🔎 Aucun message trouvé pour "<b>${escapeHtml(query)}</b>".`);
+      return;
+    }
+
+    let message = `🔎 <b>"${escapeHtml(query)}"</b> · ${offset + 1}-${offset + results.length} sur ${total}\n\n`;
+    for (const r of results) {
+      const date = new Date(r.received_at).toLocaleString('fr-FR', { day: '2-digit', month: '2-digit', year: '2-digit', hour: '2-digit', minute: '2-digit' });
+      const arrow = r.direction === 'outgoing' ? '➡️ Moi →' : '⬅️';
+      const highlighted = escapeHtml(r.snippet || '')
+        .replaceAll(SEARCH_MARKERS.start, '<b>')
+        .replaceAll(SEARCH_MARKERS.end, '</b>');
+      message += `${arrow} <b>${escapeHtml(this.#contactName(r))}</b> · ${date}\n${highlighted}\n\n`;
+    }
+
+    const nextOffset = offset + results.length;
+    const options = nextOffset < total
+      ? { inlineKeyboard: [[{ text: `➡️ Plus de résultats (${total - nextOffset})`, callback_data: `smore_${searchId}_${nextOffset}` }]] }
+      : {};
+    if (!options.inlineKeyboard) this.#telegram.removePendingEvent(searchId);
+
+    await this.#telegram.sendMessage(message.trimEnd(), options);
+  }
+
+  // ============================================
+  // POLITIQUES PAR CONTACT
+  // ============================================
+
+  /**
+   * /contact, /policy, /block, /vip et boutons associés
+   */
+  #registerContactCommands() {
+    // /contact <nom> - Profil et boutons de politique
+    this.#telegram.onCommand('contact', async (args) => {
+      const query = args.join(' ').trim();
+      if (!query) {
+        await this.#telegram.sendMessage('Usage: /contact &lt;nom ou numéro&gt;');
+        return;
+      }
+
+      const contacts = this.#messageRepo.findContacts(query);
+      if (contacts.length === 0) {
+        await this.#telegram.sendMessage(`❌ Aucun contact trouvé pour "${escapeHtml(query)}".`);
+        return;
+      }
+
+      if (contacts.length === 1) {
+        await this.#showContactProfile(contacts[0]);
+        return;
+      }
+
+      await this.#telegram.sendMessage(
+        `👥 <b>${contacts.length} contacts trouvés</b> - choisissez:`,
+        { inlineKeyboard: contacts.map(c => [{ text: this.#contactName(c), callback_data: `contact_${c.id}` }]) }
+      );
+    });
+
+    // /policy [<nom> <mode>|tone <texte>|lang <code>]
+    this.#telegram.onCommand('policy', async (args) => {
+      if (args.length === 0) {
+        await this.#sendPolicyList();
+        return;
+      }
+
+      const keywords = [...Object.keys(CONTACT_POLICIES), 'default', 'tone', 'lang'];
+      const keywordIndex = args.findIndex(arg => keywords.includes(arg.toLowerCase()));
+      if (keywordIndex <= 0) {
+        await this.#telegram.sendMessage(
+          'Usage:\n' +
+          '/policy &lt;nom&gt; auto|approve|log|ignore|default\n' +
+          '/policy &lt;nom&gt; tone &lt;ton&gt; (ex: formel, amical)\n' +
+          '/policy &lt;nom&gt; lang &lt;langue&gt; (ex: en, de)'
+        );
+        return;
+      }
+
+      const contact = await this.#resolveContact(args.slice(0, keywordIndex).join(' '));
+      if (!contact) return;
+
+      const keyword = args[keywordIndex].toLowerCase();
+      const value = args.slice(keywordIndex + 1).join(' ').trim().substring(0, 100) || null;
+
+      if (keyword === 'tone') {
+        this.#messageRepo.updateContactProfile(contact.id, { tone: value });
+      } else if (keyword === 'lang') {
+        this.#messageRepo.updateContactProfile(contact.id, { language: value });
+      } else {
+        this.#messageRepo.setContactReplyMode(contact.id, keyword === 'default' ? null : keyword);
+      }
+
+      await this.#showContactProfile(this.#messageRepo.getContactById(contact.id));
+    });
+
+    // /block <nom> - Ignorer tous les messages du contact
+    this.#telegram.onCommand('block', async (args) => {
+      const contact = await this.#resolveContact(args.join(' '));
+      if (!contact) return;
+
+      this.#messageRepo.blockContact(contact.phone_number);
+      await this.#telegram.sendMessage(
+        `🚫 <b>${escapeHtml(this.#contactName(contact))}</b> est bloqué: ses messages seront ignorés.\n` +
+        `<i>/policy ${escapeHtml(contact.phone_number.split('@')[0])} default pour débloquer.</i>`
+      );
+    });
+
+    // /vip <nom> - Bascule le statut VIP
+    this.#telegram.onCommand('vip', async (args) => {
+      const contact = await this.#resolveContact(args.join(' '));
+      if (!contact) return;
+
+      await this.#toggleVip(contact);
+    });
+
+    this.#telegram.onCallback('contact_', async (data) => {
+      const contact = this.#messageRepo.getContactById(parseInt(data.replace('contact_', ''), 10));
+      if (contact) await this.#showContactProfile(contact);
+    });
+
+    // cpol_<id>_<politique>
+    this.#telegram.onCallback('cpol_', async (data) => {
+      const [, id, policy] = data.split('_');
+      const contact = this.#messageRepo.getContactById(parseInt(id, 10));
+      if (!contact) return;
+
+      this.#messageRepo.setContactReplyMode(contact.id, CONTACT_POLICIES[policy] ? policy : null);
+      await this.#showContactProfile(this.#messageRepo.getContactById(contact.id));
+    });
+
+    this.#telegram.onCallback('cvip_', async (data) => {
+      const contact = this.#messageRepo.getContactById(parseInt(data.replace('cvip_', ''), 10));
+      if (contact) await this.#toggleVip(contact);
+    });
+  }
+
+  /**
+   * Trouve un contact unique à partir d'un nom ou numéro, sinon explique pourquoi
+   * @returns {Promise<Object|null>}
+   */
+  async #resolveContact(query) {
+    if (!query) {
+      await this.#telegram.sendMessage('❌ Précisez un nom ou un numéro de contact.');
+      return null;
+    }
+
+    const contacts = this.#messageRepo.findContacts(query);
+    if (contacts.length === 0) {
+      await this.#telegram.sendMessage(`❌ Aucun contact trouvé pour "${escapeHtml(query)}".`);
+      return null;
+    }
+
+    // Correspondance exacte prioritaire (plusieurs "Marc..." mais un seul "Marc")
+    const exact = contacts.find(c =>
+      [c.push_name, c.display_name, c.phone_number.split('@')[0]].some(v => v?.toLowerCase() === query.toLowerCase())
+    );
+    if (contacts.length === 1 || exact) {
+      return exact || contacts[0];
+    }
+
+    await this.#telegram.sendMessage(
+      `⚠️ Plusieurs contacts correspondent à "${escapeHtml(query)}":\n` +
+      contacts.map(c => `• ${escapeHtml(this.#contactName(c))} (${escapeHtml(c.phone_number.split('@')[0])})`).join('\n') +
+      `\n\nPrécisez le nom ou utilisez le numéro.`
+    );
+    return null;
+  }
+
+  async #toggleVip(contact) {
+    const isVip = !contact.is_vip;
+    this.#messageRepo.updateContactProfile(contact.id, { isVip });
+    await this.#telegram.sendMessage(
+      isVip
+        ? `⭐ <b>${escapeHtml(this.#contactName(contact))}</b> est VIP: chaque message vous sera notifié.`
+        : `☆ <b>${escapeHtml(this.#contactName(contact))}</b> n'est plus VIP.`
+    );
+  }
+
+  async #showContactProfile(contact) {
+    const message =
+      `👤 <b>${escapeHtml(this.#contactName(contact))}</b>\n` +
+      `📞 ${escapeHtml(contact.phone_number.split('@')[0])}\n\n` +
+      `Politique: ${formatContactPolicy(contact)}\n` +
+      `VIP: ${contact.is_vip ? '⭐ Oui' : 'Non'}\n` +
+      `Ton: ${contact.reply_tone ? escapeHtml(contact.reply_tone) : 'par défaut'}\n` +
+      `Langue: ${contact.reply_language ? escapeHtml(contact.reply_language) : 'par défaut'}\n\n` +
+      `📥 ${contact.total_messages_received || 0} reçus · 📤 ${contact.total_messages_sent || 0} envoyés`;
+
+    const policyButtons = Object.entries(CONTACT_POLICIES).map(([policy, label]) => ({
+      text: label,
+      callback_data: `cpol_${contact.id}_${policy}`
+    }));
+
+    await this.#telegram.sendMessage(message, {
+      inlineKeyboard: [
+        policyButtons.slice(0, 2),
+        policyButtons.slice(2),
+        [
+          { text: contact.is_vip ? '☆ Retirer VIP' : '⭐ VIP', callback_data: `cvip_${contact.id}` },
+          { text: '⚙️ Par défaut', callback_data: `cpol_${contact.id}_default` }
+        ],
+        [{ text: '🧾 Profil', callback_data: `cprof_${contact.id}` }]
+      ]
+    });
+  }
+
+  async #sendPolicyList() {
+    const contacts = this.#messageRepo.getContactsWithPolicy();
+    if (contacts.length === 0) {
+      await this.#telegram.sendMessage(
+        '👥 Aucun contact avec une politique spécifique.\n\n' +
+        '<i>/contact &lt;nom&gt; pour en configurer un.</i>'
+      );
+      return;
+    }
+
+    const lines = contacts.map(c => {
+      const extras = [
+        c.is_vip ? '⭐' : null,
+        c.reply_tone ? `ton: ${escapeHtml(c.reply_tone)}` : null,
+        c.reply_language ? `langue: ${escapeHtml(c.reply_language)}` : null
+      ].filter(Boolean).join(' · ');
+      return `• <b>${escapeHtml(this.#contactName(c))}</b>: ${formatContactPolicy(c)}${extras ? ` · ${extras}` : ''}`;
+    });
+
+    await this.#telegram.sendMessage(`👥 <b>Politiques par contact</b>\n\n${lines.join('\n')}`);
+  }
+
+  #contactName(contact) {
+    return contact.push_name || contact.display_name || contact.phone_number.split('@')[0];
+  }
+
+  // ============================================
+  // FICHIERS REÇUS
+  // ============================================
+
+  /**
+   * /media [contact] - Derniers fichiers stockés, renvoyés sur Telegram à la demande
+   */
+  #registerMediaCommand() {
+    this.#telegram.onCommand('media', async (args) => {
+      if (!this.#mediaStore) {
+        await this.#telegram.sendMessage('❌ Stockage des médias indisponible.');
+        return;
+      }
+
+      const query = args.join(' ').trim();
+      const contact = query ? await this.#resolveContact(query) : null;
+      if (query && !contact) return;
+
+      const items = this.#messageRepo.getRecentMediaMessages({ contactId: contact?.id ?? null, limit: MEDIA_LIST_LIMIT });
+      if (items.length === 0) {
+        await this.#telegram.sendMessage(`📎 Aucun fichier stocké${contact ? ` pour <b>${escapeHtml(this.#contactName(contact))}</b>` : ''}.`);
+        return;
+      }
+
+      let message = `📎 <b>${contact ? `Fichiers de ${escapeHtml(this.#contactName(contact))}` : 'Fichiers récents'}</b>\n\n`;
+      items.forEach((item, index) => {
+        const date = new Date(item.received_at).toLocaleString('fr-FR', { day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit' });
+        const text = (item.original_filename || item.body || '').replace(/\s+/g, ' ').trim();
+        const preview = text.length > 80 ? `${text.substring(0, 80)}...` : text;
+        const author = item.direction === 'outgoing' ? `Moi → ${this.#contactName(item)}` : this.#contactName(item);
+        message += `${index + 1}. ${MEDIA_ICONS[item.media_type] || '📎'} <b>${escapeHtml(author)}</b> · ${date} · ${formatFileSize(item.size_bytes)}\n`;
+        if (preview) message += `   <i>${escapeHtml(preview)}</i>\n`;
+      });
+
+      const buttons = items.map((item, index) => ({ text: `📥 ${index + 1}`, callback_data: `media_${item.message_id}` }));
+      const keyboard = [];
+      for (let i = 0; i < buttons.length; i += 5) keyboard.push(buttons.slice(i, i + 5));
+
+      await this.#telegram.sendMessage(message.trimEnd(), { inlineKeyboard: keyboard });
+    });
+
+    // media_<messageId> - Renvoyer le fichier d'un message
+    this.#telegram.onCallback('media_', async (data) => {
+      const file = await this.#mediaStore?.getForMessage(parseInt(data.replace('media_', ''), 10));
+      if (!file) {
+        await this.#telegram.sendMessage('❌ Fichier introuvable: il a peut-être été supprimé par la rétention.');
+        return;
+      }
+
+      const date = new Date(file.media.received_at).toLocaleString('fr-FR', { day: '2-digit', month: '2-digit', year: '2-digit', hour: '2-digit', minute: '2-digit' });
+      const sent = await this.#telegram.sendDocument(file.data, {
+        filename: file.filename,
+        mimeType: file.mimeType,
+        caption: `${MEDIA_ICONS[file.media.media_type] || '📎'} ${escapeHtml(this.#contactName(file.media))} · ${date}`
+      });
+      if (!sent) {
+        await this.#telegram.sendMessage('❌ Envoi du fichier impossible (limite Telegram: 50 Mo).');
+      }
+    });
+  }
+
+  // ============================================
+  // GROUPES
+  // ============================================
+
+  /**
+   * /groups [nom] [mode] - Liste des groupes, réglage du mode d'enregistrement
+   */
+  #registerGroupsCommand() {
+    this.#telegram.onCommand('groups', async (args) => {
+      const modes = [...Object.keys(GROUP_MODES), 'default'];
+      const last = args[args.length - 1]?.toLowerCase();
+      const mode = args.length > 1 && modes.includes(last) ? last : null;
+      const query = (mode ? args.slice(0, -1) : args).join(' ').trim();
+
+      if (!query) {
+        await this.#sendGroupList();
+        return;
+      }
+
+      const groups = this.#messageRepo.getGroups({ query, limit: 5 });
+      const exact = groups.find(g => [g.push_name, g.display_name].some(v => v?.toLowerCase() === query.toLowerCase()));
+      const group = exact || (groups.length === 1 ? groups[0] : null);
+
+      if (!group) {
+        await this.#telegram.sendMessage(
+          groups.length === 0
+            ? `❌ Aucun groupe trouvé pour "${escapeHtml(query)}".`
+            : `⚠️ Plusieurs groupes correspondent à "${escapeHtml(query)}" - choisissez:`,
+          groups.length === 0 ? {} : { inlineKeyboard: groups.map(g => [{ text: this.#contactName(g), callback_data: `group_${g.id}` }]) }
+        );
+        return;
+      }
+
+      if (mode) {
+        this.#messageRepo.setGroupMode(group.id, mode === 'default' ? null : mode);
+      }
+      await this.#showGroup(group.id);
+    });
+
+    this.#telegram.onCallback('group_', async (data) => {
+      await this.#showGroup(parseInt(data.replace('group_', ''), 10));
+    });
+
+    // gmode_<id>_<mode>
+    this.#telegram.onCallback('gmode_', async (data) => {
+      const [, id, mode] = data.split('_');
+      this.#messageRepo.setGroupMode(parseInt(id, 10), GROUP_MODES[mode] ? mode : null);
+      await this.#showGroup(parseInt(id, 10));
+    });
+  }
+
+  async #sendGroupList() {
+    const groups = this.#messageRepo.getGroups({ since: this.#groupActivitySince(), limit: GROUPS_LIST_LIMIT });
+    if (groups.length === 0) {
+      await this.#telegram.sendMessage('👥 Aucun groupe connu: ils apparaissent dès leur premier message reçu.');
+      return;
+    }
+
+    const lines = groups.map(g =>
+      `• <b>${escapeHtml(this.#contactName(g))}</b>: ${formatGroupMode(g, this.#config.features?.groups?.defaultMode)} · ${g.recent_messages} msg`
+    );
+
+    await this.#telegram.sendMessage(
+      `👥 <b>Groupes WhatsApp</b> <i>(messages enregistrés sur ${GROUPS_ACTIVITY_DAYS} jours)</i>\n\n${lines.join('\n')}\n\n` +
+      '<i>Choisissez un groupe pour changer son mode.</i>',
+      { inlineKeyboard: groups.map(g => [{ text: this.#contactName(g), callback_data: `group_${g.id}` }]) }
+    );
+  }
+
+  async #showGroup(groupId) {
+    const group = this.#messageRepo.getGroup(groupId, this.#groupActivitySince());
+    if (!group) return;
+
+    const modeButtons = Object.entries(GROUP_MODES).map(([mode, label]) => ({
+      text: label,
+      callback_data: `gmode_${group.id}_${mode}`
+    }));
+
+    await this.#telegram.sendMessage(
+      `👥 <b>${escapeHtml(this.#contactName(group))}</b>\n\n` +
+      `Mode: ${formatGroupMode(group, this.#config.features?.groups?.defaultMode)}\n` +
+      `📥 ${group.recent_messages} message(s) enregistré(s) sur ${GROUPS_ACTIVITY_DAYS} jours`,
+      {
+        inlineKeyboard: [
+          modeButtons,
+          [{ text: '⚙️ Par défaut', callback_data: `gmode_${group.id}_default` }]
+        ]
+      }
+    );
+  }
+
+  #groupActivitySince() {
+    return Date.now() - GROUPS_ACTIVITY_DAYS * 24 * 60 * 60 * 1000;
+  }
+
+  // ============================================
+  // PROFILS LONG TERME
+  // ============================================
+
+  /**
+   * /profile <nom> [<champ> <valeur>|auto|-] - Profil tenu à jour par l'IA, corrections manuelles
+   */
+  #registerProfileCommand() {
+    this.#telegram.onCommand('profile', async (args) => {
+      if (!this.#profiles) {
+        await this.#telegram.sendMessage('❌ Profils des contacts indisponibles.');
+        return;
+      }
+
+      const fieldIndex = args.findIndex(arg => Object.hasOwn(PROFILE_FIELDS, arg.toLowerCase()));
+      const value = fieldIndex > 0 ? args.slice(fieldIndex + 1).join(' ').trim() : '';
+      if (args.length === 0 || fieldIndex === 0 || (fieldIndex > 0 && !value)) {
+        await this.#telegram.sendMessage(
+          'Usage:\n' +
+          '/profile &lt;nom&gt; - Afficher le profil\n' +
+          `/profile &lt;nom&gt; ${Object.keys(PROFILE_FIELDS).join('|')} &lt;valeur&gt;\n` +
+          '<i>Listes séparées par des virgules · "-" pour vider · "auto" pour rendre le champ à l\'IA</i>'
+        );
+        return;
+      }
+
+      const contact = await this.#resolveContact((fieldIndex > 0 ? args.slice(0, fieldIndex) : args).join(' '));
+      if (!contact) return;
+
+      if (fieldIndex > 0) {
+        this.#profiles.correct(contact.id, args[fieldIndex].toLowerCase(), value);
+      }
+      await this.#showLongTermProfile(contact);
+    });
+
+    this.#telegram.onCallback('cprof_', async (data) => {
+      const contact = this.#messageRepo.getContactById(parseInt(data.replace('cprof_', ''), 10));
+      if (contact && this.#profiles) await this.#showLongTermProfile(contact);
+    });
+
+    // profupd_<id> - Intégrer tout de suite les derniers messages
+    this.#telegram.onCallback('profupd_', async (data) => {
+      const contact = this.#messageRepo.getContactById(parseInt(data.replace('profupd_', ''), 10));
+      if (!contact || !this.#profiles) return;
+
+      if (this.#budgetService?.isExhausted()) {
+        await this.#telegram.sendMessage('💸 Budget IA épuisé: mise à jour du profil impossible pour le moment.');
+        return;
+      }
+
+      try {
+        const updated = await this.#profiles.updateContact(contact.id);
+        if (!updated) {
+          await this.#telegram.sendMessage(`🧾 Aucun nouveau message de <b>${escapeHtml(this.#contactName(contact))}</b> depuis la dernière mise à jour.`);
+          return;
+        }
+        await this.#showLongTermProfile(contact);
+      } catch (error) {
+        this.#logger.error('Manual profile update failed', { error: error.message, contactId: contact.id });
+        await this.#telegram.sendMessage(`❌ Mise à jour impossible: ${escapeHtml(error.message)}`);
+      }
+    });
+  }
+
+  async #showLongTermProfile(contact) {
+    const profile = this.#profiles.getProfile(contact.id);
+    await this.#telegram.sendMessage(
+      ProfileService.format(profile, this.#contactName(contact)) +
+      `\n\n<i>/profile ${escapeHtml(this.#contactName(contact))} &lt;champ&gt; &lt;valeur&gt; pour corriger</i>`,
+      { inlineKeyboard: [[{ text: '🔄 Mettre à jour', callback_data: `profupd_${contact.id}` }]] }
+    );
+  }
+
   // ============================================
   // MÉTHODES UTILITAIRES
   // ============================================
 
   /**
    * Formate le message et les boutons pour /tasks
-   * @param {Array} taches - Liste des tâches
-   * @param {Array} evenements - Liste des événements
+   * @param {Array} tasks - Tâches ouvertes (table tasks)
+   * @param {Array} evenements - Événements proposés par le dernier rapport
    * @returns {{ message: string, buttons: Array }}
    */
-  #formatTasksMessage(taches, evenements) {
+  #formatTasksMessage(tasks, evenements) {
     let message = 
       '📋 <b>TÂCHES & ÉVÉNEMENTS À PLANIFIER</b>\n' +
       '━━━━━━━━━━━━━━━━━━━━━━━━━━━\n\n' +
-      '<i>Cliquez sur un bouton pour ajouter à Google Calendar</i>\n\n';
+      '<i>📅 agenda · ✅ fait · 💤 demain · ✖️ ignorer</i>\n\n';
 
     const buttons = [];
-    let itemIndex = 0;
 
-    // Tâches
-    if (taches.length > 0) {
+    // Tâches (numérotées pour les boutons)
+    if (tasks.length > 0) {
       message += '✅ <b>TÂCHES:</b>\n';
       
-      taches.forEach((t) => {
-        const prioIcon = { haute: '🔴', moyenne: '🟡', basse: '🟢' }[t.priorite] || '⚪';
-        message += `${prioIcon} ${escapeHtml(t.titre)}\n`;
-        if (t.deadline) message += `   ⏰ ${escapeHtml(t.deadline)}\n`;
+      tasks.forEach((t, i) => {
+        const n = i + 1;
+        const prioIcon = PRIORITY_ICONS[t.priority] || '⚪';
+        const status = t.status === 'scheduled' ? ' 📅' : '';
+        message += `${n}. ${prioIcon} ${escapeHtml(t.title)}${status}\n`;
+        if (t.due_date) message += `   ⏰ ${escapeHtml(t.due_date)}\n`;
+        if (t.source) message += `   👤 ${escapeHtml(t.source)}\n`;
         message += '\n';
 
-        buttons.push([{
-          text: `✅ ${t.titre.substring(0, 30)}${t.titre.length > 30 ? '...' : ''}`,
-          callback_data: `task_${itemIndex}`
-        }]);
-        itemIndex++;
+        buttons.push([
+          { text: `📅 ${n}`, callback_data: `task_${t.id}` },
+          { text: `✅ ${n}`, callback_data: `tdone_${t.id}` },
+          { text: `💤 ${n}`, callback_data: `tsnz_${t.id}` },
+          { text: `✖️ ${n}`, callback_data: `tdis_${t.id}` }
+        ]);
       });
     }
 
@@ -879,15 +2196,14 @@ export class TelegramCommandHandler {
     if (evenements.length > 0) {
       message += '📅 <b>ÉVÉNEMENTS PROPOSÉS:</b>\n';
       
-      evenements.forEach((e) => {
+      evenements.forEach((e, index) => {
         message += `🗓️ ${escapeHtml(e.activite)} avec ${escapeHtml(e.expediteur)}\n`;
         message += `   📍 ${escapeHtml(e.quand)}\n\n`;
 
         buttons.push([{
           text: `📅 ${e.activite} - ${e.quand}`.substring(0, 40),
-          callback_data: `event_${itemIndex}`
+          callback_data: `event_${index}`
         }]);
-        itemIndex++;
       });
     }
 
@@ -997,6 +2313,57 @@ export class TelegramCommandHandler {
     return midnight.getTime();
   }
 
+  /**
+   * Formate l'état de la chaîne de providers IA pour /status
+   * @returns {string}
+   */
+  #formatAIHealth() {
+    if (!this.#aiService?.getProviderHealth) return '';
+
+    const stateIcons = { closed: '🟢', half_open: '🟡', open: '🔴' };
+    let text = '';
+
+    for (const health of this.#aiService.getProviderHealth()) {
+      text += `   ${stateIcons[health.state] || '⚪'} ${health.provider}`;
+      if (health.state === 'open') {
+        const until = new Date(health.openUntil).toLocaleTimeString('fr-FR', { hour: '2-digit', minute: '2-digit' });
+        text += ` - en pause jusqu'à ${until}`;
+      } else if (health.consecutiveFailures > 0) {
+        text += ` - ${health.consecutiveFailures} échec(s)`;
+      }
+      text += '\n';
+    }
+
+    const recent = this.#aiService.getRecentCalls();
+    if (recent.length > 0) {
+      const served = {};
+      let failures = 0;
+      for (const call of recent) {
+        if (call.success) {
+          served[call.provider] = (served[call.provider] || 0) + 1;
+        } else {
+          failures++;
+        }
+      }
+
+      const summary = Object.entries(served).map(([provider, count]) => `${provider} ${count}`).join(', ');
+      text += `   📈 ${recent.length} derniers appels: ${summary || 'aucun succès'}`;
+      if (failures > 0) text += ` (${failures} échec(s))`;
+      text += '\n';
+
+      const last = recent[recent.length - 1];
+      text += `   🕐 Dernier: ${last.provider} ${last.success ? '✅' : '❌'} ${last.latencyMs}ms\n`;
+    }
+
+    const cache = this.#aiService.getCacheStats?.();
+    if (cache) {
+      text += `   💾 Cache: ${cache.hits} hits / ${cache.misses} miss` +
+        ` (${Math.round(cache.hitRate * 100)}%), ${cache.entries} entrées\n`;
+    }
+
+    return text;
+  }
+
   /**
    * Formate la durée d'uptime
    * @param {number} seconds - Secondes
@@ -1085,7 +2452,7 @@ export class TelegramCommandHandler {
 
     // Actions suggérées
     const lastReport = this.#cronService.getLastReportData();
-    const pendingTasks = lastReport?.taches?.length || 0;
+    const pendingTasks = this.#messageRepo.getOpenTasks(TASKS_LIST_LIMIT).length;
     const pendingEvents = lastReport?.agenda?.evenements_proposes?.length || 0;
     
     if (pendingTasks > 0 || pendingEvents > 0) {
@@ -1100,3 +2467,15 @@ export class TelegramCommandHandler {
     return brief;
   }
 }
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * 2048 -> "2 Ko", 3145728 -> "3.0 Mo"
+ */
+function formatFileSize(bytes) {
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} Ko`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} Mo`;
+}
@@ -1,5 +1,24 @@
 import { Message } from '../domain/Message.js';
 
+// Sessions de conversation: inactive (idle) après 30 min sans message, close après 3 h
+export const CONVERSATION_IDLE_MS = 30 * 60 * 1000;
+export const CONVERSATION_CLOSE_MS = 3 * 60 * 60 * 1000;
+
+// Délimiteurs des termes trouvés dans les extraits de recherche (hors texte des messages)
+export const SEARCH_MARKERS = { start: '\u0002', end: '\u0003' };
+
+/**
+ * Convertit une saisie libre en requête FTS5: chaque mot est une recherche
+ * par préfixe (« factur » trouve « facture », « factures »), tous requis.
+ * Les opérateurs FTS5 de la saisie sont neutralisés.
+ * @param {string} text
+ * @returns {string|null} null si aucun mot cherchable
+ */
+function toFtsQuery(text) {
+  const words = String(text || '').match(/[\p{L}\p{N}]+/gu) || [];
+  return words.length ? words.map(word => `"${word}"*`).join(' ') : null;
+}
+
 export class MessageRepository {
   #db;
 
@@ -68,23 +87,150 @@ export class MessageRepository {
     `).run(Date.now(), phoneNumber);
   }
 
+  /**
+   * Définit le mode de réponse d'un contact (voir domain/ContactPolicy)
+   * Choisir une politique autre que 'ignore' débloque le contact.
+   * @param {number} contactId
+   * @param {'auto'|'approve'|'log'|'ignore'|null} mode - null = selon la catégorie
+   */
+  setContactReplyMode(contactId, mode) {
+    return this.#db.prepare(`
+      UPDATE contacts
+      SET reply_mode = ?, is_blocked = CASE WHEN ? = 'ignore' THEN is_blocked ELSE 0 END, updated_at = ?
+      WHERE id = ?
+    `).run(mode, mode, Date.now(), contactId);
+  }
+
+  /**
+   * Met à jour le profil d'un contact (VIP, ton, langue)
+   * @param {number} contactId
+   * @param {Object} profile
+   * @param {boolean} [profile.isVip]
+   * @param {string|null} [profile.tone] - Ton imposé aux réponses IA
+   * @param {string|null} [profile.language] - Langue imposée aux réponses IA
+   */
+  updateContactProfile(contactId, profile) {
+    const fields = {
+      is_vip: profile.isVip === undefined ? undefined : (profile.isVip ? 1 : 0),
+      reply_tone: profile.tone,
+      reply_language: profile.language
+    };
+    const updates = Object.entries(fields).filter(([, value]) => value !== undefined);
+    if (updates.length === 0) return null;
+
+    return this.#db.prepare(`
+      UPDATE contacts SET ${updates.map(([column]) => `${column} = ?`).join(', ')}, updated_at = ? WHERE id = ?
+    `).run(...updates.map(([, value]) => value), Date.now(), contactId);
+  }
+
+  /**
+   * Recherche des contacts par nom ou numéro (hors groupes)
+   * @param {string} query - Nom partiel, push name ou numéro
+   * @param {number} limit
+   */
+  findContacts(query, limit = 5) {
+    const pattern = `%${query.replace(/[%_]/g, '')}%`;
+    return this.#db.prepare(`
+      SELECT * FROM contacts
+      WHERE is_group = 0 AND (push_name LIKE ? OR display_name LIKE ? OR phone_number LIKE ?)
+      ORDER BY last_seen_at DESC
+      LIMIT ?
+    `).all(pattern, pattern, pattern, limit);
+  }
+
+  /**
+   * Contacts ayant une politique, un statut VIP ou une surcharge de ton/langue
+   */
+  getContactsWithPolicy() {
+    return this.#db.prepare(`
+      SELECT * FROM contacts
+      WHERE reply_mode IS NOT NULL OR is_blocked = 1 OR is_vip = 1
+        OR reply_tone IS NOT NULL OR reply_language IS NOT NULL
+      ORDER BY is_vip DESC, last_seen_at DESC
+    `).all();
+  }
+
   getAllContacts(limit = 100, offset = 0) {
     return this.#db.prepare(`
       SELECT * FROM contacts ORDER BY last_seen_at DESC LIMIT ? OFFSET ?
     `).all(limit, offset);
   }
 
+  // ============================================
+  // GROUPES
+  // ============================================
+
+  /**
+   * Groupes connus, les plus actifs récemment en premier
+   * @param {Object} options
+   * @param {string} [options.query] - Filtre sur le nom du groupe
+   * @param {number} [options.since] - Début de la période comptée dans `recent_messages`
+   * @param {number} [options.limit]
+   */
+  getGroups({ query = null, since = 0, limit = 20 } = {}) {
+    const pattern = query ? `%${query.replace(/[%_]/g, '')}%` : null;
+    return this.#db.prepare(`
+      SELECT c.*,
+        (SELECT COUNT(*) FROM messages m WHERE m.contact_id = c.id AND m.received_at >= ?) AS recent_messages
+      FROM contacts c
+      WHERE c.is_group = 1 AND (? IS NULL OR c.push_name LIKE ? OR c.display_name LIKE ?)
+      ORDER BY c.last_seen_at DESC
+      LIMIT ?
+    `).all(since, pattern, pattern, pattern, limit);
+  }
+
+  /**
+   * Groupe par ID interne, avec le nombre de messages enregistrés depuis `since`
+   */
+  getGroup(contactId, since = 0) {
+    return this.#db.prepare(`
+      SELECT c.*,
+        (SELECT COUNT(*) FROM messages m WHERE m.contact_id = c.id AND m.received_at >= ?) AS recent_messages
+      FROM contacts c
+      WHERE c.id = ? AND c.is_group = 1
+    `).get(since, contactId);
+  }
+
+  /**
+   * Mentions et réponses à l'utilisateur dans les groupes (par défaut depuis minuit)
+   * @param {number} [since]
+   * @returns {Array<{id, body, mention_type, received_at, group_name, author_name}>}
+   */
+  getGroupMentions(since = this.#getMidnightTimestamp()) {
+    return this.#db.prepare(`
+      SELECT m.id, m.body, m.mention_type, m.received_at,
+        COALESCE(g.push_name, g.display_name, g.phone_number) AS group_name,
+        COALESCE(a.push_name, a.display_name) AS author_name
+      FROM messages m
+      JOIN contacts g ON g.id = m.contact_id
+      LEFT JOIN contacts a ON a.id = m.author_contact_id
+      WHERE m.mention_type IS NOT NULL AND m.received_at >= ?
+      ORDER BY m.received_at ASC
+    `).all(since);
+  }
+
+  /**
+   * Définit le mode d'un groupe ('ignore', 'organizational', 'full' ou null = mode par défaut)
+   */
+  setGroupMode(contactId, mode) {
+    return this.#db.prepare(`
+      UPDATE contacts SET group_mode = ?, updated_at = ? WHERE id = ? AND is_group = 1
+    `).run(mode, Date.now(), contactId);
+  }
+
   // ============================================
   // MESSAGES
   // ============================================
 
   /**
    * Sauvegarde un message entrant AVANT le traitement IA
+   * (metadata.authorContactId: auteur d'un message de groupe, contactId étant le groupe;
+   * metadata.mentionType: 'mention' ou 'reply' si le message s'adresse à l'utilisateur)
    */
   saveIncomingMessage(message, contactId, metadata = {}) {
     const result = this.#db.prepare(`
-      INSERT INTO messages (message_id, contact_id, direction, body, media_type, media_url, is_forwarded, is_broadcast, quoted_message_id, received_at)
-      VALUES (?, ?, 'incoming', ?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO messages (message_id, contact_id, direction, body, media_type, media_url, is_forwarded, is_broadcast, quoted_message_id, author_contact_id, mention_type, received_at)
+      VALUES (?, ?, 'incoming', ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `).run(
       message.id,
       contactId,
@@ -94,6 +240,8 @@ export class MessageRepository {
       metadata.isForwarded ? 1 : 0,
       metadata.isBroadcast ? 1 : 0,
       metadata.quotedMessageId || null,
+      metadata.authorContactId || null,
+      metadata.mentionType || null,
       message.timestamp
     );
 
@@ -101,25 +249,106 @@ export class MessageRepository {
     if (!metadata.skipStatsUpdate) {
       this.updateContactStats(contactId, 'incoming');
     }
+    this.#touchConversation(contactId, message.timestamp);
 
     return result.lastInsertRowid;
   }
 
   /**
    * Sauvegarde un message sortant (réponse du bot)
+   * @param {Object} [media] - Pièce jointe ({ mediaType, mediaUrl })
    */
-  saveOutgoingMessage(messageId, contactId, body, timestamp) {
+  saveOutgoingMessage(messageId, contactId, body, timestamp, media = {}) {
     const result = this.#db.prepare(`
-      INSERT INTO messages (message_id, contact_id, direction, body, received_at)
-      VALUES (?, ?, 'outgoing', ?, ?)
-    `).run(messageId, contactId, body, timestamp);
+      INSERT INTO messages (message_id, contact_id, direction, body, media_type, media_url, received_at)
+      VALUES (?, ?, 'outgoing', ?, ?, ?, ?)
+    `).run(messageId, contactId, body, media.mediaType || null, media.mediaUrl || null, timestamp);
 
     // Update contact stats
     this.updateContactStats(contactId, 'outgoing');
+    this.#touchConversation(contactId, timestamp);
 
     return result.lastInsertRowid;
   }
 
+  // ============================================
+  // CONVERSATIONS (sessions par contact)
+  // ============================================
+
+  /**
+   * Rattache un message à la session en cours du contact, ou ouvre une nouvelle session
+   * si la précédente est close ou inactive depuis plus de CONVERSATION_CLOSE_MS
+   */
+  #touchConversation(contactId, timestamp) {
+    const current = this.#db.prepare(`
+      SELECT id, last_activity_at FROM conversations
+      WHERE contact_id = ? AND status != 'closed'
+      ORDER BY last_activity_at DESC LIMIT 1
+    `).get(contactId);
+
+    if (current && timestamp - current.last_activity_at < CONVERSATION_CLOSE_MS) {
+      this.#db.prepare(`
+        UPDATE conversations SET
+          message_count = message_count + 1,
+          last_activity_at = MAX(last_activity_at, ?),
+          status = 'active'
+        WHERE id = ?
+      `).run(timestamp, current.id);
+      return;
+    }
+
+    if (current) {
+      this.#db.prepare(`UPDATE conversations SET status = 'closed' WHERE id = ?`).run(current.id);
+    }
+    this.#db.prepare(`
+      INSERT INTO conversations (contact_id, started_at, last_activity_at, message_count, status)
+      VALUES (?, ?, ?, 1, 'active')
+    `).run(contactId, timestamp, timestamp);
+  }
+
+  /**
+   * Passe les sessions sans activité en idle puis en closed
+   * @returns {{idled: number, closed: number}}
+   */
+  updateConversationStatuses(now = Date.now()) {
+    const closed = this.#db.prepare(`
+      UPDATE conversations SET status = 'closed'
+      WHERE status != 'closed' AND last_activity_at <= ?
+    `).run(now - CONVERSATION_CLOSE_MS).changes;
+
+    const idled = this.#db.prepare(`
+      UPDATE conversations SET status = 'idle'
+      WHERE status = 'active' AND last_activity_at <= ?
+    `).run(now - CONVERSATION_IDLE_MS).changes;
+
+    return { idled, closed };
+  }
+
+  /**
+   * Nombre de sessions ouvertes (actives ou inactives) hors groupes
+   * @returns {{active: number, idle: number}}
+   */
+  countOpenConversations() {
+    const rows = this.#db.prepare(`
+      SELECT cv.status, COUNT(*) as count
+      FROM conversations cv
+      JOIN contacts c ON cv.contact_id = c.id
+      WHERE cv.status IN ('active', 'idle') AND c.is_group = 0
+      GROUP BY cv.status
+    `).all();
+    const counts = Object.fromEntries(rows.map(r => [r.status, r.count]));
+    return { active: counts.active || 0, idle: counts.idle || 0 };
+  }
+
+  /**
+   * Sessions d'un contact, les plus récentes d'abord
+   */
+  getConversationsByContact(contactId, limit = 10) {
+    return this.#db.prepare(`
+      SELECT * FROM conversations WHERE contact_id = ? ORDER BY started_at DESC LIMIT ?
+    `).all(contactId, limit);
+  }
+
   getMessageById(messageId) {
     return this.#db.prepare(`
       SELECT m.*, c.phone_number, c.push_name, c.display_name
@@ -243,6 +472,392 @@ export class MessageRepository {
     `).all(startDate, endDate);
   }
 
+  // ============================================
+  // RECHERCHE PLEIN TEXTE
+  // ============================================
+
+  /**
+   * Recherche dans l'historique des messages (FTS5), les plus récents d'abord
+   * @param {string} query - Mots cherchés (préfixes, accents ignorés)
+   * @param {Object} filters
+   * @param {number|string} filters.contact - ID du contact, ou nom / numéro (partiel)
+   * @param {number} filters.from - Timestamp minimum (inclus)
+   * @param {number} filters.to - Timestamp maximum (inclus)
+   * @param {'incoming'|'outgoing'} filters.direction
+   * @param {string} filters.category - Catégorie de l'analyse IA
+   * @param {number} filters.limit
+   * @param {number} filters.offset
+   * @returns {{ total: number, results: Array<Object> }} Résultats avec un extrait (voir SEARCH_MARKERS)
+   */
+  search(query, { contact = null, from = null, to = null, direction = null, category = null, limit = 10, offset = 0 } = {}) {
+    const match = toFtsQuery(query);
+    if (!match) return { total: 0, results: [] };
+
+    const conditions = ['messages_fts MATCH ?'];
+    const params = [match];
+
+    if (typeof contact === 'number') {
+      conditions.push('m.contact_id = ?');
+      params.push(contact);
+    } else if (contact) {
+      const pattern = `%${contact.replace(/[%_]/g, '')}%`;
+      conditions.push('(c.push_name LIKE ? OR c.display_name LIKE ? OR c.phone_number LIKE ?)');
+      params.push(pattern, pattern, pattern);
+    }
+    if (from != null) {
+      conditions.push('m.received_at >= ?');
+      params.push(from);
+    }
+    if (to != null) {
+      conditions.push('m.received_at <= ?');
+      params.push(to);
+    }
+    if (direction) {
+      conditions.push('m.direction = ?');
+      params.push(direction);
+    }
+    if (category) {
+      conditions.push('ma.category = ?');
+      params.push(category);
+    }
+
+    const source = `
+      FROM messages_fts
+      JOIN messages m ON m.id = messages_fts.rowid
+      JOIN contacts c ON c.id = m.contact_id
+      LEFT JOIN message_analysis ma ON ma.message_id = m.id
+      WHERE ${conditions.join(' AND ')}
+    `;
+
+    const total = this.#db.prepare(`SELECT COUNT(*) AS count ${source}`).get(...params).count;
+    const results = total === 0 ? [] : this.#db.prepare(`
+      SELECT m.id, m.message_id, m.contact_id, m.direction, m.body, m.received_at,
+        c.phone_number, c.push_name, c.display_name, ma.category,
+        snippet(messages_fts, 0, '${SEARCH_MARKERS.start}', '${SEARCH_MARKERS.end}', '…', 16) AS snippet
+      ${source}
+      ORDER BY m.received_at DESC, m.id DESC
+      LIMIT ? OFFSET ?
+    `).all(...params, limit, offset);
+
+    return { total, results };
+  }
+
+  // ============================================
+  // MÉMOIRE SÉMANTIQUE (embeddings)
+  // ============================================
+
+  /**
+   * Enregistre (ou remplace) l'embedding d'un message
+   * @param {Object} embedding
+   * @param {number} embedding.messageId - ID interne du message
+   * @param {number} embedding.contactId
+   * @param {string} embedding.model - Modèle d'embeddings
+   * @param {Buffer} embedding.vector - Vecteur Float32 sérialisé
+   * @param {number} embedding.dimensions
+   */
+  saveMessageEmbedding({ messageId, contactId, model, vector, dimensions }) {
+    this.#db.prepare(`
+      INSERT OR REPLACE INTO message_embeddings (message_id, contact_id, model, dimensions, vector, created_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(messageId, contactId, model, dimensions, vector, Date.now());
+  }
+
+  /**
+   * Messages pas encore indexés pour ce modèle, les plus récents d'abord
+   * @param {string} model
+   * @param {number} limit
+   * @param {number} minLength - Longueur minimale du texte (les "ok", "merci" n'apportent rien)
+   */
+  getMessagesWithoutEmbedding(model, limit = 50, minLength = 12) {
+    return this.#db.prepare(`
+      SELECT m.id, m.contact_id, m.body
+      FROM messages m
+      LEFT JOIN message_embeddings e ON e.message_id = m.id AND e.model = ?
+      WHERE e.message_id IS NULL AND length(trim(m.body)) >= ?
+      ORDER BY m.received_at DESC
+      LIMIT ?
+    `).all(model, minLength, limit);
+  }
+
+  /**
+   * Parcourt les embeddings d'un modèle sans tout charger en mémoire
+   * @param {string} model
+   * @param {Object} filters
+   * @param {number} filters.contactId - Limiter à un contact
+   * @param {number} filters.before - Messages reçus strictement avant ce timestamp
+   * @returns {Iterable<{message_id: number, vector: Buffer}>}
+   */
+  iterateMessageEmbeddings(model, { contactId = null, before = null } = {}) {
+    const conditions = ['e.model = ?'];
+    const params = [model];
+    if (contactId != null) {
+      conditions.push('e.contact_id = ?');
+      params.push(contactId);
+    }
+    if (before != null) {
+      conditions.push('m.received_at < ?');
+      params.push(before);
+    }
+
+    return this.#db.prepare(`
+      SELECT e.message_id, e.vector
+      FROM message_embeddings e
+      JOIN messages m ON m.id = e.message_id
+      WHERE ${conditions.join(' AND ')}
+    `).iterate(...params);
+  }
+
+  countMessageEmbeddings(model) {
+    return this.#db.prepare('SELECT COUNT(*) AS count FROM message_embeddings WHERE model = ?').get(model).count;
+  }
+
+  /**
+   * Messages (avec leur contact) à partir de leurs IDs internes
+   * @param {number[]} ids
+   */
+  getMessagesByInternalIds(ids) {
+    if (ids.length === 0) return [];
+    return this.#db.prepare(`
+      SELECT m.id, m.contact_id, m.direction, m.body, m.received_at,
+        c.phone_number, c.push_name, c.display_name
+      FROM messages m
+      JOIN contacts c ON c.id = m.contact_id
+      WHERE m.id IN (${ids.map(() => '?').join(', ')})
+    `).all(...ids);
+  }
+
+  // ============================================
+  // PROFILS DES CONTACTS (mémoire long terme)
+  // ============================================
+
+  /**
+   * Profil long terme d'un contact (listes désérialisées), null si jamais profilé
+   * @param {number} contactId
+   * @returns {Object|null}
+   */
+  getContactProfile(contactId) {
+    const row = this.#db.prepare('SELECT * FROM contact_profiles WHERE contact_id = ?').get(contactId);
+    return row ? this.#parseContactProfile(row) : null;
+  }
+
+  /**
+   * Profils de plusieurs contacts (rapport quotidien)
+   * @param {number[]} contactIds
+   */
+  getContactProfiles(contactIds) {
+    if (contactIds.length === 0) return [];
+    return this.#db.prepare(`
+      SELECT * FROM contact_profiles WHERE contact_id IN (${contactIds.map(() => '?').join(', ')})
+    `).all(...contactIds).map(row => this.#parseContactProfile(row));
+  }
+
+  /**
+   * Crée ou met à jour le profil d'un contact (seuls les champs fournis sont modifiés)
+   * @param {number} contactId
+   * @param {Object} profile
+   * @param {string|null} [profile.relationship]
+   * @param {string|null} [profile.language]
+   * @param {string|null} [profile.tone]
+   * @param {string[]} [profile.topics]
+   * @param {string[]} [profile.birthdays]
+   * @param {string[]} [profile.commitments]
+   * @param {string|null} [profile.notes]
+   * @param {string[]} [profile.lockedFields] - Champs corrigés à la main
+   * @param {number} [profile.lastMessageId] - Dernier message pris en compte par l'IA
+   * @param {number} [profile.summarizedAt]
+   */
+  saveContactProfile(contactId, profile) {
+    const json = (value) => (value === undefined ? undefined : JSON.stringify(value));
+    const fields = {
+      relationship: profile.relationship,
+      language: profile.language,
+      tone: profile.tone,
+      topics: json(profile.topics),
+      birthdays: json(profile.birthdays),
+      commitments: json(profile.commitments),
+      notes: profile.notes,
+      locked_fields: json(profile.lockedFields),
+      last_message_id: profile.lastMessageId,
+      summarized_at: profile.summarizedAt
+    };
+    const updates = Object.entries(fields).filter(([, value]) => value !== undefined);
+    const now = Date.now();
+
+    this.#db.transaction(() => {
+      this.#db.prepare(`
+        INSERT INTO contact_profiles (contact_id, updated_at) VALUES (?, ?)
+        ON CONFLICT(contact_id) DO NOTHING
+      `).run(contactId, now);
+
+      this.#db.prepare(`
+        UPDATE contact_profiles SET ${updates.map(([column]) => `${column} = ?, `).join('')}updated_at = ? WHERE contact_id = ?
+      `).run(...updates.map(([, value]) => value), now, contactId);
+    })();
+
+    return this.getContactProfile(contactId);
+  }
+
+  /**
+   * Contacts ayant au moins `minNewMessages` messages pas encore pris en compte
+   * dans leur profil (hors groupes et contacts bloqués), les plus actifs récemment d'abord
+   * @param {number} minNewMessages
+   * @param {number} limit
+   */
+  getContactsPendingProfileUpdate(minNewMessages = 5, limit = 5) {
+    return this.#db.prepare(`
+      SELECT c.id, COUNT(m.id) AS new_messages
+      FROM contacts c
+      JOIN messages m ON m.contact_id = c.id
+      LEFT JOIN contact_profiles p ON p.contact_id = c.id
+      WHERE c.is_group = 0 AND c.is_blocked = 0
+        AND m.id > COALESCE(p.last_message_id, 0)
+        AND trim(m.body) != ''
+      GROUP BY c.id
+      HAVING COUNT(m.id) >= ?
+      ORDER BY MAX(m.received_at) DESC
+      LIMIT ?
+    `).all(minNewMessages, limit);
+  }
+
+  /**
+   * Messages d'un contact postérieurs à un ID interne, dans l'ordre d'arrivée
+   * @param {number} contactId
+   * @param {number} afterId
+   * @param {number} limit
+   */
+  getContactMessagesAfter(contactId, afterId = 0, limit = 60) {
+    return this.#db.prepare(`
+      SELECT id, direction, body, received_at
+      FROM messages
+      WHERE contact_id = ? AND id > ? AND trim(body) != ''
+      ORDER BY id ASC
+      LIMIT ?
+    `).all(contactId, afterId, limit);
+  }
+
+  #parseContactProfile(row) {
+    return {
+      contactId: row.contact_id,
+      relationship: row.relationship,
+      language: row.language,
+      tone: row.tone,
+      topics: JSON.parse(row.topics),
+      birthdays: JSON.parse(row.birthdays),
+      commitments: JSON.parse(row.commitments),
+      notes: row.notes,
+      lockedFields: JSON.parse(row.locked_fields),
+      lastMessageId: row.last_message_id,
+      summarizedAt: row.summarized_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  // ============================================
+  // MÉDIAS (fichiers stockés, dédupliqués par sha256)
+  // ============================================
+
+  /**
+   * @param {string} sha256
+   * @returns {Object|null}
+   */
+  getMediaBySha256(sha256) {
+    return this.#db.prepare('SELECT * FROM media WHERE sha256 = ?').get(sha256) || null;
+  }
+
+  /**
+   * Enregistre un fichier (ou le réactive s'il est déjà connu)
+   * @param {Object} media
+   * @param {string} media.sha256
+   * @param {string} media.path
+   * @param {string} media.mimeType
+   * @param {number} media.sizeBytes
+   * @param {string} [media.originalFilename]
+   * @param {number} [now]
+   * @returns {Object} Ligne media
+   */
+  saveMedia({ sha256, path, mimeType, sizeBytes, originalFilename = null }, now = Date.now()) {
+    return this.#db.prepare(`
+      INSERT INTO media (sha256, path, mime_type, size_bytes, original_filename, created_at, last_seen_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(sha256) DO UPDATE SET
+        last_seen_at = excluded.last_seen_at,
+        original_filename = COALESCE(media.original_filename, excluded.original_filename)
+      RETURNING *
+    `).get(sha256, path, mimeType || null, sizeBytes, originalFilename, now, now);
+  }
+
+  /**
+   * Média d'un message (ID interne), avec le message et son contact
+   * @param {number} messageId
+   * @returns {Object|null}
+   */
+  getMessageMedia(messageId) {
+    return this.#db.prepare(`
+      SELECT md.*, m.id AS message_id, m.body, m.media_type, m.received_at,
+             c.phone_number, c.push_name, c.display_name
+      FROM messages m
+      JOIN media md ON md.path = m.media_url
+      JOIN contacts c ON c.id = m.contact_id
+      WHERE m.id = ?
+    `).get(messageId) || null;
+  }
+
+  /**
+   * Derniers messages avec un média encore stocké
+   * @param {Object} options
+   * @param {number} [options.contactId] - Limiter à un contact
+   * @param {number} [options.limit]
+   */
+  getRecentMediaMessages({ contactId = null, limit = 10 } = {}) {
+    return this.#db.prepare(`
+      SELECT m.id AS message_id, m.body, m.media_type, m.direction, m.received_at,
+             md.mime_type, md.size_bytes, md.original_filename,
+             c.phone_number, c.push_name, c.display_name
+      FROM messages m
+      JOIN media md ON md.path = m.media_url
+      JOIN contacts c ON c.id = m.contact_id
+      WHERE m.media_url IS NOT NULL AND (? IS NULL OR m.contact_id = ?)
+      ORDER BY m.received_at DESC
+      LIMIT ?
+    `).all(contactId, contactId, limit);
+  }
+
+  /**
+   * Médias candidats à la suppression, les moins récemment reçus d'abord
+   * @param {Object} options
+   * @param {number} [options.seenBefore] - Uniquement ceux reçus pour la dernière fois avant cette date
+   * @param {number} [options.limit]
+   */
+  getMediaForRetention({ seenBefore = null, limit = 100 } = {}) {
+    return this.#db.prepare(`
+      SELECT * FROM media
+      WHERE (? IS NULL OR last_seen_at < ?)
+      ORDER BY last_seen_at ASC, id ASC
+      LIMIT ?
+    `).all(seenBefore, seenBefore, limit);
+  }
+
+  /**
+   * @returns {{count: number, totalBytes: number}}
+   */
+  getMediaUsage() {
+    const row = this.#db.prepare('SELECT COUNT(*) AS count, COALESCE(SUM(size_bytes), 0) AS total FROM media').get();
+    return { count: row.count, totalBytes: row.total };
+  }
+
+  /**
+   * Oublie un média: les messages qui le référencent n'ont plus de fichier
+   * @param {number} id
+   */
+  deleteMedia(id) {
+    this.#db.transaction(() => {
+      const media = this.#db.prepare('SELECT path FROM media WHERE id = ?').get(id);
+      if (!media) return;
+      this.#db.prepare('UPDATE messages SET media_url = NULL WHERE media_url = ?').run(media.path);
+      this.#db.prepare('DELETE FROM media WHERE id = ?').run(id);
+    })();
+  }
+
   // ============================================
   // MESSAGE ANALYSIS
   // ============================================
@@ -266,7 +881,7 @@ export class MessageRepository {
       analysis.entities ? JSON.stringify(analysis.entities) : null,
       analysis.action || null,
       metadata.processingTime || null,
-      metadata.model || 'gpt-4o',
+      metadata.model || null,
       metadata.tokensUsed || null,
       Date.now()
     );
@@ -361,8 +976,9 @@ export class MessageRepository {
    * Génère les statistiques journalières
    */
   generateDailyStats(dateStr) {
-    const startOfDay = new Date(dateStr).setHours(0, 0, 0, 0);
-    const endOfDay = new Date(dateStr).setHours(23, 59, 59, 999);
+    // "YYYY-MM-DD" seul serait lu en UTC: forcer minuit heure locale
+    const startOfDay = new Date(`${dateStr}T00:00:00`).setHours(0, 0, 0, 0);
+    const endOfDay = new Date(`${dateStr}T00:00:00`).setHours(23, 59, 59, 999);
 
     const stats = this.#db.prepare(`
       SELECT
@@ -401,10 +1017,13 @@ export class MessageRepository {
       SELECT COUNT(*) as count FROM errors WHERE occurred_at BETWEEN ? AND ?
     `).get(startOfDay, endOfDay);
 
+    // Tous les appels IA de la journée (analyses, rapports, résumés...)
     const tokens = this.#db.prepare(`
-      SELECT SUM(tokens_used) as total FROM message_analysis WHERE analyzed_at BETWEEN ? AND ?
+      SELECT SUM(total_tokens) as total FROM ai_calls WHERE created_at BETWEEN ? AND ?
     `).get(startOfDay, endOfDay);
 
+    const responseTime = this.#getAverageResponseTime(startOfDay, endOfDay);
+
     return {
       date: dateStr,
       total_received: stats?.total_received || 0,
@@ -414,25 +1033,55 @@ export class MessageRepository {
       by_category: Object.fromEntries(byCategory.map(r => [r.category, r.count])),
       by_sentiment: Object.fromEntries(bySentiment.map(r => [r.sentiment, r.count])),
       errors_count: errors?.count || 0,
-      tokens_used: tokens?.total || 0
+      tokens_used: tokens?.total || 0,
+      avg_response_time_ms: responseTime
     };
   }
 
+  /**
+   * Délai moyen entre le premier message sans réponse d'un contact et la réponse suivante
+   * (les messages reçus en rafale avant la réponse ne comptent qu'une fois)
+   * @returns {number|null} Millisecondes, null si aucune réponse
+   */
+  #getAverageResponseTime(start, end) {
+    const row = this.#db.prepare(`
+      WITH thread AS (
+        SELECT contact_id, direction, received_at,
+          LAG(direction) OVER (PARTITION BY contact_id ORDER BY received_at) AS previous_direction
+        FROM messages
+        WHERE received_at <= ?
+      ),
+      waiting AS (
+        SELECT t.received_at,
+          (SELECT MIN(o.received_at) FROM messages o
+           WHERE o.contact_id = t.contact_id AND o.direction = 'outgoing' AND o.received_at > t.received_at) AS replied_at
+        FROM thread t
+        WHERE t.direction = 'incoming'
+          AND (t.previous_direction IS NULL OR t.previous_direction = 'outgoing')
+          AND t.received_at BETWEEN ? AND ?
+      )
+      SELECT AVG(replied_at - received_at) AS avg_ms FROM waiting WHERE replied_at IS NOT NULL
+    `).get(end, start, end);
+
+    return row?.avg_ms == null ? null : Math.round(row.avg_ms);
+  }
+
   /**
    * Sauvegarde les stats journalières
    */
   saveDailyStats(stats) {
     return this.#db.prepare(`
       INSERT OR REPLACE INTO daily_stats 
-        (date, total_messages_received, total_messages_sent, unique_contacts, 
+        (date, total_messages_received, total_messages_sent, unique_contacts, avg_response_time_ms,
          messages_by_urgency, messages_by_category, messages_by_sentiment, 
          errors_count, tokens_used, updated_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `).run(
       stats.date,
       stats.total_received,
       stats.total_sent,
       stats.unique_contacts,
+      stats.avg_response_time_ms ?? null,
       JSON.stringify(stats.by_urgency),
       JSON.stringify(stats.by_category),
       JSON.stringify(stats.by_sentiment),
@@ -527,6 +1176,7 @@ export class MessageRepository {
       
       if (!conversations[contactKey]) {
         conversations[contactKey] = {
+          contactId: msg.contact_id,
           contactName,
           phoneNumber: msg.phone_number,
           messages: [],
@@ -622,6 +1272,83 @@ export class MessageRepository {
     `).all(startDate, endDate);
   }
 
+  /**
+   * Contacts les plus actifs sur une période (hors groupes)
+   * @param {number} since - Timestamp de début
+   * @param {number} until - Timestamp de fin
+   */
+  getMostActiveContacts(since, until, limit = 5) {
+    return this.#db.prepare(`
+      SELECT c.id, c.phone_number, c.push_name, c.display_name,
+        COUNT(CASE WHEN m.direction = 'incoming' THEN 1 END) as received,
+        COUNT(CASE WHEN m.direction = 'outgoing' THEN 1 END) as sent
+      FROM messages m
+      JOIN contacts c ON m.contact_id = c.id
+      WHERE m.received_at BETWEEN ? AND ? AND c.is_group = 0
+      GROUP BY c.id
+      ORDER BY COUNT(*) DESC
+      LIMIT ?
+    `).all(since, until, limit);
+  }
+
+  // ============================================
+  // MESSAGES SANS RÉPONSE
+  // ============================================
+
+  /**
+   * Conversations en attente de réponse: dernier message reçu (pas de réponse depuis)
+   * Exclut groupes, contacts bloqués/ignorés et conversations ignorées via les rappels.
+   * @param {number} since - Messages plus anciens ignorés (timestamp)
+   * @returns {Array<Object>} Une ligne par contact, urgence max des messages en attente (1 à 4)
+   */
+  getPendingReplies(since) {
+    return this.#db.prepare(`
+      SELECT c.id AS contact_id, c.phone_number, c.push_name, c.display_name,
+        m.id AS message_id, m.body, m.received_at,
+        w.first_waiting_at, w.waiting_count, w.urgency_rank,
+        rr.status AS reminder_status, rr.snoozed_until
+      FROM contacts c
+      JOIN messages m ON m.id = (
+        SELECT id FROM messages WHERE contact_id = c.id ORDER BY received_at DESC, id DESC LIMIT 1
+      )
+      JOIN (
+        SELECT i.contact_id, MIN(i.received_at) AS first_waiting_at, COUNT(*) AS waiting_count,
+          MAX(CASE ma.urgency WHEN 'critical' THEN 4 WHEN 'high' THEN 3 WHEN 'low' THEN 1 ELSE 2 END) AS urgency_rank
+        FROM messages i
+        LEFT JOIN message_analysis ma ON ma.message_id = i.id
+        WHERE i.direction = 'incoming' AND i.received_at >= ?
+          AND i.received_at > COALESCE((
+            SELECT MAX(o.received_at) FROM messages o WHERE o.contact_id = i.contact_id AND o.direction = 'outgoing'
+          ), 0)
+        GROUP BY i.contact_id
+      ) w ON w.contact_id = c.id
+      LEFT JOIN reply_reminders rr ON rr.contact_id = c.id AND rr.message_id = m.id
+      WHERE m.direction = 'incoming'
+        AND c.is_group = 0 AND c.is_blocked = 0 AND COALESCE(c.reply_mode, '') != 'ignore'
+        AND (rr.status IS NULL OR rr.status != 'ignored')
+      ORDER BY w.first_waiting_at ASC
+    `).all(since);
+  }
+
+  /**
+   * Enregistre l'état du rappel pour le dernier message reçu d'un contact
+   * @param {number} contactId
+   * @param {number} messageId - ID interne du dernier message reçu
+   * @param {'reminded'|'snoozed'|'ignored'} status
+   * @param {number|null} snoozedUntil
+   */
+  setReplyReminder(contactId, messageId, status, snoozedUntil = null) {
+    return this.#db.prepare(`
+      INSERT INTO reply_reminders (contact_id, message_id, status, snoozed_until, updated_at)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(contact_id) DO UPDATE SET
+        message_id = excluded.message_id,
+        status = excluded.status,
+        snoozed_until = excluded.snoozed_until,
+        updated_at = excluded.updated_at
+    `).run(contactId, messageId, status, snoozedUntil, Date.now());
+  }
+
   /**
    * Statistiques globales
    */
@@ -651,6 +1378,481 @@ export class MessageRepository {
     `).all(limit);
   }
 
+  // ============================================
+  // AI CALLS (journal d'usage et de coût)
+  // ============================================
+
+  /**
+   * Enregistre une tentative d'appel IA
+   * @param {Object} call
+   * @param {string} call.purpose - analysis, briefing, extraction, compaction, report...
+   * @param {string} call.provider - Provider ayant traité l'appel
+   * @param {string} call.model - Modèle utilisé
+   * @param {number} [call.contactId] - Contact concerné
+   * @param {number} call.promptTokens
+   * @param {number} call.completionTokens
+   * @param {number} call.totalTokens
+   * @param {number} call.latencyMs
+   * @param {boolean} call.success
+   * @param {string} [call.error] - Message d'erreur si échec
+   * @param {number} call.costUsd - Coût estimé
+   */
+  saveAICall(call) {
+    return this.#db.prepare(`
+      INSERT INTO ai_calls
+        (purpose, provider, model, contact_id, prompt_tokens, completion_tokens, total_tokens, latency_ms, success, error_message, cost_usd, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      call.purpose,
+      call.provider,
+      call.model || null,
+      call.contactId || null,
+      call.promptTokens || 0,
+      call.completionTokens || 0,
+      call.totalTokens || 0,
+      call.latencyMs ?? null,
+      call.success ? 1 : 0,
+      call.error || null,
+      call.costUsd || 0,
+      call.createdAt || Date.now()
+    );
+  }
+
+  /**
+   * Totaux d'usage IA depuis un timestamp
+   * @param {number} since - Timestamp de début
+   * @returns {{calls: number, failures: number, tokens: number, cost: number}}
+   */
+  getAIUsageSince(since) {
+    const row = this.#db.prepare(`
+      SELECT
+        COUNT(*) as calls,
+        COUNT(CASE WHEN success = 0 THEN 1 END) as failures,
+        COALESCE(SUM(total_tokens), 0) as tokens,
+        COALESCE(SUM(cost_usd), 0) as cost
+      FROM ai_calls WHERE created_at >= ?
+    `).get(since);
+
+    return {
+      calls: row.calls,
+      failures: row.failures,
+      tokens: row.tokens,
+      cost: row.cost
+    };
+  }
+
+  /**
+   * Principaux consommateurs depuis un timestamp
+   * @param {number} since - Timestamp de début
+   * @param {number} limit - Nombre max par regroupement
+   * @returns {{byPurpose: Array, byModel: Array, byContact: Array}}
+   */
+  getAIUsageBreakdown(since, limit = 5) {
+    const byPurpose = this.#db.prepare(`
+      SELECT purpose, COUNT(*) as calls, SUM(total_tokens) as tokens, SUM(cost_usd) as cost
+      FROM ai_calls WHERE created_at >= ?
+      GROUP BY purpose ORDER BY cost DESC, tokens DESC LIMIT ?
+    `).all(since, limit);
+
+    const byModel = this.#db.prepare(`
+      SELECT provider, model, COUNT(*) as calls, SUM(total_tokens) as tokens, SUM(cost_usd) as cost
+      FROM ai_calls WHERE created_at >= ?
+      GROUP BY provider, model ORDER BY cost DESC, tokens DESC LIMIT ?
+    `).all(since, limit);
+
+    const byContact = this.#db.prepare(`
+      SELECT c.id, c.phone_number, c.push_name, c.display_name,
+        COUNT(*) as calls, SUM(a.total_tokens) as tokens, SUM(a.cost_usd) as cost
+      FROM ai_calls a
+      JOIN contacts c ON c.id = a.contact_id
+      WHERE a.created_at >= ?
+      GROUP BY c.id ORDER BY cost DESC, tokens DESC LIMIT ?
+    `).all(since, limit);
+
+    return { byPurpose, byModel, byContact };
+  }
+
+  // ============================================
+  // AI CACHE (réponses IA réutilisables)
+  // ============================================
+
+  /**
+   * Retourne une réponse en cache non expirée et incrémente son compteur
+   * @param {string} cacheKey - Clé provider:modèle:hash
+   * @param {number} now - Timestamp courant
+   * @returns {Object|undefined}
+   */
+  getAICacheEntry(cacheKey, now = Date.now()) {
+    return this.#db.prepare(`
+      UPDATE ai_cache SET hits = hits + 1
+      WHERE cache_key = ? AND expires_at > ?
+      RETURNING *
+    `).get(cacheKey, now);
+  }
+
+  /**
+   * Enregistre (ou remplace) une réponse en cache
+   */
+  saveAICacheEntry(entry) {
+    return this.#db.prepare(`
+      INSERT INTO ai_cache (cache_key, provider, model, purpose, response_text, hits, created_at, expires_at)
+      VALUES (?, ?, ?, ?, ?, 0, ?, ?)
+      ON CONFLICT(cache_key) DO UPDATE SET
+        response_text = excluded.response_text,
+        hits = 0,
+        created_at = excluded.created_at,
+        expires_at = excluded.expires_at
+    `).run(
+      entry.cacheKey,
+      entry.provider,
+      entry.model || null,
+      entry.purpose || null,
+      entry.responseText,
+      entry.createdAt,
+      entry.expiresAt
+    );
+  }
+
+  /**
+   * Supprime les entrées expirées
+   * @returns {number} Nombre d'entrées supprimées
+   */
+  purgeExpiredAICache(now = Date.now()) {
+    return this.#db.prepare(`DELETE FROM ai_cache WHERE expires_at <= ?`).run(now).changes;
+  }
+
+  countAICacheEntries(now = Date.now()) {
+    return this.#db.prepare(`SELECT COUNT(*) as count FROM ai_cache WHERE expires_at > ?`).get(now).count;
+  }
+
+  // ============================================
+  // TÂCHES (cycle de vie, voir domain/Task)
+  // ============================================
+
+  /**
+   * Enregistre une tâche vue dans un rapport, ou rattache-la à la tâche existante
+   * Une tâche ouverte/planifiée, ou traitée depuis moins de `dedupWindowMs`, n'est pas recréée.
+   * @param {Object} task
+   * @param {string} task.key - Voir domain/Task.taskKey
+   * @param {string} task.title
+   * @param {string} [task.description]
+   * @param {string} [task.priority]
+   * @param {string} [task.dueDate] - Échéance telle qu'extraite (texte libre)
+   * @param {string} [task.source]
+   * @param {number} [task.contactId]
+   * @param {number} [task.sourceMessageId]
+   * @param {number} [task.reportId]
+   * @param {Object} options
+   * @param {number} options.dedupWindowMs - Durée pendant laquelle une tâche traitée n'est pas reproposée
+   * @param {number} options.now
+   * @returns {{id: number, created: boolean, status: string}}
+   */
+  upsertReportTask(task, { dedupWindowMs = 30 * 24 * 60 * 60 * 1000, now = Date.now() } = {}) {
+    const existing = this.#db.prepare(`
+      SELECT id, status FROM tasks
+      WHERE task_key = ?
+        AND (status IN ('open', 'scheduled') OR completed_at > ?)
+      ORDER BY created_at DESC
+      LIMIT 1
+    `).get(task.key, now - dedupWindowMs);
+
+    if (existing) {
+      this.#db.prepare(`
+        UPDATE tasks SET
+          seen_count = seen_count + 1,
+          last_seen_at = ?,
+          due_date = COALESCE(?, due_date),
+          contact_id = COALESCE(contact_id, ?),
+          source_message_id = COALESCE(source_message_id, ?)
+        WHERE id = ?
+      `).run(now, task.dueDate || null, task.contactId || null, task.sourceMessageId || null, existing.id);
+      return { id: existing.id, created: false, status: existing.status };
+    }
+
+    const result = this.#db.prepare(`
+      INSERT INTO tasks (
+        task_key, title, description, priority, due_date, status, source,
+        contact_id, source_message_id, report_id, created_at, updated_at, last_seen_at
+      ) VALUES (?, ?, ?, ?, ?, 'open', ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      task.key,
+      task.title,
+      task.description || null,
+      task.priority || 'moyenne',
+      task.dueDate || null,
+      task.source || null,
+      task.contactId || null,
+      task.sourceMessageId || null,
+      task.reportId || null,
+      now,
+      now,
+      now
+    );
+    return { id: Number(result.lastInsertRowid), created: true, status: 'open' };
+  }
+
+  getTaskById(id) {
+    return this.#db.prepare(`SELECT * FROM tasks WHERE id = ?`).get(id);
+  }
+
+  /**
+   * Tâches à faire (ouvertes ou planifiées), hors tâches reportées
+   */
+  getOpenTasks(limit = 20, now = Date.now()) {
+    return this.#db.prepare(`
+      SELECT * FROM tasks
+      WHERE status IN ('open', 'scheduled')
+        AND (snoozed_until IS NULL OR snoozed_until <= ?)
+      ORDER BY
+        CASE status WHEN 'open' THEN 0 ELSE 1 END,
+        CASE priority WHEN 'haute' THEN 0 WHEN 'moyenne' THEN 1 ELSE 2 END,
+        created_at
+      LIMIT ?
+    `).all(now, limit);
+  }
+
+  /**
+   * Tâches que les rapports ne doivent pas reproposer: traitées récemment ou reportées
+   * @returns {Array<{task_key: string, title: string}>}
+   */
+  getSuppressedTasks({ dedupWindowMs = 30 * 24 * 60 * 60 * 1000, now = Date.now() } = {}) {
+    return this.#db.prepare(`
+      SELECT task_key, title FROM tasks
+      WHERE (status IN ('done', 'dismissed') AND completed_at > ?)
+        OR (status IN ('open', 'scheduled') AND snoozed_until > ?)
+      ORDER BY updated_at DESC
+    `).all(now - dedupWindowMs, now);
+  }
+
+  /**
+   * Change le statut d'une tâche (fait/ignoré => date de traitement)
+   * @param {number} id
+   * @param {'open'|'scheduled'|'done'|'dismissed'} status
+   */
+  updateTaskStatus(id, status) {
+    const now = Date.now();
+    return this.#db.prepare(`
+      UPDATE tasks SET
+        status = ?,
+        completed_at = CASE WHEN ? IN ('done', 'dismissed') THEN ? ELSE NULL END,
+        snoozed_until = NULL,
+        updated_at = ?
+      WHERE id = ?
+    `).run(status, status, now, now, id);
+  }
+
+  /**
+   * Reporte une tâche: masquée de /tasks et des rapports jusqu'à `until`
+   */
+  snoozeTask(id, until) {
+    return this.#db.prepare(`
+      UPDATE tasks SET snoozed_until = ?, updated_at = ? WHERE id = ?
+    `).run(until, Date.now(), id);
+  }
+
+  /**
+   * Contacts (hors groupes) dont le nom correspond exactement; plusieurs en cas d'homonymes
+   */
+  findContactsByName(name) {
+    return this.#db.prepare(`
+      SELECT * FROM contacts
+      WHERE is_group = 0 AND (push_name = ? COLLATE NOCASE OR display_name = ? COLLATE NOCASE)
+      ORDER BY last_seen_at DESC
+    `).all(name, name);
+  }
+
+  /**
+   * Tâches ouvertes liées à un contact (engagements en cours)
+   */
+  getOpenTasksByContact(contactId, limit = 5) {
+    return this.#db.prepare(`
+      SELECT * FROM tasks
+      WHERE contact_id = ? AND status IN ('open', 'scheduled')
+      ORDER BY last_seen_at DESC
+      LIMIT ?
+    `).all(contactId, limit);
+  }
+
+  /**
+   * ID du dernier message reçu d'un contact
+   */
+  getLatestIncomingMessageId(contactId) {
+    return this.#db.prepare(`
+      SELECT id FROM messages WHERE contact_id = ? AND direction = 'incoming'
+      ORDER BY received_at DESC LIMIT 1
+    `).get(contactId)?.id ?? null;
+  }
+
+  // ============================================
+  // ARCHIVE DES RAPPORTS
+  // ============================================
+
+  /**
+   * Archive un rapport généré
+   * @param {Object} report
+   * @param {string} report.kind - 'daily' (défaut)
+   * @param {string} report.reportDate - Jour couvert (YYYY-MM-DD, heure locale)
+   * @param {string} report.formatted - HTML envoyé sur Telegram
+   * @param {Object|null} report.raw - JSON brut de l'IA
+   * @param {Object|null} report.stats - Statistiques du jour
+   * @param {string|null} report.provider
+   * @param {string|null} report.model
+   * @returns {number} ID du rapport
+   */
+  saveReport(report) {
+    const result = this.#db.prepare(`
+      INSERT INTO reports (kind, report_date, formatted, raw_json, stats_json, provider, model, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      report.kind || 'daily',
+      report.reportDate,
+      report.formatted,
+      report.raw ? JSON.stringify(report.raw) : null,
+      report.stats ? JSON.stringify(report.stats) : null,
+      report.provider || null,
+      report.model || null,
+      report.createdAt || Date.now()
+    );
+    return result.lastInsertRowid;
+  }
+
+  getReportById(id) {
+    return this.#parseReport(this.#db.prepare(`SELECT * FROM reports WHERE id = ?`).get(id));
+  }
+
+  /**
+   * Dernier rapport archivé (le plus récent du jour si une date est donnée)
+   * @param {Object} options
+   * @param {string} options.kind
+   * @param {string} [options.date] - YYYY-MM-DD
+   */
+  getLatestReport({ kind = 'daily', date = null } = {}) {
+    const row = date
+      ? this.#db.prepare(`
+          SELECT * FROM reports WHERE kind = ? AND report_date = ? ORDER BY created_at DESC, id DESC LIMIT 1
+        `).get(kind, date)
+      : this.#db.prepare(`
+          SELECT * FROM reports WHERE kind = ? ORDER BY created_at DESC, id DESC LIMIT 1
+        `).get(kind);
+    return this.#parseReport(row);
+  }
+
+  /**
+   * Rapports archivés entre deux dates (YYYY-MM-DD incluses), données brutes comprises
+   */
+  getReportsInRange(startDate, endDate, kind = 'daily') {
+    return this.#db.prepare(`
+      SELECT * FROM reports WHERE kind = ? AND report_date BETWEEN ? AND ? ORDER BY created_at ASC
+    `).all(kind, startDate, endDate).map(row => this.#parseReport(row));
+  }
+
+  /**
+   * Liste des rapports archivés, sans le contenu
+   */
+  getRecentReports(limit = 10, kind = 'daily') {
+    return this.#db.prepare(`
+      SELECT id, kind, report_date, stats_json, provider, model, created_at, raw_json IS NOT NULL as has_ai
+      FROM reports WHERE kind = ?
+      ORDER BY created_at DESC, id DESC
+      LIMIT ?
+    `).all(kind, limit).map(row => ({
+      id: row.id,
+      kind: row.kind,
+      reportDate: row.report_date,
+      stats: row.stats_json ? JSON.parse(row.stats_json) : null,
+      provider: row.provider,
+      model: row.model,
+      hasAI: row.has_ai === 1,
+      createdAt: row.created_at
+    }));
+  }
+
+  #parseReport(row) {
+    if (!row) return null;
+    return {
+      id: row.id,
+      kind: row.kind,
+      reportDate: row.report_date,
+      formatted: row.formatted,
+      raw: row.raw_json ? JSON.parse(row.raw_json) : null,
+      stats: row.stats_json ? JSON.parse(row.stats_json) : null,
+      provider: row.provider,
+      model: row.model,
+      createdAt: row.created_at
+    };
+  }
+
+  // ============================================
+  // TELEGRAM SESSIONS & ÉTAT APPLICATIF (survivent aux redémarrages)
+  // ============================================
+
+  /**
+   * Enregistre (ou remplace) un élément Telegram en attente
+   * @param {Object} session
+   * @param {string} session.id - ID de l'élément (ex: 'evt_k2x9')
+   * @param {string} session.step - Étape courante du workflow
+   * @param {Object} session.payload - État complet, sérialisé en JSON
+   * @param {number} session.createdAt
+   * @param {number} session.expiresAt
+   */
+  saveTelegramSession(session) {
+    return this.#db.prepare(`
+      INSERT INTO telegram_sessions (id, step, payload, created_at, expires_at)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(id) DO UPDATE SET
+        step = excluded.step,
+        payload = excluded.payload,
+        expires_at = excluded.expires_at
+    `).run(session.id, session.step, JSON.stringify(session.payload), session.createdAt, session.expiresAt);
+  }
+
+  /**
+   * Éléments en attente non expirés (payload encore sérialisé)
+   */
+  getActiveTelegramSessions(now = Date.now()) {
+    return this.#db.prepare(`
+      SELECT * FROM telegram_sessions WHERE expires_at > ? ORDER BY created_at
+    `).all(now);
+  }
+
+  deleteTelegramSession(id) {
+    return this.#db.prepare(`DELETE FROM telegram_sessions WHERE id = ?`).run(id);
+  }
+
+  /**
+   * Supprime les éléments expirés
+   * @returns {number} Nombre d'éléments supprimés
+   */
+  purgeExpiredTelegramSessions(now = Date.now()) {
+    return this.#db.prepare(`DELETE FROM telegram_sessions WHERE expires_at <= ?`).run(now).changes;
+  }
+
+  /**
+   * Lit une valeur d'état applicatif (JSON)
+   * @param {string} key
+   * @returns {{value: *, updatedAt: number}|null}
+   */
+  getAppState(key) {
+    const row = this.#db.prepare(`SELECT value, updated_at FROM app_state WHERE key = ?`).get(key);
+    return row ? { value: JSON.parse(row.value), updatedAt: row.updated_at } : null;
+  }
+
+  /**
+   * Enregistre une valeur d'état applicatif (null = suppression)
+   * @param {string} key
+   * @param {*} value - Sérialisable en JSON
+   */
+  setAppState(key, value) {
+    if (value === null || value === undefined) {
+      return this.#db.prepare(`DELETE FROM app_state WHERE key = ?`).run(key);
+    }
+
+    return this.#db.prepare(`
+      INSERT INTO app_state (key, value, updated_at) VALUES (?, ?, ?)
+      ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+    `).run(key, JSON.stringify(value), Date.now());
+  }
+
   // ============================================
   // LEGACY SUPPORT (pour compatibilité avec l'ancien code)
   // ============================================
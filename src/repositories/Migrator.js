@@ -0,0 +1,236 @@
+/**
+ * Migrator - Migrations de schéma versionnées
+ *
+ * Source unique de vérité pour le schéma SQLite, utilisée à la fois par
+ * SQLiteDatabase.init() et par scripts/migrate-db.js. Chaque migration
+ * appliquée est enregistrée dans la table schema_migrations avec sa checksum,
+ * ce qui permet de connaître la version exacte d'une base et de détecter une
+ * migration modifiée après coup.
+ *
+ * @module repositories/Migrator
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import { MIGRATIONS } from './migrations/index.js';
+import { DatabaseError } from '../utils/Errors.js';
+
+const MIGRATION_FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.js$/;
+
+export class Migrator {
+  #db;
+  #migrations;
+
+  /**
+   * @param {Object} db - Connexion better-sqlite3 (ou objet exposant exec/prepare/transaction)
+   * @param {Array} migrations - Liste des migrations (défaut: registre du projet)
+   */
+  constructor(db, migrations = MIGRATIONS) {
+    this.#db = db;
+    this.#migrations = migrations
+      .map(m => this.#describe(m))
+      .sort((a, b) => a.version - b.version);
+
+    this.#assertUniqueVersions();
+    this.#ensureTable();
+  }
+
+  /**
+   * Version actuelle du schéma (0 si aucune migration appliquée)
+   * @returns {number}
+   */
+  getCurrentVersion() {
+    const row = this.#db.prepare('SELECT MAX(version) as version FROM schema_migrations').get();
+    return row?.version || 0;
+  }
+
+  /**
+   * État de chaque migration connue ou appliquée
+   * @returns {Array<{version: number, name: string, status: string, checksum: string, appliedAt: number|null}>}
+   *   status: 'applied' | 'pending' | 'modified' (checksum différente) | 'missing' (fichier absent)
+   */
+  getStatus() {
+    const applied = this.#getAppliedMap();
+    const status = this.#migrations.map(m => {
+      const row = applied.get(m.version);
+      applied.delete(m.version);
+
+      let state = 'pending';
+      if (row) {
+        state = row.checksum === m.checksum ? 'applied' : 'modified';
+      }
+
+      return {
+        version: m.version,
+        name: m.name,
+        status: state,
+        checksum: m.checksum,
+        appliedAt: row?.applied_at || null
+      };
+    });
+
+    // Migrations présentes en base mais absentes du code (ex: retour à une ancienne version)
+    for (const row of applied.values()) {
+      status.push({
+        version: row.version,
+        name: row.name,
+        status: 'missing',
+        checksum: row.checksum,
+        appliedAt: row.applied_at
+      });
+    }
+
+    return status.sort((a, b) => a.version - b.version);
+  }
+
+  /**
+   * Migrations pas encore appliquées
+   * @returns {Array<{version: number, name: string}>}
+   */
+  getPending() {
+    const applied = this.#getAppliedMap();
+    return this.#migrations
+      .filter(m => !applied.has(m.version))
+      .map(({ version, name }) => ({ version, name }));
+  }
+
+  /**
+   * Applique toutes les migrations en attente, chacune dans sa transaction
+   * @param {Object} options
+   * @param {boolean} options.dryRun - Liste les migrations sans les appliquer
+   * @returns {Array<{version: number, name: string}>} Migrations appliquées (ou à appliquer)
+   * @throws {DatabaseError} Si une migration déjà appliquée a été modifiée ou si une étape échoue
+   */
+  migrate({ dryRun = false } = {}) {
+    const modified = this.getStatus().filter(s => s.status === 'modified');
+    if (modified.length > 0) {
+      const list = modified.map(m => `${m.version} (${m.name})`).join(', ');
+      throw new DatabaseError(`Applied migrations have been modified since they ran: ${list}`);
+    }
+
+    const applied = this.#getAppliedMap();
+    const pending = this.#migrations.filter(m => !applied.has(m.version));
+
+    if (dryRun) {
+      return pending.map(({ version, name }) => ({ version, name }));
+    }
+
+    const record = this.#db.prepare(`
+      INSERT INTO schema_migrations (version, name, checksum, applied_at)
+      VALUES (?, ?, ?, ?)
+    `);
+
+    for (const migration of pending) {
+      try {
+        this.#db.transaction(() => {
+          migration.up(this.#db);
+          record.run(migration.version, migration.name, migration.checksum, Date.now());
+        })();
+      } catch (error) {
+        throw new DatabaseError(
+          `Migration ${migration.version} (${migration.name}) failed: ${error.message}`,
+          { cause: error }
+        );
+      }
+    }
+
+    return pending.map(({ version, name }) => ({ version, name }));
+  }
+
+  /**
+   * Annule les N dernières migrations appliquées (ordre inverse)
+   * @param {number} steps - Nombre de migrations à annuler
+   * @param {Object} options
+   * @param {boolean} options.dryRun - Liste les migrations sans les annuler
+   * @returns {Array<{version: number, name: string}>} Migrations annulées (ou à annuler)
+   * @throws {DatabaseError} Si le fichier d'une migration à annuler est introuvable
+   */
+  rollback(steps = 1, { dryRun = false } = {}) {
+    const rows = this.#db.prepare(`
+      SELECT version, name FROM schema_migrations ORDER BY version DESC LIMIT ?
+    `).all(Math.max(0, steps));
+
+    const targets = rows.map(row => {
+      const migration = this.#migrations.find(m => m.version === row.version);
+      if (!migration) {
+        throw new DatabaseError(`Cannot roll back migration ${row.version} (${row.name}): file not found`);
+      }
+      return migration;
+    });
+
+    if (dryRun) {
+      return targets.map(({ version, name }) => ({ version, name }));
+    }
+
+    const forget = this.#db.prepare('DELETE FROM schema_migrations WHERE version = ?');
+
+    for (const migration of targets) {
+      try {
+        this.#db.transaction(() => {
+          migration.down(this.#db);
+          forget.run(migration.version);
+        })();
+      } catch (error) {
+        throw new DatabaseError(
+          `Rollback of migration ${migration.version} (${migration.name}) failed: ${error.message}`,
+          { cause: error }
+        );
+      }
+    }
+
+    return targets.map(({ version, name }) => ({ version, name }));
+  }
+
+  // ============================================
+  // MÉTHODES PRIVÉES
+  // ============================================
+
+  #ensureTable() {
+    this.#db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        checksum TEXT NOT NULL,
+        applied_at INTEGER NOT NULL
+      )
+    `);
+  }
+
+  #getAppliedMap() {
+    const rows = this.#db.prepare('SELECT * FROM schema_migrations ORDER BY version ASC').all();
+    return new Map(rows.map(row => [row.version, row]));
+  }
+
+  /**
+   * Déduit version, nom et checksum d'une migration à partir de son fichier
+   */
+  #describe(migration) {
+    const match = MIGRATION_FILE_PATTERN.exec(migration.file);
+    if (!match) {
+      throw new DatabaseError(`Invalid migration file name: ${migration.file} (expected NNN_name.js)`);
+    }
+    if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+      throw new DatabaseError(`Migration ${migration.file} must export up() and down()`);
+    }
+
+    const source = migration.path ? fs.readFileSync(migration.path) : migration.file + migration.up + migration.down;
+
+    return {
+      version: parseInt(match[1], 10),
+      name: match[2],
+      checksum: crypto.createHash('sha256').update(source).digest('hex'),
+      up: migration.up,
+      down: migration.down
+    };
+  }
+
+  #assertUniqueVersions() {
+    const seen = new Set();
+    for (const m of this.#migrations) {
+      if (seen.has(m.version)) {
+        throw new DatabaseError(`Duplicate migration version: ${m.version}`);
+      }
+      seen.add(m.version);
+    }
+  }
+}
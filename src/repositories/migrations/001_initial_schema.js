@@ -0,0 +1,229 @@
+/**
+ * Migration 001 - Schéma initial de C.A.R.L.
+ *
+ * Reprend le schéma historique créé par SQLiteDatabase.init() et les étapes
+ * de l'ancien scripts/migrate-db.js. Toutes les instructions utilisent
+ * IF NOT EXISTS pour pouvoir s'appliquer sur une base de production existante
+ * (créée avant l'introduction de schema_migrations).
+ *
+ * @module repositories/migrations/001_initial_schema
+ */
+
+/**
+ * @param {import('better-sqlite3').Database} db
+ */
+export function up(db) {
+  // Ancien schéma: la table conversations avait une colonne sender_id
+  const conversationsInfo = db.prepare('PRAGMA table_info(conversations)').all();
+  if (conversationsInfo.some(col => col.name === 'sender_id')) {
+    db.exec('DROP TABLE conversations');
+  }
+  db.exec('DROP TABLE IF EXISTS conversations_old');
+
+  // ============================================
+  // TABLE: contacts - Informations sur les contacts
+  // ============================================
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS contacts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      phone_number TEXT UNIQUE NOT NULL,
+      display_name TEXT,
+      push_name TEXT,
+      is_group INTEGER DEFAULT 0,
+      is_blocked INTEGER DEFAULT 0,
+      first_seen_at INTEGER NOT NULL,
+      last_seen_at INTEGER NOT NULL,
+      total_messages_received INTEGER DEFAULT 0,
+      total_messages_sent INTEGER DEFAULT 0,
+      created_at INTEGER DEFAULT (strftime('%s', 'now') * 1000),
+      updated_at INTEGER DEFAULT (strftime('%s', 'now') * 1000)
+    )
+  `);
+
+  // ============================================
+  // TABLE: messages - Tous les messages reçus (AVANT traitement IA)
+  // ============================================
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS messages (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      message_id TEXT UNIQUE NOT NULL,
+      contact_id INTEGER NOT NULL,
+      direction TEXT NOT NULL CHECK(direction IN ('incoming', 'outgoing')),
+      body TEXT NOT NULL,
+      media_type TEXT,
+      media_url TEXT,
+      is_forwarded INTEGER DEFAULT 0,
+      is_broadcast INTEGER DEFAULT 0,
+      quoted_message_id TEXT,
+      received_at INTEGER NOT NULL,
+      created_at INTEGER DEFAULT (strftime('%s', 'now') * 1000),
+      FOREIGN KEY (contact_id) REFERENCES contacts(id)
+    )
+  `);
+
+  // ============================================
+  // TABLE: message_analysis - Résultats de l'analyse IA
+  // ============================================
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS message_analysis (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      message_id INTEGER UNIQUE NOT NULL,
+      intent TEXT,
+      urgency TEXT CHECK(urgency IN ('low', 'medium', 'high', 'critical')),
+      category TEXT,
+      sentiment TEXT CHECK(sentiment IN ('positive', 'neutral', 'negative', 'mixed')),
+      confidence REAL,
+      keywords TEXT,
+      entities TEXT,
+      action_required TEXT,
+      processing_time_ms INTEGER,
+      model_used TEXT,
+      tokens_used INTEGER,
+      analyzed_at INTEGER NOT NULL,
+      created_at INTEGER DEFAULT (strftime('%s', 'now') * 1000),
+      FOREIGN KEY (message_id) REFERENCES messages(id)
+    )
+  `);
+
+  // ============================================
+  // TABLE: responses - Réponses envoyées par le bot
+  // ============================================
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS responses (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      message_id INTEGER NOT NULL,
+      response_text TEXT NOT NULL,
+      response_type TEXT DEFAULT 'auto',
+      sent_at INTEGER NOT NULL,
+      delivery_status TEXT DEFAULT 'sent',
+      created_at INTEGER DEFAULT (strftime('%s', 'now') * 1000),
+      FOREIGN KEY (message_id) REFERENCES messages(id)
+    )
+  `);
+
+  // ============================================
+  // TABLE: conversations - Sessions de conversation
+  // ============================================
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS conversations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      contact_id INTEGER NOT NULL,
+      started_at INTEGER NOT NULL,
+      last_activity_at INTEGER NOT NULL,
+      message_count INTEGER DEFAULT 0,
+      status TEXT DEFAULT 'active' CHECK(status IN ('active', 'idle', 'closed')),
+      topic TEXT,
+      created_at INTEGER DEFAULT (strftime('%s', 'now') * 1000),
+      FOREIGN KEY (contact_id) REFERENCES contacts(id)
+    )
+  `);
+
+  // ============================================
+  // TABLE: errors - Log des erreurs de traitement
+  // ============================================
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS errors (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      message_id INTEGER,
+      error_type TEXT NOT NULL,
+      error_message TEXT NOT NULL,
+      error_stack TEXT,
+      occurred_at INTEGER NOT NULL,
+      resolved INTEGER DEFAULT 0,
+      created_at INTEGER DEFAULT (strftime('%s', 'now') * 1000),
+      FOREIGN KEY (message_id) REFERENCES messages(id)
+    )
+  `);
+
+  // ============================================
+  // TABLE: daily_stats - Statistiques journalières agrégées
+  // ============================================
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS daily_stats (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      date TEXT UNIQUE NOT NULL,
+      total_messages_received INTEGER DEFAULT 0,
+      total_messages_sent INTEGER DEFAULT 0,
+      unique_contacts INTEGER DEFAULT 0,
+      avg_response_time_ms INTEGER,
+      messages_by_urgency TEXT,
+      messages_by_category TEXT,
+      messages_by_sentiment TEXT,
+      errors_count INTEGER DEFAULT 0,
+      tokens_used INTEGER DEFAULT 0,
+      created_at INTEGER DEFAULT (strftime('%s', 'now') * 1000),
+      updated_at INTEGER DEFAULT (strftime('%s', 'now') * 1000)
+    )
+  `);
+
+  // ============================================
+  // TABLE: actions - Actions effectuées (calendar, notifications, etc.)
+  // ============================================
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS actions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      message_id INTEGER NOT NULL,
+      action_type TEXT NOT NULL,
+      action_data TEXT,
+      status TEXT DEFAULT 'pending' CHECK(status IN ('pending', 'completed', 'failed')),
+      executed_at INTEGER,
+      result TEXT,
+      created_at INTEGER DEFAULT (strftime('%s', 'now') * 1000),
+      FOREIGN KEY (message_id) REFERENCES messages(id)
+    )
+  `);
+
+  // ============================================
+  // TABLE: settings - Configuration persistante
+  // ============================================
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS settings (
+      key TEXT PRIMARY KEY,
+      value TEXT,
+      description TEXT,
+      updated_at INTEGER DEFAULT (strftime('%s', 'now') * 1000)
+    )
+  `);
+
+  // ============================================
+  // INDEXES pour optimiser les requêtes
+  // ============================================
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_messages_contact_id ON messages(contact_id);
+    CREATE INDEX IF NOT EXISTS idx_messages_received_at ON messages(received_at);
+    -- ⚡ Bolt: Composite index to optimize frequent chat history lookups (filtering by contact + sorting by time)
+    CREATE INDEX IF NOT EXISTS idx_messages_contact_received ON messages(contact_id, received_at DESC);
+    CREATE INDEX IF NOT EXISTS idx_messages_direction ON messages(direction);
+    CREATE INDEX IF NOT EXISTS idx_messages_message_id ON messages(message_id);
+    CREATE INDEX IF NOT EXISTS idx_message_analysis_urgency ON message_analysis(urgency);
+    CREATE INDEX IF NOT EXISTS idx_message_analysis_category ON message_analysis(category);
+    CREATE INDEX IF NOT EXISTS idx_message_analysis_sentiment ON message_analysis(sentiment);
+    CREATE INDEX IF NOT EXISTS idx_contacts_phone ON contacts(phone_number);
+    CREATE INDEX IF NOT EXISTS idx_contacts_last_seen ON contacts(last_seen_at);
+    CREATE INDEX IF NOT EXISTS idx_conversations_contact_id ON conversations(contact_id);
+    CREATE INDEX IF NOT EXISTS idx_conversations_status ON conversations(status);
+    CREATE INDEX IF NOT EXISTS idx_daily_stats_date ON daily_stats(date);
+    CREATE INDEX IF NOT EXISTS idx_errors_occurred_at ON errors(occurred_at);
+    CREATE INDEX IF NOT EXISTS idx_errors_resolved ON errors(resolved);
+    CREATE INDEX IF NOT EXISTS idx_actions_status ON actions(status);
+    CREATE INDEX IF NOT EXISTS idx_responses_message_id ON responses(message_id);
+  `);
+}
+
+/**
+ * @param {import('better-sqlite3').Database} db
+ */
+export function down(db) {
+  // Ordre inverse des dépendances (clés étrangères)
+  db.exec(`
+    DROP TABLE IF EXISTS actions;
+    DROP TABLE IF EXISTS errors;
+    DROP TABLE IF EXISTS responses;
+    DROP TABLE IF EXISTS message_analysis;
+    DROP TABLE IF EXISTS conversations;
+    DROP TABLE IF EXISTS messages;
+    DROP TABLE IF EXISTS contacts;
+    DROP TABLE IF EXISTS daily_stats;
+    DROP TABLE IF EXISTS settings;
+  `);
+}
@@ -0,0 +1,44 @@
+/**
+ * Migration 002 - Journal des appels IA
+ *
+ * Une ligne par tentative d'appel à un provider (succès ou échec), avec
+ * tokens, latence et coût estimé. Alimente la commande /usage.
+ *
+ * @module repositories/migrations/002_ai_calls
+ */
+
+/**
+ * @param {import('better-sqlite3').Database} db
+ */
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS ai_calls (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      purpose TEXT NOT NULL,
+      provider TEXT NOT NULL,
+      model TEXT,
+      contact_id INTEGER,
+      prompt_tokens INTEGER DEFAULT 0,
+      completion_tokens INTEGER DEFAULT 0,
+      total_tokens INTEGER DEFAULT 0,
+      latency_ms INTEGER,
+      success INTEGER NOT NULL DEFAULT 1,
+      error_message TEXT,
+      cost_usd REAL DEFAULT 0,
+      created_at INTEGER NOT NULL,
+      FOREIGN KEY (contact_id) REFERENCES contacts(id) ON DELETE SET NULL
+    )
+  `);
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_ai_calls_created ON ai_calls(created_at);
+    CREATE INDEX IF NOT EXISTS idx_ai_calls_purpose ON ai_calls(purpose, created_at);
+  `);
+}
+
+/**
+ * @param {import('better-sqlite3').Database} db
+ */
+export function down(db) {
+  db.exec('DROP TABLE IF EXISTS ai_calls');
+}
@@ -0,0 +1,36 @@
+/**
+ * Migration 003 - Cache des réponses IA
+ *
+ * Réponses indexées par provider + modèle + hash du prompt, avec date
+ * d'expiration. Évite de renvoyer au modèle des conversations inchangées
+ * (rapport régénéré, pré-traitement des grosses conversations).
+ *
+ * @module repositories/migrations/003_ai_cache
+ */
+
+/**
+ * @param {import('better-sqlite3').Database} db
+ */
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS ai_cache (
+      cache_key TEXT PRIMARY KEY,
+      provider TEXT NOT NULL,
+      model TEXT,
+      purpose TEXT,
+      response_text TEXT NOT NULL,
+      hits INTEGER DEFAULT 0,
+      created_at INTEGER NOT NULL,
+      expires_at INTEGER NOT NULL
+    )
+  `);
+
+  db.exec('CREATE INDEX IF NOT EXISTS idx_ai_cache_expires ON ai_cache(expires_at)');
+}
+
+/**
+ * @param {import('better-sqlite3').Database} db
+ */
+export function down(db) {
+  db.exec('DROP TABLE IF EXISTS ai_cache');
+}
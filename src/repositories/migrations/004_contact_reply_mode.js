@@ -0,0 +1,27 @@
+/**
+ * Migration 004 - Mode de réponse par contact
+ *
+ * contacts.reply_mode:
+ * - NULL: comportement par défaut (selon la catégorie du message)
+ * - 'approve': chaque réponse IA est validée sur Telegram avant envoi
+ * - 'auto': réponse envoyée directement, sans validation
+ *
+ * @module repositories/migrations/004_contact_reply_mode
+ */
+
+/**
+ * @param {import('better-sqlite3').Database} db
+ */
+export function up(db) {
+  const columns = db.prepare('PRAGMA table_info(contacts)').all();
+  if (!columns.some(col => col.name === 'reply_mode')) {
+    db.exec('ALTER TABLE contacts ADD COLUMN reply_mode TEXT');
+  }
+}
+
+/**
+ * @param {import('better-sqlite3').Database} db
+ */
+export function down(db) {
+  db.exec('ALTER TABLE contacts DROP COLUMN reply_mode');
+}
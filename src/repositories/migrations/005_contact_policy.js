@@ -0,0 +1,43 @@
+/**
+ * Migration 005 - Profils de politique par contact
+ *
+ * Étend contacts.reply_mode (004) à toutes les politiques:
+ * - NULL: selon la catégorie du message
+ * - 'auto': réponse IA envoyée directement
+ * - 'approve': réponse IA validée sur Telegram avant envoi
+ * - 'log': message enregistré sans analyse ni réponse
+ * - 'ignore': message ignoré (équivalent à is_blocked)
+ *
+ * Ajoute is_vip (notification systématique) et des surcharges de ton et de
+ * langue pour les réponses IA.
+ *
+ * @module repositories/migrations/005_contact_policy
+ */
+
+const COLUMNS = {
+  is_vip: 'INTEGER DEFAULT 0',
+  reply_tone: 'TEXT',
+  reply_language: 'TEXT'
+};
+
+/**
+ * @param {import('better-sqlite3').Database} db
+ */
+export function up(db) {
+  const existing = db.prepare('PRAGMA table_info(contacts)').all().map(col => col.name);
+
+  for (const [name, definition] of Object.entries(COLUMNS)) {
+    if (!existing.includes(name)) {
+      db.exec(`ALTER TABLE contacts ADD COLUMN ${name} ${definition}`);
+    }
+  }
+}
+
+/**
+ * @param {import('better-sqlite3').Database} db
+ */
+export function down(db) {
+  for (const name of Object.keys(COLUMNS).reverse()) {
+    db.exec(`ALTER TABLE contacts DROP COLUMN ${name}`);
+  }
+}
@@ -0,0 +1,43 @@
+/**
+ * Migration 006 - État Telegram persistant
+ *
+ * Les éléments en attente (événements à confirmer, brouillons de réponse) et
+ * les données brutes du dernier rapport survivent à un redémarrage du
+ * conteneur: les boutons Telegram et /tasks restent utilisables après un
+ * redéploiement.
+ *
+ * @module repositories/migrations/006_telegram_state
+ */
+
+/**
+ * @param {import('better-sqlite3').Database} db
+ */
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS telegram_sessions (
+      id TEXT PRIMARY KEY,
+      step TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      created_at INTEGER NOT NULL,
+      expires_at INTEGER NOT NULL
+    )
+  `);
+
+  db.exec('CREATE INDEX IF NOT EXISTS idx_telegram_sessions_expires ON telegram_sessions(expires_at)');
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS app_state (
+      key TEXT PRIMARY KEY,
+      value TEXT NOT NULL,
+      updated_at INTEGER NOT NULL
+    )
+  `);
+}
+
+/**
+ * @param {import('better-sqlite3').Database} db
+ */
+export function down(db) {
+  db.exec('DROP TABLE IF EXISTS telegram_sessions');
+  db.exec('DROP TABLE IF EXISTS app_state');
+}
@@ -0,0 +1,38 @@
+/**
+ * Migration 007 - Archive des rapports
+ *
+ * Chaque rapport généré est conservé: HTML envoyé sur Telegram, JSON brut
+ * de l'IA, statistiques et modèle utilisé. Permet /rapport <date>, /rapports
+ * et la section "ce qui a changé depuis le dernier rapport".
+ *
+ * @module repositories/migrations/007_reports
+ */
+
+/**
+ * @param {import('better-sqlite3').Database} db
+ */
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS reports (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      kind TEXT NOT NULL DEFAULT 'daily',
+      report_date TEXT NOT NULL,
+      formatted TEXT NOT NULL,
+      raw_json TEXT,
+      stats_json TEXT,
+      provider TEXT,
+      model TEXT,
+      created_at INTEGER NOT NULL
+    )
+  `);
+
+  db.exec('CREATE INDEX IF NOT EXISTS idx_reports_kind_date ON reports(kind, report_date)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_reports_created ON reports(created_at)');
+}
+
+/**
+ * @param {import('better-sqlite3').Database} db
+ */
+export function down(db) {
+  db.exec('DROP TABLE IF EXISTS reports');
+}
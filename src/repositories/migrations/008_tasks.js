@@ -0,0 +1,48 @@
+/**
+ * Migration 008 - Cycle de vie des tâches
+ *
+ * Les tâches extraites par les rapports sont suivies d'un rapport à l'autre
+ * (dédupliquées par task_key) avec leur statut, leur source et leur échéance.
+ *
+ * @module repositories/migrations/008_tasks
+ */
+
+/**
+ * @param {import('better-sqlite3').Database} db
+ */
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS tasks (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      task_key TEXT NOT NULL,
+      title TEXT NOT NULL,
+      description TEXT,
+      priority TEXT DEFAULT 'moyenne',
+      due_date TEXT,
+      status TEXT NOT NULL DEFAULT 'open' CHECK(status IN ('open', 'scheduled', 'done', 'dismissed')),
+      source TEXT,
+      contact_id INTEGER,
+      source_message_id INTEGER,
+      report_id INTEGER,
+      snoozed_until INTEGER,
+      seen_count INTEGER DEFAULT 1,
+      created_at INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL,
+      last_seen_at INTEGER NOT NULL,
+      completed_at INTEGER,
+      FOREIGN KEY (contact_id) REFERENCES contacts(id),
+      FOREIGN KEY (source_message_id) REFERENCES messages(id),
+      FOREIGN KEY (report_id) REFERENCES reports(id)
+    )
+  `);
+
+  db.exec('CREATE INDEX IF NOT EXISTS idx_tasks_key ON tasks(task_key)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_tasks_status ON tasks(status)');
+}
+
+/**
+ * @param {import('better-sqlite3').Database} db
+ */
+export function down(db) {
+  db.exec('DROP TABLE IF EXISTS tasks');
+}
@@ -0,0 +1,33 @@
+/**
+ * Migration 009 - Rappels de messages sans réponse
+ *
+ * Une ligne par contact: état du rappel (envoyé, reporté, ignoré) pour le
+ * dernier message reçu concerné. Un nouveau message du contact rend la
+ * ligne caduque (message_id différent) et la conversation est reproposée.
+ *
+ * @module repositories/migrations/009_reply_reminders
+ */
+
+/**
+ * @param {import('better-sqlite3').Database} db
+ */
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS reply_reminders (
+      contact_id INTEGER PRIMARY KEY,
+      message_id INTEGER NOT NULL,
+      status TEXT NOT NULL CHECK(status IN ('reminded', 'snoozed', 'ignored')),
+      snoozed_until INTEGER,
+      updated_at INTEGER NOT NULL,
+      FOREIGN KEY (contact_id) REFERENCES contacts(id),
+      FOREIGN KEY (message_id) REFERENCES messages(id)
+    )
+  `);
+}
+
+/**
+ * @param {import('better-sqlite3').Database} db
+ */
+export function down(db) {
+  db.exec('DROP TABLE IF EXISTS reply_reminders');
+}
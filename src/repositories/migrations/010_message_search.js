@@ -0,0 +1,50 @@
+/**
+ * Migration 010 - Recherche plein texte dans l'historique
+ *
+ * Table FTS5 à contenu externe sur messages.body (rowid = messages.id),
+ * tenue à jour par triggers. Les accents sont ignorés (« reunion » trouve
+ * « réunion »). L'historique existant est indexé par un rebuild.
+ *
+ * @module repositories/migrations/010_message_search
+ */
+
+/**
+ * @param {import('better-sqlite3').Database} db
+ */
+export function up(db) {
+  db.exec(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5(
+      body,
+      content = 'messages',
+      content_rowid = 'id',
+      tokenize = 'unicode61 remove_diacritics 2'
+    );
+
+    CREATE TRIGGER IF NOT EXISTS messages_fts_insert AFTER INSERT ON messages BEGIN
+      INSERT INTO messages_fts (rowid, body) VALUES (new.id, new.body);
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS messages_fts_delete AFTER DELETE ON messages BEGIN
+      INSERT INTO messages_fts (messages_fts, rowid, body) VALUES ('delete', old.id, old.body);
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS messages_fts_update AFTER UPDATE OF body ON messages BEGIN
+      INSERT INTO messages_fts (messages_fts, rowid, body) VALUES ('delete', old.id, old.body);
+      INSERT INTO messages_fts (rowid, body) VALUES (new.id, new.body);
+    END;
+
+    INSERT INTO messages_fts (messages_fts) VALUES ('rebuild');
+  `);
+}
+
+/**
+ * @param {import('better-sqlite3').Database} db
+ */
+export function down(db) {
+  db.exec(`
+    DROP TRIGGER IF EXISTS messages_fts_insert;
+    DROP TRIGGER IF EXISTS messages_fts_delete;
+    DROP TRIGGER IF EXISTS messages_fts_update;
+    DROP TABLE IF EXISTS messages_fts;
+  `);
+}
@@ -0,0 +1,37 @@
+/**
+ * Migration 011 - Mémoire sémantique (embeddings des messages)
+ *
+ * Un vecteur normalisé (Float32 little-endian) par message, avec le modèle
+ * qui l'a calculé: changer de modèle d'embeddings ré-indexe l'historique
+ * au lieu de comparer des vecteurs incompatibles.
+ *
+ * @module repositories/migrations/011_message_embeddings
+ */
+
+/**
+ * @param {import('better-sqlite3').Database} db
+ */
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS message_embeddings (
+      message_id INTEGER PRIMARY KEY,
+      contact_id INTEGER NOT NULL,
+      model TEXT NOT NULL,
+      dimensions INTEGER NOT NULL,
+      vector BLOB NOT NULL,
+      created_at INTEGER NOT NULL,
+      FOREIGN KEY (message_id) REFERENCES messages(id) ON DELETE CASCADE,
+      FOREIGN KEY (contact_id) REFERENCES contacts(id)
+    )
+  `);
+
+  db.exec('CREATE INDEX IF NOT EXISTS idx_message_embeddings_contact ON message_embeddings(contact_id, model)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_message_embeddings_model ON message_embeddings(model)');
+}
+
+/**
+ * @param {import('better-sqlite3').Database} db
+ */
+export function down(db) {
+  db.exec('DROP TABLE IF EXISTS message_embeddings');
+}
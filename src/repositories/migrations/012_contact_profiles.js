@@ -0,0 +1,40 @@
+/**
+ * Migration 012 - Profils long terme des contacts
+ *
+ * Un profil structuré par contact (relation, langue, ton, sujets récurrents,
+ * anniversaires, engagements), mis à jour par l'IA à partir des messages
+ * postérieurs à `last_message_id`. Les listes sont stockées en JSON.
+ * Les champs corrigés à la main (`locked_fields`) ne sont plus modifiés par l'IA.
+ *
+ * @module repositories/migrations/012_contact_profiles
+ */
+
+/**
+ * @param {import('better-sqlite3').Database} db
+ */
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS contact_profiles (
+      contact_id INTEGER PRIMARY KEY,
+      relationship TEXT,
+      language TEXT,
+      tone TEXT,
+      topics TEXT NOT NULL DEFAULT '[]',
+      birthdays TEXT NOT NULL DEFAULT '[]',
+      commitments TEXT NOT NULL DEFAULT '[]',
+      notes TEXT,
+      locked_fields TEXT NOT NULL DEFAULT '[]',
+      last_message_id INTEGER NOT NULL DEFAULT 0,
+      summarized_at INTEGER,
+      updated_at INTEGER NOT NULL,
+      FOREIGN KEY (contact_id) REFERENCES contacts(id) ON DELETE CASCADE
+    )
+  `);
+}
+
+/**
+ * @param {import('better-sqlite3').Database} db
+ */
+export function down(db) {
+  db.exec('DROP TABLE IF EXISTS contact_profiles');
+}
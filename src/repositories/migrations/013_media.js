@@ -0,0 +1,40 @@
+/**
+ * Migration 013 - Médias stockés localement
+ *
+ * Un fichier par contenu (sha256): un média transféré plusieurs fois n'est
+ * écrit qu'une fois, et chaque message pointe dessus via messages.media_url.
+ * `last_seen_at` (dernière réception) sert à la politique de rétention.
+ *
+ * @module repositories/migrations/013_media
+ */
+
+/**
+ * @param {import('better-sqlite3').Database} db
+ */
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS media (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      sha256 TEXT NOT NULL UNIQUE,
+      path TEXT NOT NULL UNIQUE,
+      mime_type TEXT,
+      size_bytes INTEGER NOT NULL,
+      original_filename TEXT,
+      created_at INTEGER NOT NULL,
+      last_seen_at INTEGER NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_media_last_seen ON media(last_seen_at);
+    CREATE INDEX IF NOT EXISTS idx_messages_media_url ON messages(media_url) WHERE media_url IS NOT NULL;
+  `);
+}
+
+/**
+ * @param {import('better-sqlite3').Database} db
+ */
+export function down(db) {
+  db.exec(`
+    DROP INDEX IF EXISTS idx_messages_media_url;
+    DROP TABLE IF EXISTS media;
+  `);
+}
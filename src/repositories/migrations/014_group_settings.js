@@ -0,0 +1,42 @@
+/**
+ * Migration 014 - Réglages par groupe et auteur des messages de groupe
+ *
+ * contacts.group_mode (lignes is_group = 1):
+ * - NULL: mode par défaut (GROUP_DEFAULT_MODE)
+ * - 'ignore': aucun message enregistré
+ * - 'organizational': seulement les messages organisationnels (rendez-vous, sorties...)
+ * - 'full': tous les messages texte
+ *
+ * messages.author_contact_id référence le contact (contacts.id) qui a écrit
+ * un message de groupe; contact_id reste celui du groupe.
+ *
+ * @module repositories/migrations/014_group_settings
+ */
+
+/**
+ * @param {import('better-sqlite3').Database} db
+ */
+export function up(db) {
+  const contactColumns = db.prepare('PRAGMA table_info(contacts)').all().map(col => col.name);
+  if (!contactColumns.includes('group_mode')) {
+    db.exec('ALTER TABLE contacts ADD COLUMN group_mode TEXT');
+  }
+
+  const messageColumns = db.prepare('PRAGMA table_info(messages)').all().map(col => col.name);
+  if (!messageColumns.includes('author_contact_id')) {
+    db.exec('ALTER TABLE messages ADD COLUMN author_contact_id INTEGER');
+  }
+
+  db.exec('CREATE INDEX IF NOT EXISTS idx_messages_author ON messages(author_contact_id) WHERE author_contact_id IS NOT NULL');
+}
+
+/**
+ * @param {import('better-sqlite3').Database} db
+ */
+export function down(db) {
+  db.exec(`
+    DROP INDEX IF EXISTS idx_messages_author;
+    ALTER TABLE messages DROP COLUMN author_contact_id;
+    ALTER TABLE contacts DROP COLUMN group_mode;
+  `);
+}
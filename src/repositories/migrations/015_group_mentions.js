@@ -0,0 +1,32 @@
+/**
+ * Migration 015 - Mentions et réponses dans les groupes
+ *
+ * messages.mention_type (messages de groupe):
+ * - NULL: message ordinaire
+ * - 'mention': l'utilisateur est mentionné (@)
+ * - 'reply': le message cite un message de l'utilisateur
+ *
+ * @module repositories/migrations/015_group_mentions
+ */
+
+/**
+ * @param {import('better-sqlite3').Database} db
+ */
+export function up(db) {
+  const existing = db.prepare('PRAGMA table_info(messages)').all().map(col => col.name);
+  if (!existing.includes('mention_type')) {
+    db.exec('ALTER TABLE messages ADD COLUMN mention_type TEXT');
+  }
+
+  db.exec('CREATE INDEX IF NOT EXISTS idx_messages_mentions ON messages(received_at) WHERE mention_type IS NOT NULL');
+}
+
+/**
+ * @param {import('better-sqlite3').Database} db
+ */
+export function down(db) {
+  db.exec(`
+    DROP INDEX IF EXISTS idx_messages_mentions;
+    ALTER TABLE messages DROP COLUMN mention_type;
+  `);
+}
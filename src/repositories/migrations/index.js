@@ -0,0 +1,62 @@
+/**
+ * Registre des migrations de schéma
+ *
+ * Chaque migration est un fichier numéroté `NNN_nom.js` exportant `up(db)`
+ * et `down(db)`. Le numéro et le nom sont déduits du nom de fichier, la
+ * checksum est calculée sur le contenu du fichier par le Migrator.
+ *
+ * Pour ajouter une migration: créer le fichier suivant dans ce dossier et
+ * l'ajouter à la fin de MIGRATIONS. Ne jamais modifier une migration déjà
+ * appliquée en production - en créer une nouvelle.
+ *
+ * @module repositories/migrations
+ */
+
+import * as initialSchema from './001_initial_schema.js';
+import * as aiCalls from './002_ai_calls.js';
+import * as aiCache from './003_ai_cache.js';
+import * as contactReplyMode from './004_contact_reply_mode.js';
+import * as contactPolicy from './005_contact_policy.js';
+import * as telegramState from './006_telegram_state.js';
+import * as reports from './007_reports.js';
+import * as tasks from './008_tasks.js';
+import * as replyReminders from './009_reply_reminders.js';
+import * as messageSearch from './010_message_search.js';
+import * as messageEmbeddings from './011_message_embeddings.js';
+import * as contactProfiles from './012_contact_profiles.js';
+import * as media from './013_media.js';
+import * as groupSettings from './014_group_settings.js';
+import * as groupMentions from './015_group_mentions.js';
+
+/**
+ * Associe un module de migration à son fichier source
+ * @param {string} file - Nom du fichier (ex: '001_initial_schema.js')
+ * @param {{ up: Function, down: Function }} module - Module importé
+ * @returns {{ file: string, path: string, up: Function, down: Function }}
+ */
+function defineMigration(file, module) {
+  return {
+    file,
+    path: new URL(`./${file}`, import.meta.url),
+    up: module.up,
+    down: module.down
+  };
+}
+
+export const MIGRATIONS = [
+  defineMigration('001_initial_schema.js', initialSchema),
+  defineMigration('002_ai_calls.js', aiCalls),
+  defineMigration('003_ai_cache.js', aiCache),
+  defineMigration('004_contact_reply_mode.js', contactReplyMode),
+  defineMigration('005_contact_policy.js', contactPolicy),
+  defineMigration('006_telegram_state.js', telegramState),
+  defineMigration('007_reports.js', reports),
+  defineMigration('008_tasks.js', tasks),
+  defineMigration('009_reply_reminders.js', replyReminders),
+  defineMigration('010_message_search.js', messageSearch),
+  defineMigration('011_message_embeddings.js', messageEmbeddings),
+  defineMigration('012_contact_profiles.js', contactProfiles),
+  defineMigration('013_media.js', media),
+  defineMigration('014_group_settings.js', groupSettings),
+  defineMigration('015_group_mentions.js', groupMentions)
+];
@@ -5,8 +5,19 @@
  * - gemini (Google Gemini - FREE tier available)
  * - openai (OpenAI GPT - paid)
  * - groq (Groq - FREE tier available)
+ * - local (Ollama / llama.cpp / LM Studio via an OpenAI-compatible base URL - offline)
+ *
+ * Provider calls go through the registry in services/ai/AIProviderFactory.js
+ * and fail over to the next configured provider (services/ai/ProviderChain.js)
  */
 
+import { createProvider, getDefaultModel } from './ai/AIProviderFactory.js';
+import { ProviderChain } from './ai/ProviderChain.js';
+import { estimateCost } from './ai/ModelPricing.js';
+import { ResponseCache } from './ai/ResponseCache.js';
+import { taskKey } from '../domain/Task.js';
+import { IMAGE_MARKER, DOCUMENT_MARKER } from '../domain/Message.js';
+
 const SYSTEM_PROMPT = `You are C.A.R.L. (Communication Assistant for Routing & Logistics), the personal executive assistant of Jonas.
 
 **Personality Traits:**
@@ -27,6 +38,8 @@ const SYSTEM_PROMPT = `You are C.A.R.L. (Communication Assistant for Routing & L
 - For meeting requests: Check calendar and propose 3 available slots
 - For urgent matters: Notify admin via Telegram
 - For spam: Politely decline or ignore
+- Messages starting with [vocal] are automatic transcriptions of voice notes: tolerate transcription errors
+- Lines starting with [image] or [document] describe an attachment (automatic description or extracted text): use its dates and amounts
 
 Your output MUST be a valid JSON object with these exact fields:
 {
@@ -73,12 +86,17 @@ const JSON_SCHEMA = {
 
 export class AIService {
   #provider;
-  #apiKey;
-  #model;
-  #maxTokens;
-  #temperature;
+  #client;
+  #repository;
+  #budget;
 
-  constructor(config) {
+  /**
+   * @param {Config} config - Configuration
+   * @param {Object} deps - Dépendances optionnelles
+   * @param {MessageRepository} deps.repository - Journal des appels IA (ai_calls)
+   * @param {BudgetService} deps.budget - Plafonds de consommation (alertes après chaque appel)
+   */
+  constructor(config, { repository = null, budget = null } = {}) {
     // Support both old openai config and new ai config
     const aiConfig = config.ai || {
       provider: 'openai',
@@ -89,135 +107,296 @@ export class AIService {
     };
 
     this.#provider = aiConfig.provider || 'gemini';
-    this.#apiKey = aiConfig.apiKey;
-    this.#model = aiConfig.model || this.#getDefaultModel();
-    this.#maxTokens = aiConfig.maxTokens || 500;
-    this.#temperature = aiConfig.temperature || 0.3;
 
-    if (!this.#apiKey) {
+    // Un serveur local (baseUrl) peut fonctionner sans clé API
+    if (!aiConfig.apiKey && !aiConfig.baseUrl) {
       throw new Error(`API key required for provider: ${this.#provider}`);
     }
+
+    const defaults = {
+      maxTokens: aiConfig.maxTokens || 500,
+      temperature: aiConfig.temperature || 0.3
+    };
+
+    // Failover: tous les providers configurés, le principal en premier
+    const entries = aiConfig.providers?.length
+      ? aiConfig.providers
+      : [{ provider: this.#provider, apiKey: aiConfig.apiKey, model: aiConfig.model, baseUrl: aiConfig.baseUrl }];
+
+    this.#client = new ProviderChain(
+      entries.map(entry => createProvider(entry.provider, {
+        ...defaults,
+        apiKey: entry.apiKey,
+        baseUrl: entry.baseUrl,
+        model: entry.model || getDefaultModel(entry.provider)
+      })),
+      {
+        timeoutMs: aiConfig.timeoutMs,
+        failureThreshold: aiConfig.circuitBreaker?.failureThreshold,
+        cooldownMs: aiConfig.circuitBreaker?.cooldownMs,
+        onCall: (call) => this.#recordCall(call),
+        // Le cache est stocké en base: il nécessite le repository
+        cache: repository && aiConfig.cache?.enabled !== false
+          ? new ResponseCache(repository, { ttlMs: aiConfig.cache?.ttlMs })
+          : null
+      }
+    );
+    this.#repository = repository;
+    this.#budget = budget;
   }
 
-  #getDefaultModel() {
-    switch (this.#provider) {
-      case 'gemini': return 'gemini-2.0-flash';
-      case 'openai': return 'gpt-4o';
-      case 'groq': return 'llama-3.1-70b-versatile';
-      default: return 'gemini-2.0-flash';
-    }
+  /**
+   * Provider et modèle principaux
+   */
+  get provider() {
+    return this.#provider;
+  }
+
+  get model() {
+    return this.#client.model;
+  }
+
+  /**
+   * État du circuit breaker de chaque provider de la chaîne
+   * @returns {Array<Object>}
+   */
+  getProviderHealth() {
+    return this.#client.getHealth();
+  }
+
+  /**
+   * Compteurs hit/miss du cache de réponses (null si désactivé)
+   * @returns {Object|null}
+   */
+  getCacheStats() {
+    return this.#client.getCacheStats();
+  }
+
+  /**
+   * Derniers appels IA (provider ayant servi, latence, erreur)
+   * @returns {Array<Object>}
+   */
+  getRecentCalls() {
+    return this.#client.getRecentCalls();
   }
 
-  async analyzeMessage(message, context = []) {
+  /**
+   * Analyse un message entrant et propose une réponse
+   * @param {Object} message - Message WhatsApp ({ body, from })
+   * @param {Array} context - Messages précédents
+   * @param {Object} options
+   * @param {number} options.contactId - Contact concerné (journal d'usage)
+   * @param {string} [options.tone] - Ton imposé pour ce contact
+   * @param {string} [options.language] - Langue imposée pour ce contact
+   * @param {Array} [options.memories] - Anciens messages pertinents (MemoryService)
+   * @param {string[]} [options.facts] - Faits connus sur le contact (engagements en cours...)
+   * @param {Object} [options.profile] - Profil long terme du contact (ProfileService)
+   * @returns {Promise<Object>} Analyse normalisée + tokensUsed, provider et model effectifs
+   */
+  async analyzeMessage(message, context = [], options = {}) {
     const contextText = context.slice(-3).map(m => 
       `[${m.from === message.from ? 'User' : 'Assistant'}]: ${this.#sanitizePromptInput(m.body)}`
     ).join('\n');
 
     const sanitizedBody = this.#sanitizePromptInput(message.body);
 
-    const userPrompt = contextText 
+    const userPrompt = this.#formatMemory(options) + (contextText
       ? `Previous conversation:\n${contextText}\n\nNew message to analyze:\n"""\n${sanitizedBody}\n"""`
-      : `New message to analyze:\n"""\n${sanitizedBody}\n"""`;
-
-    switch (this.#provider) {
-      case 'gemini':
-        return await this.#callGemini(userPrompt);
-      case 'openai':
-        return await this.#callOpenAI(userPrompt);
-      case 'groq':
-        return await this.#callGroq(userPrompt);
-      default:
-        throw new Error(`Unknown AI provider: ${this.#provider}`);
-    }
-  }
+      : `New message to analyze:\n"""\n${sanitizedBody}\n"""`);
 
-  async #callGemini(userPrompt) {
-    const url = `https://generativelanguage.googleapis.com/v1beta/models/${this.#model}:generateContent?key=${this.#apiKey}`;
-    
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        contents: [{
-          parts: [{ text: `${SYSTEM_PROMPT}\n\nUser message:\n${userPrompt}` }]
-        }],
-        generationConfig: {
-          temperature: this.#temperature,
-          maxOutputTokens: this.#maxTokens,
-          responseMimeType: "application/json"
-        }
-      })
+    const { data, usage, provider, model } = await this.#client.completeJSON({
+      prompt: userPrompt,
+      systemPrompt: this.#buildSystemPrompt(options),
+      purpose: 'analysis',
+      contactId: options.contactId
     });
 
-    if (!response.ok) {
-      const error = await response.json();
-      throw new Error(`Gemini API error: ${error.error?.message || response.statusText}`);
-    }
+    return {
+      ...this.#normalizeAnalysis(data),
+      tokensUsed: usage.totalTokens,
+      provider,
+      model
+    };
+  }
 
-    const data = await response.json();
-    const text = data.candidates?.[0]?.content?.parts?.[0]?.text;
-    
-    if (!text) {
-      throw new Error('No response from Gemini');
+  /**
+   * Profil, souvenirs et faits connus sur le contact, placés avant la conversation récente
+   */
+  #formatMemory({ memories = [], facts = [], profile = null } = {}) {
+    let text = '';
+    const profileLines = this.#describeProfile(profile);
+    if (profileLines.length > 0) {
+      text += `Contact profile (long-term memory):\n${profileLines.map(l => `- ${l}`).join('\n')}\n\n`;
+    }
+    if (facts.length > 0) {
+      text += `Known facts about this contact:\n${facts.map(f => `- ${this.#sanitizePromptInput(f)}`).join('\n')}\n\n`;
     }
+    if (memories.length > 0) {
+      const lines = [...memories]
+        .sort((a, b) => a.received_at - b.received_at)
+        .map(m => `[${new Date(m.received_at).toISOString().slice(0, 10)}] [${m.direction === 'outgoing' ? 'Assistant' : 'User'}]: ${this.#sanitizePromptInput(m.body)}`);
+      text += `Older related messages with this contact (retrieved from memory):\n${lines.join('\n')}\n\n`;
+    }
+    return text;
+  }
 
-    return this.#parseResponse(text);
+  /**
+   * Répond à une question sur l'historique à partir des messages retrouvés (/ask)
+   * @param {string} question
+   * @param {Array} memories - Messages retrouvés par MemoryService.recall()
+   * @returns {Promise<{answer: string, sourceIds: number[]}>} Réponse et IDs des messages cités
+   */
+  async answerFromMemory(question, memories) {
+    const excerpts = memories.map(m => {
+      const name = m.push_name || m.display_name || m.phone_number.split('@')[0];
+      const author = m.direction === 'outgoing' ? `Jonas → ${name}` : name;
+      const date = new Date(m.received_at).toISOString().slice(0, 16).replace('T', ' ');
+      return `#${m.id} [${date}] ${author}: ${this.#sanitizePromptInput(m.body)}`;
+    }).join('\n');
+
+    const prompt = `Tu es C.A.R.L., l'assistant de Jonas. Réponds à sa question en t'appuyant UNIQUEMENT sur les extraits de messages WhatsApp ci-dessous (les plus pertinents de son historique).
+Cite les dates et les personnes. Si les extraits ne permettent pas de répondre, dis-le simplement.
+
+Question:
+"""
+${this.#sanitizePromptInput(question)}
+"""
+
+Extraits (#id [date UTC] auteur: message):
+${excerpts}
+
+Réponds en JSON: {"answer": "réponse courte en français", "sources": [ids des extraits utilisés]}`;
+
+    const { data } = await this.#client.completeJSON({ prompt, temperature: 0.2, maxTokens: 400, purpose: 'ask' });
+    const knownIds = new Set(memories.map(m => m.id));
+
+    return {
+      answer: this.#sanitizeString(data.answer, 2000) || 'Je ne trouve pas la réponse dans vos messages.',
+      sourceIds: (Array.isArray(data.sources) ? data.sources : []).map(Number).filter(id => knownIds.has(id))
+    };
   }
 
-  async #callOpenAI(userPrompt) {
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${this.#apiKey}`
-      },
-      body: JSON.stringify({
-        model: this.#model,
-        messages: [
-          { role: 'system', content: SYSTEM_PROMPT },
-          { role: 'user', content: userPrompt }
-        ],
-        response_format: { type: 'json_object' },
-        max_tokens: this.#maxTokens,
-        temperature: this.#temperature
-      })
-    });
+  /**
+   * Met à jour le profil long terme d'un contact à partir de ses nouveaux messages
+   * @param {Object} input
+   * @param {string} input.contactName
+   * @param {Object|null} input.profile - Profil actuel (null = premier passage)
+   * @param {Array} input.messages - Nouveaux messages ({ direction, body, received_at }), dans l'ordre
+   * @param {number} input.contactId - Contact concerné (journal d'usage)
+   * @returns {Promise<Object>} Profil complet: relationship, language, tone, topics, birthdays, commitments, notes
+   */
+  async summarizeContactProfile({ contactName, profile = null, messages, contactId = null }) {
+    const name = this.#sanitizePromptInput(contactName);
+    const current = this.#describeProfile(profile);
+    const lines = messages.map(m => {
+      const date = new Date(m.received_at).toISOString().slice(0, 10);
+      const author = m.direction === 'outgoing' ? 'Jonas' : name;
+      const body = m.body.length > 500 ? `${m.body.substring(0, 500)}...` : m.body;
+      return `[${date}] ${author}: ${this.#sanitizePromptInput(body)}`;
+    }).join('\n');
 
-    if (!response.ok) {
-      const error = await response.json();
-      throw new Error(`OpenAI API error: ${error.error?.message || response.statusText}`);
-    }
+    const prompt = `Tu tiens à jour la fiche de ${name}, un contact WhatsApp de Jonas.
+
+FICHE ACTUELLE:
+${current.length > 0 ? current.map(l => `- ${l}`).join('\n') : '(vide)'}
+
+NOUVEAUX MESSAGES:
+"""
+${lines}
+"""
+
+Mets la fiche à jour: garde ce qui reste vrai, complète ou corrige avec les nouveaux messages, retire les engagements tenus ou annulés.
+N'invente rien: un champ inconnu vaut null (ou [] pour les listes).
+
+Réponds en JSON:
+{
+  "relationship": "lien avec Jonas (ex: collègue, sœur, client, ami du volley) ou null",
+  "language": "langue utilisée par le contact (ex: français, allemand) ou null",
+  "tone": "registre des échanges (ex: tutoiement amical, vouvoiement formel) ou null",
+  "topics": ["sujets récurrents, 5 max"],
+  "birthdays": ["anniversaires mentionnés, ex: 'Léa (sa fille): 3 juin'"],
+  "commitments": ["engagements en cours de Jonas ou du contact, avec l'échéance si connue"],
+  "notes": "autre information durable utile pour répondre, ou null"
+}`;
+
+    const { data } = await this.#client.completeJSON({ prompt, temperature: 0.2, maxTokens: 600, purpose: 'profile', contactId });
+
+    const list = (value, max) => (Array.isArray(value) ? value : [])
+      .map(item => this.#sanitizeString(item, 150))
+      .filter(Boolean)
+      .slice(0, max);
 
-    const data = await response.json();
-    return this.#parseResponse(data.choices[0].message.content);
+    return {
+      relationship: this.#sanitizeString(data.relationship, 100) || null,
+      language: this.#sanitizeString(data.language, 50) || null,
+      tone: this.#sanitizeString(data.tone, 100) || null,
+      topics: list(data.topics, 8),
+      birthdays: list(data.birthdays, 10),
+      commitments: list(data.commitments, 8),
+      notes: this.#sanitizeString(data.notes, 300) || null
+    };
   }
 
-  async #callGroq(userPrompt) {
-    const response = await fetch('https://api.groq.com/openai/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${this.#apiKey}`
-      },
-      body: JSON.stringify({
-        model: this.#model,
-        messages: [
-          { role: 'system', content: SYSTEM_PROMPT },
-          { role: 'user', content: userPrompt }
-        ],
-        response_format: { type: 'json_object' },
-        max_tokens: this.#maxTokens,
-        temperature: this.#temperature
-      })
-    });
+  /**
+   * Lignes lisibles d'un profil de contact (champs renseignés uniquement)
+   * @returns {string[]}
+   */
+  #describeProfile(profile) {
+    if (!profile) return [];
+
+    const fields = [
+      ['Relationship', profile.relationship],
+      ['Language', profile.language],
+      ['Tone', profile.tone],
+      ['Recurring topics', profile.topics?.join(', ')],
+      ['Birthdays', profile.birthdays?.join('; ')],
+      ['Open commitments', profile.commitments?.join('; ')],
+      ['Notes', profile.notes]
+    ];
+    return fields
+      .filter(([, value]) => value)
+      .map(([label, value]) => `${label}: ${this.#sanitizePromptInput(value)}`);
+  }
 
-    if (!response.ok) {
-      const error = await response.json();
-      throw new Error(`Groq API error: ${error.error?.message || response.statusText}`);
-    }
+  /**
+   * Ajoute au prompt système les préférences de réponse du contact
+   */
+  #buildSystemPrompt({ tone, language } = {}) {
+    const overrides = [];
+    if (language) overrides.push(`- Reply in this language instead of French: ${this.#sanitizePromptInput(language)}`);
+    if (tone) overrides.push(`- Use this tone with this contact: ${this.#sanitizePromptInput(tone)}`);
+
+    return overrides.length > 0
+      ? `${SYSTEM_PROMPT}\n\n**Contact-specific overrides (take precedence over the guidelines above):**\n${overrides.join('\n')}`
+      : SYSTEM_PROMPT;
+  }
+
+  /**
+   * Enregistre une tentative d'appel dans le journal ai_calls
+   */
+  #recordCall(call) {
+    if (!this.#repository) return;
+
+    const promptTokens = call.usage?.promptTokens || 0;
+    const completionTokens = call.usage?.completionTokens || 0;
+
+    this.#repository.saveAICall({
+      purpose: call.purpose || 'other',
+      provider: call.provider,
+      model: call.model,
+      contactId: call.contactId,
+      promptTokens,
+      completionTokens,
+      totalTokens: call.usage?.totalTokens || 0,
+      latencyMs: call.latencyMs,
+      success: call.success,
+      error: call.error,
+      costUsd: estimateCost(call.provider, call.model, promptTokens, completionTokens)
+    });
 
-    const data = await response.json();
-    return this.#parseResponse(data.choices[0].message.content);
+    this.#budget?.checkThresholds().catch(error => {
+      console.error('[AIService] Budget check failed:', error.message);
+    });
   }
 
   /**
@@ -229,45 +408,28 @@ export class AIService {
     return text.replace(/"""/g, '\\"\\"\\"');
   }
 
-  #parseResponse(text) {
-    try {
-      // Clean up the response - remove markdown code blocks if present
-      let cleanText = text.trim();
-      if (cleanText.startsWith('```json')) {
-        cleanText = cleanText.slice(7);
-      } else if (cleanText.startsWith('```')) {
-        cleanText = cleanText.slice(3);
-      }
-      if (cleanText.endsWith('```')) {
-        cleanText = cleanText.slice(0, -3);
-      }
-      cleanText = cleanText.trim();
-
-      const parsed = JSON.parse(cleanText);
-      
-      // Ensure all required fields have valid values
-      return {
-        reply: parsed.reply || "Désolé, je n'ai pas pu traiter ce message.",
-        action: ['none', 'calendar_event', 'notify_admin'].includes(parsed.action) 
-          ? parsed.action : 'none',
-        urgency: ['low', 'medium', 'high', 'critical'].includes(parsed.urgency) 
-          ? parsed.urgency : 'low',
-        category: ['professional', 'personal', 'spam', 'other'].includes(parsed.category) 
-          ? parsed.category : 'other',
-        intent: parsed.intent || 'other',
-        sentiment: parsed.sentiment || 'neutral',
-        confidence: typeof parsed.confidence === 'number' 
-          ? Math.min(1, Math.max(0, parsed.confidence)) : 0.5,
-        event_details: parsed.event_details ? {
-          summary: parsed.event_details.summary,
-          start: parsed.event_details.start,
-          duration: parsed.event_details.duration
-        } : null
-      };
-    } catch (error) {
-      console.error('Failed to parse AI response:', text);
-      throw new Error(`Failed to parse AI response: ${error.message}`);
-    }
+  /**
+   * Ensure all required fields of the analysis have valid values
+   */
+  #normalizeAnalysis(parsed) {
+    return {
+      reply: parsed.reply || "Désolé, je n'ai pas pu traiter ce message.",
+      action: ['none', 'calendar_event', 'notify_admin'].includes(parsed.action) 
+        ? parsed.action : 'none',
+      urgency: ['low', 'medium', 'high', 'critical'].includes(parsed.urgency) 
+        ? parsed.urgency : 'low',
+      category: ['professional', 'personal', 'spam', 'other'].includes(parsed.category) 
+        ? parsed.category : 'other',
+      intent: parsed.intent || 'other',
+      sentiment: parsed.sentiment || 'neutral',
+      confidence: typeof parsed.confidence === 'number' 
+        ? Math.min(1, Math.max(0, parsed.confidence)) : 0.5,
+      event_details: parsed.event_details ? {
+        summary: parsed.event_details.summary,
+        start: parsed.event_details.start,
+        duration: parsed.event_details.duration
+      } : null
+    };
   }
 
   /**
@@ -283,76 +445,16 @@ export class AIService {
 
 Return a JSON object with a single "summary" field containing a concise French summary (2-3 sentences).`;
 
-    switch (this.#provider) {
-      case 'gemini':
-        return await this.#callGeminiBriefing(prompt);
-      case 'openai':
-      case 'groq':
-        return await this.#callChatBriefing(prompt);
-      default:
-        return { summary: `📊 Résumé: ${stats.total || 0} messages reçus, ${stats.urgent || 0} urgents.` };
-    }
-  }
-
-  async #callGeminiBriefing(prompt) {
-    const url = `https://generativelanguage.googleapis.com/v1beta/models/${this.#model}:generateContent?key=${this.#apiKey}`;
-    
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        contents: [{ parts: [{ text: prompt }] }],
-        generationConfig: {
-          temperature: 0.5,
-          maxOutputTokens: 200,
-          responseMimeType: "application/json"
-        }
-      })
-    });
-
-    if (!response.ok) {
-      return { summary: "Impossible de générer le résumé." };
-    }
-
-    const data = await response.json();
-    const text = data.candidates?.[0]?.content?.parts?.[0]?.text;
-    
     try {
-      return JSON.parse(text);
+      const { text } = await this.#client.complete({ prompt, temperature: 0.5, maxTokens: 200, purpose: 'briefing', cache: true });
+      try {
+        return JSON.parse(text);
+      } catch {
+        return { summary: text || "Résumé non disponible." };
+      }
     } catch {
-      return { summary: text || "Résumé non disponible." };
-    }
-  }
-
-  async #callChatBriefing(prompt) {
-    const endpoint = this.#provider === 'groq' 
-      ? 'https://api.groq.com/openai/v1/chat/completions'
-      : 'https://api.openai.com/v1/chat/completions';
-
-    const response = await fetch(endpoint, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${this.#apiKey}`
-      },
-      body: JSON.stringify({
-        model: this.#model,
-        messages: [{ role: 'user', content: prompt }],
-        response_format: { type: 'json_object' },
-        max_tokens: 200
-      })
-    });
-
-    if (!response.ok) {
       return { summary: "Impossible de générer le résumé." };
     }
-
-    const data = await response.json();
-    try {
-      return JSON.parse(data.choices[0].message.content);
-    } catch {
-      return { summary: "Résumé non disponible." };
-    }
   }
 
   // ============================================
@@ -461,18 +563,8 @@ IMPORTANT:
 - Si un événement est trop ambigu, mets-le dans "ambiguous" au lieu de "events"`;
 
     try {
-      let result;
-      switch (this.#provider) {
-        case 'gemini':
-          result = await this.#callGeminiExtraction(prompt);
-          break;
-        case 'openai':
-        case 'groq':
-          result = await this.#callChatExtraction(prompt);
-          break;
-        default:
-          return { events: [], ambiguous: [] };
-      }
+      // Basse température pour plus de précision
+      const { data: result } = await this.#client.completeJSON({ prompt, temperature: 0.3, maxTokens: 2000, purpose: 'extraction', cache: true });
       
       return {
         events: result.events || [],
@@ -484,59 +576,6 @@ IMPORTANT:
     }
   }
 
-  /**
-   * Appel Gemini pour extraction d'événements
-   */
-  async #callGeminiExtraction(prompt) {
-    const url = `https://generativelanguage.googleapis.com/v1beta/models/${this.#model}:generateContent?key=${this.#apiKey}`;
-    
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        contents: [{ parts: [{ text: prompt }] }],
-        generationConfig: {
-          temperature: 0.3, // Basse température pour plus de précision
-          maxOutputTokens: 2000,
-          responseMimeType: "application/json"
-        }
-      })
-    });
-
-    if (!response.ok) throw new Error('Gemini extraction API error');
-    const data = await response.json();
-    const text = data.candidates?.[0]?.content?.parts?.[0]?.text;
-    return JSON.parse(text);
-  }
-
-  /**
-   * Appel Chat API (OpenAI/Groq) pour extraction d'événements
-   */
-  async #callChatExtraction(prompt) {
-    const endpoint = this.#provider === 'groq' 
-      ? 'https://api.groq.com/openai/v1/chat/completions'
-      : 'https://api.openai.com/v1/chat/completions';
-
-    const response = await fetch(endpoint, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${this.#apiKey}`
-      },
-      body: JSON.stringify({
-        model: this.#model,
-        messages: [{ role: 'user', content: prompt }],
-        response_format: { type: 'json_object' },
-        max_tokens: 2000,
-        temperature: 0.3
-      })
-    });
-
-    if (!response.ok) throw new Error('Chat extraction API error');
-    const data = await response.json();
-    return JSON.parse(data.choices[0].message.content);
-  }
-
   // ============================================
   // HELPERS POUR CALCUL DE DATES
   // ============================================
@@ -592,9 +631,10 @@ IMPORTANT:
         const direction = msg.direction === 'incoming' ? '→' : '←';
         const sender = msg.direction === 'incoming' ? this.#sanitizePromptInput(conv.contactName) : 'Jonas (toi)';
         
-        // Tronquer les messages trop longs
-        let body = msg.body?.length > 300
-          ? msg.body.substring(0, 300) + '...' 
+        // Tronquer les messages trop longs (plus de marge pour le texte extrait des pièces jointes)
+        const maxLength = msg.body?.includes(IMAGE_MARKER) || msg.body?.includes(DOCUMENT_MARKER) ? 1200 : 300;
+        let body = msg.body?.length > maxLength
+          ? msg.body.substring(0, maxLength) + '...' 
           : msg.body;
 
         body = this.#sanitizePromptInput(body);
@@ -654,73 +694,14 @@ Génère un JSON avec:
 }`;
 
     try {
-      switch (this.#provider) {
-        case 'gemini':
-          return await this.#callGeminiCompact(prompt);
-        case 'openai':
-        case 'groq':
-          return await this.#callChatCompact(prompt);
-        default:
-          return this.#fallbackConversationSummary(conv);
-      }
+      const { data } = await this.#client.completeJSON({ prompt, temperature: 0.5, maxTokens: 1000, purpose: 'compaction', cache: true });
+      return data;
     } catch (error) {
       console.error(`Failed to preprocess conversation with ${conv.contactName}:`, error);
       return this.#fallbackConversationSummary(conv);
     }
   }
 
-  /**
-   * Appel Gemini compact pour pré-traitement
-   */
-  async #callGeminiCompact(prompt) {
-    const url = `https://generativelanguage.googleapis.com/v1beta/models/${this.#model}:generateContent?key=${this.#apiKey}`;
-    
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        contents: [{ parts: [{ text: prompt }] }],
-        generationConfig: {
-          temperature: 0.5,
-          maxOutputTokens: 1000,
-          responseMimeType: "application/json"
-        }
-      })
-    });
-
-    if (!response.ok) throw new Error('Gemini compact API error');
-    const data = await response.json();
-    const text = data.candidates?.[0]?.content?.parts?.[0]?.text;
-    return JSON.parse(text);
-  }
-
-  /**
-   * Appel Chat API compact pour pré-traitement
-   */
-  async #callChatCompact(prompt) {
-    const endpoint = this.#provider === 'groq' 
-      ? 'https://api.groq.com/openai/v1/chat/completions'
-      : 'https://api.openai.com/v1/chat/completions';
-
-    const response = await fetch(endpoint, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${this.#apiKey}`
-      },
-      body: JSON.stringify({
-        model: this.#model,
-        messages: [{ role: 'user', content: prompt }],
-        response_format: { type: 'json_object' },
-        max_tokens: 1000
-      })
-    });
-
-    if (!response.ok) throw new Error('Chat compact API error');
-    const data = await response.json();
-    return JSON.parse(data.choices[0].message.content);
-  }
-
   /**
    * Fallback si l'IA échoue pour le pré-traitement
    */
@@ -749,8 +730,11 @@ Génère un JSON avec:
    * @param {Object} stats - Statistiques
    * @param {Object} agendaSummary - Résumé de l'agenda Google (optionnel)
    * @param {Object} calendarService - Service calendrier pour vérifier les dispos (optionnel)
+   * @param {Object} options
+   * @param {Array<{title: string}>} options.handledTasks - Tâches déjà traitées/reportées à ne pas reproposer
+   * @param {Array<Object>} options.profiles - Profils long terme des contacts du jour ({ contactName, ...profil })
    */
-  async generateFullReport(conversations, stats, agendaSummary = null, calendarService = null) {
+  async generateFullReport(conversations, stats, agendaSummary = null, calendarService = null, { handledTasks = [], profiles = [] } = {}) {
     if (!conversations || conversations.length === 0) {
       return this.#formatEmptyReport(stats, agendaSummary);
     }
@@ -830,6 +814,23 @@ CRÉNEAUX DISPONIBLES (min 1h30):
 ${slotsStr}`;
     }
 
+    // Tâches déjà faites, ignorées ou reportées par Jonas
+    const handledTasksSection = handledTasks.length > 0
+      ? `TÂCHES DÉJÀ TRAITÉES (ne PAS les remettre dans "taches"):
+${handledTasks.slice(0, 30).map(t => `- ${this.#sanitizePromptInput(t.title)}`).join('\n')}
+`
+      : '';
+
+    // Ce que C.A.R.L. sait déjà des contacts du jour (ton et contexte des brouillons)
+    const profileLines = profiles
+      .map(p => ({ name: p.contactName, lines: this.#describeProfile(p) }))
+      .filter(p => p.lines.length > 0);
+    const profilesSection = profileLines.length > 0
+      ? `PROFILS DES CONTACTS (mémoire long terme, pour adapter le ton et le contenu des brouillons):
+${profileLines.map(p => `• ${this.#sanitizePromptInput(p.name)}: ${p.lines.join(' | ')}`).join('\n')}
+`
+      : '';
+
     // Préparer la section des résumés pré-traités (si mode adaptatif)
     let preprocessedSection = '';
     if (preprocessedSummaries.length > 0) {
@@ -874,6 +875,8 @@ ${contactSummary}
 AGENDA DE JONAS:
 ${agendaInfo}
 
+${profilesSection}
+${handledTasksSection}
 RÈGLES DE CATÉGORISATION (IMPORTANT - ignore les catégories pré-remplies):
 - "sport_loisirs": TOUTE invitation sportive (volley, foot, tennis, piscine, randonnée, etc.), sorties loisirs, hobbies
 - "personnel": Messages d'amis/famille sans rapport pro, discussions personnelles
@@ -990,32 +993,24 @@ RÈGLES FINALES IMPORTANTES:
 5. Maximum 5 messages_actionnables, 5 tâches et 4 insights`;
 
     try {
-      let result;
-      switch (this.#provider) {
-        case 'gemini':
-          result = await this.#callGeminiReport(prompt);
-          break;
-        case 'openai':
-        case 'groq':
-          result = await this.#callChatReport(prompt);
-          break;
-        default:
-          result = null;
-      }
+      let { data: result, provider, model } = await this.#client.completeJSON({ prompt, temperature: 0.7, maxTokens: 4000, purpose: 'report', cache: true });
 
       // Security: Sanitize AI output to prevent injection/DoS
       if (result) {
         result = this.#sanitizeReport(result);
+        result.taches = this.#withoutHandledTasks(result.taches, handledTasks);
       }
 
       // Utiliser le total de messages calculé plus haut (totalMessages)
       // `messages` n'existe pas dans cette portée et provoquait une ReferenceError
       const formattedReport = this.#formatReport(result, stats, totalMessages);
       
-      // Retourner le rapport formaté ET les données brutes pour /tasks
+      // Retourner le rapport formaté ET les données brutes pour /tasks (et l'archive)
       return {
         formatted: formattedReport,
-        raw: result
+        raw: result,
+        provider,
+        model
       };
     } catch (error) {
       console.error('Failed to generate AI report:', error);
@@ -1026,56 +1021,13 @@ RÈGLES FINALES IMPORTANTES:
     }
   }
 
-  async #callGeminiReport(prompt) {
-    const url = `https://generativelanguage.googleapis.com/v1beta/models/${this.#model}:generateContent?key=${this.#apiKey}`;
-    
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        contents: [{ parts: [{ text: prompt }] }],
-        generationConfig: {
-          temperature: 0.7,
-          maxOutputTokens: 4000,
-          responseMimeType: "application/json"
-        }
-      })
-    });
-
-    if (!response.ok) {
-      throw new Error('Gemini API error');
-    }
-
-    const data = await response.json();
-    const text = data.candidates?.[0]?.content?.parts?.[0]?.text;
-    return JSON.parse(text);
-  }
-
-  async #callChatReport(prompt) {
-    const endpoint = this.#provider === 'groq' 
-      ? 'https://api.groq.com/openai/v1/chat/completions'
-      : 'https://api.openai.com/v1/chat/completions';
-
-    const response = await fetch(endpoint, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${this.#apiKey}`
-      },
-      body: JSON.stringify({
-        model: this.#model,
-        messages: [{ role: 'user', content: prompt }],
-        response_format: { type: 'json_object' },
-        max_tokens: 4000
-      })
-    });
-
-    if (!response.ok) {
-      throw new Error('Chat API error');
-    }
-
-    const data = await response.json();
-    return JSON.parse(data.choices[0].message.content);
+  /**
+   * Retire les tâches que l'IA repropose malgré la consigne (comparaison par taskKey)
+   */
+  #withoutHandledTasks(tasks, handledTasks) {
+    if (!tasks || handledTasks.length === 0) return tasks;
+    const handledKeys = new Set(handledTasks.map(t => taskKey(t.title)));
+    return tasks.filter(t => !handledKeys.has(taskKey(t.titre)));
   }
 
   /**
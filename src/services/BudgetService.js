@@ -0,0 +1,156 @@
+/**
+ * BudgetService - Plafonds de consommation IA (jour / mois)
+ *
+ * Les budgets s'expriment en tokens et/ou en USD (coût estimé du journal
+ * ai_calls). Quand un plafond est atteint, l'application bascule en mode
+ * dégradé (sauvegarde sans IA, rapport basique). L'admin est prévenu sur
+ * Telegram à 80% puis à 100% de chaque plafond, une fois par période.
+ *
+ * @module services/BudgetService
+ */
+
+// ============================================
+// CONSTANTES
+// ============================================
+
+const WARNING_RATIO = 0.8;
+
+const PERIOD_LABELS = {
+  daily: 'journalier',
+  monthly: 'mensuel'
+};
+
+// ============================================
+// CLASSE PRINCIPALE
+// ============================================
+
+export class BudgetService {
+  #limits;
+  #repo;
+  #telegram;
+  #logger;
+  #notified = new Set();   // key: period|unit|periodStart|threshold
+
+  /**
+   * @param {Config} config - Configuration (config.ai.budget)
+   * @param {MessageRepository} repository - Source du journal ai_calls
+   * @param {TelegramService} telegramService - Notifications
+   * @param {Logger} logger
+   */
+  constructor(config, repository, telegramService = null, logger = null) {
+    const budget = config.ai?.budget || {};
+    this.#limits = [
+      { period: 'daily', unit: 'tokens', limit: budget.dailyTokens },
+      { period: 'daily', unit: 'usd', limit: budget.dailyUsd },
+      { period: 'monthly', unit: 'tokens', limit: budget.monthlyTokens },
+      { period: 'monthly', unit: 'usd', limit: budget.monthlyUsd }
+    ].filter(l => l.limit > 0);
+    this.#repo = repository;
+    this.#telegram = telegramService;
+    this.#logger = logger;
+  }
+
+  /**
+   * Au moins un plafond est configuré
+   */
+  get isEnabled() {
+    return this.#limits.length > 0;
+  }
+
+  /**
+   * Consommation courante pour chaque plafond configuré
+   * @returns {Array<{period: string, unit: string, limit: number, used: number, ratio: number, since: number}>}
+   */
+  getStatus() {
+    if (!this.isEnabled) return [];
+
+    const starts = this.#getPeriodStarts();
+    const usage = {
+      daily: this.#repo.getAIUsageSince(starts.daily),
+      monthly: this.#repo.getAIUsageSince(starts.monthly)
+    };
+
+    return this.#limits.map(({ period, unit, limit }) => {
+      const used = unit === 'usd' ? usage[period].cost : usage[period].tokens;
+      return { period, unit, limit, used, ratio: used / limit, since: starts[period] };
+    });
+  }
+
+  /**
+   * Un plafond est atteint: les appels IA doivent être évités
+   * @returns {boolean}
+   */
+  isExhausted() {
+    return this.getStatus().some(s => s.ratio >= 1);
+  }
+
+  /**
+   * Vérifie les seuils et notifie l'admin (80% puis 100%), une seule fois par période
+   * Appelé après chaque appel IA enregistré.
+   */
+  async checkThresholds() {
+    for (const status of this.getStatus()) {
+      const threshold = status.ratio >= 1 ? 1 : status.ratio >= WARNING_RATIO ? WARNING_RATIO : null;
+      if (!threshold) continue;
+
+      const key = `${status.period}|${status.unit}|${status.since}|${threshold}`;
+      if (this.#notified.has(key)) continue;
+      this.#notified.add(key);
+
+      this.#logger?.warn('AI budget threshold reached', {
+        period: status.period,
+        unit: status.unit,
+        used: status.used,
+        limit: status.limit
+      });
+
+      await this.#telegram?.sendMessage(this.#formatAlert(status, threshold));
+    }
+  }
+
+  /**
+   * Formate une ligne de budget pour /usage
+   * @param {Object} status - Élément de getStatus()
+   * @returns {string}
+   */
+  static formatStatus(status) {
+    const percent = Math.round(status.ratio * 100);
+    const icon = status.ratio >= 1 ? '🔴' : status.ratio >= WARNING_RATIO ? '🟠' : '🟢';
+    return `${icon} ${PERIOD_LABELS[status.period]}: ${BudgetService.#formatAmount(status.used, status.unit)} / ` +
+      `${BudgetService.#formatAmount(status.limit, status.unit)} (${percent}%)`;
+  }
+
+  // ============================================
+  // MÉTHODES PRIVÉES
+  // ============================================
+
+  #getPeriodStarts() {
+    const now = new Date();
+    const midnight = new Date(now);
+    midnight.setHours(0, 0, 0, 0);
+    const firstOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
+
+    return { daily: midnight.getTime(), monthly: firstOfMonth.getTime() };
+  }
+
+  #formatAlert(status, threshold) {
+    const label = PERIOD_LABELS[status.period];
+
+    if (threshold >= 1) {
+      return `🔴 <b>Budget IA ${label} atteint</b>\n\n` +
+        `${BudgetService.formatStatus(status)}\n\n` +
+        `Mode économique activé: les messages sont enregistrés sans analyse IA ` +
+        `et les rapports sont générés sans IA jusqu'à la prochaine période.`;
+    }
+
+    return `🟠 <b>Budget IA ${label} à ${Math.round(status.ratio * 100)}%</b>\n\n` +
+      `${BudgetService.formatStatus(status)}\n\n` +
+      `Le mode économique s'activera automatiquement à 100%.`;
+  }
+
+  static #formatAmount(value, unit) {
+    return unit === 'usd'
+      ? `$${value.toFixed(2)}`
+      : `${Math.round(value).toLocaleString('fr-FR')} tokens`;
+  }
+}
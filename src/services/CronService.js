@@ -1,24 +1,58 @@
 import { CronJob } from 'cron';
+import { ReportFormatter } from './ai/ReportFormatter.js';
+import { ReportDiff } from './ai/ReportDiff.js';
+import { DigestService } from './DigestService.js';
+import { FollowUpService } from './FollowUpService.js';
+import { taskKey } from '../domain/Task.js';
+import { MENTION_TYPES, describeMention } from '../domain/GroupPolicy.js';
+import { escapeHtml } from '../utils/Sanitizer.js';
+
+// Clé app_state des données brutes du dernier rapport (survit aux redémarrages)
+const LAST_REPORT_STATE_KEY = 'last_report_data';
+
+// Agrégation nocturne: jours manquants rattrapés (arrêt du service) sur cette profondeur
+const ROLLUP_CATCHUP_DAYS = 7;
+
+// Passage des sessions de conversation en idle/closed
+const SESSION_SWEEP_TIME = '*/15 * * * *';
+
+// Conversations sans réponse listées dans le rapport quotidien
+const REPORT_PENDING_LIMIT = 10;
+
+// Mentions et réponses dans les groupes listées dans le rapport quotidien
+const REPORT_MENTIONS_LIMIT = 10;
+const REPORT_MENTION_PREVIEW_CHARS = 120;
+
+// Brouillons du rapport envoyables depuis Telegram (bouton 📤, valable jusqu'au rapport suivant)
+const REPORT_DRAFTS_LIMIT = 8;
+const REPORT_DRAFT_TTL_MS = 24 * 60 * 60 * 1000;
 
 export class CronService {
   #job;
+  #scheduledJobs = [];
+  #digestService;
   #repo;
   #telegram;
   #logger;
   #config;
   #aiService;
   #calendarService;
+  #budgetService;
+  #followUpService;
   
-  // Stockage des dernières données pour /tasks
-  #lastReportData = null;
+  // Stockage des dernières données pour /tasks (undefined = pas encore relu depuis SQLite)
+  #lastReportData = undefined;
 
-  constructor(config, repository, telegramService, logger, aiService = null, calendarService = null) {
+  constructor(config, repository, telegramService, logger, aiService = null, calendarService = null, budgetService = null, followUpService = null) {
     this.#config = config;
     this.#repo = repository;
     this.#telegram = telegramService;
     this.#logger = logger;
     this.#aiService = aiService;
     this.#calendarService = calendarService;
+    this.#budgetService = budgetService;
+    this.#followUpService = followUpService;
+    this.#digestService = new DigestService(repository);
     this.init();
   }
 
@@ -26,6 +60,14 @@ export class CronService {
    * Retourne les tâches et événements du dernier rapport
    */
   getLastReportData() {
+    if (this.#lastReportData === undefined) {
+      try {
+        this.#lastReportData = this.#repo.getAppState(LAST_REPORT_STATE_KEY)?.value ?? null;
+      } catch (error) {
+        this.#logger.error('Failed to restore last report data', { error: error.message });
+        this.#lastReportData = null;
+      }
+    }
     return this.#lastReportData;
   }
 
@@ -37,6 +79,9 @@ export class CronService {
   }
 
   init() {
+    this.#scheduleDigests();
+    this.#scheduleMaintenance();
+
     if (!this.#config.features.enableDailyBriefing) {
       this.#logger.info('Daily briefing disabled');
       return;
@@ -56,6 +101,105 @@ export class CronService {
     this.#job.start();
   }
 
+  /**
+   * Planifie les bilans hebdomadaires et mensuels (expression cron vide = désactivé)
+   */
+  #scheduleDigests() {
+    const schedules = {
+      weekly: this.#config.features.weeklyDigestTime,
+      monthly: this.#config.features.monthlyDigestTime
+    };
+
+    for (const [kind, time] of Object.entries(schedules)) {
+      if (!time) continue;
+
+      this.#logger.info(`Scheduling ${kind} digest at ${time}`);
+      const job = new CronJob(time, async () => {
+        try {
+          await this.generateAndSendDigest(kind);
+        } catch (error) {
+          this.#logger.error(`Failed to generate ${kind} digest`, { error });
+        }
+      });
+      job.start();
+      this.#scheduledJobs.push(job);
+    }
+  }
+
+  /**
+   * Planifie l'agrégation nocturne des statistiques et le suivi des sessions
+   * (STATS_ROLLUP_TIME vide = désactivé)
+   */
+  #scheduleMaintenance() {
+    const time = this.#config.features.statsRollupTime;
+    if (!time) return;
+
+    this.#logger.info(`Scheduling daily stats rollup at ${time}`);
+    const rollup = new CronJob(time, () => {
+      try {
+        this.runNightlyRollup();
+      } catch (error) {
+        this.#logger.error('Failed to roll up daily stats', { error: error.message });
+      }
+    });
+
+    const sweep = new CronJob(SESSION_SWEEP_TIME, () => {
+      try {
+        this.#repo.updateConversationStatuses();
+      } catch (error) {
+        this.#logger.error('Failed to update conversation sessions', { error: error.message });
+      }
+    });
+
+    rollup.start();
+    sweep.start();
+    this.#scheduledJobs.push(rollup, sweep);
+  }
+
+  /**
+   * Agrège les jours passés dans daily_stats et clôt les sessions inactives
+   * La veille est toujours recalculée, les jours plus anciens seulement s'ils manquent.
+   * @param {Date} now
+   * @returns {string[]} Dates agrégées (YYYY-MM-DD)
+   */
+  runNightlyRollup(now = new Date()) {
+    const sessions = this.#repo.updateConversationStatuses(now.getTime());
+    const rolled = [];
+
+    for (let offset = 1; offset <= ROLLUP_CATCHUP_DAYS; offset++) {
+      const day = new Date(now);
+      day.setDate(day.getDate() - offset);
+      const date = CronService.localDate(day);
+      if (offset > 1 && this.#repo.getDailyStats(date)) continue;
+
+      this.#repo.saveDailyStats(this.#repo.generateDailyStats(date));
+      rolled.push(date);
+    }
+
+    this.#logger.info('Daily stats rolled up', { dates: rolled, ...sessions });
+    return rolled;
+  }
+
+  /**
+   * Génère, envoie et archive un bilan (/hebdo, /mensuel ou cron)
+   * @param {'weekly'|'monthly'} kind
+   * @returns {Promise<string>} Bilan formaté
+   */
+  async generateAndSendDigest(kind) {
+    this.#logger.info(`Generating ${kind} digest...`);
+
+    const digest = this.#digestService.build(kind);
+    const message = DigestService.format(digest);
+
+    await this.#telegram.sendMessage(message);
+    this.#archiveReport(message, { raw: digest }, digest.current, {
+      kind,
+      reportDate: CronService.localDate(new Date(digest.end))
+    });
+
+    return message;
+  }
+
   /**
    * Génère et envoie le rapport - appelable manuellement ou par cron
    * Couvre les messages de la journée en cours (depuis minuit)
@@ -83,26 +227,247 @@ export class CronService {
     }
 
     let report;
+    let result = { raw: null, provider: null, model: null };
     
-    if (this.#aiService) {
-      // Générer le rapport avec IA (retourne { formatted, raw })
-      const result = await this.#aiService.generateFullReport(conversations, stats, agendaSummary, this.#calendarService);
+    if (this.#aiService && this.#budgetService?.isExhausted()) {
+      // Budget IA épuisé: rapport basique sans appel IA
+      this.#logger.warn('AI budget exhausted - sending basic report');
+      report = ReportFormatter.formatBasic(stats, messages);
+      this.#setLastReportData(null);
+    } else if (this.#aiService) {
+      // Générer le rapport avec IA (retourne { formatted, raw, provider, model })
+      // Les tâches faites, ignorées ou reportées ne sont pas reproposées
+      result = await this.#aiService.generateFullReport(conversations, stats, agendaSummary, this.#calendarService, {
+        handledTasks: this.#getHandledTasks(),
+        profiles: this.#getContactProfiles(conversations)
+      });
       report = result.formatted;
       
       // Stocker les données brutes pour /tasks
-      this.#lastReportData = result.raw;
+      this.#setLastReportData(result.raw);
     } else {
       // Fallback sans IA
       report = this.#formatBasicReport(stats, messages);
-      this.#lastReportData = null;
+      this.#setLastReportData(null);
+    }
+
+    // Ce qui a changé depuis le dernier rapport IA archivé
+    if (result.raw) {
+      const previous = this.#findPreviousAIReport();
+      if (previous) {
+        report += ReportDiff.format(ReportDiff.compare(previous.raw, result.raw), previous.createdAt);
+      }
     }
 
-    await this.#telegram.sendMessage(report);
+    report += this.#formatPendingReplies();
+    report += this.#formatGroupMentions();
+
+    const draftButtons = this.#draftReplyButtons(result.raw);
+    await this.#telegram.sendMessage(report, draftButtons.length ? { inlineKeyboard: draftButtons } : {});
     this.#logger.info('Report sent', { conversationsCount: conversations.length, messagesCount: messages.length });
+
+    const reportId = this.#archiveReport(report, result, stats);
+    if (result.raw?.taches?.length) {
+      this.#trackTasks(result.raw.taches, reportId);
+    }
     
     return report;
   }
 
+  /**
+   * Section "En attente de ta réponse" du rapport quotidien
+   */
+  #formatPendingReplies() {
+    if (!this.#followUpService) return '';
+
+    try {
+      const pending = this.#followUpService.getPending({ all: true }).slice(0, REPORT_PENDING_LIMIT);
+      if (pending.length === 0) return '';
+
+      return `\n━━━━━━━━━━━━━━━━━━━━━━━━━━━\n` +
+        FollowUpService.format(pending, { title: '⏳ <b>EN ATTENTE DE TA RÉPONSE</b>' }) +
+        `\n→ /pending pour répondre`;
+    } catch (error) {
+      this.#logger.error('Failed to list pending replies', { error: error.message });
+      return '';
+    }
+  }
+
+  /**
+   * Section "Dans tes groupes" du rapport quotidien: mentions et réponses du jour
+   */
+  #formatGroupMentions() {
+    try {
+      const mentions = this.#repo.getGroupMentions();
+      if (mentions.length === 0) return '';
+
+      const lines = mentions.slice(0, REPORT_MENTIONS_LIMIT).map(m => {
+        const time = new Date(m.received_at).toLocaleTimeString('fr-CH', { hour: '2-digit', minute: '2-digit' });
+        const text = m.body.replace(/^\[[^\]]*\]\s*/, '');
+        const preview = text.length > REPORT_MENTION_PREVIEW_CHARS ? `${text.substring(0, REPORT_MENTION_PREVIEW_CHARS)}...` : text;
+        const sentence = describeMention({ type: m.mention_type, groupName: m.group_name, authorName: m.author_name });
+        return `${MENTION_TYPES[m.mention_type] || '📣'} ${escapeHtml(sentence)} (${time})\n   <i>${escapeHtml(preview)}</i>`;
+      });
+      const more = mentions.length > REPORT_MENTIONS_LIMIT ? `\n+ ${mentions.length - REPORT_MENTIONS_LIMIT} autre(s)` : '';
+
+      return `\n━━━━━━━━━━━━━━━━━━━━━━━━━━━\n📣 <b>DANS TES GROUPES</b>\n\n${lines.join('\n')}${more}`;
+    } catch (error) {
+      this.#logger.error('Failed to list group mentions', { error: error.message });
+      return '';
+    }
+  }
+
+  /**
+   * Boutons 📤 Envoyer / ✏️ Modifier pour les brouillons du rapport
+   * (messages actionnables et événements proposés), traités par TelegramCommandHandler
+   * comme les réponses à valider. L'expéditeur doit désigner un seul contact connu.
+   */
+  #draftReplyButtons(raw) {
+    if (!raw) return [];
+
+    const drafts = [
+      ...(raw.messages_actionnables || []).map(m => ({ sender: m.expediteur, text: m.brouillon_reponse })),
+      ...(raw.agenda?.evenements_proposes || []).map(e => ({ sender: e.expediteur, text: e.reponse_suggérée }))
+    ].filter(d => d.sender && d.text);
+
+    const buttons = [];
+    try {
+      for (const draft of drafts.slice(0, REPORT_DRAFTS_LIMIT)) {
+        const contact = this.#findUniqueContact(draft.sender);
+        if (!contact) continue;
+
+        const replyId = this.#telegram.storePendingEvent({
+          to: contact.phone_number,
+          contactId: contact.id,
+          contactName: draft.sender,
+          messageDbId: this.#repo.getLatestIncomingMessageId(contact.id),
+          reply: draft.text,
+          responseType: 'manual'
+        }, { prefix: 'rpl', step: 'approve_reply', ttlMs: REPORT_DRAFT_TTL_MS });
+
+        buttons.push([
+          { text: `📤 Envoyer à ${draft.sender}`, callback_data: `rsend_${replyId}` },
+          { text: '✏️ Modifier', callback_data: `redit_${replyId}` }
+        ]);
+      }
+    } catch (error) {
+      this.#logger.error('Failed to prepare report drafts', { error: error.message });
+    }
+    return buttons;
+  }
+
+  /**
+   * Dernier rapport archivé contenant des données IA
+   */
+  #findPreviousAIReport() {
+    try {
+      const withAI = this.#repo.getRecentReports(10).find(r => r.hasAI);
+      return withAI ? this.#repo.getReportById(withAI.id) : null;
+    } catch (error) {
+      this.#logger.error('Failed to load previous report', { error: error.message });
+      return null;
+    }
+  }
+
+  #getHandledTasks() {
+    try {
+      return this.#repo.getSuppressedTasks();
+    } catch (error) {
+      this.#logger.error('Failed to load handled tasks', { error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Profils long terme des contacts du jour (voir ProfileService)
+   */
+  #getContactProfiles(conversations) {
+    try {
+      const names = new Map(conversations.map(c => [c.contactId, c.contactName]));
+      return this.#repo.getContactProfiles([...names.keys()])
+        .map(profile => ({ ...profile, contactName: names.get(profile.contactId) }));
+    } catch (error) {
+      this.#logger.error('Failed to load contact profiles', { error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Enregistre les tâches du rapport dans la table tasks (dédupliquées d'un rapport à l'autre)
+   * La source est reliée au contact et à son dernier message quand le nom désigne un seul contact.
+   */
+  #trackTasks(tasks, reportId) {
+    try {
+      for (const tache of tasks) {
+        if (!tache.titre) continue;
+
+        const contact = tache.source ? this.#findUniqueContact(tache.source) : null;
+        this.#repo.upsertReportTask({
+          key: taskKey(tache.titre),
+          title: tache.titre,
+          description: tache.description,
+          priority: tache.priorite,
+          dueDate: tache.deadline,
+          source: tache.source,
+          contactId: contact?.id,
+          sourceMessageId: contact ? this.#repo.getLatestIncomingMessageId(contact.id) : null,
+          reportId
+        });
+      }
+    } catch (error) {
+      this.#logger.error('Failed to track report tasks', { error: error.message });
+    }
+  }
+
+  /**
+   * Contact désigné par un nom issu du rapport IA, ignoré si plusieurs contacts le portent
+   * @returns {Object|null}
+   */
+  #findUniqueContact(name) {
+    const contacts = this.#repo.findContactsByName(name);
+    return contacts.length === 1 ? contacts[0] : null;
+  }
+
+  /**
+   * Archive le rapport envoyé (consultable via /rapport <date> et /rapports)
+   * @returns {number|null} ID du rapport archivé
+   */
+  #archiveReport(formatted, result, stats, { kind = 'daily', reportDate = CronService.localDate() } = {}) {
+    try {
+      return this.#repo.saveReport({
+        kind,
+        reportDate,
+        formatted,
+        raw: result.raw,
+        stats,
+        provider: result.provider,
+        model: result.model
+      });
+    } catch (error) {
+      this.#logger.error('Failed to archive report', { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Date locale au format YYYY-MM-DD (clé des rapports archivés)
+   * @param {Date} date
+   * @returns {string}
+   */
+  static localDate(date = new Date()) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  #setLastReportData(data) {
+    this.#lastReportData = data;
+    try {
+      this.#repo.setAppState(LAST_REPORT_STATE_KEY, data);
+    } catch (error) {
+      this.#logger.error('Failed to persist last report data', { error: error.message });
+    }
+  }
+
   #formatBasicReport(stats, messages) {
     let report = `📊 <b>Rapport C.A.R.L.</b>\n\n`;
     report += `📈 <b>Statistiques:</b>\n`;
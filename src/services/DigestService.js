@@ -0,0 +1,342 @@
+/**
+ * DigestService - Bilans hebdomadaires et mensuels
+ *
+ * Construits sans IA à partir des statistiques journalières (daily_stats),
+ * des rapports quotidiens archivés et des messages de la période:
+ * tendances par catégorie/urgence comparées à la période précédente,
+ * contacts les plus actifs, conversations sans réponse et évolution
+ * du temps de réponse.
+ *
+ * Périodes:
+ * - hebdo: les 7 derniers jours (aujourd'hui compris)
+ * - mensuel: le mois en cours, ou le mois précédent complet le 1er du mois
+ *
+ * @module services/DigestService
+ */
+import { escapeHtml } from '../utils/Sanitizer.js';
+import { taskKey } from '../domain/Task.js';
+import { CronService } from './CronService.js';
+
+// ============================================
+// CONSTANTES
+// ============================================
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DIGEST_TITLES = {
+  weekly: { title: 'BILAN DE LA SEMAINE', previous: 'semaine précédente' },
+  monthly: { title: 'BILAN DU MOIS', previous: 'mois précédent' }
+};
+
+// Variation (en %) en dessous de laquelle une tendance est considérée stable
+const STABLE_THRESHOLD_PERCENT = 10;
+
+// ============================================
+// CLASSE PRINCIPALE
+// ============================================
+
+export class DigestService {
+  #repo;
+  #now;
+
+  /**
+   * @param {MessageRepository} repository
+   * @param {Object} options
+   * @param {Function} options.now - Horloge injectable (tests)
+   */
+  constructor(repository, options = {}) {
+    this.#repo = repository;
+    this.#now = options.now || Date.now;
+  }
+
+  /**
+   * Période couverte par un bilan et période de comparaison
+   * @param {'weekly'|'monthly'} kind
+   * @param {number} at - Timestamp de référence
+   * @returns {{start: number, end: number, previousStart: number, previousEnd: number}}
+   */
+  static period(kind, at) {
+    const day = new Date(at);
+    day.setHours(0, 0, 0, 0);
+
+    if (kind === 'weekly') {
+      const start = new Date(day);
+      start.setDate(start.getDate() - 6);
+      const previousStart = new Date(start);
+      previousStart.setDate(previousStart.getDate() - 7);
+      return { start: start.getTime(), end: at, previousStart: previousStart.getTime(), previousEnd: start.getTime() - 1 };
+    }
+
+    // Le 1er du mois, le bilan porte sur le mois qui vient de se terminer
+    const month = new Date(day.getFullYear(), day.getMonth() - (day.getDate() === 1 ? 1 : 0), 1);
+    const nextMonth = new Date(month.getFullYear(), month.getMonth() + 1, 1);
+    const previousMonth = new Date(month.getFullYear(), month.getMonth() - 1, 1);
+    return {
+      start: month.getTime(),
+      end: Math.min(at, nextMonth.getTime() - 1),
+      previousStart: previousMonth.getTime(),
+      previousEnd: month.getTime() - 1
+    };
+  }
+
+  /**
+   * Construit les données d'un bilan
+   * @param {'weekly'|'monthly'} kind
+   * @returns {Object} Données du bilan (voir format())
+   */
+  build(kind) {
+    const now = this.#now();
+    const { start, end, previousStart, previousEnd } = DigestService.period(kind, now);
+
+    const current = this.#aggregate(this.#collectDailyStats(start, end, now));
+    const previous = this.#aggregate(this.#collectDailyStats(previousStart, previousEnd, now));
+
+    return {
+      kind,
+      start,
+      end,
+      current,
+      previous,
+      topContacts: this.#repo.getMostActiveContacts(start, end, 5).map(c => ({
+        name: DigestService.#contactName(c),
+        received: c.received,
+        sent: c.sent
+      })),
+      unanswered: this.#repo.getPendingReplies(start).slice(0, 5).map(c => ({
+        name: DigestService.#contactName(c),
+        body: c.body,
+        receivedAt: c.received_at
+      })),
+      reports: this.#summarizeReports(start, end)
+    };
+  }
+
+  /**
+   * Formate un bilan pour Telegram
+   * @param {Object} digest - Résultat de build()
+   * @returns {string} Message HTML
+   */
+  static format(digest) {
+    const { title, previous: previousLabel } = DIGEST_TITLES[digest.kind];
+    const { current, previous } = digest;
+
+    let message = `📆 <b>${title}</b>\n`;
+    message += `<i>Du ${DigestService.#formatDay(digest.start)} au ${DigestService.#formatDay(digest.end)}</i>\n`;
+    message += `━━━━━━━━━━━━━━━━━━━━━━━━━━━\n\n`;
+
+    message += `📨 <b>Activité</b> (vs ${previousLabel})\n`;
+    message += `• Reçus: ${current.received} (${DigestService.#perDay(current.received, current.days)}/j) ${DigestService.#trend(current.received / current.days, previous.received / previous.days)}\n`;
+    message += `• Envoyés: ${current.sent} ${DigestService.#trend(current.sent / current.days, previous.sent / previous.days)}\n`;
+    message += `• Jours actifs: ${current.activeDays}/${current.days}\n\n`;
+
+    message += `⏱️ <b>Temps de réponse moyen</b>\n`;
+    message += `• ${DigestService.#formatDuration(current.avgResponseMs)}`;
+    if (previous.avgResponseMs !== null && current.avgResponseMs !== null) {
+      message += ` (${previousLabel}: ${DigestService.#formatDuration(previous.avgResponseMs)}) ${DigestService.#trend(current.avgResponseMs, previous.avgResponseMs, true)}`;
+    }
+    message += '\n\n';
+
+    message += DigestService.#formatBreakdown('🏷️ <b>Par catégorie</b>', current.byCategory, previous.byCategory, current.days, previous.days);
+    message += DigestService.#formatBreakdown('🚨 <b>Par urgence</b>', current.byUrgency, previous.byUrgency, current.days, previous.days);
+
+    if (digest.topContacts.length > 0) {
+      message += `👥 <b>Contacts les plus actifs</b>\n`;
+      digest.topContacts.forEach((c, i) => {
+        message += `${i + 1}. ${escapeHtml(c.name)}: ${c.received} reçus, ${c.sent} envoyés\n`;
+      });
+      message += '\n';
+    }
+
+    if (digest.unanswered.length > 0) {
+      message += `💬 <b>Sans réponse</b>\n`;
+      digest.unanswered.forEach(t => {
+        const preview = t.body.length > 50 ? `${t.body.substring(0, 50)}...` : t.body;
+        message += `• ${escapeHtml(t.name)} (${DigestService.#formatDay(t.receivedAt)}): <i>${escapeHtml(preview)}</i>\n`;
+      });
+      message += '\n';
+    }
+
+    const { count, actionable, recurringTasks } = digest.reports;
+    if (count > 0) {
+      message += `📋 <b>Rapports quotidiens</b>\n`;
+      message += `• ${count} rapport(s), ${actionable} message(s) à traiter signalés\n`;
+      if (recurringTasks.length > 0) {
+        message += `• Tâches récurrentes:\n`;
+        recurringTasks.forEach(t => {
+          message += `   ↻ ${escapeHtml(t.title)} (${t.reports}×)\n`;
+        });
+      }
+      message += '\n';
+    }
+
+    return message.trimEnd();
+  }
+
+  // ============================================
+  // MÉTHODES PRIVÉES
+  // ============================================
+
+  /**
+   * Stats journalières de la période: lues dans daily_stats, calculées (et enregistrées)
+   * pour les jours passés manquants, recalculées sans enregistrement pour le jour en cours
+   */
+  #collectDailyStats(start, end, now) {
+    const today = CronService.localDate(new Date(now));
+    const days = [];
+
+    for (let cursor = new Date(start); cursor.getTime() <= end; cursor.setDate(cursor.getDate() + 1)) {
+      const date = CronService.localDate(cursor);
+      if (date > today) break;
+
+      const row = date === today ? null : this.#repo.getDailyStats(date);
+      if (row) {
+        days.push(DigestService.#fromRow(row));
+        continue;
+      }
+
+      const generated = this.#repo.generateDailyStats(date);
+      if (date !== today) this.#repo.saveDailyStats(generated);
+      days.push({
+        received: generated.total_received,
+        sent: generated.total_sent,
+        avgResponseMs: generated.avg_response_time_ms,
+        byCategory: generated.by_category,
+        byUrgency: generated.by_urgency
+      });
+    }
+
+    return days;
+  }
+
+  #aggregate(days) {
+    const total = {
+      days: Math.max(days.length, 1),
+      activeDays: 0,
+      received: 0,
+      sent: 0,
+      avgResponseMs: null,
+      byCategory: {},
+      byUrgency: {}
+    };
+
+    // Moyenne des temps de réponse pondérée par le nombre de messages reçus
+    let weightedResponse = 0;
+    let responseWeight = 0;
+
+    for (const day of days) {
+      total.received += day.received;
+      total.sent += day.sent;
+      if (day.received + day.sent > 0) total.activeDays++;
+
+      if (day.avgResponseMs !== null && day.avgResponseMs !== undefined) {
+        const weight = Math.max(day.received, 1);
+        weightedResponse += day.avgResponseMs * weight;
+        responseWeight += weight;
+      }
+
+      for (const [key, count] of Object.entries(day.byCategory || {})) {
+        total.byCategory[key] = (total.byCategory[key] || 0) + count;
+      }
+      for (const [key, count] of Object.entries(day.byUrgency || {})) {
+        total.byUrgency[key] = (total.byUrgency[key] || 0) + count;
+      }
+    }
+
+    if (responseWeight > 0) total.avgResponseMs = Math.round(weightedResponse / responseWeight);
+    return total;
+  }
+
+  /**
+   * Résumé des rapports quotidiens archivés sur la période
+   * Une tâche est récurrente si elle apparaît dans au moins deux rapports.
+   */
+  #summarizeReports(start, end) {
+    const reports = this.#repo.getReportsInRange(CronService.localDate(new Date(start)), CronService.localDate(new Date(end)));
+    const tasks = new Map();
+    let actionable = 0;
+
+    for (const report of reports) {
+      actionable += report.raw?.messages_actionnables?.length || 0;
+
+      const seen = new Set();
+      for (const tache of report.raw?.taches || []) {
+        const key = taskKey(tache.titre);
+        if (!key || seen.has(key)) continue;
+        seen.add(key);
+
+        const entry = tasks.get(key) || { title: tache.titre, reports: 0 };
+        entry.reports++;
+        tasks.set(key, entry);
+      }
+    }
+
+    return {
+      count: reports.length,
+      actionable,
+      recurringTasks: [...tasks.values()]
+        .filter(t => t.reports >= 2)
+        .sort((a, b) => b.reports - a.reports)
+        .slice(0, 5)
+    };
+  }
+
+  static #formatBreakdown(title, current, previous, currentDays, previousDays) {
+    const entries = Object.entries(current).sort((a, b) => b[1] - a[1]);
+    if (entries.length === 0) return '';
+
+    let section = `${title}\n`;
+    for (const [key, count] of entries) {
+      const trend = DigestService.#trend(count / currentDays, (previous[key] || 0) / previousDays);
+      section += `• ${escapeHtml(key)}: ${count} ${trend}\n`;
+    }
+    return `${section}\n`;
+  }
+
+  /**
+   * Flèche de tendance entre deux valeurs (moyennes par jour pour les volumes)
+   * @param {boolean} lowerIsBetter - Pour le temps de réponse: une baisse est une amélioration
+   */
+  static #trend(current, previous, lowerIsBetter = false) {
+    if (!previous) return current > 0 ? '🆕' : '';
+
+    const percent = Math.round(((current - previous) / previous) * 100);
+    if (Math.abs(percent) < STABLE_THRESHOLD_PERCENT) return '➡️';
+
+    const arrow = percent > 0 ? '↗️' : '↘️';
+    const sign = percent > 0 ? '+' : '';
+    const verdict = lowerIsBetter ? (percent < 0 ? ' 👍' : ' ⚠️') : '';
+    return `${arrow} ${sign}${percent}%${verdict}`;
+  }
+
+  static #fromRow(row) {
+    return {
+      received: row.total_messages_received || 0,
+      sent: row.total_messages_sent || 0,
+      avgResponseMs: row.avg_response_time_ms,
+      byCategory: row.messages_by_category ? JSON.parse(row.messages_by_category) : {},
+      byUrgency: row.messages_by_urgency ? JSON.parse(row.messages_by_urgency) : {}
+    };
+  }
+
+  static #perDay(count, days) {
+    return Math.round((count / days) * 10) / 10;
+  }
+
+  static #formatDuration(ms) {
+    if (ms === null || ms === undefined) return 'aucune réponse';
+    const minutes = Math.round(ms / 60000);
+    if (minutes < 1) return "moins d'une minute";
+    if (minutes < 60) return `${minutes} min`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours} h ${String(minutes % 60).padStart(2, '0')}`;
+    return `${Math.round(ms / DAY_MS * 10) / 10} j`;
+  }
+
+  static #formatDay(timestamp) {
+    return new Date(timestamp).toLocaleDateString('fr-CH', { weekday: 'short', day: 'numeric', month: 'short' });
+  }
+
+  static #contactName(contact) {
+    return contact.push_name || contact.display_name || contact.phone_number.split('@')[0];
+  }
+}
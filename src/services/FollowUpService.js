@@ -0,0 +1,229 @@
+/**
+ * FollowUpService - Messages restés sans réponse et rappels
+ *
+ * Une conversation est en attente quand son dernier message est un message
+ * reçu. Elle devient un rappel quand l'attente, pondérée par l'urgence des
+ * messages (analyse IA), dépasse le seuil configuré: un message critique est
+ * rappelé 4× plus tôt, un message peu urgent 2× plus tard.
+ *
+ * Les rappels passent par les heures calmes (regroupés la nuit) et proposent
+ * Répondre / Reporter 2h / Ignorer. Un nouveau message du contact relance le suivi.
+ *
+ * @module services/FollowUpService
+ */
+import { escapeHtml } from '../utils/Sanitizer.js';
+
+// ============================================
+// CONSTANTES
+// ============================================
+
+const CHECK_INTERVAL_MS = 15 * 60 * 1000;
+
+// Au-delà, une conversation sans réponse n'est plus suivie
+const MAX_PENDING_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+export const SNOOZE_MS = 2 * 60 * 60 * 1000;
+
+// Conversations par rappel (les suivantes sont rappelées au passage suivant)
+const REMINDER_LIMIT = 10;
+
+// Rang d'urgence (repository, message non analysé = medium) => libellé et poids appliqué à l'attente
+const URGENCY_LEVELS = {
+  4: { urgency: 'critical', weight: 4, icon: '🔴' },
+  3: { urgency: 'high', weight: 2, icon: '🟠' },
+  2: { urgency: 'medium', weight: 1, icon: '🟡' },
+  1: { urgency: 'low', weight: 0.5, icon: '⚪' }
+};
+
+// ============================================
+// CLASSE PRINCIPALE
+// ============================================
+
+export class FollowUpService {
+  #repo;
+  #quietHours;
+  #telegram;
+  #logger;
+  #thresholdMs;
+  #now;
+  #timer = null;
+
+  /**
+   * @param {Config} config - Configuration (config.features.followUp)
+   * @param {MessageRepository} repository
+   * @param {QuietHoursService} quietHours - Envoi des rappels (mis de côté pendant les heures calmes)
+   * @param {Logger} logger
+   * @param {Object} options
+   * @param {TelegramService} options.telegram - Envoi direct des rappels sans QuietHoursService
+   * @param {Function} options.now - Horloge injectable (tests)
+   */
+  constructor(config, repository, quietHours = null, logger = null, options = {}) {
+    this.#repo = repository;
+    this.#quietHours = quietHours;
+    this.#telegram = options.telegram || null;
+    this.#logger = logger;
+    this.#thresholdMs = (config.features?.followUp?.thresholdMinutes ?? 240) * 60 * 1000;
+    this.#now = options.now || Date.now;
+  }
+
+  /**
+   * Démarre la vérification périodique (seuil à 0 = rappels désactivés, /pending reste disponible)
+   */
+  start() {
+    if (this.#timer || this.#thresholdMs <= 0) return;
+    this.#timer = setInterval(() => {
+      this.check().catch(error => this.#logger?.error('Follow-up check failed', { error: error.message }));
+    }, CHECK_INTERVAL_MS);
+    this.#timer.unref?.();
+  }
+
+  stop() {
+    clearInterval(this.#timer);
+    this.#timer = null;
+  }
+
+  /**
+   * Conversations en attente de réponse, les plus pressantes d'abord
+   * @param {Object} options
+   * @param {boolean} options.all - Inclure celles sous le seuil (pour /pending)
+   * @returns {Array<Object>}
+   */
+  getPending({ all = false } = {}) {
+    const now = this.#now();
+
+    return this.#repo.getPendingReplies(now - MAX_PENDING_AGE_MS)
+      .map(row => {
+        const level = URGENCY_LEVELS[row.urgency_rank] || URGENCY_LEVELS[1];
+        const waitMs = now - row.first_waiting_at;
+        return {
+          contactId: row.contact_id,
+          messageId: row.message_id,
+          name: row.push_name || row.display_name || row.phone_number.split('@')[0],
+          phoneNumber: row.phone_number,
+          body: row.body,
+          waitingCount: row.waiting_count,
+          waitMs,
+          urgency: level.urgency,
+          icon: level.icon,
+          score: waitMs * level.weight,
+          reminded: row.reminder_status === 'reminded',
+          snoozedUntil: row.reminder_status === 'snoozed' && row.snoozed_until > now ? row.snoozed_until : null
+        };
+      })
+      .filter(thread => all || thread.score >= this.#thresholdMs)
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Envoie un rappel pour les conversations nouvellement en retard
+   * (une seule fois par dernier message reçu, de nouveau après un report)
+   * @returns {Promise<number>} Nombre de conversations rappelées
+   */
+  async check() {
+    if (this.#thresholdMs <= 0) return 0;
+
+    const due = this.getPending()
+      .filter(thread => !thread.reminded && !thread.snoozedUntil)
+      .slice(0, REMINDER_LIMIT);
+    if (due.length === 0) return 0;
+
+    const notified = await this.#notify(
+      FollowUpService.format(due, { title: '⏳ <b>En attente de ta réponse</b>' }),
+      { inlineKeyboard: FollowUpService.buttons(due) }
+    );
+    // Sans canal de notification, les conversations restent à rappeler
+    if (!notified) return 0;
+
+    for (const thread of due) {
+      this.#repo.setReplyReminder(thread.contactId, thread.messageId, 'reminded');
+    }
+    this.#logger?.info('Follow-up reminder sent', { threads: due.length });
+    return due.length;
+  }
+
+  /**
+   * Reporte le rappel d'une conversation
+   */
+  snooze(contactId, messageId, durationMs = SNOOZE_MS) {
+    const until = this.#now() + durationMs;
+    this.#repo.setReplyReminder(contactId, messageId, 'snoozed', until);
+    return until;
+  }
+
+  /**
+   * Ne plus suivre la conversation jusqu'au prochain message du contact
+   */
+  ignore(contactId, messageId) {
+    this.#repo.setReplyReminder(contactId, messageId, 'ignored');
+  }
+
+  /**
+   * Liste formatée pour Telegram (rappel, /pending, rapport quotidien)
+   * @param {Array} threads - Résultat de getPending()
+   * @param {Object} options
+   * @param {string} options.title - Titre HTML
+   * @returns {string}
+   */
+  static format(threads, { title }) {
+    let message = `${title} (${threads.length})\n\n`;
+
+    threads.forEach((t, i) => {
+      const preview = t.body.length > 80 ? `${t.body.substring(0, 80)}...` : t.body;
+      const count = t.waitingCount > 1 ? ` · ${t.waitingCount} messages` : '';
+      const snoozed = t.snoozedUntil ? ` · 💤 jusqu'à ${FollowUpService.#formatTime(t.snoozedUntil)}` : '';
+      message += `${i + 1}. ${t.icon} <b>${escapeHtml(t.name)}</b> · depuis ${FollowUpService.formatWait(t.waitMs)}${count}${snoozed}\n`;
+      message += `   <i>${escapeHtml(preview)}</i>\n`;
+    });
+
+    return message.trimEnd();
+  }
+
+  /**
+   * Boutons Répondre / Reporter / Ignorer, une ligne par conversation
+   */
+  static buttons(threads) {
+    return threads.map((t, i) => {
+      const ids = `${t.contactId}_${t.messageId}`;
+      return [
+        { text: `✍️ Répondre ${i + 1}`, callback_data: `fupr_${ids}` },
+        { text: '💤 2h', callback_data: `fups_${ids}` },
+        { text: '✖️ Ignorer', callback_data: `fupi_${ids}` }
+      ];
+    });
+  }
+
+  /**
+   * Durée d'attente lisible: "45 min", "5 h", "2 j"
+   */
+  static formatWait(ms) {
+    const minutes = Math.floor(ms / 60000);
+    if (minutes < 60) return `${Math.max(minutes, 1)} min`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours} h`;
+    return `${Math.floor(hours / 24)} j`;
+  }
+
+  // ============================================
+  // MÉTHODES PRIVÉES
+  // ============================================
+
+  /**
+   * Rappel via les heures calmes (mis de côté la nuit), sinon directement sur Telegram
+   * @returns {Promise<boolean>} false si aucun canal n'est disponible
+   */
+  async #notify(message, options) {
+    if (this.#quietHours) {
+      await this.#quietHours.notify(message, options);
+      return true;
+    }
+    if (this.#telegram) {
+      await this.#telegram.sendMessage(message, options);
+      return true;
+    }
+    return false;
+  }
+
+  static #formatTime(timestamp) {
+    return new Date(timestamp).toLocaleTimeString('fr-FR', { hour: '2-digit', minute: '2-digit' });
+  }
+}
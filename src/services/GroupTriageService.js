@@ -0,0 +1,153 @@
+/**
+ * GroupTriageService - Tri des messages de groupe
+ *
+ * En mode 'organizational', seuls les messages qui organisent quelque chose
+ * (rendez-vous, sortie, match, anniversaire...) sont enregistrés. Par défaut
+ * le tri est local: mots-clés des langues configurées, sans appel IA.
+ *
+ * Avec GROUP_AI_TRIAGE=true, un modèle léger (gpt-4o-mini, llama-3.1-8b-instant,
+ * gemini-2.0-flash-lite...) classe chaque message à la place des mots-clés.
+ * Les mots-clés restent utilisés si l'appel échoue ou si le budget IA est épuisé.
+ *
+ * @module services/GroupTriageService
+ */
+import { getLightModel } from './ai/AIProviderFactory.js';
+import { resolveProvider, callProvider } from './ai/ProviderCalls.js';
+import { ORGANIZATIONAL_KEYWORDS } from '../domain/GroupPolicy.js';
+
+// ============================================
+// CONSTANTES
+// ============================================
+
+// Une classification doit rester bien plus rapide qu'une analyse complète
+const TRIAGE_TIMEOUT_MS = 10000;
+
+// Texte transmis au modèle (les longs messages sont rarement ambigus)
+const MAX_TRIAGE_CHARS = 500;
+
+// En dessous, aucun message n'est considéré comme organisationnel
+const MIN_TEXT_LENGTH = 5;
+
+const TRIAGE_PROMPT = `Tu tries les messages d'un groupe WhatsApp dont Jonas est membre.
+Un message est "organisationnel" s'il propose, fixe, confirme, déplace ou annule quelque chose:
+rendez-vous, sortie, repas, match, entraînement, fête, voyage, date, heure ou lieu de rencontre.
+Les blagues, réactions, discussions générales et liens partagés ne le sont pas.
+Réponds uniquement en JSON: {"organisationnel": true|false}`;
+
+// ============================================
+// CLASSE PRINCIPALE
+// ============================================
+
+export class GroupTriageService {
+  #repo;
+  #logger;
+  #provider;
+  #budget;
+  #keywords;
+
+  /**
+   * @param {Config} config - Configuration (config.features.groups, config.ai.providers)
+   * @param {MessageRepository} repository - Journal des appels (ai_calls)
+   * @param {Logger} logger
+   * @param {Object} options
+   * @param {BudgetService} options.budget - Retour aux mots-clés une fois le budget IA épuisé
+   * @param {AIProvider} options.provider - Provider de tri (tests), sinon déduit de la configuration
+   */
+  constructor(config, repository, logger = null, options = {}) {
+    const settings = config.features?.groups || {};
+    this.#repo = repository;
+    this.#logger = logger;
+    this.#budget = options.budget || null;
+    this.#keywords = GroupTriageService.#buildKeywords(settings);
+    this.#provider = options.provider || GroupTriageService.#createTriageProvider(config.ai || {}, settings.triage || {});
+  }
+
+  /**
+   * Mots-clés des langues configurées (liste personnalisée, sinon liste intégrée)
+   */
+  static #buildKeywords({ keywordLanguages = ['fr'], keywords = {} }) {
+    return keywordLanguages.flatMap(language => keywords[language] || ORGANIZATIONAL_KEYWORDS[language] || []);
+  }
+
+  /**
+   * Provider de tri: provider imposé ou premier de la chaîne, avec son modèle léger
+   * (null = tri IA désactivé)
+   */
+  static #createTriageProvider(aiConfig, settings) {
+    if (!settings.enabled) return null;
+
+    return resolveProvider(aiConfig.providers, {
+      provider: settings.provider,
+      configure: (entry) => ({
+        model: settings.model || getLightModel(entry.provider) || entry.model,
+        maxTokens: 30,
+        temperature: 0
+      })
+    });
+  }
+
+  get isAIEnabled() {
+    return this.#provider !== null;
+  }
+
+  /**
+   * Provider et modèle de tri (journal de démarrage)
+   */
+  get model() {
+    return this.#provider ? `${this.#provider.name}/${this.#provider.model}` : null;
+  }
+
+  /**
+   * Détection locale par mots-clés
+   * @param {string} text
+   * @returns {boolean}
+   */
+  matchesKeywords(text) {
+    if (!text || text.length < MIN_TEXT_LENGTH) return false;
+
+    const lowerText = text.toLowerCase();
+    return this.#keywords.some(keyword =>
+      keyword instanceof RegExp ? keyword.test(text) : lowerText.includes(keyword)
+    );
+  }
+
+  /**
+   * Indique si un message de groupe est organisationnel. Ne lève jamais d'erreur.
+   * @param {string} text - Corps du message
+   * @param {Object} options
+   * @param {number} options.contactId - Groupe concerné (journal d'usage)
+   * @returns {Promise<{organizational: boolean, source: 'ai'|'keywords'}>}
+   */
+  async isOrganizational(text, { contactId = null } = {}) {
+    if (!text || text.length < MIN_TEXT_LENGTH) {
+      return { organizational: false, source: 'keywords' };
+    }
+
+    if (this.#provider && !this.#budget?.isExhausted()) {
+      try {
+        return { organizational: await this.#classify(text, contactId), source: 'ai' };
+      } catch (error) {
+        this.#logger?.warn('Group triage failed, using keywords', { error: error.message, contactId });
+      }
+    }
+
+    return { organizational: this.matchesKeywords(text), source: 'keywords' };
+  }
+
+  // ============================================
+  // MÉTHODES PRIVÉES
+  // ============================================
+
+  /**
+   * Classe un message avec le modèle léger et journalise l'appel (ai_calls)
+   */
+  async #classify(text, contactId) {
+    const call = { purpose: 'group_triage', provider: this.#provider.name, model: this.#provider.model, contactId };
+    const result = await callProvider(this.#repo, call, () => this.#provider.completeJSON({
+      systemPrompt: TRIAGE_PROMPT,
+      prompt: text.length > MAX_TRIAGE_CHARS ? `${text.substring(0, MAX_TRIAGE_CHARS)}...` : text,
+      signal: AbortSignal.timeout(TRIAGE_TIMEOUT_MS)
+    }), { budget: this.#budget });
+    return result.data?.organisationnel === true;
+  }
+}
@@ -0,0 +1,212 @@
+/**
+ * MediaService - Compréhension des images et documents reçus
+ *
+ * Photos, captures d'écran, tickets, factures et affiches sont téléchargés
+ * dans le stockage local (MediaStore), puis:
+ * - les images sont décrites par un provider de vision (texte lisible, dates,
+ *   montants, puis une phrase de description);
+ * - les PDF et fichiers texte sont lus localement, sans appel IA; un PDF
+ *   scanné est confié au provider de vision s'il accepte les PDF (Gemini).
+ *
+ * Le résultat est ajouté au corps du message, précédé de [image] ou
+ * [document]: l'extraction des événements et les tâches du rapport le
+ * voient comme n'importe quel texte.
+ *
+ * @module services/MediaService
+ */
+import { resolveProvider, callProvider } from './ai/ProviderCalls.js';
+import { extractDocumentText } from './media/DocumentText.js';
+import { IMAGE_MARKER, DOCUMENT_MARKER, IMAGE_TYPES, DOCUMENT_TYPES } from '../domain/Message.js';
+
+// ============================================
+// CONSTANTES
+// ============================================
+
+// Upload + description d'une image ou d'un PDF de quelques pages
+const VISION_TIMEOUT_MS = 60000;
+
+// Texte conservé dans le corps du message (limité à 4096 caractères au total)
+const MAX_DOCUMENT_CHARS = 2500;
+const MAX_DESCRIPTION_CHARS = 1500;
+
+const IMAGE_PROMPT = `Cette image a été reçue sur WhatsApp par Jonas (photo, capture d'écran, ticket, facture, affiche...).
+Recopie d'abord le texte utile qu'elle contient: dates, heures, lieux, montants, références, échéances.
+Puis décris en une phrase ce qu'elle montre.
+Réponds en français, en texte brut sans markdown, 800 caractères maximum.`;
+
+const DOCUMENT_PROMPT = `Ce document a été reçu sur WhatsApp par Jonas.
+Recopie le texte utile qu'il contient: dates, heures, lieux, montants, références, échéances.
+Puis résume-le en une phrase.
+Réponds en français, en texte brut sans markdown, 1500 caractères maximum.`;
+
+// ============================================
+// CLASSE PRINCIPALE
+// ============================================
+
+export class MediaService {
+  #repo;
+  #store;
+  #logger;
+  #provider;
+  #budget;
+  #maxBytes;
+
+  /**
+   * @param {Config} config - Configuration (config.ai.vision)
+   * @param {MessageRepository} repository - Journal des appels (ai_calls)
+   * @param {MediaStore} store - Stockage local des fichiers (null = fichiers non conservés)
+   * @param {Logger} logger
+   * @param {Object} options
+   * @param {BudgetService} options.budget - Pas de vision une fois le budget IA épuisé
+   * @param {AIProvider} options.provider - Provider de vision (tests), sinon déduit de la configuration
+   */
+  constructor(config, repository, store = null, logger = null, options = {}) {
+    this.#repo = repository;
+    this.#store = store;
+    this.#logger = logger;
+    this.#budget = options.budget || null;
+    this.#maxBytes = config.ai?.vision?.maxBytes || 10 * 1024 * 1024;
+    this.#provider = options.provider || MediaService.#createVisionProvider(config.ai || {});
+  }
+
+  /**
+   * Provider de vision: provider imposé ou premier provider de la chaîne
+   * qui sait décrire des images (null = seuls les documents texte sont lus)
+   */
+  static #createVisionProvider(aiConfig) {
+    const settings = aiConfig.vision || {};
+    return resolveProvider(aiConfig.providers, {
+      capability: 'vision',
+      provider: settings.provider,
+      configure: () => ({ visionModel: settings.model })
+    });
+  }
+
+  /**
+   * Indique si un message whatsapp-web.js porte une image ou un document à analyser
+   * @param {Object} msg
+   * @returns {boolean}
+   */
+  static isMedia(msg) {
+    return Boolean(msg?.hasMedia) && [...IMAGE_TYPES, ...DOCUMENT_TYPES].includes(msg.type);
+  }
+
+  get isEnabled() {
+    return this.#provider !== null;
+  }
+
+  /**
+   * Provider et modèle de vision (journal de démarrage)
+   */
+  get model() {
+    return this.#provider ? `${this.#provider.name}/${this.#provider.visionModel}` : null;
+  }
+
+  /**
+   * Télécharge, enregistre et analyse la pièce jointe d'un message. Ne lève jamais d'erreur.
+   * @param {Object} msg - Message whatsapp-web.js (downloadMedia(), body = légende)
+   * @param {Object} options
+   * @param {number} options.contactId - Contact concerné (journal d'usage)
+   * @returns {Promise<{body: string, mediaUrl: string|null, understood: boolean}>}
+   *   Corps à enregistrer (légende + contenu), fichier local, et si le corps contient
+   *   du texte exploitable (contenu analysé ou légende)
+   */
+  async processMedia(msg, { contactId = null } = {}) {
+    const isImage = IMAGE_TYPES.includes(msg.type);
+    let caption = (msg.body || '').trim();
+    let filename = msg._data?.filename || null;
+    let mediaUrl = null;
+    let content = '';
+
+    try {
+      const media = await msg.downloadMedia();
+      if (!media?.data) {
+        throw new Error('Media could not be downloaded');
+      }
+
+      const data = Buffer.from(media.data, 'base64');
+      const mimeType = media.mimetype || 'application/octet-stream';
+      filename = media.filename || filename;
+      mediaUrl = await this.#saveFile(msg.id?.id, { data, mimeType, filename });
+
+      // Ni lecture locale ni vision au-delà de VISION_MAX_MB: le fichier est seulement conservé
+      if (data.length > this.#maxBytes) {
+        this.#logger?.info('Media too large to analyse', { bytes: data.length, contactId });
+      } else {
+        content = isImage
+          ? await this.#describeIfPossible(data, mimeType, IMAGE_PROMPT, contactId)
+          : await this.#readDocument(data, mimeType, contactId);
+      }
+    } catch (error) {
+      this.#logger?.warn('Media analysis failed', { error: error.message, type: msg.type, contactId });
+    }
+
+    // WhatsApp reprend le nom du fichier comme texte d'un document sans légende
+    if (caption === filename) caption = '';
+
+    const label = !isImage && filename ? ` ${filename}:` : '';
+    const detail = content || (isImage ? '(image non analysée)' : '(contenu non lu)');
+    const body = [caption, `${isImage ? IMAGE_MARKER : DOCUMENT_MARKER}${label} ${detail}`].filter(Boolean).join('\n');
+
+    return { body, mediaUrl, understood: Boolean(content || caption) };
+  }
+
+  /**
+   * Décrit une image ou un document et journalise l'appel (ai_calls)
+   * @param {Object} input
+   * @param {Buffer} input.data
+   * @param {string} input.mimeType
+   * @param {string} input.prompt - Consigne d'extraction
+   * @param {number} input.contactId
+   * @returns {Promise<string>} Description
+   */
+  async describe({ data, mimeType, prompt, contactId = null }) {
+    const call = { purpose: 'vision', provider: this.#provider.name, model: this.#provider.visionModel, contactId };
+    const result = await callProvider(this.#repo, call, () => this.#provider.describe({
+      data,
+      mimeType,
+      prompt,
+      signal: AbortSignal.timeout(VISION_TIMEOUT_MS)
+    }), { budget: this.#budget });
+    return truncate(result.text.replace(/[ \t]+/g, ' ').replace(/\n\s*\n+/g, '\n').trim(), MAX_DESCRIPTION_CHARS);
+  }
+
+  // ============================================
+  // MÉTHODES PRIVÉES
+  // ============================================
+
+  /**
+   * Enregistre le fichier; un échec d'écriture n'empêche pas l'analyse
+   */
+  async #saveFile(messageId, file) {
+    if (!this.#store || !messageId) return null;
+    try {
+      return await this.#store.save(messageId, file);
+    } catch (error) {
+      this.#logger?.warn('Failed to store media file', { error: error.message, messageId });
+      return null;
+    }
+  }
+
+  /**
+   * Texte d'un document: lecture locale, sinon vision (PDF scanné)
+   */
+  async #readDocument(data, mimeType, contactId) {
+    const text = extractDocumentText(data, mimeType, { maxChars: MAX_DOCUMENT_CHARS });
+    if (text) return text;
+    return this.#describeIfPossible(data, mimeType, DOCUMENT_PROMPT, contactId);
+  }
+
+  async #describeIfPossible(data, mimeType, prompt, contactId) {
+    if (!this.#provider?.acceptsMedia(mimeType) || this.#budget?.isExhausted()) return '';
+    return this.describe({ data, mimeType, prompt, contactId });
+  }
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+function truncate(text, max) {
+  return text.length > max ? `${text.substring(0, max)}...` : text;
+}
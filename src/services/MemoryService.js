@@ -0,0 +1,251 @@
+/**
+ * MemoryService - Mémoire sémantique des conversations
+ *
+ * Chaque message est converti en embedding (provider configuré ou endpoint
+ * local compatible OpenAI) et stocké en SQLite. Avant l'analyse d'un message,
+ * les anciens messages les plus proches du même contact et ses engagements en
+ * cours sont retrouvés pour compléter le contexte de l'IA, qui ne voit sinon
+ * que les 3 derniers messages. Le même index sert à /ask.
+ *
+ * Les vecteurs sont normalisés à l'écriture: la similarité cosinus se réduit
+ * à un produit scalaire, calculé en parcourant l'index (volume d'un compte
+ * personnel, pas besoin d'index vectoriel).
+ *
+ * @module services/MemoryService
+ */
+import { resolveProvider, callProvider } from './ai/ProviderCalls.js';
+
+// ============================================
+// CONSTANTES
+// ============================================
+
+// La mémoire ne doit jamais retarder l'analyse d'un message
+const RECALL_TIMEOUT_MS = 5000;
+
+// Indexation de l'historique (messages envoyés, messages d'avant l'activation)
+const INDEX_INTERVAL_MS = 10 * 60 * 1000;
+const INDEX_BATCH_SIZE = 32;
+
+// Les messages trop courts ("ok", "merci") n'apportent rien au contexte
+const MIN_INDEXED_LENGTH = 12;
+
+// Similarité minimale pour qu'un souvenir soit retenu
+const MIN_SCORE = 0.35;
+
+const RECALL_LIMIT = 5;
+const FACTS_LIMIT = 5;
+
+// ============================================
+// CLASSE PRINCIPALE
+// ============================================
+
+export class MemoryService {
+  #repo;
+  #logger;
+  #provider;
+  #budget;
+  #timeoutMs;
+  #timer = null;
+
+  /**
+   * @param {Config} config - Configuration (config.ai.embeddings)
+   * @param {MessageRepository} repository
+   * @param {Logger} logger
+   * @param {Object} options
+   * @param {BudgetService} options.budget - Pas d'appel d'embeddings une fois le budget IA épuisé
+   * @param {AIProvider} options.provider - Provider d'embeddings (tests), sinon déduit de la configuration
+   */
+  constructor(config, repository, logger = null, options = {}) {
+    this.#repo = repository;
+    this.#logger = logger;
+    this.#budget = options.budget || null;
+    this.#timeoutMs = config.ai?.timeoutMs || 30000;
+    this.#provider = options.provider || MemoryService.#createEmbeddingProvider(config.ai || {});
+  }
+
+  /**
+   * Provider d'embeddings: endpoint dédié, provider imposé, ou premier provider
+   * de la chaîne qui supporte les embeddings (null = mémoire désactivée)
+   */
+  static #createEmbeddingProvider(aiConfig) {
+    const settings = aiConfig.embeddings || {};
+    return resolveProvider(aiConfig.providers, {
+      capability: 'embeddings',
+      provider: settings.provider,
+      endpoint: settings.baseUrl && { baseUrl: settings.baseUrl, apiKey: settings.apiKey, embeddingModel: settings.model },
+      configure: () => ({ embeddingModel: settings.model })
+    });
+  }
+
+  get isEnabled() {
+    return this.#provider !== null;
+  }
+
+  /**
+   * Identifiant du modèle d'embeddings (les vecteurs de modèles différents ne sont pas comparés)
+   */
+  get model() {
+    return this.#provider ? `${this.#provider.name}/${this.#provider.embeddingModel}` : null;
+  }
+
+  /**
+   * Démarre l'indexation périodique de l'historique
+   */
+  start() {
+    if (this.#timer || !this.isEnabled) return;
+    this.#timer = setInterval(() => {
+      this.indexPending().catch(error => this.#logger?.error('Memory indexing failed', { error: error.message }));
+    }, INDEX_INTERVAL_MS);
+    this.#timer.unref?.();
+  }
+
+  stop() {
+    clearInterval(this.#timer);
+    this.#timer = null;
+  }
+
+  /**
+   * Indexe un lot de messages sans embedding, les plus récents d'abord
+   * @param {number} limit
+   * @returns {Promise<number>} Nombre de messages indexés
+   */
+  async indexPending(limit = INDEX_BATCH_SIZE) {
+    if (!this.#canEmbed()) return 0;
+
+    const rows = this.#repo.getMessagesWithoutEmbedding(this.model, limit, MIN_INDEXED_LENGTH);
+    if (rows.length === 0) return 0;
+
+    const vectors = await this.#embed(rows.map(r => r.body));
+    rows.forEach((row, i) => this.#store(row.id, row.contact_id, vectors[i]));
+    return rows.length;
+  }
+
+  /**
+   * Indexe un message entrant et retrouve ce qui s'y rapporte chez ce contact
+   * (un seul appel d'embeddings pour les deux). Ne lève jamais d'erreur.
+   * @param {Object} message
+   * @param {number} message.messageId - ID interne du message
+   * @param {number} message.contactId
+   * @param {string} message.body
+   * @param {number} message.before - Ignorer les messages à partir de ce timestamp (déjà dans le contexte)
+   * @returns {Promise<{messages: Array<Object>, facts: string[]}>}
+   */
+  async recallForMessage({ messageId, contactId, body, before }) {
+    const facts = this.#getFacts(contactId);
+    if (!this.#canEmbed() || (body || '').trim().length < MIN_INDEXED_LENGTH) {
+      return { messages: [], facts };
+    }
+
+    try {
+      const [vector] = await this.#embed([body], { contactId, timeoutMs: RECALL_TIMEOUT_MS });
+      this.#store(messageId, contactId, vector);
+
+      const messages = this.#search(vector, { contactId, before, excludeIds: [messageId], limit: RECALL_LIMIT });
+      return { messages, facts };
+    } catch (error) {
+      this.#logger?.warn('Memory recall failed', { error: error.message, contactId });
+      return { messages: [], facts };
+    }
+  }
+
+  /**
+   * Messages les plus proches d'une question, tous contacts confondus (/ask)
+   * @param {string} query
+   * @param {Object} options
+   * @param {number} options.contactId - Limiter à un contact
+   * @param {number} options.limit
+   * @returns {Promise<Array<Object>>} Messages avec leur score, le plus pertinent d'abord
+   */
+  async recall(query, { contactId = null, limit = 8 } = {}) {
+    if (!this.#canEmbed()) return [];
+
+    const [vector] = await this.#embed([query], { contactId });
+    return this.#search(vector, { contactId, limit });
+  }
+
+  // ============================================
+  // MÉTHODES PRIVÉES
+  // ============================================
+
+  #canEmbed() {
+    return this.isEnabled && !this.#budget?.isExhausted();
+  }
+
+  /**
+   * Appelle le provider, journalise l'appel (ai_calls) et normalise les vecteurs
+   */
+  async #embed(texts, { contactId = null, timeoutMs = this.#timeoutMs } = {}) {
+    const call = { purpose: 'embedding', provider: this.#provider.name, model: this.#provider.embeddingModel, contactId };
+    const result = await callProvider(
+      this.#repo,
+      call,
+      () => this.#provider.embed({ texts, signal: AbortSignal.timeout(timeoutMs) }),
+      { budget: this.#budget }
+    );
+    return result.vectors.map(normalize);
+  }
+
+  #store(messageId, contactId, vector) {
+    this.#repo.saveMessageEmbedding({
+      messageId,
+      contactId,
+      model: this.model,
+      dimensions: vector.length,
+      vector: Buffer.from(vector.buffer, vector.byteOffset, vector.byteLength)
+    });
+  }
+
+  /**
+   * Parcourt l'index et garde les `limit` meilleurs scores
+   */
+  #search(vector, { contactId = null, before = null, excludeIds = [], limit }) {
+    const best = [];
+
+    for (const row of this.#repo.iterateMessageEmbeddings(this.model, { contactId, before })) {
+      if (excludeIds.includes(row.message_id)) continue;
+
+      const candidate = new Float32Array(row.vector.buffer, row.vector.byteOffset, row.vector.byteLength / 4);
+      if (candidate.length !== vector.length) continue;
+
+      const score = dot(vector, candidate);
+      if (score < MIN_SCORE || (best.length === limit && score <= best[best.length - 1].score)) continue;
+
+      best.push({ id: row.message_id, score });
+      best.sort((a, b) => b.score - a.score);
+      if (best.length > limit) best.pop();
+    }
+
+    const rows = new Map(this.#repo.getMessagesByInternalIds(best.map(b => b.id)).map(r => [r.id, r]));
+    return best.filter(b => rows.has(b.id)).map(b => ({ ...rows.get(b.id), score: b.score }));
+  }
+
+  /**
+   * Engagements en cours avec le contact (tâches ouvertes des rapports)
+   */
+  #getFacts(contactId) {
+    try {
+      return this.#repo.getOpenTasksByContact(contactId, FACTS_LIMIT)
+        .map(t => t.due_date ? `Tâche en cours: ${t.title} (échéance: ${t.due_date})` : `Tâche en cours: ${t.title}`);
+    } catch (error) {
+      this.#logger?.warn('Failed to load contact facts', { error: error.message, contactId });
+      return [];
+    }
+  }
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+function normalize(values) {
+  const vector = Float32Array.from(values);
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+  for (let i = 0; i < vector.length; i++) vector[i] /= norm;
+  return vector;
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
@@ -0,0 +1,231 @@
+/**
+ * ProfileService - Profil long terme de chaque contact
+ *
+ * Relation, langue, ton, sujets récurrents, anniversaires et engagements en
+ * cours, tenus à jour par l'IA de façon incrémentale: seuls les messages
+ * arrivés depuis le dernier passage sont résumés, avec le profil actuel comme
+ * base. Le profil est injecté dans l'analyse des messages et dans le rapport.
+ *
+ * Un champ corrigé à la main (/profile) est verrouillé: l'IA ne le modifie
+ * plus jusqu'à ce qu'il soit rendu ("auto").
+ *
+ * @module services/ProfileService
+ */
+import { escapeHtml } from '../utils/Sanitizer.js';
+import { ValidationError } from '../utils/Errors.js';
+
+// ============================================
+// CONSTANTES
+// ============================================
+
+const UPDATE_INTERVAL_MS = 30 * 60 * 1000;
+
+// Contacts mis à jour par passage (les suivants attendent le passage suivant)
+const CONTACTS_PER_PASS = 5;
+
+// Messages résumés par appel: un long historique est rattrapé en plusieurs passages
+const MESSAGES_PER_UPDATE = 60;
+
+/**
+ * Champs modifiables via /profile <contact> <champ> <valeur>
+ */
+export const PROFILE_FIELDS = {
+  relation: { key: 'relationship', label: 'Relation', icon: '🤝' },
+  langue: { key: 'language', label: 'Langue', icon: '🌐' },
+  ton: { key: 'tone', label: 'Ton', icon: '🗣' },
+  sujets: { key: 'topics', label: 'Sujets récurrents', icon: '💬', list: true },
+  anniversaires: { key: 'birthdays', label: 'Anniversaires', icon: '🎂', list: true },
+  engagements: { key: 'commitments', label: 'Engagements', icon: '📌', list: true },
+  notes: { key: 'notes', label: 'Notes', icon: '📝' }
+};
+
+// ============================================
+// CLASSE PRINCIPALE
+// ============================================
+
+export class ProfileService {
+  #repo;
+  #aiService;
+  #logger;
+  #budget;
+  #minNewMessages;
+  #now;
+  #timer = null;
+
+  /**
+   * @param {Config} config - Configuration (config.features.profiles)
+   * @param {MessageRepository} repository
+   * @param {AIService} aiService - Résumé des nouveaux messages (null = profils manuels uniquement)
+   * @param {Logger} logger
+   * @param {Object} options
+   * @param {BudgetService} options.budget - Pas de mise à jour une fois le budget IA épuisé
+   * @param {Function} options.now - Horloge injectable (tests)
+   */
+  constructor(config, repository, aiService = null, logger = null, options = {}) {
+    this.#repo = repository;
+    this.#aiService = aiService;
+    this.#logger = logger;
+    this.#budget = options.budget || null;
+    this.#minNewMessages = config.features?.profiles?.minNewMessages ?? 5;
+    this.#now = options.now || Date.now;
+  }
+
+  /**
+   * Démarre la mise à jour périodique (seuil à 0 = désactivée, /profile reste disponible)
+   */
+  start() {
+    if (this.#timer || this.#minNewMessages <= 0 || !this.#aiService) return;
+    this.#timer = setInterval(() => {
+      this.updatePending().catch(error => this.#logger?.error('Profile update failed', { error: error.message }));
+    }, UPDATE_INTERVAL_MS);
+    this.#timer.unref?.();
+  }
+
+  stop() {
+    clearInterval(this.#timer);
+    this.#timer = null;
+  }
+
+  /**
+   * Profil d'un contact, null s'il n'existe pas ou n'a pas pu être lu (ne lève jamais d'erreur)
+   * @param {number} contactId
+   * @returns {Object|null}
+   */
+  getProfile(contactId) {
+    try {
+      return this.#repo.getContactProfile(contactId);
+    } catch (error) {
+      this.#logger?.warn('Failed to load contact profile', { error: error.message, contactId });
+      return null;
+    }
+  }
+
+  /**
+   * Met à jour les profils des contacts ayant assez de nouveaux messages
+   * @param {Object} options
+   * @param {number} options.minNewMessages
+   * @param {number} options.limit - Contacts traités
+   * @returns {Promise<number>} Nombre de profils mis à jour
+   */
+  async updatePending({ minNewMessages = Math.max(1, this.#minNewMessages), limit = CONTACTS_PER_PASS } = {}) {
+    if (!this.#canSummarize()) return 0;
+
+    let updated = 0;
+    for (const { id } of this.#repo.getContactsPendingProfileUpdate(minNewMessages, limit)) {
+      if (!this.#canSummarize()) break;
+      try {
+        if (await this.updateContact(id)) updated++;
+      } catch (error) {
+        this.#logger?.warn('Contact profile update failed', { error: error.message, contactId: id });
+      }
+    }
+    return updated;
+  }
+
+  /**
+   * Intègre au profil les messages arrivés depuis le dernier passage
+   * @param {number} contactId
+   * @returns {Promise<Object|null>} Profil mis à jour, null si rien de nouveau
+   */
+  async updateContact(contactId) {
+    if (!this.#aiService) return null;
+
+    const profile = this.#repo.getContactProfile(contactId);
+    const messages = this.#repo.getContactMessagesAfter(contactId, profile?.lastMessageId ?? 0, MESSAGES_PER_UPDATE);
+    if (messages.length === 0) return null;
+
+    const contact = this.#repo.getContactById(contactId);
+    const summary = await this.#aiService.summarizeContactProfile({
+      contactName: contact.push_name || contact.display_name || contact.phone_number.split('@')[0],
+      profile,
+      messages,
+      contactId
+    });
+
+    // Les corrections manuelles priment sur l'IA
+    const locked = new Set(profile?.lockedFields || []);
+    const changes = Object.fromEntries(Object.entries(summary).filter(([key]) => !locked.has(key)));
+
+    const saved = this.#repo.saveContactProfile(contactId, {
+      ...changes,
+      lastMessageId: messages[messages.length - 1].id,
+      summarizedAt: this.#now()
+    });
+    this.#logger?.info('Contact profile updated', { contactId, messages: messages.length });
+    return saved;
+  }
+
+  /**
+   * Correction manuelle d'un champ, verrouillé ensuite pour l'IA
+   * "auto" rend le champ à l'IA, "-" le vide.
+   * @param {number} contactId
+   * @param {string} field - Clé de PROFILE_FIELDS (relation, langue, ...)
+   * @param {string} value - Texte, listes séparées par des virgules ou points-virgules
+   * @returns {Object} Profil mis à jour
+   */
+  correct(contactId, field, value) {
+    const definition = PROFILE_FIELDS[field];
+    if (!definition) {
+      throw new ValidationError(`Unknown profile field: ${field}`);
+    }
+
+    const profile = this.#repo.getContactProfile(contactId);
+    const locked = new Set(profile?.lockedFields || []);
+    const text = String(value || '').trim();
+
+    if (text.toLowerCase() === 'auto') {
+      locked.delete(definition.key);
+      return this.#repo.saveContactProfile(contactId, { lockedFields: [...locked] });
+    }
+
+    let parsed;
+    if (definition.list) {
+      parsed = text === '-' ? [] : text.split(/\s*[;,]\s*/).filter(Boolean).map(item => item.substring(0, 150));
+    } else {
+      parsed = text === '-' ? null : text.substring(0, 300);
+    }
+
+    locked.add(definition.key);
+    return this.#repo.saveContactProfile(contactId, { [definition.key]: parsed, lockedFields: [...locked] });
+  }
+
+  /**
+   * Fiche Telegram d'un profil (🔒 = champ corrigé à la main)
+   * @param {Object|null} profile
+   * @param {string} contactName
+   * @returns {string} HTML
+   */
+  static format(profile, contactName) {
+    let message = `🧾 <b>Profil de ${escapeHtml(contactName)}</b>\n\n`;
+    const locked = new Set(profile?.lockedFields || []);
+    let filled = 0;
+
+    for (const definition of Object.values(PROFILE_FIELDS)) {
+      const value = profile?.[definition.key];
+      const text = Array.isArray(value) ? value.join(' · ') : value;
+      if (!text && !locked.has(definition.key)) continue;
+
+      filled++;
+      message += `${definition.icon} <b>${definition.label}:</b> ${text ? escapeHtml(text) : '<i>vide</i>'}${locked.has(definition.key) ? ' 🔒' : ''}\n`;
+    }
+
+    if (filled === 0) {
+      message += '<i>Profil encore vide: il se remplit au fil des messages.</i>\n';
+    }
+
+    if (profile?.summarizedAt) {
+      const date = new Date(profile.summarizedAt).toLocaleString('fr-FR', { day: '2-digit', month: '2-digit', year: '2-digit', hour: '2-digit', minute: '2-digit' });
+      message += `\n<i>Mis à jour par l'IA le ${date}</i>`;
+    }
+
+    return message.trimEnd();
+  }
+
+  // ============================================
+  // MÉTHODES PRIVÉES
+  // ============================================
+
+  #canSummarize() {
+    return Boolean(this.#aiService) && !this.#budget?.isExhausted();
+  }
+}
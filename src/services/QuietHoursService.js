@@ -0,0 +1,392 @@
+/**
+ * QuietHoursService - Heures calmes et mode "ne pas déranger"
+ *
+ * Pendant les heures calmes (planning hebdomadaire ou /dnd), les notifications
+ * Telegram non critiques sont mises de côté puis envoyées en un seul résumé à
+ * la fin de la période, et les réponses automatiques sont remplacées par un
+ * message d'absence (une fois par contact et par période).
+ * Le résumé en attente, les contacts déjà prévenus et le /dnd en cours sont
+ * conservés en base (app_state) et survivent à un redémarrage.
+ *
+ * Format du planning (QUIET_HOURS): "22:00-07:00" tous les jours, ou plusieurs
+ * plages séparées par ";" avec des jours: "mon-fri 22:00-07:00; sat,sun 23:00-10:00".
+ * Une plage qui passe minuit appartient au jour où elle commence.
+ *
+ * @module services/QuietHoursService
+ */
+
+import { ConfigurationError } from '../utils/Errors.js';
+
+// ============================================
+// CONSTANTES
+// ============================================
+
+const TICK_INTERVAL_MS = 60 * 1000;
+
+const STATE_KEY = 'quiet_hours';
+
+const DEFAULT_AWAY_MESSAGE = 'Je ne suis pas disponible pour le moment, je vous réponds dès que possible.';
+
+// Jours (anglais et français) => index Date.getDay()
+const DAY_INDEXES = {
+  sun: 0, mon: 1, tue: 2, wed: 3, thu: 4, fri: 5, sat: 6,
+  dim: 0, lun: 1, mar: 2, mer: 3, jeu: 4, ven: 5, sam: 6
+};
+
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+
+// ============================================
+// CLASSE PRINCIPALE
+// ============================================
+
+export class QuietHoursService {
+  #windows;
+  #awayMessage;
+  #telegram;
+  #repo;                   // Persistance de l'état (optionnelle)
+  #logger;
+  #now;
+  #override = null;        // { mode: 'on'|'off', until: timestamp|null }
+  #digest = [];            // Notifications mises de côté: { message, options, at }
+  #awaySent = new Set();   // Contacts ayant déjà reçu le message d'absence
+  #timer = null;
+
+  /**
+   * @param {Config} config - Configuration (config.features.quietHours)
+   * @param {TelegramService} telegramService - Envoi des notifications
+   * @param {Logger} logger
+   * @param {Object} options
+   * @param {MessageRepository} options.repository - Persistance du résumé et du /dnd (app_state)
+   * @param {Function} options.now - Horloge injectable (tests)
+   */
+  constructor(config, telegramService, logger = null, options = {}) {
+    const quietHours = config.features?.quietHours || {};
+    this.#windows = QuietHoursService.parseSchedule(quietHours.schedule);
+    this.#awayMessage = quietHours.awayMessage || DEFAULT_AWAY_MESSAGE;
+    this.#telegram = telegramService;
+    this.#repo = options.repository || null;
+    this.#logger = logger;
+    this.#now = options.now || Date.now;
+    this.#restoreState();
+  }
+
+  /**
+   * Parse un planning d'heures calmes
+   * @param {string} spec - Ex: "mon-fri 22:00-07:00; sat,sun 23:00-10:00"
+   * @returns {Array<{days: Set<number>, start: number, end: number}>} Minutes depuis minuit
+   * @throws {ConfigurationError} Planning invalide
+   */
+  static parseSchedule(spec) {
+    if (!spec?.trim()) return [];
+
+    return spec.split(';').map(s => s.trim()).filter(Boolean).map(entry => {
+      const match = entry.match(/^(?:([a-zéû,\s-]+?)\s+)?(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/i);
+      if (!match) {
+        throw new ConfigurationError(`Invalid QUIET_HOURS entry: "${entry}" (expected "[days] HH:MM-HH:MM")`);
+      }
+
+      const [, days, startH, startM, endH, endM] = match;
+      const start = parseInt(startH, 10) * 60 + parseInt(startM, 10);
+      const end = parseInt(endH, 10) * 60 + parseInt(endM, 10);
+      if (start >= 24 * 60 || end > 24 * 60 || start === end) {
+        throw new ConfigurationError(`Invalid QUIET_HOURS time range: "${entry}"`);
+      }
+
+      return { days: new Set(days ? QuietHoursService.#parseDays(days) : ALL_DAYS), start, end };
+    });
+  }
+
+  /**
+   * Message envoyé aux contacts pendant les heures calmes
+   */
+  get awayMessage() {
+    return this.#awayMessage;
+  }
+
+  /**
+   * Démarre la vérification périodique (envoi du résumé en fin de période)
+   */
+  start() {
+    if (this.#timer) return;
+    this.#timer = setInterval(() => {
+      this.tick().catch(error => this.#logger?.error('Quiet hours tick failed', { error: error.message }));
+    }, TICK_INTERVAL_MS);
+    this.#timer.unref?.();
+  }
+
+  stop() {
+    clearInterval(this.#timer);
+    this.#timer = null;
+  }
+
+  /**
+   * Envoie le résumé si les heures calmes sont terminées
+   */
+  async tick() {
+    if (!this.isQuiet()) {
+      this.#resetAwayReplies();
+      await this.flush();
+    }
+  }
+
+  /**
+   * Indique si les heures calmes sont actives
+   * @param {number} at - Timestamp (défaut: maintenant)
+   * @returns {boolean}
+   */
+  isQuiet(at = this.#now()) {
+    const override = this.#activeOverride(at);
+    if (override) return override.mode === 'on';
+    return this.#scheduledWindowAt(at) !== null;
+  }
+
+  /**
+   * État courant pour /dnd
+   * @returns {{quiet: boolean, source: 'manual'|'schedule'|null, until: number|null, queued: number, scheduled: boolean}}
+   */
+  getStatus() {
+    const now = this.#now();
+    const override = this.#activeOverride(now);
+    const window = this.#scheduledWindowAt(now);
+
+    if (override?.mode === 'on') {
+      return { quiet: true, source: 'manual', until: override.until, queued: this.#digest.length, scheduled: this.#windows.length > 0 };
+    }
+
+    const quiet = !override && window !== null;
+    return {
+      quiet,
+      source: quiet ? 'schedule' : override ? 'manual' : null,
+      until: quiet ? window.end : override?.until ?? null,
+      queued: this.#digest.length,
+      scheduled: this.#windows.length > 0
+    };
+  }
+
+  /**
+   * Active le mode ne pas déranger
+   * @param {number|null} until - Fin (timestamp), null = jusqu'à /dnd off
+   */
+  enable(until = null) {
+    this.#override = { mode: 'on', until };
+    this.#persistState();
+    this.#logger?.info('Do-not-disturb enabled', { until: until ? new Date(until).toISOString() : null });
+  }
+
+  /**
+   * Désactive le mode ne pas déranger (y compris la plage planifiée en cours)
+   * et envoie immédiatement les notifications en attente.
+   */
+  async disable() {
+    const window = this.#scheduledWindowAt(this.#now());
+    this.#override = window ? { mode: 'off', until: window.end } : null;
+    this.#awaySent.clear();
+    this.#persistState();
+    this.#logger?.info('Do-not-disturb disabled');
+    await this.flush();
+  }
+
+  /**
+   * Revient au planning configuré
+   */
+  async resume() {
+    this.#override = null;
+    this.#persistState();
+    await this.tick();
+  }
+
+  /**
+   * Envoie une notification Telegram, ou la met de côté pendant les heures calmes
+   * @param {string} message - Message HTML
+   * @param {Object} options - Options de TelegramService.sendMessage
+   * @param {boolean} options.critical - Envoyer même pendant les heures calmes
+   * @returns {Promise<boolean>} true si envoyée immédiatement
+   */
+  async notify(message, { critical = false, ...options } = {}) {
+    if (critical || !this.isQuiet()) {
+      await this.#telegram?.sendMessage(message, options);
+      return true;
+    }
+
+    this.#digest.push({ message, options, at: this.#now() });
+    this.#persistState();
+    return false;
+  }
+
+  /**
+   * Réponse d'absence pour un contact, une seule fois par période calme
+   * @param {number|string} contactId
+   * @returns {string|null} null si hors heures calmes ou déjà envoyée
+   */
+  takeAwayReply(contactId) {
+    if (!this.isQuiet() || this.#awaySent.has(contactId)) return null;
+    this.#awaySent.add(contactId);
+    this.#persistState();
+    return this.#awayMessage;
+  }
+
+  /**
+   * Envoie le résumé des notifications mises de côté
+   * Les notifications avec boutons (validation de réponse...) sont renvoyées telles quelles.
+   */
+  async flush() {
+    if (this.#digest.length === 0) return;
+
+    const items = this.#digest;
+    this.#digest = [];
+    this.#persistState();
+
+    const plain = items.filter(item => !item.options?.inlineKeyboard);
+    const interactive = items.filter(item => item.options?.inlineKeyboard);
+
+    if (plain.length > 0) {
+      const entries = plain.map(item => `🕐 <b>${this.#formatTime(item.at)}</b>\n${item.message}`);
+      await this.#telegram?.sendMessage(
+        `🌙 <b>Pendant les heures calmes</b> (${plain.length} notification${plain.length > 1 ? 's' : ''})\n\n` +
+        entries.join('\n\n')
+      );
+    }
+
+    for (const item of interactive) {
+      await this.#telegram?.sendMessage(item.message, item.options);
+    }
+
+    this.#logger?.info('Quiet hours digest sent', { notifications: items.length });
+  }
+
+  /**
+   * Formate l'état pour /dnd
+   * @param {Object} status - Résultat de getStatus()
+   * @returns {string}
+   */
+  static formatStatus(status) {
+    const until = status.until ? ` jusqu'à ${QuietHoursService.#formatDateTime(status.until)}` : '';
+
+    let line;
+    if (status.quiet) {
+      line = status.source === 'manual'
+        ? `🔕 Ne pas déranger activé${until || " jusqu'à /dnd off"}`
+        : `🌙 Heures calmes en cours${until}`;
+    } else {
+      line = status.source === 'manual'
+        ? `🔔 Heures calmes suspendues${until}`
+        : '🔔 Notifications actives';
+    }
+
+    const queued = status.queued > 0 ? `\n📥 ${status.queued} notification(s) en attente` : '';
+    const schedule = status.scheduled ? '' : '\n<i>Aucun planning configuré (QUIET_HOURS)</i>';
+    return `${line}${queued}${schedule}`;
+  }
+
+  // ============================================
+  // MÉTHODES PRIVÉES
+  // ============================================
+
+  static #parseDays(spec) {
+    const days = new Set();
+
+    for (const part of spec.toLowerCase().split(',').map(p => p.trim()).filter(Boolean)) {
+      const [from, to] = part.split('-').map(d => DAY_INDEXES[d.trim().substring(0, 3)]);
+      if (from === undefined || (part.includes('-') && to === undefined)) {
+        throw new ConfigurationError(`Invalid QUIET_HOURS days: "${part}"`);
+      }
+
+      if (to === undefined) {
+        days.add(from);
+        continue;
+      }
+      // Plage circulaire: "fri-mon" = ven, sam, dim, lun
+      for (let d = from; ; d = (d + 1) % 7) {
+        days.add(d);
+        if (d === to) break;
+      }
+    }
+
+    return [...days];
+  }
+
+  #resetAwayReplies() {
+    if (this.#awaySent.size === 0) return;
+    this.#awaySent.clear();
+    this.#persistState();
+  }
+
+  /**
+   * Recharge le résumé, les contacts prévenus et le /dnd enregistrés avant un redémarrage
+   */
+  #restoreState() {
+    if (!this.#repo) return;
+    try {
+      const state = this.#repo.getAppState(STATE_KEY)?.value;
+      if (!state) return;
+      this.#override = state.override ?? null;
+      this.#digest = state.digest ?? [];
+      this.#awaySent = new Set(state.awaySent ?? []);
+    } catch (error) {
+      this.#logger?.error('Failed to restore quiet hours state', { error: error.message });
+    }
+  }
+
+  /**
+   * La persistance ne doit jamais bloquer une notification: en cas d'erreur, l'état reste en mémoire
+   */
+  #persistState() {
+    if (!this.#repo) return;
+    try {
+      this.#repo.setAppState(STATE_KEY, {
+        override: this.#override,
+        digest: this.#digest,
+        awaySent: [...this.#awaySent]
+      });
+    } catch (error) {
+      this.#logger?.error('Failed to persist quiet hours state', { error: error.message });
+    }
+  }
+
+  #activeOverride(at) {
+    if (!this.#override) return null;
+    if (this.#override.until !== null && at >= this.#override.until) {
+      this.#override = null;
+      return null;
+    }
+    return this.#override;
+  }
+
+  /**
+   * Plage planifiée contenant l'instant donné (celle de la veille si elle passe minuit)
+   * @returns {{start: number, end: number}|null}
+   */
+  #scheduledWindowAt(at) {
+    for (const dayOffset of [0, -1]) {
+      const day = new Date(at);
+      day.setHours(0, 0, 0, 0);
+      day.setDate(day.getDate() + dayOffset);
+
+      for (const window of this.#windows) {
+        if (!window.days.has(day.getDay())) continue;
+
+        const start = new Date(day);
+        start.setHours(0, window.start);
+        const end = new Date(day);
+        if (window.end <= window.start) end.setDate(end.getDate() + 1);
+        end.setHours(0, window.end);
+
+        if (at >= start.getTime() && at < end.getTime()) {
+          return { start: start.getTime(), end: end.getTime() };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  #formatTime(timestamp) {
+    return new Date(timestamp).toLocaleTimeString('fr-FR', { hour: '2-digit', minute: '2-digit' });
+  }
+
+  static #formatDateTime(timestamp) {
+    return new Date(timestamp).toLocaleString('fr-FR', {
+      weekday: 'short', hour: '2-digit', minute: '2-digit'
+    });
+  }
+}
@@ -1,6 +1,29 @@
 import QRCode from 'qrcode';
 import { escapeHtml } from '../utils/Sanitizer.js';
 
+// Durée de validité par défaut d'un élément en attente
+const PENDING_TTL_MS = 60 * 60 * 1000;
+
+// Étapes en attente d'une saisie texte -> clé du handler (onCallback)
+const INPUT_HANDLERS = {
+  edit_title: 'title_input_',
+  edit_reply: 'reply_input_'
+};
+
+// Étape reprise par un élément dont la saisie est abandonnée (une seule saisie attendue à la fois)
+const INPUT_EXIT_STEPS = {
+  edit_title: 'confirm',
+  edit_reply: 'approve_reply'
+};
+
+// ID d'élément en attente contenu dans un callback_data (ex: 'selectcal_evt_mgx2k3ab_1')
+const PENDING_ID_PATTERN = /(?:^|_)((?:evt|rpl|srch)_[0-9a-z]+)/;
+
+const EXPIRED_CALLBACK_MESSAGE = '⌛ Cette action a expiré. Relancez-la depuis /tasks ou le dernier message.';
+
+// Dates ISO sérialisées dans le payload (event.start, suggestion...) => Date
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/;
+
 export class TelegramService {
   #botToken;
   #adminId;
@@ -14,13 +37,21 @@ export class TelegramService {
   // ============================================
   // SESSION STATE - Pour workflow interactif
   // ============================================
-  #pendingEvents = new Map();  // key: eventId -> { event, step, calendarId }
-  #sessionCounter = 0;         // Compteur pour générer des IDs uniques
+  #pendingEvents = new Map();  // key: eventId -> { event, step, calendarId, ttlMs }
+  #sessionCounter = Date.now(); // Compteur pour générer des IDs uniques (y compris après redémarrage)
+  #repo;                       // Persistance des éléments en attente (optionnelle)
 
-  constructor(config) {
+  /**
+   * @param {Config} config
+   * @param {Object} options
+   * @param {MessageRepository} options.repository - Persistance des éléments en attente (table telegram_sessions)
+   */
+  constructor(config, { repository = null } = {}) {
     this.#botToken = config.telegram.botToken;
     this.#adminId = config.telegram.adminId;
     this.#allowedUserId = config.telegram.allowedUserId || config.telegram.adminId;
+    this.#repo = repository;
+    this.#restorePendingEvents();
   }
 
   // ============================================
@@ -28,18 +59,25 @@ export class TelegramService {
   // ============================================
 
   /**
-   * Stocke un événement en attente de confirmation
+   * Stocke un élément en attente de confirmation (événement, brouillon de réponse...)
    * @param {Object} eventData - Données de l'événement
+   * @param {Object} options
+   * @param {string} options.prefix - Préfixe de l'ID ('evt' pour les événements, 'rpl' pour les réponses)
+   * @param {string} options.step - Étape initiale
+   * @param {number} options.ttlMs - Durée de validité (défaut: 1 heure)
    * @returns {string} ID unique de l'événement en attente
    */
-  storePendingEvent(eventData) {
-    const eventId = `evt_${++this.#sessionCounter}`;
+  storePendingEvent(eventData, { prefix = 'evt', step = 'confirm', ttlMs = PENDING_TTL_MS } = {}) {
+    const eventId = `${prefix}_${(++this.#sessionCounter).toString(36)}`;
     this.#pendingEvents.set(eventId, {
       event: eventData,
-      step: 'confirm',  // 'confirm', 'select_calendar', 'edit_date', 'edit_time', 'edit_title'
+      step,  // 'confirm', 'select_calendar', 'edit_date', 'edit_time', 'edit_title', 'approve_reply', 'edit_reply'
       calendarId: null,
-      createdAt: Date.now()
+      createdAt: Date.now(),
+      ttlMs
     });
+    this.#persistPendingEvent(eventId);
+    if (INPUT_HANDLERS[step]) this.#releaseOtherInputs(eventId);
     
     // Nettoyer les anciens événements (> 1 heure)
     this.#cleanupOldPendingEvents();
@@ -53,7 +91,14 @@ export class TelegramService {
    * @returns {Object|null} Données de l'événement ou null
    */
   getPendingEvent(eventId) {
-    return this.#pendingEvents.get(eventId) || null;
+    const pending = this.#pendingEvents.get(eventId);
+    if (!pending) return null;
+
+    if (pending.createdAt < Date.now() - (pending.ttlMs || PENDING_TTL_MS)) {
+      this.removePendingEvent(eventId);
+      return null;
+    }
+    return pending;
   }
 
   /**
@@ -65,6 +110,8 @@ export class TelegramService {
     const pending = this.#pendingEvents.get(eventId);
     if (pending) {
       this.#pendingEvents.set(eventId, { ...pending, ...updates });
+      this.#persistPendingEvent(eventId);
+      if (INPUT_HANDLERS[updates.step]) this.#releaseOtherInputs(eventId);
     }
   }
 
@@ -74,6 +121,7 @@ export class TelegramService {
    */
   removePendingEvent(eventId) {
     this.#pendingEvents.delete(eventId);
+    this.#withStore(repo => repo.deleteTelegramSession(eventId));
   }
 
   /**
@@ -90,15 +138,82 @@ export class TelegramService {
   }
 
   /**
-   * Nettoie les événements en attente de plus d'1 heure
+   * Trouve l'élément en attente d'une saisie texte (titre, réponse modifiée...).
+   * Il n'y en a qu'un: le dernier bouton de saisie utilisé (voir #releaseOtherInputs).
+   * @returns {{ eventId: string, data: Object, handlerKey: string } | null}
+   */
+  findPendingAwaitingInput() {
+    for (const [eventId, data] of this.#pendingEvents) {
+      const handlerKey = INPUT_HANDLERS[data.step];
+      if (handlerKey && this.getPendingEvent(eventId)) {
+        return { eventId, data, handlerKey };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Une nouvelle saisie remplace la précédente: le texte suivant ne doit jamais
+   * partir vers un élément ouvert plus tôt (brouillon d'un autre contact...)
+   */
+  #releaseOtherInputs(currentId) {
+    for (const [eventId, data] of this.#pendingEvents) {
+      if (eventId !== currentId && INPUT_HANDLERS[data.step]) {
+        this.#pendingEvents.set(eventId, { ...data, step: INPUT_EXIT_STEPS[data.step] });
+        this.#persistPendingEvent(eventId);
+      }
+    }
+  }
+
+  /**
+   * Nettoie les éléments en attente expirés (1 heure par défaut)
    */
   #cleanupOldPendingEvents() {
-    const oneHourAgo = Date.now() - (60 * 60 * 1000);
+    const now = Date.now();
     for (const [eventId, data] of this.#pendingEvents) {
-      if (data.createdAt < oneHourAgo) {
+      if (data.createdAt < now - (data.ttlMs || PENDING_TTL_MS)) {
         this.#pendingEvents.delete(eventId);
       }
     }
+    this.#withStore(repo => repo.purgeExpiredTelegramSessions(now));
+  }
+
+  /**
+   * Recharge les éléments en attente non expirés (après un redémarrage)
+   */
+  #restorePendingEvents() {
+    this.#withStore(repo => {
+      for (const row of repo.getActiveTelegramSessions()) {
+        this.#pendingEvents.set(row.id, JSON.parse(row.payload, (key, value) =>
+          typeof value === 'string' && ISO_DATE_PATTERN.test(value) ? new Date(value) : value
+        ));
+        // Ne jamais réattribuer un ID restauré
+        this.#sessionCounter = Math.max(this.#sessionCounter, parseInt(row.id.split('_').pop(), 36) || 0);
+      }
+    });
+  }
+
+  #persistPendingEvent(eventId) {
+    const data = this.#pendingEvents.get(eventId);
+    this.#withStore(repo => repo.saveTelegramSession({
+      id: eventId,
+      step: data.step,
+      payload: data,
+      createdAt: data.createdAt,
+      expiresAt: data.createdAt + (data.ttlMs || PENDING_TTL_MS)
+    }));
+  }
+
+  /**
+   * La persistance ne doit jamais bloquer le workflow: en cas d'erreur, l'état reste en mémoire
+   */
+  #withStore(operation) {
+    if (!this.#repo) return;
+    try {
+      operation(this.#repo);
+    } catch (error) {
+      console.error('[TelegramService] Pending events persistence failed:', error.message);
+    }
   }
 
   /**
@@ -208,18 +323,18 @@ export class TelegramService {
     }
     this.#recentCommands.set(commandKey, Date.now());
 
-    // Vérifier si on attend un nouveau titre pour un événement
+    // Vérifier si on attend une saisie (nouveau titre d'événement, réponse modifiée...)
     if (!text.startsWith('/')) {
-      const pendingTitle = this.findPendingEventAwaitingTitle();
-      if (pendingTitle) {
-        // Appeler le handler de titre s'il est enregistré
-        const titleHandler = this.#callbackHandlers.get('title_input_');
-        if (titleHandler) {
-          await titleHandler(text, pendingTitle.eventId);
+      const pendingInput = this.findPendingAwaitingInput();
+      if (pendingInput) {
+        // Appeler le handler de saisie s'il est enregistré
+        const inputHandler = this.#callbackHandlers.get(pendingInput.handlerKey);
+        if (inputHandler) {
+          await inputHandler(text, pendingInput.eventId);
         }
         return;
       }
-      // Si ce n'est pas une commande et pas d'attente de titre, ignorer
+      // Si ce n'est pas une commande et pas d'attente de saisie, ignorer
       return;
     }
 
@@ -249,8 +364,22 @@ export class TelegramService {
         `/connect - 📱 Obtenir le QR code WhatsApp\n` +
         `/status - 🤖 État du système\n` +
         `/rapport - 📊 Rapport des dernières 24h\n` +
+        `/rapports - 🗄️ Rapports archivés\n` +
+        `/hebdo - 📆 Bilan de la semaine\n` +
+        `/mensuel - 📆 Bilan du mois\n` +
         `/stats - 📈 Statistiques rapides\n` +
+        `/usage - 💰 Consommation IA\n` +
+        `/dnd - 🔕 Ne pas déranger\n` +
         `/tasks - ✅ Voir les tâches à planifier\n` +
+        `/pending - ⏳ Messages en attente de réponse\n` +
+        `/reply - 📤 Répondre sur WhatsApp\n` +
+        `/search - 🔎 Rechercher dans les messages\n` +
+        `/ask - 🧠 Interroger l'historique\n` +
+        `/media - 📎 Récupérer un fichier reçu\n` +
+        `/contact - 👤 Profil et politique d'un contact\n` +
+        `/profile - 🧾 Profil long terme d'un contact\n` +
+        `/policy - 👥 Politiques par contact\n` +
+        `/groups - 👥 Réglages des groupes\n` +
         `/reset - 🔄 Réinitialiser la session WhatsApp`
       );
     }
@@ -266,6 +395,13 @@ export class TelegramService {
     }
 
     const data = callbackQuery.data;
+
+    // Bouton d'un élément en attente expiré (ou perdu): réponse explicite plutôt qu'une erreur
+    const pendingId = data.match(PENDING_ID_PATTERN)?.[1];
+    if (pendingId && !this.getPendingEvent(pendingId)) {
+      await this.answerCallback(callbackQuery.id, EXPIRED_CALLBACK_MESSAGE);
+      return;
+    }
     
     // Trouver le handler correspondant
     for (const [prefix, handler] of this.#callbackHandlers) {
@@ -395,6 +531,45 @@ export class TelegramService {
     }
   }
 
+  /**
+   * Envoie un fichier (document Telegram: qualité d'origine, tout type)
+   * @param {Buffer} data - Contenu
+   * @param {Object} options
+   * @param {string} options.filename - Nom affiché
+   * @param {string} [options.mimeType]
+   * @param {string} [options.caption] - Légende HTML (1024 caractères max)
+   * @returns {Promise<boolean>} true si Telegram a accepté le fichier
+   */
+  async sendDocument(data, { filename, mimeType = 'application/octet-stream', caption = null } = {}) {
+    if (!this.#botToken || !this.#adminId) return false;
+
+    try {
+      const formData = new FormData();
+      formData.append('chat_id', this.#adminId);
+      if (caption) {
+        formData.append('caption', caption.substring(0, 1024));
+        formData.append('parse_mode', 'HTML');
+      }
+      formData.append('document', new Blob([data], { type: mimeType }), filename);
+
+      const url = `https://api.telegram.org/bot${this.#botToken}/sendDocument`;
+      const response = await fetch(url, {
+        method: 'POST',
+        body: formData
+      });
+
+      if (!response.ok) {
+        const error = await response.text();
+        console.error('Telegram API Error (document):', error);
+        return false;
+      }
+      return true;
+    } catch (error) {
+      console.error('Failed to send document to Telegram:', error);
+      return false;
+    }
+  }
+
   async sendQRCode(qrData) {
     if (!this.#botToken || !this.#adminId) return;
 
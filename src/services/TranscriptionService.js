@@ -0,0 +1,186 @@
+/**
+ * TranscriptionService - Transcription des notes vocales
+ *
+ * Une note vocale WhatsApp arrive sans texte: elle est téléchargée puis
+ * transcrite (serveur whisper.cpp local ou provider de la chaîne IA) et le
+ * texte devient le corps du message, précédé de [vocal]. Le message suit
+ * ensuite le même chemin qu'un message écrit (analyse, mémoire, rapports).
+ *
+ * Sans transcription (désactivée, trop longue, budget épuisé, échec), la
+ * note est enregistrée avec un corps explicite pour rester visible.
+ *
+ * @module services/TranscriptionService
+ */
+import { resolveProvider, callProvider } from './ai/ProviderCalls.js';
+import { VOICE_NOTE_MARKER, VOICE_NOTE_TYPES } from '../domain/Message.js';
+
+// ============================================
+// CONSTANTES
+// ============================================
+
+// Upload + transcription d'une note de quelques minutes
+const TRANSCRIPTION_TIMEOUT_MS = 60000;
+
+// ============================================
+// CLASSE PRINCIPALE
+// ============================================
+
+export class TranscriptionService {
+  #repo;
+  #logger;
+  #provider;
+  #budget;
+  #store;
+  #language;
+  #maxDurationSeconds;
+
+  /**
+   * @param {Config} config - Configuration (config.ai.transcription)
+   * @param {MessageRepository} repository - Journal des appels (ai_calls)
+   * @param {Logger} logger
+   * @param {Object} options
+   * @param {BudgetService} options.budget - Pas de transcription une fois le budget IA épuisé
+   * @param {AIProvider} options.provider - Provider de transcription (tests), sinon déduit de la configuration
+   * @param {MediaStore} options.store - Conservation des fichiers audio (messages.media_url)
+   */
+  constructor(config, repository, logger = null, options = {}) {
+    const settings = config.ai?.transcription || {};
+    this.#repo = repository;
+    this.#logger = logger;
+    this.#budget = options.budget || null;
+    this.#store = options.store || null;
+    this.#language = settings.language || null;
+    this.#maxDurationSeconds = settings.maxDurationSeconds ?? 600;
+    this.#provider = options.provider || TranscriptionService.#createTranscriptionProvider(config.ai || {});
+  }
+
+  /**
+   * Provider de transcription: serveur whisper.cpp dédié, provider imposé, ou
+   * premier provider de la chaîne qui sait transcrire (null = désactivée)
+   */
+  static #createTranscriptionProvider(aiConfig) {
+    const settings = aiConfig.transcription || {};
+    return resolveProvider(aiConfig.providers, {
+      capability: 'transcription',
+      provider: settings.provider,
+      endpoint: settings.url && {
+        baseUrl: settings.url,
+        transcriptionUrl: settings.url,
+        apiKey: settings.apiKey,
+        transcriptionModel: settings.model
+      },
+      configure: () => ({ transcriptionModel: settings.model })
+    });
+  }
+
+  /**
+   * Indique si un message whatsapp-web.js est un enregistrement audio
+   * @param {Object} msg
+   * @returns {boolean}
+   */
+  static isVoiceNote(msg) {
+    return Boolean(msg?.hasMedia) && VOICE_NOTE_TYPES.includes(msg.type);
+  }
+
+  get isEnabled() {
+    return this.#provider !== null;
+  }
+
+  /**
+   * Provider et modèle de transcription (journal de démarrage)
+   */
+  get model() {
+    return this.#provider ? `${this.#provider.name}/${this.#provider.transcriptionModel}` : null;
+  }
+
+  /**
+   * Télécharge et transcrit une note vocale. Ne lève jamais d'erreur.
+   * @param {Object} msg - Message whatsapp-web.js (downloadMedia(), duration)
+   * @param {Object} options
+   * @param {number} options.contactId - Contact concerné (journal d'usage)
+   * @returns {Promise<{body: string, transcribed: boolean, mediaUrl?: string}>} Corps à enregistrer,
+   *   et fichier audio local si un stockage est configuré
+   */
+  async transcribeVoiceNote(msg, { contactId = null } = {}) {
+    const durationSeconds = parseInt(msg.duration, 10) || 0;
+    let result = { body: `${VOICE_NOTE_MARKER} (note vocale${formatDuration(durationSeconds)} non transcrite)`, transcribed: false };
+    let mediaUrl = null;
+
+    let transcribe = this.isEnabled && !this.#budget?.isExhausted();
+    if (transcribe && this.#maxDurationSeconds > 0 && durationSeconds > this.#maxDurationSeconds) {
+      this.#logger?.info('Voice note too long to transcribe', { durationSeconds, contactId });
+      transcribe = false;
+    }
+    // Sans transcription ni stockage, inutile de télécharger
+    if (!transcribe && !this.#store) return result;
+
+    try {
+      const media = await msg.downloadMedia();
+      if (!media?.data) {
+        throw new Error('Voice note could not be downloaded');
+      }
+
+      const audio = Buffer.from(media.data, 'base64');
+      const mimeType = media.mimetype || 'audio/ogg';
+      mediaUrl = await this.#saveAudio(msg.id?.id, { data: audio, mimeType, filename: media.filename || null });
+
+      const text = transcribe ? await this.transcribe({ audio, mimeType, durationSeconds, contactId }) : '';
+      if (text) {
+        result = { body: `${VOICE_NOTE_MARKER} ${text}`, transcribed: true };
+      }
+    } catch (error) {
+      this.#logger?.warn('Voice note transcription failed', { error: error.message, contactId });
+    }
+
+    return mediaUrl ? { ...result, mediaUrl } : result;
+  }
+
+  /**
+   * Transcrit un fichier audio et journalise l'appel (ai_calls)
+   * @param {Object} input
+   * @param {Buffer} input.audio
+   * @param {string} input.mimeType
+   * @param {number} input.durationSeconds - Durée (coût des modèles facturés à la minute)
+   * @param {number} input.contactId
+   * @returns {Promise<string>} Texte transcrit
+   */
+  async transcribe({ audio, mimeType, durationSeconds = 0, contactId = null }) {
+    const call = { purpose: 'transcription', provider: this.#provider.name, model: this.#provider.transcriptionModel, contactId };
+    const result = await callProvider(this.#repo, call, () => this.#provider.transcribe({
+      audio,
+      mimeType,
+      language: this.#language,
+      signal: AbortSignal.timeout(TRANSCRIPTION_TIMEOUT_MS)
+    }), { budget: this.#budget, durationSeconds });
+    return result.text.replace(/\s+/g, ' ').trim();
+  }
+
+  // ============================================
+  // MÉTHODES PRIVÉES
+  // ============================================
+
+  /**
+   * Conserve le fichier audio; un échec d'écriture n'empêche pas la transcription
+   */
+  async #saveAudio(messageId, file) {
+    if (!this.#store || !messageId) return null;
+    try {
+      return await this.#store.save(messageId, file);
+    } catch (error) {
+      this.#logger?.warn('Failed to store voice note', { error: error.message, messageId });
+      return null;
+    }
+  }
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * " de 1:05" (vide si la durée est inconnue)
+ */
+function formatDuration(seconds) {
+  if (!seconds) return '';
+  return ` de ${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
@@ -198,11 +198,14 @@ export class WhatsAppService extends EventEmitter {
     }
   }
 
+  /**
+   * @returns {Promise<Object>} Message envoyé (whatsapp-web.js)
+   */
   async sendMessage(chatId, content) {
     if (!this.#isReady) {
       throw new Error('WhatsApp client is not ready');
     }
-    await this.#client.sendMessage(chatId, content);
+    return this.#client.sendMessage(chatId, content);
   }
 
   async getChatById(chatId) {
@@ -228,6 +231,13 @@ export class WhatsAppService extends EventEmitter {
     return this.#isReady;
   }
 
+  /**
+   * ID WhatsApp du compte connecté (ex: '41790000000@c.us'), null avant 'ready'
+   */
+  get ownId() {
+    return this.#client.info?.wid?._serialized || null;
+  }
+
   get sessionPath() {
     return this.#sessionPath;
   }
@@ -1,11 +1,27 @@
 /**
- * AIProviderFactory - Factory pour les différents providers IA
- * 
- * Gère les appels API vers Gemini, OpenAI et Groq de manière uniforme.
- * 
+ * AIProviderFactory - Registre des providers IA
+ *
+ * Gère les appels API vers Gemini, OpenAI, Groq et les serveurs locaux
+ * compatibles OpenAI (Ollama, llama.cpp, LM Studio) de manière uniforme.
+ * Chaque provider est une classe enregistrée dans le registre: ajouter un
+ * provider (Mistral, Anthropic, endpoint local...) revient à écrire une
+ * classe qui étend AIProvider et à appeler registerProvider().
+ *
+ * Tous les providers retournent le même format:
+ * { text, usage: { promptTokens, completionTokens, totalTokens }, provider, model }
+ * et lèvent des AIProviderError en cas d'échec.
+ *
+ * Les providers qui déclarent un `defaultEmbeddingModel` savent aussi
+ * calculer des embeddings (embed()), utilisés par la mémoire sémantique,
+ * ceux qui déclarent un `defaultTranscriptionModel` transcrivent l'audio
+ * (transcribe()), utilisé pour les notes vocales, et ceux qui déclarent un
+ * `defaultVisionModel` décrivent les images et documents reçus (describe()).
+ *
  * @module services/ai/AIProviderFactory
  */
 
+import { AIProviderError } from '../../utils/Errors.js';
+
 // ============================================
 // CLASSE ABSTRAITE PROVIDER
 // ============================================
@@ -13,22 +29,200 @@
 /**
  * Interface de base pour tous les providers IA
  */
-class AIProvider {
-  constructor(apiKey, model, maxTokens, temperature) {
+export class AIProvider {
+  /** Nom du provider dans le registre (ex: 'gemini') */
+  static id = null;
+
+  /** Modèle utilisé si aucun n'est configuré */
+  static defaultModel = null;
+
+  /** Modèle d'embeddings par défaut (null = embeddings non supportés) */
+  static defaultEmbeddingModel = null;
+
+  /** Modèle de transcription audio par défaut (null = transcription non supportée) */
+  static defaultTranscriptionModel = null;
+
+  /** Modèle de vision par défaut (null = images non supportées) */
+  static defaultVisionModel = null;
+
+  /** Modèle rapide et peu coûteux pour les tâches de tri (null = modèle principal) */
+  static defaultLightModel = null;
+
+  /** Types MIME acceptés par describe() */
+  static visionMimeTypes = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+  /**
+   * @param {Object} config
+   * @param {string} config.apiKey - Clé API
+   * @param {string} config.model - Modèle
+   * @param {string} config.embeddingModel - Modèle d'embeddings
+   * @param {string} config.transcriptionModel - Modèle de transcription audio
+   * @param {string} config.visionModel - Modèle de vision (images, documents)
+   * @param {number} config.maxTokens - Limite de tokens en sortie par défaut
+   * @param {number} config.temperature - Température par défaut
+   */
+  constructor({ apiKey, model, embeddingModel, transcriptionModel, visionModel, maxTokens = 500, temperature = 0.3 } = {}) {
     this.apiKey = apiKey;
-    this.model = model;
+    this.model = model || this.constructor.defaultModel;
+    this.embeddingModel = embeddingModel || this.constructor.defaultEmbeddingModel;
+    this.transcriptionModel = transcriptionModel || this.constructor.defaultTranscriptionModel;
+    this.visionModel = visionModel || this.constructor.defaultVisionModel;
     this.maxTokens = maxTokens;
     this.temperature = temperature;
   }
 
   /**
-   * Envoie un prompt et retourne la réponse
-   * @param {string} prompt - Le prompt à envoyer
-   * @param {Object} options - Options supplémentaires
-   * @returns {Promise<string>} Réponse brute
+   * Nom du provider
+   * @returns {string}
    */
-  async call(prompt, options = {}) {
-    throw new Error('Method call() must be implemented');
+  get name() {
+    return this.constructor.id;
+  }
+
+  /**
+   * Envoie un prompt et retourne la réponse brute
+   * @param {Object} request
+   * @param {string} request.prompt - Le prompt utilisateur
+   * @param {string} [request.systemPrompt] - Prompt système optionnel
+   * @param {number} [request.maxTokens] - Surcharge de la limite de tokens
+   * @param {number} [request.temperature] - Surcharge de la température
+   * @param {AbortSignal} [request.signal] - Signal d'annulation (timeout)
+   * @returns {Promise<{text: string, usage: Object, provider: string, model: string}>}
+   */
+  async complete(request) {
+    throw new Error('Method complete() must be implemented');
+  }
+
+  /**
+   * Envoie un prompt et retourne la réponse parsée en JSON
+   * @param {Object} request - Voir complete()
+   * @returns {Promise<{data: Object, text: string, usage: Object, provider: string, model: string}>}
+   * @throws {AIProviderError} Si l'appel échoue ou si la réponse n'est pas du JSON valide
+   */
+  async completeJSON(request) {
+    const result = await this.complete(request);
+    return { ...result, data: parseJSON(result.text, this.name) };
+  }
+
+  /**
+   * Calcule les embeddings d'une liste de textes
+   * @param {Object} request
+   * @param {string[]} request.texts - Textes (un vecteur par texte, même ordre)
+   * @param {AbortSignal} [request.signal] - Signal d'annulation (timeout)
+   * @returns {Promise<{vectors: number[][], usage: Object, provider: string, model: string}>}
+   * @throws {AIProviderError} Si le provider ne supporte pas les embeddings ou si l'appel échoue
+   */
+  async embed(request) {
+    throw new AIProviderError(`${this.name} does not support embeddings`, { provider: this.name });
+  }
+
+  /**
+   * Transcrit un enregistrement audio (note vocale)
+   * @param {Object} request
+   * @param {Buffer} request.audio - Contenu du fichier audio
+   * @param {string} request.mimeType - Type MIME (ex: 'audio/ogg; codecs=opus')
+   * @param {string} [request.language] - Code langue ISO-639-1 (détection automatique sinon)
+   * @param {AbortSignal} [request.signal] - Signal d'annulation (timeout)
+   * @returns {Promise<{text: string, usage: Object, provider: string, model: string}>}
+   * @throws {AIProviderError} Si le provider ne supporte pas la transcription ou si l'appel échoue
+   */
+  async transcribe(request) {
+    throw new AIProviderError(`${this.name} does not support audio transcription`, { provider: this.name });
+  }
+
+  /**
+   * Indique si describe() accepte ce type de fichier
+   * @param {string} mimeType
+   * @returns {boolean}
+   */
+  acceptsMedia(mimeType) {
+    return Boolean(this.visionModel) && this.constructor.visionMimeTypes.includes(baseMimeType(mimeType));
+  }
+
+  /**
+   * Décrit une image ou un document (réponse en texte libre, pas en JSON)
+   * @param {Object} request
+   * @param {Buffer} request.data - Contenu du fichier
+   * @param {string} request.mimeType - Type MIME (voir acceptsMedia())
+   * @param {string} request.prompt - Consigne (ce qu'il faut extraire)
+   * @param {number} [request.maxTokens] - Surcharge de la limite de tokens
+   * @param {AbortSignal} [request.signal] - Signal d'annulation (timeout)
+   * @returns {Promise<{text: string, usage: Object, provider: string, model: string}>}
+   * @throws {AIProviderError} Si le provider ne supporte pas ce type de fichier ou si l'appel échoue
+   */
+  async describe(request) {
+    throw new AIProviderError(`${this.name} does not support ${baseMimeType(request?.mimeType) || 'media'} input`, { provider: this.name });
+  }
+
+  /**
+   * Construit le résultat commun à tous les providers
+   * @protected
+   */
+  _result(text, usage = {}) {
+    const promptTokens = usage.promptTokens || 0;
+    const completionTokens = usage.completionTokens || 0;
+    return {
+      text,
+      usage: {
+        promptTokens,
+        completionTokens,
+        totalTokens: usage.totalTokens || promptTokens + completionTokens
+      },
+      provider: this.name,
+      model: this.model
+    };
+  }
+
+  /**
+   * Exécute la requête HTTP et normalise les erreurs
+   * @protected
+   */
+  async _post(url, headers, body, signal = undefined) {
+    return this._send(url, {
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal
+    });
+  }
+
+  /**
+   * Envoie un formulaire multipart (fichiers audio), le Content-Type est posé par fetch
+   * @protected
+   */
+  async _postForm(url, headers, form, signal = undefined) {
+    return this._send(url, { headers, body: form, signal });
+  }
+
+  /**
+   * @protected
+   */
+  async _send(url, { headers, body, signal }) {
+    let response;
+    try {
+      response = await fetch(url, { method: 'POST', headers, body, signal });
+    } catch (error) {
+      const timedOut = error.name === 'TimeoutError' || error.name === 'AbortError';
+      throw new AIProviderError(`${this.name} request ${timedOut ? 'timed out' : 'failed'}: ${error.message}`, {
+        provider: this.name,
+        cause: error
+      });
+    }
+
+    if (!response.ok) {
+      let detail = response.statusText;
+      try {
+        const error = await response.json();
+        detail = error.error?.message || detail;
+      } catch {
+        // Corps d'erreur non JSON
+      }
+      throw new AIProviderError(`${this.name} API error: ${detail}`, {
+        provider: this.name,
+        status: response.status
+      });
+    }
+
+    return response.json();
   }
 }
 
@@ -37,143 +231,390 @@ class AIProvider {
 // ============================================
 
 class GeminiProvider extends AIProvider {
-  async call(prompt, options = {}) {
+  static id = 'gemini';
+  static defaultModel = 'gemini-2.0-flash';
+  static defaultEmbeddingModel = 'text-embedding-004';
+  static defaultTranscriptionModel = 'gemini-2.0-flash';
+  static defaultVisionModel = 'gemini-2.0-flash';
+  static defaultLightModel = 'gemini-2.0-flash-lite';
+  static visionMimeTypes = [...AIProvider.visionMimeTypes, 'image/heic', 'application/pdf'];
+
+  async complete({ prompt, systemPrompt, maxTokens, temperature, signal }) {
     const url = `https://generativelanguage.googleapis.com/v1beta/models/${this.model}:generateContent?key=${this.apiKey}`;
-    
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        contents: [{ parts: [{ text: prompt }] }],
-        generationConfig: {
-          temperature: options.temperature ?? this.temperature,
-          maxOutputTokens: options.maxTokens ?? this.maxTokens,
-          responseMimeType: "application/json"
-        }
-      })
+    const text = systemPrompt ? `${systemPrompt}\n\nUser message:\n${prompt}` : prompt;
+
+    const data = await this._post(url, {}, {
+      contents: [{ parts: [{ text }] }],
+      generationConfig: {
+        temperature: temperature ?? this.temperature,
+        maxOutputTokens: maxTokens ?? this.maxTokens,
+        responseMimeType: "application/json"
+      }
+    }, signal);
+
+    const output = data.candidates?.[0]?.content?.parts?.[0]?.text;
+    if (!output) {
+      throw new AIProviderError('No response from Gemini', { provider: this.name });
+    }
+
+    return this._result(output, {
+      promptTokens: data.usageMetadata?.promptTokenCount,
+      completionTokens: data.usageMetadata?.candidatesTokenCount,
+      totalTokens: data.usageMetadata?.totalTokenCount
     });
+  }
 
-    if (!response.ok) {
-      const error = await response.json();
-      throw new Error(`Gemini API error: ${error.error?.message || response.statusText}`);
+  async embed({ texts, signal }) {
+    const url = `https://generativelanguage.googleapis.com/v1beta/models/${this.embeddingModel}:batchEmbedContents?key=${this.apiKey}`;
+
+    const data = await this._post(url, {}, {
+      requests: texts.map(text => ({
+        model: `models/${this.embeddingModel}`,
+        content: { parts: [{ text }] }
+      }))
+    }, signal);
+
+    const vectors = (data.embeddings || []).map(e => e.values);
+    if (vectors.length !== texts.length) {
+      throw new AIProviderError('Incomplete embeddings from Gemini', { provider: this.name });
+    }
+
+    // Gemini ne retourne pas de décompte de tokens pour les embeddings
+    return {
+      vectors,
+      usage: { promptTokens: 0, completionTokens: 0, totalTokens: 0 },
+      provider: this.name,
+      model: this.embeddingModel
+    };
+  }
+
+  /**
+   * Gemini comprend l'audio directement: le fichier est joint au prompt
+   */
+  async transcribe({ audio, mimeType, language, signal }) {
+    const url = `https://generativelanguage.googleapis.com/v1beta/models/${this.transcriptionModel}:generateContent?key=${this.apiKey}`;
+    const instruction = 'Transcris fidèlement ce message vocal, dans sa langue d\'origine' +
+      (language ? ` (langue attendue: ${language})` : '') +
+      '. Réponds uniquement par la transcription, sans commentaire.';
+
+    const data = await this._post(url, {}, {
+      contents: [{
+        parts: [
+          { inline_data: { mime_type: baseMimeType(mimeType), data: audio.toString('base64') } },
+          { text: instruction }
+        ]
+      }],
+      generationConfig: { temperature: 0 }
+    }, signal);
+
+    const text = data.candidates?.[0]?.content?.parts?.[0]?.text;
+    if (text === undefined) {
+      throw new AIProviderError('No transcription from Gemini', { provider: this.name });
+    }
+
+    return {
+      ...this._result(text.trim(), {
+        promptTokens: data.usageMetadata?.promptTokenCount,
+        completionTokens: data.usageMetadata?.candidatesTokenCount,
+        totalTokens: data.usageMetadata?.totalTokenCount
+      }),
+      model: this.transcriptionModel
+    };
+  }
+
+  /**
+   * Images et PDF (y compris scannés) sont joints au prompt comme l'audio
+   */
+  async describe({ data: file, mimeType, prompt, maxTokens, signal }) {
+    if (!this.acceptsMedia(mimeType)) {
+      return super.describe({ mimeType });
     }
 
-    const data = await response.json();
+    const url = `https://generativelanguage.googleapis.com/v1beta/models/${this.visionModel}:generateContent?key=${this.apiKey}`;
+    const data = await this._post(url, {}, {
+      contents: [{
+        parts: [
+          { inline_data: { mime_type: baseMimeType(mimeType), data: file.toString('base64') } },
+          { text: prompt }
+        ]
+      }],
+      generationConfig: { temperature: 0.1, maxOutputTokens: maxTokens ?? 800 }
+    }, signal);
+
     const text = data.candidates?.[0]?.content?.parts?.[0]?.text;
-    
     if (!text) {
-      throw new Error('No response from Gemini');
+      throw new AIProviderError('No description from Gemini', { provider: this.name });
     }
 
-    return text;
+    return {
+      ...this._result(text.trim(), {
+        promptTokens: data.usageMetadata?.promptTokenCount,
+        completionTokens: data.usageMetadata?.candidatesTokenCount,
+        totalTokens: data.usageMetadata?.totalTokenCount
+      }),
+      model: this.visionModel
+    };
   }
 }
 
 // ============================================
-// OPENAI PROVIDER
+// PROVIDERS COMPATIBLES OPENAI (Chat Completions)
 // ============================================
 
-class OpenAIProvider extends AIProvider {
-  async call(prompt, options = {}) {
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${this.apiKey}`
-      },
-      body: JSON.stringify({
-        model: this.model,
-        messages: options.systemPrompt 
-          ? [
-              { role: 'system', content: options.systemPrompt },
-              { role: 'user', content: prompt }
-            ]
-          : [{ role: 'user', content: prompt }],
-        response_format: { type: 'json_object' },
-        max_tokens: options.maxTokens ?? this.maxTokens,
-        temperature: options.temperature ?? this.temperature
-      })
+/**
+ * Base pour toutes les API compatibles avec /v1/chat/completions
+ */
+class ChatCompletionsProvider extends AIProvider {
+  /** URL complète de l'endpoint chat/completions */
+  get endpoint() {
+    throw new Error('Getter endpoint must be implemented');
+  }
+
+  /** URL complète de l'endpoint embeddings (si defaultEmbeddingModel) */
+  get embeddingsEndpoint() {
+    throw new Error('Getter embeddingsEndpoint must be implemented');
+  }
+
+  /** URL complète de l'endpoint audio/transcriptions (si defaultTranscriptionModel) */
+  get transcriptionsEndpoint() {
+    throw new Error('Getter transcriptionsEndpoint must be implemented');
+  }
+
+  async complete({ prompt, systemPrompt, maxTokens, temperature, signal }) {
+    const headers = this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {};
+
+    const data = await this._post(this.endpoint, headers, {
+      model: this.model,
+      messages: systemPrompt
+        ? [
+            { role: 'system', content: systemPrompt },
+            { role: 'user', content: prompt }
+          ]
+        : [{ role: 'user', content: prompt }],
+      response_format: { type: 'json_object' },
+      max_tokens: maxTokens ?? this.maxTokens,
+      temperature: temperature ?? this.temperature
+    }, signal);
+
+    const output = data.choices?.[0]?.message?.content;
+    if (!output) {
+      throw new AIProviderError(`No response from ${this.name}`, { provider: this.name });
+    }
+
+    return this._result(output, {
+      promptTokens: data.usage?.prompt_tokens,
+      completionTokens: data.usage?.completion_tokens,
+      totalTokens: data.usage?.total_tokens
     });
+  }
 
-    if (!response.ok) {
-      const error = await response.json();
-      throw new Error(`OpenAI API error: ${error.error?.message || response.statusText}`);
+  async embed({ texts, signal }) {
+    if (!this.embeddingModel) {
+      return super.embed({ texts, signal });
     }
 
-    const data = await response.json();
-    return data.choices[0].message.content;
+    const headers = this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {};
+    const data = await this._post(this.embeddingsEndpoint, headers, {
+      model: this.embeddingModel,
+      input: texts
+    }, signal);
+
+    const vectors = [...(data.data || [])]
+      .sort((a, b) => a.index - b.index)
+      .map(d => d.embedding);
+    if (vectors.length !== texts.length) {
+      throw new AIProviderError(`Incomplete embeddings from ${this.name}`, { provider: this.name });
+    }
+
+    return {
+      vectors,
+      usage: {
+        promptTokens: data.usage?.prompt_tokens || 0,
+        completionTokens: 0,
+        totalTokens: data.usage?.total_tokens || data.usage?.prompt_tokens || 0
+      },
+      provider: this.name,
+      model: this.embeddingModel
+    };
+  }
+
+  async transcribe({ audio, mimeType, language, signal }) {
+    if (!this.transcriptionModel) {
+      return super.transcribe({ audio, mimeType, language, signal });
+    }
+
+    // L'extension du nom de fichier sert à détecter le format audio
+    const form = new FormData();
+    form.append('file', new Blob([audio], { type: mimeType }), `voice.${audioExtension(mimeType)}`);
+    form.append('model', this.transcriptionModel);
+    form.append('response_format', 'json');
+    if (language) form.append('language', language);
+
+    const headers = this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {};
+    const data = await this._postForm(this.transcriptionsEndpoint, headers, form, signal);
+    if (typeof data.text !== 'string') {
+      throw new AIProviderError(`No transcription from ${this.name}`, { provider: this.name });
+    }
+
+    // Transcription facturée à la durée, pas aux tokens
+    return {
+      text: data.text.trim(),
+      usage: { promptTokens: 0, completionTokens: 0, totalTokens: 0 },
+      provider: this.name,
+      model: this.transcriptionModel
+    };
+  }
+
+  /**
+   * L'image est envoyée en data URL dans un message multimodal (format image_url)
+   */
+  async describe({ data: file, mimeType, prompt, maxTokens, signal }) {
+    if (!this.acceptsMedia(mimeType)) {
+      return super.describe({ mimeType });
+    }
+
+    const headers = this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {};
+    const data = await this._post(this.endpoint, headers, {
+      model: this.visionModel,
+      messages: [{
+        role: 'user',
+        content: [
+          { type: 'text', text: prompt },
+          { type: 'image_url', image_url: { url: `data:${baseMimeType(mimeType)};base64,${file.toString('base64')}` } }
+        ]
+      }],
+      max_tokens: maxTokens ?? 800,
+      temperature: 0.1
+    }, signal);
+
+    const output = data.choices?.[0]?.message?.content;
+    if (!output) {
+      throw new AIProviderError(`No description from ${this.name}`, { provider: this.name });
+    }
+
+    return {
+      ...this._result(output.trim(), {
+        promptTokens: data.usage?.prompt_tokens,
+        completionTokens: data.usage?.completion_tokens,
+        totalTokens: data.usage?.total_tokens
+      }),
+      model: this.visionModel
+    };
   }
 }
 
-// ============================================
-// GROQ PROVIDER
-// ============================================
+class OpenAIProvider extends ChatCompletionsProvider {
+  static id = 'openai';
+  static defaultModel = 'gpt-4o';
+  static defaultEmbeddingModel = 'text-embedding-3-small';
+  static defaultTranscriptionModel = 'whisper-1';
+  static defaultVisionModel = 'gpt-4o-mini';
+  static defaultLightModel = 'gpt-4o-mini';
 
-class GroqProvider extends AIProvider {
-  async call(prompt, options = {}) {
-    const response = await fetch('https://api.groq.com/openai/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${this.apiKey}`
-      },
-      body: JSON.stringify({
-        model: this.model,
-        messages: options.systemPrompt 
-          ? [
-              { role: 'system', content: options.systemPrompt },
-              { role: 'user', content: prompt }
-            ]
-          : [{ role: 'user', content: prompt }],
-        response_format: { type: 'json_object' },
-        max_tokens: options.maxTokens ?? this.maxTokens,
-        temperature: options.temperature ?? this.temperature
-      })
-    });
+  get endpoint() {
+    return 'https://api.openai.com/v1/chat/completions';
+  }
 
-    if (!response.ok) {
-      const error = await response.json();
-      throw new Error(`Groq API error: ${error.error?.message || response.statusText}`);
+  get embeddingsEndpoint() {
+    return 'https://api.openai.com/v1/embeddings';
+  }
+
+  get transcriptionsEndpoint() {
+    return 'https://api.openai.com/v1/audio/transcriptions';
+  }
+}
+
+class GroqProvider extends ChatCompletionsProvider {
+  static id = 'groq';
+  static defaultModel = 'llama-3.1-70b-versatile';
+  static defaultTranscriptionModel = 'whisper-large-v3-turbo';
+  static defaultVisionModel = 'meta-llama/llama-4-scout-17b-16e-instruct';
+  static defaultLightModel = 'llama-3.1-8b-instant';
+
+  get endpoint() {
+    return 'https://api.groq.com/openai/v1/chat/completions';
+  }
+
+  get transcriptionsEndpoint() {
+    return 'https://api.groq.com/openai/v1/audio/transcriptions';
+  }
+}
+
+/**
+ * Serveur local compatible OpenAI (Ollama, llama.cpp server, LM Studio...)
+ * Les conversations ne quittent pas la machine. La clé API est optionnelle.
+ * La transcription peut viser un serveur whisper.cpp (même formulaire multipart
+ * que /audio/transcriptions) via `transcriptionUrl`. La vision suppose un
+ * modèle multimodal installé (ex: `ollama pull llava`).
+ */
+class LocalProvider extends ChatCompletionsProvider {
+  static id = 'local';
+  static defaultModel = 'llama3.1';
+  static defaultEmbeddingModel = 'nomic-embed-text';
+  static defaultTranscriptionModel = 'whisper-1';
+  static defaultVisionModel = 'llava';
+
+  /**
+   * @param {Object} config - Voir AIProvider
+   * @param {string} config.baseUrl - URL de base de l'API (ex: http://localhost:11434/v1)
+   * @param {string} [config.transcriptionUrl] - URL complète de transcription (ex: http://localhost:8080/inference)
+   */
+  constructor(config = {}) {
+    super(config);
+    if (!config.baseUrl) {
+      throw new Error('baseUrl required for local AI provider');
     }
+    this.baseUrl = config.baseUrl.replace(/\/+$/, '');
+    this.transcriptionUrl = config.transcriptionUrl || null;
+  }
 
-    const data = await response.json();
-    return data.choices[0].message.content;
+  get endpoint() {
+    return `${this.baseUrl}/chat/completions`;
+  }
+
+  get embeddingsEndpoint() {
+    return `${this.baseUrl}/embeddings`;
+  }
+
+  get transcriptionsEndpoint() {
+    return this.transcriptionUrl || `${this.baseUrl}/audio/transcriptions`;
   }
 }
 
 // ============================================
-// FACTORY
+// REGISTRE
 // ============================================
 
+const registry = new Map();
+
 /**
- * Modèles par défaut pour chaque provider
+ * Enregistre une classe de provider
+ * @param {typeof AIProvider} ProviderClass - Classe avec `static id` et `static defaultModel`
  */
-const DEFAULT_MODELS = {
-  gemini: 'gemini-2.0-flash',
-  openai: 'gpt-4o',
-  groq: 'llama-3.1-70b-versatile'
-};
+export function registerProvider(ProviderClass) {
+  if (!(ProviderClass?.prototype instanceof AIProvider) || !ProviderClass.id) {
+    throw new Error('Provider must extend AIProvider and define a static id');
+  }
+  registry.set(ProviderClass.id, ProviderClass);
+}
+
+registerProvider(GeminiProvider);
+registerProvider(OpenAIProvider);
+registerProvider(GroqProvider);
+registerProvider(LocalProvider);
 
 /**
  * Crée une instance du provider approprié
- * @param {string} provider - Nom du provider (gemini, openai, groq)
- * @param {Object} config - Configuration
+ * @param {string} provider - Nom du provider (gemini, openai, groq, local)
+ * @param {Object} config - Configuration ({ apiKey, model, maxTokens, temperature, baseUrl })
  * @returns {AIProvider}
  */
 export function createProvider(provider, config) {
-  const { apiKey, model, maxTokens = 500, temperature = 0.3 } = config;
-  const actualModel = model || DEFAULT_MODELS[provider] || DEFAULT_MODELS.gemini;
-
-  switch (provider) {
-    case 'gemini':
-      return new GeminiProvider(apiKey, actualModel, maxTokens, temperature);
-    case 'openai':
-      return new OpenAIProvider(apiKey, actualModel, maxTokens, temperature);
-    case 'groq':
-      return new GroqProvider(apiKey, actualModel, maxTokens, temperature);
-    default:
-      throw new Error(`Unknown AI provider: ${provider}`);
+  const ProviderClass = registry.get(provider);
+  if (!ProviderClass) {
+    throw new Error(`Unknown AI provider: ${provider}`);
   }
+  return new ProviderClass(config);
 }
 
 /**
@@ -182,5 +623,106 @@ export function createProvider(provider, config) {
  * @returns {string}
  */
 export function getDefaultModel(provider) {
-  return DEFAULT_MODELS[provider] || DEFAULT_MODELS.gemini;
+  return registry.get(provider)?.defaultModel || GeminiProvider.defaultModel;
+}
+
+/**
+ * Indique si un provider sait calculer des embeddings
+ * @param {string} provider - Nom du provider
+ * @returns {boolean}
+ */
+export function supportsEmbeddings(provider) {
+  return Boolean(registry.get(provider)?.defaultEmbeddingModel);
+}
+
+/**
+ * Indique si un provider sait transcrire l'audio
+ * @param {string} provider - Nom du provider
+ * @returns {boolean}
+ */
+export function supportsTranscription(provider) {
+  return Boolean(registry.get(provider)?.defaultTranscriptionModel);
+}
+
+/**
+ * Indique si un provider sait décrire des images
+ * @param {string} provider - Nom du provider
+ * @returns {boolean}
+ */
+export function supportsVision(provider) {
+  return Boolean(registry.get(provider)?.defaultVisionModel);
+}
+
+/**
+ * Retourne le modèle léger d'un provider (tri, classification)
+ * @param {string} provider - Nom du provider
+ * @returns {string|null} null si le provider n'en propose pas (utiliser le modèle principal)
+ */
+export function getLightModel(provider) {
+  return registry.get(provider)?.defaultLightModel || null;
+}
+
+/**
+ * Liste les providers enregistrés
+ * @returns {string[]}
+ */
+export function listProviders() {
+  return [...registry.keys()];
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+// Extensions reconnues par les API de transcription (Whisper détecte le format par l'extension)
+const AUDIO_EXTENSIONS = {
+  'audio/ogg': 'ogg',
+  'audio/opus': 'ogg',
+  'audio/mpeg': 'mp3',
+  'audio/mp3': 'mp3',
+  'audio/mp4': 'm4a',
+  'audio/aac': 'm4a',
+  'audio/x-m4a': 'm4a',
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/webm': 'webm'
+};
+
+function audioExtension(mimeType) {
+  return AUDIO_EXTENSIONS[baseMimeType(mimeType)] || 'ogg';
+}
+
+/**
+ * 'audio/ogg; codecs=opus' -> 'audio/ogg'
+ */
+function baseMimeType(mimeType) {
+  return (mimeType || '').split(';')[0].trim().toLowerCase();
+}
+
+/**
+ * Parse une réponse JSON en tolérant les blocs markdown (```json ... ```)
+ * @param {string} text - Réponse brute du modèle
+ * @param {string} provider - Nom du provider (pour l'erreur)
+ * @returns {Object}
+ * @throws {AIProviderError}
+ */
+export function parseJSON(text, provider = null) {
+  let cleanText = (text || '').trim();
+  if (cleanText.startsWith('```json')) {
+    cleanText = cleanText.slice(7);
+  } else if (cleanText.startsWith('```')) {
+    cleanText = cleanText.slice(3);
+  }
+  if (cleanText.endsWith('```')) {
+    cleanText = cleanText.slice(0, -3);
+  }
+
+  try {
+    return JSON.parse(cleanText.trim());
+  } catch (error) {
+    throw new AIProviderError(`Failed to parse AI response: ${error.message}`, {
+      provider,
+      cause: error
+    });
+  }
 }
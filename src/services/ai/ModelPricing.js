@@ -0,0 +1,94 @@
+/**
+ * ModelPricing - Table de prix des modèles IA
+ *
+ * Prix publics en USD par million de tokens (entrée / sortie), utilisés
+ * pour estimer le coût de chaque appel dans le journal ai_calls.
+ * Les modèles inconnus et les serveurs locaux sont comptés à 0.
+ *
+ * @module services/ai/ModelPricing
+ */
+
+// ============================================
+// TABLE DES PRIX (USD / 1M tokens)
+// ============================================
+
+export const MODEL_PRICES = {
+  // OpenAI
+  'gpt-4o-mini': { input: 0.15, output: 0.60 },
+  'gpt-4o': { input: 2.50, output: 10.00 },
+  'gpt-4-turbo': { input: 10.00, output: 30.00 },
+  'gpt-3.5-turbo': { input: 0.50, output: 1.50 },
+  'text-embedding-3-small': { input: 0.02, output: 0 },
+  'text-embedding-3-large': { input: 0.13, output: 0 },
+
+  // Gemini
+  'gemini-2.0-flash': { input: 0.10, output: 0.40 },
+  'gemini-2.0-flash-lite': { input: 0.075, output: 0.30 },
+  'gemini-1.5-flash': { input: 0.075, output: 0.30 },
+  'gemini-1.5-pro': { input: 1.25, output: 5.00 },
+
+  // Groq
+  'llama-3.1-70b-versatile': { input: 0.59, output: 0.79 },
+  'llama-3.1-8b-instant': { input: 0.05, output: 0.08 },
+  'mixtral-8x7b-32768': { input: 0.24, output: 0.24 },
+  'meta-llama/llama-4-scout-17b-16e-instruct': { input: 0.11, output: 0.34 }
+};
+
+// ============================================
+// TRANSCRIPTION AUDIO (USD / minute)
+// ============================================
+
+// Les modèles Whisper sont facturés à la durée (Gemini compte l'audio en tokens)
+export const AUDIO_PRICES_PER_MINUTE = {
+  'whisper-1': 0.006,
+  'whisper-large-v3': 0.00185,
+  'whisper-large-v3-turbo': 0.000667
+};
+
+/**
+ * Retourne le prix d'un modèle (correspondance exacte, sinon plus long préfixe:
+ * 'gpt-4o-2024-08-06' utilise le prix de 'gpt-4o')
+ * @param {string} model - Nom du modèle
+ * @returns {{input: number, output: number}|null}
+ */
+export function getModelPrice(model) {
+  if (!model) return null;
+  if (MODEL_PRICES[model]) return MODEL_PRICES[model];
+
+  const prefix = Object.keys(MODEL_PRICES)
+    .filter(name => model.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return prefix ? MODEL_PRICES[prefix] : null;
+}
+
+/**
+ * Estime le coût d'un appel
+ * @param {string} provider - Nom du provider ('local' est toujours gratuit)
+ * @param {string} model - Nom du modèle
+ * @param {number} promptTokens - Tokens en entrée
+ * @param {number} completionTokens - Tokens en sortie
+ * @returns {number} Coût en USD
+ */
+export function estimateCost(provider, model, promptTokens = 0, completionTokens = 0) {
+  if (provider === 'local') return 0;
+
+  const price = getModelPrice(model);
+  if (!price) return 0;
+
+  return (promptTokens * price.input + completionTokens * price.output) / 1_000_000;
+}
+
+/**
+ * Estime le coût d'une transcription facturée à la durée
+ * @param {string} provider - Nom du provider ('local' est toujours gratuit)
+ * @param {string} model - Modèle de transcription
+ * @param {number} seconds - Durée de l'enregistrement
+ * @returns {number} Coût en USD
+ */
+export function estimateAudioCost(provider, model, seconds = 0) {
+  if (provider === 'local') return 0;
+
+  const price = AUDIO_PRICES_PER_MINUTE[model];
+  return price ? (seconds / 60) * price : 0;
+}
@@ -0,0 +1,84 @@
+/**
+ * ProviderCalls - Providers dédiés et journal de leurs appels
+ *
+ * Les services qui appellent un provider hors de la chaîne d'AIService
+ * (mémoire, transcription, vision, tri des groupes) choisissent ce provider
+ * et journalisent ses appels (ai_calls) de la même façon:
+ * - resolveProvider(): endpoint local dédié, provider imposé, ou premier
+ *   provider de la chaîne qui supporte la capacité demandée;
+ * - callProvider(): exécute l'appel et l'enregistre, succès ou échec, avec
+ *   sa latence, ses tokens et son coût estimé, puis vérifie les seuils du budget.
+ *
+ * @module services/ai/ProviderCalls
+ */
+import { createProvider, supportsEmbeddings, supportsTranscription, supportsVision } from './AIProviderFactory.js';
+import { estimateAudioCost, estimateCost } from './ModelPricing.js';
+
+// Providers de la chaîne capables de chaque type d'appel
+const CAPABILITIES = {
+  completion: () => true,
+  embeddings: supportsEmbeddings,
+  transcription: supportsTranscription,
+  vision: supportsVision
+};
+
+/**
+ * Provider pour une capacité donnée
+ * @param {Array<Object>} providers - config.ai.providers, par ordre de priorité
+ * @param {Object} options
+ * @param {'completion'|'embeddings'|'transcription'|'vision'} options.capability
+ * @param {string|null} options.provider - Provider imposé ('none' = désactivé, null = premier compatible)
+ * @param {Object|null} options.endpoint - Configuration d'un serveur local dédié, prioritaire sur la chaîne
+ * @param {Function} options.configure - (entry) => options propres à la capacité (modèle, limites...)
+ * @returns {AIProvider|null} null si aucun provider ne convient
+ */
+export function resolveProvider(providers, { capability = 'completion', provider = null, endpoint = null, configure = () => ({}) } = {}) {
+  if (provider === 'none') return null;
+  if (endpoint) return createProvider('local', endpoint);
+
+  const supports = CAPABILITIES[capability];
+  const entry = (providers || [])
+    .filter(p => supports(p.provider))
+    .find(p => !provider || p.provider === provider);
+
+  return entry
+    ? createProvider(entry.provider, { apiKey: entry.apiKey, baseUrl: entry.baseUrl, ...configure(entry) })
+    : null;
+}
+
+/**
+ * Exécute un appel de provider et le journalise (ai_calls); l'erreur éventuelle est relancée
+ * @param {MessageRepository} repository
+ * @param {Object} call - { purpose, provider, model, contactId }
+ * @param {Function} send - () => Promise<{usage: Object}>, l'appel lui-même
+ * @param {Object} options
+ * @param {BudgetService|null} options.budget - Seuils de dépense vérifiés après l'enregistrement
+ * @param {number} options.durationSeconds - Durée audio (modèles facturés à la minute)
+ * @returns {Promise<Object>} Résultat du provider
+ */
+export async function callProvider(repository, call, send, { budget = null, durationSeconds = 0 } = {}) {
+  const startedAt = Date.now();
+
+  try {
+    const result = await send();
+    const { promptTokens = 0, completionTokens = 0, totalTokens = 0 } = result.usage || {};
+    repository.saveAICall({
+      ...call,
+      promptTokens,
+      completionTokens,
+      totalTokens,
+      latencyMs: Date.now() - startedAt,
+      success: true,
+      costUsd: estimateAudioCost(call.provider, call.model, durationSeconds) ||
+        estimateCost(call.provider, call.model, promptTokens, completionTokens)
+    });
+
+    budget?.checkThresholds().catch(error => {
+      console.error('[ProviderCalls] Budget check failed:', error.message);
+    });
+    return result;
+  } catch (error) {
+    repository.saveAICall({ ...call, latencyMs: Date.now() - startedAt, success: false, error: error.message });
+    throw error;
+  }
+}
@@ -0,0 +1,335 @@
+/**
+ * ProviderChain - Chaîne de providers IA avec failover et circuit breaker
+ *
+ * Les providers sont essayés dans l'ordre configuré: si un appel échoue ou
+ * dépasse le timeout, le suivant prend le relais. Un provider qui échoue
+ * plusieurs fois d'affilée est mis en pause (circuit ouvert) pendant un
+ * cooldown, puis réessayé avec une seule requête (half-open).
+ *
+ * Une requête refusée pour sa forme (400, 413, 422) est propagée immédiatement:
+ * elle échouerait ailleurs, et le provider n'est pas en panne. Une clé refusée
+ * (401/403) ou un modèle introuvable (404) compte comme un échec du provider.
+ *
+ * La chaîne expose la même interface que AIProvider (complete / completeJSON)
+ * et peut donc remplacer un provider unique dans AIService.
+ *
+ * @module services/ai/ProviderChain
+ */
+
+import { AIProviderError } from '../../utils/Errors.js';
+import { parseJSON } from './AIProviderFactory.js';
+
+// ============================================
+// CONSTANTES
+// ============================================
+
+const DEFAULT_TIMEOUT_MS = 30000;
+const DEFAULT_FAILURE_THRESHOLD = 3;
+const DEFAULT_COOLDOWN_MS = 5 * 60 * 1000;
+const RECENT_CALLS_LIMIT = 50;
+
+// ============================================
+// CIRCUIT BREAKER
+// ============================================
+
+/**
+ * Suit la santé d'un provider
+ * - closed: le provider est utilisé normalement
+ * - open: trop d'échecs consécutifs, ignoré jusqu'à la fin du cooldown
+ * - half_open: cooldown écoulé, une seule requête sert de test (les autres attendent son résultat)
+ */
+export class CircuitBreaker {
+  #failureThreshold;
+  #cooldownMs;
+  #now;
+  #consecutiveFailures = 0;
+  #openedAt = null;
+  #probing = false;
+
+  /**
+   * @param {Object} options
+   * @param {number} options.failureThreshold - Échecs consécutifs avant ouverture
+   * @param {number} options.cooldownMs - Durée de pause du provider
+   * @param {Function} options.now - Horloge injectable (tests)
+   */
+  constructor(options = {}) {
+    this.#failureThreshold = options.failureThreshold || DEFAULT_FAILURE_THRESHOLD;
+    this.#cooldownMs = options.cooldownMs || DEFAULT_COOLDOWN_MS;
+    this.#now = options.now || Date.now;
+  }
+
+  get state() {
+    if (this.#openedAt === null) return 'closed';
+    return this.#now() - this.#openedAt >= this.#cooldownMs ? 'half_open' : 'open';
+  }
+
+  get consecutiveFailures() {
+    return this.#consecutiveFailures;
+  }
+
+  /**
+   * Timestamp de fin du cooldown (null si le circuit est fermé)
+   */
+  get openUntil() {
+    return this.#openedAt === null ? null : this.#openedAt + this.#cooldownMs;
+  }
+
+  canRequest() {
+    const state = this.state;
+    return state === 'closed' || (state === 'half_open' && !this.#probing);
+  }
+
+  /**
+   * Réserve un appel: toujours accordé circuit fermé, une seule fois en half-open
+   * (jusqu'à recordSuccess, recordFailure ou release)
+   * @returns {boolean}
+   */
+  tryAcquire() {
+    if (!this.canRequest()) return false;
+    if (this.state === 'half_open') this.#probing = true;
+    return true;
+  }
+
+  /**
+   * Libère l'appel réservé sans conclure sur la santé du provider
+   */
+  release() {
+    this.#probing = false;
+  }
+
+  recordSuccess() {
+    this.#consecutiveFailures = 0;
+    this.#openedAt = null;
+    this.#probing = false;
+  }
+
+  recordFailure() {
+    this.#probing = false;
+    this.#consecutiveFailures++;
+    // En half-open, un seul échec suffit à rouvrir le circuit
+    if (this.#openedAt !== null || this.#consecutiveFailures >= this.#failureThreshold) {
+      this.#openedAt = this.#now();
+    }
+  }
+}
+
+// ============================================
+// CHAÎNE DE PROVIDERS
+// ============================================
+
+export class ProviderChain {
+  #entries;
+  #timeoutMs;
+  #now;
+  #onCall;
+  #cache;
+  #recentCalls = [];
+
+  /**
+   * @param {Array<AIProvider>} providers - Providers par ordre de priorité
+   * @param {Object} options
+   * @param {number} options.timeoutMs - Timeout par appel
+   * @param {number} options.failureThreshold - Échecs consécutifs avant mise en pause
+   * @param {number} options.cooldownMs - Durée de la pause
+   * @param {Function} options.now - Horloge injectable (tests)
+   * @param {Function} options.onCall - Appelé après chaque tentative (journal d'usage)
+   * @param {ResponseCache} options.cache - Cache des réponses (requêtes avec `cache: true`)
+   */
+  constructor(providers, options = {}) {
+    if (!providers?.length) {
+      throw new Error('ProviderChain requires at least one provider');
+    }
+
+    this.#timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+    this.#now = options.now || Date.now;
+    this.#onCall = options.onCall || null;
+    this.#cache = options.cache || null;
+    this.#entries = providers.map(provider => ({
+      provider,
+      breaker: new CircuitBreaker({
+        failureThreshold: options.failureThreshold,
+        cooldownMs: options.cooldownMs,
+        now: this.#now
+      }),
+      lastError: null
+    }));
+  }
+
+  /**
+   * Provider principal (premier de la chaîne)
+   */
+  get name() {
+    return this.#entries[0].provider.name;
+  }
+
+  get model() {
+    return this.#entries[0].provider.model;
+  }
+
+  /**
+   * Voir AIProvider.complete()
+   * Champs additionnels de la requête, transmis au journal d'usage:
+   * - purpose: type d'appel (analysis, briefing, report...)
+   * - contactId: contact concerné
+   * - cache: réutiliser une réponse identique en cache (voir ResponseCache)
+   */
+  async complete(request) {
+    return this.#run('complete', request);
+  }
+
+  /**
+   * Voir AIProvider.completeJSON() - une réponse non parsable déclenche aussi le failover
+   */
+  async completeJSON(request) {
+    return this.#run('completeJSON', request);
+  }
+
+  /**
+   * État de santé de chaque provider de la chaîne
+   * @returns {Array<{provider: string, model: string, state: string, consecutiveFailures: number, openUntil: number|null, lastError: string|null}>}
+   */
+  getHealth() {
+    return this.#entries.map(({ provider, breaker, lastError }) => ({
+      provider: provider.name,
+      model: provider.model,
+      state: breaker.state,
+      consecutiveFailures: breaker.consecutiveFailures,
+      openUntil: breaker.openUntil,
+      lastError
+    }));
+  }
+
+  /**
+   * Compteurs du cache de réponses (null si désactivé)
+   * @returns {{hits: number, misses: number, hitRate: number, entries: number}|null}
+   */
+  getCacheStats() {
+    return this.#cache?.getStats() || null;
+  }
+
+  /**
+   * Derniers appels (succès et échecs), du plus ancien au plus récent
+   * @returns {Array<{provider: string, model: string, purpose: string|null, contactId: number|null, success: boolean, usage: Object|null, latencyMs: number, at: number, error: string|null}>}
+   */
+  getRecentCalls() {
+    return [...this.#recentCalls];
+  }
+
+  // ============================================
+  // MÉTHODES PRIVÉES
+  // ============================================
+
+  async #run(method, request) {
+    const errors = [];
+
+    const { entries, forced } = this.#getCandidates();
+
+    for (const entry of entries) {
+      const { provider, breaker } = entry;
+
+      const cached = this.#fromCache(method, provider, request);
+      if (cached) return cached;
+
+      // Un autre appel a pris l'essai half-open entre-temps
+      if (!forced && !breaker.tryAcquire()) continue;
+
+      const startedAt = this.#now();
+
+      try {
+        const result = await provider[method]({
+          ...request,
+          signal: request.signal || AbortSignal.timeout(this.#timeoutMs)
+        });
+
+        breaker.recordSuccess();
+        entry.lastError = null;
+        if (request.cache) this.#cache?.set(provider, request, result);
+        this.#recordCall(provider, request, startedAt, { usage: result.usage });
+        return result;
+      } catch (error) {
+        entry.lastError = error.message;
+        this.#recordCall(provider, request, startedAt, { error });
+
+        if (error instanceof AIProviderError && !error.retryable) {
+          breaker.release();
+          throw error;
+        }
+
+        breaker.recordFailure();
+        errors.push(error);
+
+        console.warn(`[AIService] Provider ${provider.name} failed (${error.message}), trying next provider`);
+      }
+    }
+
+    if (errors.length === 0) {
+      throw new AIProviderError('All AI providers are paused, a trial call is in progress');
+    }
+
+    const last = errors[errors.length - 1];
+    throw new AIProviderError(
+      `All AI providers failed: ${errors.map(e => e.message).join(' | ')}`,
+      { provider: last?.provider || null, status: last?.status || null, cause: last }
+    );
+  }
+
+  /**
+   * Réponse en cache pour ce provider, au format de la méthode demandée
+   */
+  #fromCache(method, provider, request) {
+    if (!request.cache || !this.#cache) return null;
+
+    const cached = this.#cache.get(provider, request);
+    if (!cached || method !== 'completeJSON') return cached;
+
+    try {
+      return { ...cached, data: parseJSON(cached.text, provider.name) };
+    } catch {
+      // Entrée non JSON (stockée par complete()): on interroge le provider
+      return null;
+    }
+  }
+
+  /**
+   * Providers utilisables dans l'ordre de priorité.
+   * Si tous les circuits sont ouverts, on tente celui dont le cooldown finit le plus tôt
+   * plutôt que d'échouer sans essayer (forced). Un provider en cours d'essai half-open
+   * n'est jamais forcé.
+   * @returns {{entries: Array<Object>, forced: boolean}}
+   */
+  #getCandidates() {
+    const available = this.#entries.filter(e => e.breaker.canRequest());
+    if (available.length > 0) return { entries: available, forced: false };
+
+    const soonest = this.#entries
+      .filter(e => e.breaker.state === 'open')
+      .sort((a, b) => a.breaker.openUntil - b.breaker.openUntil)[0];
+    return { entries: soonest ? [soonest] : [], forced: true };
+  }
+
+  #recordCall(provider, request, startedAt, { usage = null, error = null }) {
+    const call = {
+      provider: provider.name,
+      model: provider.model,
+      purpose: request.purpose || null,
+      contactId: request.contactId || null,
+      success: !error,
+      usage,
+      latencyMs: this.#now() - startedAt,
+      at: this.#now(),
+      error: error?.message || null
+    };
+
+    this.#recentCalls.push(call);
+    if (this.#recentCalls.length > RECENT_CALLS_LIMIT) {
+      this.#recentCalls.shift();
+    }
+
+    // Le journal d'usage ne doit jamais faire échouer un appel IA
+    try {
+      this.#onCall?.(call);
+    } catch (listenerError) {
+      console.error('[AIService] Failed to record AI call:', listenerError.message);
+    }
+  }
+}
@@ -0,0 +1,123 @@
+/**
+ * ReportDiff - Ce qui a changé depuis le dernier rapport
+ *
+ * Compare les données brutes (JSON IA) de deux rapports successifs:
+ * nouveaux messages à traiter, messages qui ne sont plus à traiter,
+ * tâches résolues (absentes du nouveau rapport) et nouvelles tâches.
+ *
+ * @module services/ai/ReportDiff
+ */
+import { escapeHtml } from '../../utils/Sanitizer.js';
+import { taskKey } from '../../domain/Task.js';
+
+// ============================================
+// CLASSE PRINCIPALE
+// ============================================
+
+export class ReportDiff {
+
+  /**
+   * Compare deux rapports
+   * @param {Object} previous - Données brutes du rapport précédent
+   * @param {Object} current - Données brutes du nouveau rapport
+   * @returns {{newActionable: Array, handledActionable: Array, newTasks: Array, resolvedTasks: Array}}
+   */
+  static compare(previous, current) {
+    const previousActionable = previous?.messages_actionnables || [];
+    const currentActionable = current?.messages_actionnables || [];
+    const previousTasks = previous?.taches || [];
+    const currentTasks = current?.taches || [];
+
+    return {
+      newActionable: this.#missingFrom(currentActionable, previousActionable, this.#actionableKey),
+      handledActionable: this.#missingFrom(previousActionable, currentActionable, this.#actionableKey),
+      newTasks: this.#missingFrom(currentTasks, previousTasks, this.#taskKey),
+      resolvedTasks: this.#missingFrom(previousTasks, currentTasks, this.#taskKey)
+    };
+  }
+
+  /**
+   * Formate la section "Depuis le dernier rapport"
+   * @param {Object} changes - Résultat de compare()
+   * @param {number} previousCreatedAt - Date du rapport précédent
+   * @returns {string} Section HTML, vide si rien n'a changé
+   */
+  static format(changes, previousCreatedAt) {
+    const { newActionable, handledActionable, newTasks, resolvedTasks } = changes;
+    if (newActionable.length + handledActionable.length + newTasks.length + resolvedTasks.length === 0) {
+      return '';
+    }
+
+    const since = new Date(previousCreatedAt).toLocaleString('fr-CH', {
+      weekday: 'long',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+
+    let section = `\n┌─────────────────────────────────┐\n`;
+    section += `│ 🔄 <b>DEPUIS LE DERNIER RAPPORT</b> │\n`;
+    section += `└─────────────────────────────────┘\n`;
+    section += `<i>Comparé au rapport de ${since}</i>\n\n`;
+
+    if (newActionable.length > 0) {
+      section += `🆕 <b>Nouveaux messages à traiter:</b>\n`;
+      newActionable.forEach(m => {
+        section += `• <b>${escapeHtml(m.expediteur)}</b>: ${escapeHtml(m.action_requise || (m.message_original || '').substring(0, 80))}\n`;
+      });
+      section += '\n';
+    }
+
+    if (handledActionable.length > 0) {
+      section += `✅ <b>Plus à traiter:</b>\n`;
+      handledActionable.forEach(m => {
+        section += `• ${escapeHtml(m.expediteur)}: ${escapeHtml(m.action_requise || '')}\n`;
+      });
+      section += '\n';
+    }
+
+    if (resolvedTasks.length > 0) {
+      section += `☑️ <b>Tâches résolues:</b>\n`;
+      resolvedTasks.forEach(t => {
+        section += `• <s>${escapeHtml(t.titre)}</s>\n`;
+      });
+      section += '\n';
+    }
+
+    if (newTasks.length > 0) {
+      section += `📌 <b>Nouvelles tâches:</b>\n`;
+      newTasks.forEach(t => {
+        section += `• ${escapeHtml(t.titre)}\n`;
+      });
+      section += '\n';
+    }
+
+    return section;
+  }
+
+  // ============================================
+  // MÉTHODES PRIVÉES
+  // ============================================
+
+  static #missingFrom(items, reference, keyOf) {
+    const referenceKeys = new Set(reference.map(keyOf));
+    return items.filter(item => !referenceKeys.has(keyOf(item)));
+  }
+
+  // Un même message reformulé par l'IA garde son expéditeur et le début de son texte
+  static #actionableKey(message) {
+    return `${ReportDiff.#normalize(message.expediteur)}|${ReportDiff.#normalize(message.message_original).substring(0, 40)}`;
+  }
+
+  static #taskKey(task) {
+    return taskKey(task.titre);
+  }
+
+  static #normalize(value) {
+    return (value || '')
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+  }
+}
@@ -0,0 +1,141 @@
+/**
+ * ResponseCache - Cache persistant des réponses IA
+ *
+ * Les réponses sont adressées par leur contenu: provider + modèle + hash du
+ * prompt (et des paramètres de génération). Un même prompt envoyé au même
+ * modèle pendant la durée de vie (TTL) réutilise la réponse stockée dans
+ * SQLite, sans appel API ni consommation de tokens.
+ *
+ * @module services/ai/ResponseCache
+ */
+
+import crypto from 'crypto';
+
+// ============================================
+// CONSTANTES
+// ============================================
+
+const DEFAULT_TTL_MS = 6 * 60 * 60 * 1000;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// ============================================
+// CLASSE PRINCIPALE
+// ============================================
+
+export class ResponseCache {
+  #repo;
+  #ttlMs;
+  #now;
+  #hits = 0;
+  #misses = 0;
+  #lastPurge = 0;
+
+  /**
+   * @param {MessageRepository} repository - Stockage (table ai_cache)
+   * @param {Object} options
+   * @param {number} options.ttlMs - Durée de vie d'une entrée
+   * @param {Function} options.now - Horloge injectable (tests)
+   */
+  constructor(repository, options = {}) {
+    this.#repo = repository;
+    this.#ttlMs = options.ttlMs || DEFAULT_TTL_MS;
+    this.#now = options.now || Date.now;
+  }
+
+  /**
+   * Clé de cache d'une requête pour un provider donné
+   * @param {AIProvider} provider
+   * @param {Object} request - Voir AIProvider.complete()
+   * @returns {string}
+   */
+  static keyFor(provider, request) {
+    const hash = crypto.createHash('sha256')
+      .update(JSON.stringify([
+        request.systemPrompt || '',
+        request.prompt,
+        request.temperature ?? null,
+        request.maxTokens ?? null
+      ]))
+      .digest('hex');
+
+    return `${provider.name}:${provider.model}:${hash}`;
+  }
+
+  /**
+   * Cherche une réponse en cache
+   * @param {AIProvider} provider
+   * @param {Object} request
+   * @returns {{text: string, usage: Object, provider: string, model: string, cached: true}|null}
+   */
+  get(provider, request) {
+    try {
+      const entry = this.#repo.getAICacheEntry(ResponseCache.keyFor(provider, request), this.#now());
+      if (!entry) {
+        this.#misses++;
+        return null;
+      }
+
+      this.#hits++;
+      return {
+        text: entry.response_text,
+        usage: { promptTokens: 0, completionTokens: 0, totalTokens: 0 },
+        provider: entry.provider,
+        model: entry.model,
+        cached: true
+      };
+    } catch (error) {
+      console.error('[AIService] Cache read failed:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Stocke la réponse d'un provider
+   * @param {AIProvider} provider
+   * @param {Object} request
+   * @param {{text: string}} result - Résultat de AIProvider.complete()
+   */
+  set(provider, request, result) {
+    const now = this.#now();
+
+    try {
+      this.#repo.saveAICacheEntry({
+        cacheKey: ResponseCache.keyFor(provider, request),
+        provider: provider.name,
+        model: provider.model,
+        purpose: request.purpose,
+        responseText: result.text,
+        createdAt: now,
+        expiresAt: now + this.#ttlMs
+      });
+
+      if (now - this.#lastPurge >= PURGE_INTERVAL_MS) {
+        this.#lastPurge = now;
+        this.#repo.purgeExpiredAICache(now);
+      }
+    } catch (error) {
+      console.error('[AIService] Cache write failed:', error.message);
+    }
+  }
+
+  /**
+   * Compteurs depuis le démarrage
+   * @returns {{hits: number, misses: number, hitRate: number, entries: number}}
+   */
+  getStats() {
+    const lookups = this.#hits + this.#misses;
+    let entries = 0;
+    try {
+      entries = this.#repo.countAICacheEntries(this.#now());
+    } catch {
+      // Table indisponible: on affiche seulement les compteurs
+    }
+
+    return {
+      hits: this.#hits,
+      misses: this.#misses,
+      hitRate: lookups > 0 ? this.#hits / lookups : 0,
+      entries
+    };
+  }
+}
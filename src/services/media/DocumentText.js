@@ -0,0 +1,291 @@
+/**
+ * DocumentText - Extraction locale du texte des documents
+ *
+ * Lit le texte des fichiers texte (txt, csv, ics...) et des PDF générés par
+ * un logiciel (factures, billets, confirmations), sans appel IA ni
+ * dépendance: les flux de contenu sont décompressés (FlateDecode) et le
+ * texte est reconstitué à partir des opérateurs Tj / TJ.
+ *
+ * Un PDF scanné ou à polices encodées (CID) ne donne pas de texte lisible:
+ * la fonction retourne alors une chaîne vide et l'appelant peut se rabattre
+ * sur un provider de vision.
+ *
+ * Le document vient d'un expéditeur quelconque: la décompression est bornée
+ * par flux et pour tout le document, en proportion du texte demandé
+ * (maxChars), et la lecture s'arrête dès que ce texte est atteint.
+ *
+ * @module services/media/DocumentText
+ */
+import zlib from 'zlib';
+
+// ============================================
+// CONSTANTES
+// ============================================
+
+// Au-delà, le texte est tronqué (il finit dans le corps du message)
+const DEFAULT_MAX_CHARS = 20000;
+
+// Octets décompressés autorisés par caractère demandé: par flux, puis pour tout le document
+// (un flux de contenu contient surtout des opérateurs de mise en page). Un flux plus gros est ignoré.
+const MAX_STREAM_BYTES_PER_CHAR = 64;
+const MAX_TOTAL_BYTES_PER_CHAR = 256;
+
+// Part minimale de caractères lisibles pour considérer l'extraction réussie
+const MIN_READABLE_RATIO = 0.85;
+
+// Flux qui ne contiennent jamais de texte de page
+const SKIPPED_STREAMS = /\/(Image|FontFile\d?|XRef|ObjStm|Metadata|EmbeddedFile)\b|\/Subtype\s*\/(Image|Type1C|CIDFontType0C|OpenType|XML)\b|\/Length1\b/;
+
+// ============================================
+// API
+// ============================================
+
+/**
+ * Extrait le texte d'un document
+ * @param {Buffer} data - Contenu du fichier
+ * @param {string} mimeType - Type MIME
+ * @param {Object} options
+ * @param {number} options.maxChars - Longueur maximale du texte retourné
+ * @returns {string} Texte extrait ('' si le format n'est pas lisible localement)
+ */
+export function extractDocumentText(data, mimeType, { maxChars = DEFAULT_MAX_CHARS } = {}) {
+  const type = (mimeType || '').split(';')[0].trim().toLowerCase();
+
+  let text = '';
+  if (type === 'application/pdf') {
+    text = extractPdfText(data, { maxChars });
+  } else if (type.startsWith('text/') || type === 'application/json') {
+    text = data.toString('utf8');
+  }
+
+  text = text.replace(/[ \t\f\r]+/g, ' ').replace(/ *\n[\s]*/g, '\n').trim();
+  return text.length > maxChars ? `${text.substring(0, maxChars)}...` : text;
+}
+
+/**
+ * Texte des pages d'un PDF ('' si aucun texte lisible)
+ * @param {Buffer} data
+ * @param {Object} options
+ * @param {number} options.maxChars - Texte recherché: borne aussi la décompression
+ * @returns {string}
+ */
+export function extractPdfText(data, { maxChars = DEFAULT_MAX_CHARS } = {}) {
+  const raw = data.toString('latin1');
+  if (!raw.startsWith('%PDF')) return '';
+
+  const maxStreamBytes = maxChars * MAX_STREAM_BYTES_PER_CHAR;
+  let remainingBytes = maxChars * MAX_TOTAL_BYTES_PER_CHAR;
+  let textLength = 0;
+
+  const blocks = [];
+  const streamStart = /\bobj\b((?:(?!\bobj\b)[\s\S])*?)\bstream\r?\n/g;
+  let match;
+
+  while ((match = streamStart.exec(raw)) !== null) {
+    const dictionary = match[1];
+    const begin = match.index + match[0].length;
+    const end = raw.indexOf('endstream', begin);
+    if (end === -1) break;
+    streamStart.lastIndex = end;
+
+    if (SKIPPED_STREAMS.test(dictionary)) continue;
+
+    const content = decodeStream(data.subarray(begin, end), dictionary, Math.min(maxStreamBytes, remainingBytes));
+    if (!content) continue;
+
+    remainingBytes -= content.length;
+    if (content.includes('BT')) {
+      const block = textFromContent(content);
+      blocks.push(block);
+      textLength += block.length;
+    }
+    if (textLength >= maxChars || remainingBytes <= 0) break;
+  }
+
+  const text = blocks.filter(Boolean).join('\n');
+  return readableRatio(text) >= MIN_READABLE_RATIO ? text : '';
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Décompresse un flux (non compressé ou FlateDecode uniquement)
+ * @param {Buffer} bytes
+ * @param {string} dictionary - Dictionnaire du flux (filtres)
+ * @param {number} maxBytes - Taille maximale du contenu décompressé
+ * @returns {string|null} Contenu en latin1, null si le filtre n'est pas géré ou le flux trop gros
+ */
+function decodeStream(bytes, dictionary, maxBytes) {
+  const filters = [...dictionary.matchAll(/\/(\w+Decode)\b/g)].map(m => m[1]);
+  if (filters.some(f => f !== 'FlateDecode')) return null;
+  if (filters.length === 0) return bytes.length <= maxBytes ? bytes.toString('latin1') : null;
+
+  try {
+    // Tolère les flux tronqués et les fins de ligne avant endstream; s'arrête au-delà de maxBytes
+    return zlib.inflateSync(bytes, { finishFlush: zlib.constants.Z_SYNC_FLUSH, maxOutputLength: maxBytes }).toString('latin1');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Reconstitue le texte d'un flux de contenu (blocs BT ... ET)
+ */
+function textFromContent(content) {
+  let text = '';
+  let operands = [];
+  let inText = false;
+  let i = 0;
+
+  while (i < content.length) {
+    const char = content[i];
+
+    if (char === '(') {
+      const { value, next } = readLiteralString(content, i);
+      operands.push(value);
+      i = next;
+    } else if (char === '<' && content[i + 1] !== '<') {
+      const end = content.indexOf('>', i);
+      if (end === -1) break;
+      operands.push(decodeHexString(content.substring(i + 1, end)));
+      i = end + 1;
+    } else if (/[\d.+-]/.test(char)) {
+      const number = /^[+-]?(\d+\.?\d*|\.\d+)/.exec(content.substring(i, i + 32));
+      operands.push(number ? parseFloat(number[0]) : 0);
+      i += number ? number[0].length : 1;
+    } else if (/[A-Za-z'"*]/.test(char)) {
+      const operator = /^[A-Za-z'"*]+/.exec(content.substring(i, i + 16))[0];
+      i += operator.length;
+
+      if (operator === 'BT') {
+        inText = true;
+      } else if (operator === 'ET') {
+        inText = false;
+        text = lineBreak(text);
+      } else if (inText) {
+        text = applyTextOperator(operator, operands, text);
+      }
+      operands = [];
+    } else if (char === '%') {
+      const end = content.indexOf('\n', i);
+      i = end === -1 ? content.length : end;
+    } else {
+      // Délimiteurs de tableau, noms (/F1) et espaces
+      i++;
+    }
+  }
+
+  return text.trim();
+}
+
+/**
+ * Applique un opérateur de texte PDF au texte courant
+ * @returns {string} Texte mis à jour
+ */
+function applyTextOperator(operator, operands, text) {
+  const strings = operands.filter(o => typeof o === 'string');
+
+  switch (operator) {
+    case 'Tj':
+      return text + strings.join('');
+    case 'TJ':
+      // Un décalage négatif important entre deux chaînes sépare deux mots
+      return text + operands.map(o => (typeof o === 'number' ? (o < -200 ? ' ' : '') : o)).join('');
+    case "'":
+    case '"':
+      return lineBreak(text) + strings.join('');
+    case 'T*':
+    case 'Tm':
+      return lineBreak(text);
+    case 'Td':
+    case 'TD':
+      // Déplacement vertical = nouvelle ligne, sinon simple espace
+      return operands[1] ? lineBreak(text) : (text && !/\s$/.test(text) ? `${text} ` : text);
+    default:
+      return text;
+  }
+}
+
+function lineBreak(text) {
+  return text && !text.endsWith('\n') ? `${text}\n` : text;
+}
+
+/**
+ * Lit une chaîne littérale "(...)" (parenthèses imbriquées et échappements)
+ * @returns {{value: string, next: number}}
+ */
+function readLiteralString(content, start) {
+  const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', '(': '(', ')': ')', '\\': '\\' };
+  let value = '';
+  let depth = 0;
+  let i = start;
+
+  while (i < content.length) {
+    const char = content[i];
+    if (char === '\\') {
+      const nextChar = content[i + 1];
+      const octal = /^[0-7]{1,3}/.exec(content.substring(i + 1, i + 4));
+      if (octal) {
+        value += String.fromCharCode(parseInt(octal[0], 8));
+        i += 1 + octal[0].length;
+        continue;
+      }
+      if (nextChar === '\r' || nextChar === '\n') {
+        // Continuation de ligne
+        i += content[i + 2] === '\n' && nextChar === '\r' ? 3 : 2;
+        continue;
+      }
+      value += escapes[nextChar] ?? nextChar ?? '';
+      i += 2;
+      continue;
+    }
+    if (char === '(') {
+      depth++;
+      if (depth > 1) value += char;
+    } else if (char === ')') {
+      depth--;
+      if (depth === 0) return { value: decodeTextBytes(value), next: i + 1 };
+      value += char;
+    } else {
+      value += char;
+    }
+    i++;
+  }
+
+  return { value: decodeTextBytes(value), next: content.length };
+}
+
+/**
+ * Chaîne hexadécimale "<48656C6C6F>"
+ */
+function decodeHexString(hex) {
+  const clean = hex.replace(/[^0-9a-fA-F]/g, '');
+  const padded = clean.length % 2 ? `${clean}0` : clean;
+  return decodeTextBytes(Buffer.from(padded, 'hex').toString('latin1'));
+}
+
+/**
+ * Octets d'une chaîne PDF -> texte (UTF-16BE avec BOM, sinon latin1)
+ */
+function decodeTextBytes(bytes) {
+  if (bytes.startsWith('þÿ')) {
+    const buffer = Buffer.from(bytes.substring(2), 'latin1');
+    let result = '';
+    for (let i = 0; i + 1 < buffer.length; i += 2) {
+      result += String.fromCharCode(buffer.readUInt16BE(i));
+    }
+    return result;
+  }
+  return bytes;
+}
+
+/**
+ * Part des caractères lisibles (lettres, chiffres, ponctuation, espaces)
+ */
+function readableRatio(text) {
+  if (!text) return 0;
+  const readable = text.match(/[\p{L}\p{N}\p{P}\p{S}\s]/gu)?.length || 0;
+  return readable / text.length;
+}
@@ -0,0 +1,213 @@
+/**
+ * MediaStore - Stockage local des médias WhatsApp
+ *
+ * Les pièces jointes téléchargées (photos, PDF, notes vocales...) sont
+ * écrites dans le répertoire de données (config.media.path), nommées par
+ * leur empreinte sha256: un fichier transféré plusieurs fois n'est stocké
+ * qu'une fois. Les métadonnées (type, taille, nom d'origine) sont dans la
+ * table `media` et le chemin est enregistré dans messages.media_url.
+ *
+ * La rétention supprime les fichiers non reçus depuis `maxAgeDays`, puis
+ * les plus anciens tant que le total dépasse `maxTotalMb`.
+ *
+ * @module services/media/MediaStore
+ */
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+// ============================================
+// CONSTANTES
+// ============================================
+
+const RETENTION_INTERVAL_MS = 6 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Médias examinés par lot lors de la rétention
+const RETENTION_BATCH = 100;
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  'image/heic': 'heic',
+  'application/pdf': 'pdf',
+  'text/plain': 'txt',
+  'text/csv': 'csv',
+  'text/calendar': 'ics',
+  'audio/ogg': 'ogg',
+  'audio/mpeg': 'mp3',
+  'audio/mp4': 'm4a',
+  'video/mp4': 'mp4'
+};
+
+// ============================================
+// CLASSE PRINCIPALE
+// ============================================
+
+export class MediaStore {
+  #repo;
+  #logger;
+  #directory;
+  #maxAgeDays;
+  #maxTotalBytes;
+  #now;
+  #timer = null;
+
+  /**
+   * @param {Config} config - Configuration (config.media: path, maxAgeDays, maxTotalMb)
+   * @param {MessageRepository} repository - Table media
+   * @param {Logger} logger
+   * @param {Object} options
+   * @param {Function} options.now - Horloge injectable (tests)
+   */
+  constructor(config, repository, logger = null, options = {}) {
+    const settings = config.media || {};
+    this.#repo = repository;
+    this.#logger = logger;
+    this.#directory = path.resolve(settings.path || './data/media');
+    this.#maxAgeDays = settings.maxAgeDays ?? 90;
+    this.#maxTotalBytes = (settings.maxTotalMb ?? 1024) * 1024 * 1024;
+    this.#now = options.now || Date.now;
+  }
+
+  get directory() {
+    return this.#directory;
+  }
+
+  /**
+   * Démarre la rétention périodique (sans limite d'âge ni de taille: rien à faire)
+   */
+  start() {
+    if (this.#timer || (this.#maxAgeDays <= 0 && this.#maxTotalBytes <= 0)) return;
+    const run = () => this.applyRetention().catch(error => this.#logger?.error('Media retention failed', { error: error.message }));
+    run();
+    this.#timer = setInterval(run, RETENTION_INTERVAL_MS);
+    this.#timer.unref?.();
+  }
+
+  stop() {
+    clearInterval(this.#timer);
+    this.#timer = null;
+  }
+
+  /**
+   * Enregistre un fichier téléchargé (réutilise le fichier existant si le contenu est déjà connu)
+   * @param {string} messageId - ID WhatsApp du message (journal)
+   * @param {Object} media
+   * @param {Buffer} media.data - Contenu
+   * @param {string} media.mimeType - Type MIME
+   * @param {string} [media.filename] - Nom d'origine
+   * @returns {Promise<string>} Chemin du fichier (messages.media_url)
+   */
+  async save(messageId, { data, mimeType, filename = null }) {
+    const sha256 = crypto.createHash('sha256').update(data).digest('hex');
+    const known = this.#repo.getMediaBySha256(sha256);
+    const filePath = known?.path || path.join(this.#directory, `${sha256}.${extensionFor(mimeType, filename)}`);
+
+    if (!known || !(await exists(filePath))) {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, data);
+    } else {
+      this.#logger?.debug('Media already stored', { messageId, sha256 });
+    }
+
+    this.#repo.saveMedia({
+      sha256,
+      path: filePath,
+      mimeType: (mimeType || '').split(';')[0].trim() || null,
+      sizeBytes: data.length,
+      originalFilename: filename
+    }, this.#now());
+    return filePath;
+  }
+
+  /**
+   * Fichier stocké d'un message
+   * @param {number} messageId - ID interne du message
+   * @returns {Promise<{data: Buffer, mimeType: string, filename: string, media: Object}|null>}
+   *   null si le message n'a pas de média ou si le fichier a disparu
+   */
+  async getForMessage(messageId) {
+    const media = this.#repo.getMessageMedia(messageId);
+    if (!media) return null;
+
+    try {
+      const data = await fs.readFile(media.path);
+      const filename = media.original_filename ||
+        `${media.media_type || 'media'}-${media.message_id}.${path.extname(media.path).slice(1) || 'bin'}`;
+      return { data, mimeType: media.mime_type || 'application/octet-stream', filename, media };
+    } catch (error) {
+      this.#logger?.warn('Stored media file missing', { messageId, path: media.path, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Supprime les médias trop anciens, puis les plus anciens tant que la taille totale dépasse la limite
+   * @returns {Promise<{deleted: number, freedBytes: number}>}
+   */
+  async applyRetention() {
+    const result = { deleted: 0, freedBytes: 0 };
+
+    if (this.#maxAgeDays > 0) {
+      const seenBefore = this.#now() - this.#maxAgeDays * DAY_MS;
+      let batch;
+      do {
+        batch = this.#repo.getMediaForRetention({ seenBefore, limit: RETENTION_BATCH });
+        for (const media of batch) await this.#delete(media, result);
+      } while (batch.length === RETENTION_BATCH);
+    }
+
+    if (this.#maxTotalBytes > 0) {
+      let { totalBytes } = this.#repo.getMediaUsage();
+      while (totalBytes > this.#maxTotalBytes) {
+        const batch = this.#repo.getMediaForRetention({ limit: RETENTION_BATCH });
+        if (batch.length === 0) break;
+        for (const media of batch) {
+          if (totalBytes <= this.#maxTotalBytes) break;
+          await this.#delete(media, result);
+          totalBytes -= media.size_bytes;
+        }
+      }
+    }
+
+    if (result.deleted > 0) {
+      this.#logger?.info('Media retention applied', result);
+    }
+    return result;
+  }
+
+  // ============================================
+  // MÉTHODES PRIVÉES
+  // ============================================
+
+  async #delete(media, result) {
+    await fs.rm(media.path, { force: true });
+    this.#repo.deleteMedia(media.id);
+    result.deleted++;
+    result.freedBytes += media.size_bytes;
+  }
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+function extensionFor(mimeType, filename) {
+  const known = EXTENSIONS[(mimeType || '').split(';')[0].trim().toLowerCase()];
+  if (known) return known;
+
+  const original = /\.([a-z0-9]{1,8})$/i.exec(filename || '');
+  return original ? original[1].toLowerCase() : 'bin';
+}
+
+async function exists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
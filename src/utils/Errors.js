@@ -11,3 +11,16 @@ export class ValidationError extends AppError {}
 export class ConfigurationError extends AppError {}
 export class DatabaseError extends AppError {}
 export class ServiceError extends AppError {}
+
+// Requête refusée pour sa forme ou sa taille: inutile de la rejouer ailleurs
+const INVALID_REQUEST_STATUSES = [400, 413, 422];
+
+export class AIProviderError extends ServiceError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.provider = options.provider || null;
+    this.status = options.status || null;
+    // Clé refusée (401/403), modèle introuvable (404), quota, 5xx et erreurs réseau: un autre provider peut répondre
+    this.retryable = options.retryable ?? !INVALID_REQUEST_STATUSES.includes(this.status);
+  }
+}
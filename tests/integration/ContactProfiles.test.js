@@ -0,0 +1,184 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import { SQLiteDatabase } from '../../src/repositories/Database.js';
+import { MessageRepository } from '../../src/repositories/MessageRepository.js';
+import { AIService } from '../../src/services/AIService.js';
+import { ProfileService } from '../../src/services/ProfileService.js';
+import { CronService } from '../../src/services/CronService.js';
+import { TelegramService } from '../../src/services/TelegramService.js';
+import { TelegramCommandHandler } from '../../src/handlers/TelegramCommandHandler.js';
+import { Message } from '../../src/domain/Message.js';
+
+describe('Long-term contact profiles', () => {
+  const getTestDbPath = () => path.join(process.cwd(), 'tests', `test-db-profiles-${Date.now()}-${Math.random().toString(36).slice(2)}.sqlite`);
+  let testDbPath;
+  let db;
+  let repository;
+  let aiService;
+  let profiles;
+  let alice;
+  let messageCount;
+  let originalFetch;
+  let prompts;
+  let nextProfile;
+
+  const logger = { info: () => {}, error: () => {}, warn: () => {}, debug: () => {} };
+
+  const receive = (contact, body) => repository.saveIncomingMessage(
+    new Message({ id: `in-${++messageCount}`, from: contact.phone_number, body, timestamp: Date.now() }),
+    contact.id
+  );
+
+  beforeEach(() => {
+    testDbPath = getTestDbPath();
+    db = new SQLiteDatabase({ database: { path: testDbPath } });
+    repository = new MessageRepository(db);
+    messageCount = 0;
+
+    // Provider OpenAI simulé: enregistre les prompts, renvoie le profil préparé
+    prompts = [];
+    nextProfile = {};
+    originalFetch = global.fetch;
+    global.fetch = async (url, options) => {
+      const body = JSON.parse(options.body);
+      prompts.push(body.messages.map(m => m.content).join('\n'));
+      return {
+        ok: true,
+        json: async () => ({
+          choices: [{ message: { content: JSON.stringify(nextProfile) } }],
+          usage: { prompt_tokens: 100, completion_tokens: 50, total_tokens: 150 }
+        })
+      };
+    };
+
+    aiService = new AIService({ ai: { provider: 'openai', apiKey: 'test-key', cache: { enabled: false } } }, { repository });
+    profiles = new ProfileService({ features: { profiles: { minNewMessages: 2 } } }, repository, aiService, logger);
+    alice = repository.findOrCreateContact('alice@s.whatsapp.net', { pushName: 'Alice' });
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    if (db && db.close) try { db.close(); } catch (e) {}
+    for (const suffix of ['', '-wal', '-shm']) {
+      try { fs.unlinkSync(testDbPath + suffix); } catch (e) {}
+    }
+  });
+
+  it('should summarize only the messages received since the last update', async () => {
+    receive(alice, 'Coucou frérot, tu viens à mon anniversaire le 12 mars ?');
+    assert.strictEqual(await profiles.updatePending(), 0);
+
+    receive(alice, 'N\'oublie pas de me rendre ma perceuse');
+    nextProfile = {
+      relationship: 'sœur',
+      language: 'français',
+      topics: ['famille', 'bricolage'],
+      birthdays: ['Alice: 12 mars'],
+      commitments: ['Rendre la perceuse à Alice'],
+      notes: ''
+    };
+    assert.strictEqual(await profiles.updatePending(), 1);
+    assert.match(prompts[0], /FICHE ACTUELLE:\n\(vide\)[\s\S]*anniversaire le 12 mars[\s\S]*perceuse/);
+
+    const profile = profiles.getProfile(alice.id);
+    assert.strictEqual(profile.relationship, 'sœur');
+    assert.deepStrictEqual(profile.birthdays, ['Alice: 12 mars']);
+    assert.strictEqual(profile.notes, null);
+
+    // Passage suivant: seulement le nouveau message, avec la fiche actuelle comme base
+    const lastId = receive(alice, 'Perceuse bien reçue, merci !');
+    nextProfile = { ...nextProfile, commitments: [] };
+    await profiles.updateContact(alice.id);
+    assert.match(prompts[1], /Relationship: sœur[\s\S]*Open commitments: Rendre la perceuse/);
+    assert.doesNotMatch(prompts[1], /anniversaire le 12 mars \?/);
+    assert.deepStrictEqual(profiles.getProfile(alice.id).commitments, []);
+    assert.strictEqual(profiles.getProfile(alice.id).lastMessageId, lastId);
+
+    assert.strictEqual(await profiles.updateContact(alice.id), null);
+    assert.strictEqual(db.prepare(`SELECT COUNT(*) AS n FROM ai_calls WHERE purpose = 'profile'`).get().n, 2);
+  });
+
+  it('should keep manual corrections until the field is given back to the AI', async () => {
+    profiles.correct(alice.id, 'relation', 'cousine');
+    profiles.correct(alice.id, 'sujets', 'volley, cuisine; voyages');
+    assert.deepStrictEqual(profiles.getProfile(alice.id).lockedFields, ['relationship', 'topics']);
+    assert.deepStrictEqual(profiles.getProfile(alice.id).topics, ['volley', 'cuisine', 'voyages']);
+
+    receive(alice, 'On se fait un volley samedi ?');
+    nextProfile = { relationship: 'collègue', topics: ['sport'], tone: 'tutoiement amical' };
+    await profiles.updateContact(alice.id);
+
+    let profile = profiles.getProfile(alice.id);
+    assert.strictEqual(profile.relationship, 'cousine');
+    assert.deepStrictEqual(profile.topics, ['volley', 'cuisine', 'voyages']);
+    assert.strictEqual(profile.tone, 'tutoiement amical');
+
+    profiles.correct(alice.id, 'relation', 'auto');
+    profiles.correct(alice.id, 'sujets', '-');
+    receive(alice, 'Tu as reçu mon mail pour le projet ?');
+    await profiles.updateContact(alice.id);
+
+    profile = profiles.getProfile(alice.id);
+    assert.strictEqual(profile.relationship, 'collègue');
+    assert.deepStrictEqual(profile.topics, []);
+    assert.deepStrictEqual(profile.lockedFields, ['topics']);
+    assert.throws(() => profiles.correct(alice.id, 'age', '30'), /Unknown profile field/);
+  });
+
+  it('should inject the profile into message analysis and the daily report', async () => {
+    profiles.correct(alice.id, 'relation', 'sœur');
+    profiles.correct(alice.id, 'anniversaires', 'Léa (sa fille): 3 juin');
+    const profile = profiles.getProfile(alice.id);
+
+    nextProfile = { reply: 'Bien sûr !', urgency: 'low', category: 'personal' };
+    await aiService.analyzeMessage({ from: alice.phone_number, body: 'Tu viens dimanche ?' }, [], { contactId: alice.id, profile });
+    assert.match(prompts[0], /Contact profile \(long-term memory\):\n- Relationship: sœur\n- Birthdays: Léa \(sa fille\): 3 juin/);
+
+    receive(alice, 'Tu viens dimanche ?');
+    let reportOptions;
+    const reportAI = {
+      generateFullReport: async (conversations, stats, agenda, calendar, options) => {
+        reportOptions = options;
+        return { formatted: 'rapport', raw: null };
+      }
+    };
+    const telegram = { sendMessage: async () => {} };
+    const cronService = new CronService({ features: { enableDailyBriefing: false } }, repository, telegram, logger, reportAI);
+    await cronService.generateAndSendReport();
+
+    assert.strictEqual(reportOptions.profiles.length, 1);
+    assert.strictEqual(reportOptions.profiles[0].contactName, 'Alice');
+    assert.strictEqual(reportOptions.profiles[0].relationship, 'sœur');
+  });
+
+  it('should show and correct profiles with /profile', async () => {
+    const telegram = new TelegramService({ telegram: {} }, { repository });
+    const sent = [];
+    const commands = new Map();
+    const callbacks = new Map();
+    telegram.sendMessage = async (message, options = {}) => { sent.push({ message, options }); };
+    telegram.onCommand = (name, handler) => commands.set(name, handler);
+    telegram.onCallback = (prefix, handler) => callbacks.set(prefix, handler);
+    telegram.startPolling = () => {};
+    new TelegramCommandHandler({ telegram, messageRepo: repository, aiService, profiles, config: { features: {} }, logger }).registerAll();
+
+    await commands.get('profile')(['Alice']);
+    assert.match(sent[0].message, /Profil de Alice[\s\S]*Profil encore vide/);
+
+    await commands.get('profile')(['Alice', 'engagements', 'Lui', 'rendre', 'sa', 'perceuse']);
+    assert.match(sent[1].message, /Engagements:<\/b> Lui rendre sa perceuse 🔒/);
+
+    receive(alice, 'Je suis ta voisine du 3e, bienvenue !');
+    nextProfile = { relationship: 'voisine', commitments: ['autre chose'] };
+    await callbacks.get('profupd_')(sent[1].options.inlineKeyboard[0][0].callback_data);
+    assert.match(sent[2].message, /Relation:<\/b> voisine[\s\S]*Lui rendre sa perceuse 🔒/);
+
+    await callbacks.get('profupd_')(`profupd_${alice.id}`);
+    assert.match(sent[3].message, /Aucun nouveau message/);
+
+    await commands.get('profile')(['Alice', 'ton']);
+    assert.match(sent[4].message, /Usage:/);
+  });
+});
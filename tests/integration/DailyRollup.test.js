@@ -0,0 +1,91 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import { SQLiteDatabase } from '../../src/repositories/Database.js';
+import { MessageRepository } from '../../src/repositories/MessageRepository.js';
+import { CronService } from '../../src/services/CronService.js';
+import { Message } from '../../src/domain/Message.js';
+
+// Octobre 2026, heure locale
+const at = (day, hours, minutes = 0) => new Date(2026, 9, day, hours, minutes).getTime();
+const MINUTE = 60 * 1000;
+
+describe('Daily stats rollup and conversation sessions', () => {
+  const getTestDbPath = () => path.join(process.cwd(), 'tests', `test-db-rollup-${Date.now()}-${Math.random().toString(36).slice(2)}.sqlite`);
+  let testDbPath;
+  let db;
+  let repository;
+  let alice;
+  let messageCount;
+
+  const receive = (timestamp) => repository.saveIncomingMessage(
+    new Message({ id: `in-${++messageCount}`, from: alice.phone_number, body: 'Salut', timestamp }),
+    alice.id
+  );
+  const reply = (timestamp) => repository.saveOutgoingMessage(`out-${++messageCount}`, alice.id, 'Réponse', timestamp);
+
+  beforeEach(() => {
+    testDbPath = getTestDbPath();
+    db = new SQLiteDatabase({ database: { path: testDbPath } });
+    repository = new MessageRepository(db);
+    alice = repository.findOrCreateContact('alice@s.whatsapp.net', { pushName: 'Alice' });
+    messageCount = 0;
+  });
+
+  afterEach(() => {
+    if (db && db.close) try { db.close(); } catch (e) {}
+    for (const suffix of ['', '-wal', '-shm']) {
+      try { fs.unlinkSync(testDbPath + suffix); } catch (e) {}
+    }
+  });
+
+  it('should open, idle and close conversation sessions on inactivity gaps', () => {
+    receive(at(18, 10));
+    reply(at(18, 10, 20));
+    receive(at(18, 14));
+
+    const [second, first] = repository.getConversationsByContact(alice.id);
+    assert.strictEqual(first.message_count, 2);
+    assert.strictEqual(first.status, 'closed');
+    assert.strictEqual(second.started_at, at(18, 14));
+    assert.strictEqual(second.status, 'active');
+
+    assert.deepStrictEqual(repository.updateConversationStatuses(at(18, 14, 45)), { idled: 1, closed: 0 });
+    assert.deepStrictEqual(repository.countOpenConversations(), { active: 0, idle: 1 });
+
+    // Un message pendant la pause réactive la session
+    receive(at(18, 15));
+    assert.strictEqual(repository.getConversationsByContact(alice.id)[0].message_count, 2);
+    assert.deepStrictEqual(repository.countOpenConversations(), { active: 1, idle: 0 });
+
+    assert.deepStrictEqual(repository.updateConversationStatuses(at(18, 18, 1)), { idled: 0, closed: 1 });
+    assert.deepStrictEqual(repository.countOpenConversations(), { active: 0, idle: 0 });
+  });
+
+  it('should roll up past days into daily_stats with response time and tokens', () => {
+    const logger = { info: () => {}, error: () => {}, warn: () => {} };
+    const cronService = new CronService({ features: { enableDailyBriefing: false } }, repository, null, logger);
+
+    receive(at(18, 9));
+    reply(at(18, 9, 30));
+    repository.saveAICall({ purpose: 'analysis', provider: 'gemini', totalTokens: 1200, success: true, createdAt: at(18, 9, 1) });
+    repository.saveAICall({ purpose: 'report', provider: 'gemini', totalTokens: 800, success: true, createdAt: at(18, 20) });
+    receive(at(19, 8));
+
+    const rolled = cronService.runNightlyRollup(new Date(at(19, 0, 5)));
+    assert.strictEqual(rolled.length, 7);
+    assert.strictEqual(rolled[0], '2026-10-18');
+
+    const yesterday = repository.getDailyStats('2026-10-18');
+    assert.strictEqual(yesterday.total_messages_received, 1);
+    assert.strictEqual(yesterday.total_messages_sent, 1);
+    assert.strictEqual(yesterday.avg_response_time_ms, 30 * MINUTE);
+    assert.strictEqual(yesterday.tokens_used, 2000);
+    assert.strictEqual(repository.getDailyStats('2026-10-19'), undefined);
+
+    // Le lendemain: seule la veille est calculée, les jours déjà agrégés sont conservés
+    assert.deepStrictEqual(cronService.runNightlyRollup(new Date(at(20, 0, 5))), ['2026-10-19']);
+    assert.strictEqual(repository.getDailyStats('2026-10-19').total_messages_received, 1);
+  });
+});
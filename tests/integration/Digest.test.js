@@ -0,0 +1,119 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import { SQLiteDatabase } from '../../src/repositories/Database.js';
+import { MessageRepository } from '../../src/repositories/MessageRepository.js';
+import { DigestService } from '../../src/services/DigestService.js';
+import { CronService } from '../../src/services/CronService.js';
+import { Message } from '../../src/domain/Message.js';
+
+// Octobre 2026, heure locale
+const at = (day, hours, minutes = 0) => new Date(2026, 9, day, hours, minutes).getTime();
+const MINUTE = 60 * 1000;
+
+describe('Weekly and monthly digests', () => {
+  const getTestDbPath = () => path.join(process.cwd(), 'tests', `test-db-digest-${Date.now()}-${Math.random().toString(36).slice(2)}.sqlite`);
+  let testDbPath;
+  let db;
+  let repository;
+  let messageCount;
+
+  const receive = (contact, timestamp, body = 'Salut', analysis = null) => {
+    const id = repository.saveIncomingMessage(
+      new Message({ id: `in-${++messageCount}`, from: contact.phone_number, body, timestamp }),
+      contact.id
+    );
+    if (analysis) repository.saveAnalysis(id, analysis);
+  };
+  const reply = (contact, timestamp) => {
+    repository.saveOutgoingMessage(`out-${++messageCount}`, contact.id, 'Réponse', timestamp);
+  };
+
+  beforeEach(() => {
+    testDbPath = getTestDbPath();
+    db = new SQLiteDatabase({ database: { path: testDbPath } });
+    repository = new MessageRepository(db);
+    messageCount = 0;
+  });
+
+  afterEach(() => {
+    if (db && db.close) try { db.close(); } catch (e) {}
+    for (const suffix of ['', '-wal', '-shm']) {
+      try { fs.unlinkSync(testDbPath + suffix); } catch (e) {}
+    }
+  });
+
+  it('should compute periods for weekly and monthly digests', () => {
+    const weekly = DigestService.period('weekly', at(19, 20));
+    assert.strictEqual(weekly.start, at(13, 0));
+    assert.strictEqual(weekly.previousStart, at(6, 0));
+    assert.strictEqual(weekly.previousEnd, at(13, 0) - 1);
+
+    const monthToDate = DigestService.period('monthly', at(19, 20));
+    assert.strictEqual(monthToDate.start, at(1, 0));
+    assert.strictEqual(monthToDate.previousStart, new Date(2026, 8, 1).getTime());
+
+    // Le 1er: mois écoulé complet
+    const lastMonth = DigestService.period('monthly', at(1, 9));
+    assert.strictEqual(lastMonth.start, new Date(2026, 8, 1).getTime());
+    assert.strictEqual(lastMonth.end, at(1, 0) - 1);
+  });
+
+  it('should build trends, active contacts, unanswered threads and response times', () => {
+    const alice = repository.findOrCreateContact('alice@s.whatsapp.net', { pushName: 'Alice' });
+    const bob = repository.findOrCreateContact('bob@s.whatsapp.net', { pushName: 'Bob' });
+
+    // Semaine précédente: réponse à Alice en 70 min
+    receive(alice, at(8, 10), 'Salut', { category: 'personal', urgency: 'low' });
+    reply(alice, at(8, 11, 10));
+
+    // Cette semaine: rafale de 2 messages, réponse 35 min après le premier
+    receive(alice, at(15, 10), 'Tu es là ?', { category: 'personal', urgency: 'low' });
+    receive(alice, at(15, 10, 5), 'Ça presse', { category: 'professional', urgency: 'high' });
+    reply(alice, at(15, 10, 35));
+    receive(bob, at(16, 9), 'Tu as reçu la facture ?');
+
+    repository.saveReport({ reportDate: '2026-10-15', formatted: 'r1', raw: { messages_actionnables: [{}], taches: [{ titre: 'Payer la facture' }] } });
+    repository.saveReport({ reportDate: '2026-10-16', formatted: 'r2', raw: { messages_actionnables: [], taches: [{ titre: 'payer la facture' }, { titre: 'Appeler Bob' }] } });
+
+    const service = new DigestService(repository, { now: () => at(19, 20) });
+    const digest = service.build('weekly');
+
+    assert.strictEqual(digest.current.received, 3);
+    assert.strictEqual(digest.current.sent, 1);
+    assert.strictEqual(digest.current.avgResponseMs, 35 * MINUTE);
+    assert.strictEqual(digest.previous.avgResponseMs, 70 * MINUTE);
+    assert.deepStrictEqual(digest.current.byCategory, { personal: 1, professional: 1 });
+    assert.deepStrictEqual(digest.topContacts.map(c => c.name), ['Alice', 'Bob']);
+    assert.deepStrictEqual(digest.unanswered.map(t => t.name), ['Bob']);
+    assert.deepStrictEqual(digest.reports.recurringTasks, [{ title: 'Payer la facture', reports: 2 }]);
+    assert.strictEqual(digest.reports.actionable, 1);
+
+    // Les jours passés manquants sont enregistrés dans daily_stats, pas le jour en cours
+    assert.strictEqual(repository.getDailyStats('2026-10-15').avg_response_time_ms, 35 * MINUTE);
+    assert.strictEqual(repository.getDailyStats('2026-10-19'), undefined);
+
+    const message = DigestService.format(digest);
+    assert.match(message, /BILAN DE LA SEMAINE/);
+    assert.match(message, /35 min \(semaine précédente: 1 h 10\) ↘️ -50% 👍/);
+    assert.match(message, /Sans réponse[\s\S]*Bob/);
+    assert.match(message, /Payer la facture \(2×\)/);
+  });
+
+  it('should send and archive digests from CronService', async () => {
+    const sent = [];
+    const config = { features: { enableDailyBriefing: false } };
+    const logger = { info: () => {}, error: () => {}, warn: () => {} };
+    const telegram = { sendMessage: async (message) => { sent.push(message); } };
+    const cronService = new CronService(config, repository, telegram, logger);
+
+    await cronService.generateAndSendDigest('monthly');
+
+    assert.match(sent[0], /BILAN DU MOIS/);
+    const archived = repository.getLatestReport({ kind: 'monthly' });
+    assert.strictEqual(archived.formatted, sent[0]);
+    assert.strictEqual(archived.raw.kind, 'monthly');
+    assert.strictEqual(repository.getLatestReport({ kind: 'daily' }), null);
+  });
+});
@@ -0,0 +1,147 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import { SQLiteDatabase } from '../../src/repositories/Database.js';
+import { MessageRepository } from '../../src/repositories/MessageRepository.js';
+import { FollowUpService } from '../../src/services/FollowUpService.js';
+import { CronService } from '../../src/services/CronService.js';
+import { Message } from '../../src/domain/Message.js';
+
+// Octobre 2026, heure locale
+const at = (day, hours, minutes = 0) => new Date(2026, 9, day, hours, minutes).getTime();
+
+describe('Unanswered messages follow-up', () => {
+  const getTestDbPath = () => path.join(process.cwd(), 'tests', `test-db-followup-${Date.now()}-${Math.random().toString(36).slice(2)}.sqlite`);
+  let testDbPath;
+  let db;
+  let repository;
+  let notifications;
+  let now;
+  let service;
+  let alice;
+  let bob;
+  let messageCount;
+
+  const receive = (contact, timestamp, body = 'Salut', urgency = null) => {
+    const id = repository.saveIncomingMessage(
+      new Message({ id: `in-${++messageCount}`, from: contact.phone_number, body, timestamp }),
+      contact.id
+    );
+    if (urgency) repository.saveAnalysis(id, { category: 'personal', urgency });
+    return id;
+  };
+  const reply = (contact, timestamp) => {
+    repository.saveOutgoingMessage(`out-${++messageCount}`, contact.id, 'Réponse', timestamp);
+  };
+
+  beforeEach(() => {
+    testDbPath = getTestDbPath();
+    db = new SQLiteDatabase({ database: { path: testDbPath } });
+    repository = new MessageRepository(db);
+    notifications = [];
+    now = at(19, 12);
+    messageCount = 0;
+
+    const quietHours = { notify: async (message, options) => { notifications.push({ message, options }); } };
+    const config = { features: { followUp: { thresholdMinutes: 240 } } };
+    service = new FollowUpService(config, repository, quietHours, null, { now: () => now });
+
+    alice = repository.findOrCreateContact('alice@s.whatsapp.net', { pushName: 'Alice' });
+    bob = repository.findOrCreateContact('bob@s.whatsapp.net', { pushName: 'Bob' });
+  });
+
+  afterEach(() => {
+    if (db && db.close) try { db.close(); } catch (e) {}
+    for (const suffix of ['', '-wal', '-shm']) {
+      try { fs.unlinkSync(testDbPath + suffix); } catch (e) {}
+    }
+  });
+
+  it('should weight the waiting time by urgency', () => {
+    // 1h30 d'attente: sous le seuil de 4h, sauf en critique (×4)
+    receive(alice, at(19, 10, 30), 'Le serveur est en panne', 'critical');
+    receive(bob, at(19, 10, 30), 'On se voit quand ?', 'low');
+    // Répondu: hors suivi
+    const carol = repository.findOrCreateContact('carol@s.whatsapp.net', { pushName: 'Carol' });
+    receive(carol, at(19, 6));
+    reply(carol, at(19, 7));
+
+    const due = service.getPending();
+    assert.deepStrictEqual(due.map(t => t.name), ['Alice']);
+    assert.strictEqual(due[0].urgency, 'critical');
+
+    assert.deepStrictEqual(service.getPending({ all: true }).map(t => t.name), ['Alice', 'Bob']);
+
+    // Peu urgent: rappel au bout de 8h
+    now = at(19, 18, 30);
+    assert.deepStrictEqual(service.getPending().map(t => t.name), ['Alice', 'Bob']);
+  });
+
+  it('should remind each thread once with reply, snooze and ignore buttons', async () => {
+    receive(alice, at(19, 7), 'Tu as vu mon mail ?');
+    receive(alice, at(19, 7, 5), 'Réponds vite stp');
+
+    assert.strictEqual(await service.check(), 1);
+    assert.match(notifications[0].message, /En attente de ta réponse[\s\S]*Alice<\/b> · depuis 5 h · 2 messages/);
+    const [buttons] = notifications[0].options.inlineKeyboard;
+    assert.deepStrictEqual(buttons.map(b => b.callback_data.split('_')[0]), ['fupr', 'fups', 'fupi']);
+
+    assert.strictEqual(await service.check(), 0);
+    assert.strictEqual(notifications.length, 1);
+  });
+
+  it('should only mark threads as reminded once a reminder was actually sent', async () => {
+    receive(alice, at(19, 7), 'Tu as vu mon mail ?');
+    const config = { features: { followUp: { thresholdMinutes: 240 } } };
+
+    const silent = new FollowUpService(config, repository, null, null, { now: () => now });
+    assert.strictEqual(await silent.check(), 0);
+    assert.strictEqual(service.getPending()[0].reminded, false);
+
+    const sent = [];
+    const telegram = { sendMessage: async (message, options) => { sent.push({ message, options }); } };
+    const direct = new FollowUpService(config, repository, null, null, { telegram, now: () => now });
+    assert.strictEqual(await direct.check(), 1);
+    assert.match(sent[0].message, /En attente de ta réponse[\s\S]*Alice/);
+    assert.ok(sent[0].options.inlineKeyboard);
+    assert.strictEqual(service.getPending()[0].reminded, true);
+  });
+
+  it('should remind again after a snooze and stop after ignore until a new message', async () => {
+    receive(alice, at(19, 7));
+    receive(bob, at(19, 7));
+    const [first, second] = service.getPending();
+
+    service.snooze(first.contactId, first.messageId);
+    service.ignore(second.contactId, second.messageId);
+    assert.strictEqual(await service.check(), 0);
+    assert.strictEqual(service.getPending({ all: true }).length, 1);
+
+    now = at(19, 14, 1);
+    assert.strictEqual(await service.check(), 1);
+
+    // Le contact réécrit: le suivi reprend depuis le premier message sans réponse
+    receive(bob, at(19, 14, 30), 'Alors ?');
+    const [bobThread] = service.getPending({ all: true }).filter(t => t.name === 'Bob');
+    assert.strictEqual(bobThread.waitingCount, 2);
+    assert.strictEqual(bobThread.reminded, false);
+
+    reply(bob, at(19, 14, 45));
+    assert.ok(!service.getPending({ all: true }).some(t => t.name === 'Bob'));
+  });
+
+  it('should add a waiting-for-your-answer section to the daily report', async () => {
+    receive(alice, at(19, 7), 'On dîne ensemble ?');
+
+    const sent = [];
+    const config = { features: { enableDailyBriefing: false } };
+    const logger = { info: () => {}, error: () => {}, warn: () => {} };
+    const telegram = { sendMessage: async (message) => { sent.push(message); } };
+    const cronService = new CronService(config, repository, telegram, logger, null, null, null, service);
+
+    await cronService.generateAndSendReport();
+
+    assert.match(sent[0], /EN ATTENTE DE TA RÉPONSE[\s\S]*Alice[\s\S]*On dîne ensemble \?[\s\S]*\/pending/);
+  });
+});
@@ -0,0 +1,207 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import { SQLiteDatabase } from '../../src/repositories/Database.js';
+import { MessageRepository } from '../../src/repositories/MessageRepository.js';
+import { GroupMessageHandler } from '../../src/handlers/GroupMessageHandler.js';
+import { GroupTriageService } from '../../src/services/GroupTriageService.js';
+import { TelegramService } from '../../src/services/TelegramService.js';
+import { TelegramCommandHandler } from '../../src/handlers/TelegramCommandHandler.js';
+import { CronService } from '../../src/services/CronService.js';
+
+describe('Group chat handling', () => {
+  let testDbPath;
+  let db;
+  let repository;
+  let now;
+  let messageCount;
+
+  const logger = { info: () => {}, error: () => {}, warn: () => {}, debug: () => {} };
+  const volley = { id: { _serialized: '120363001@g.us' }, name: 'Volley du jeudi', isGroup: true };
+
+  const createHandler = (groups = {}, options = {}, deps = {}) => new GroupMessageHandler({
+    repository,
+    triage: new GroupTriageService({ features: { groups } }, repository, logger, options),
+    logger,
+    settings: groups,
+    now: () => now,
+    ...deps
+  });
+
+  // Message whatsapp-web.js minimal reçu dans un groupe
+  const groupMessage = (body, { author = '41790000001@c.us', pushname = 'Marc', ...data } = {}) => ({
+    id: { id: `grp-${++messageCount}` },
+    body,
+    author,
+    timestamp: Math.floor(now / 1000),
+    getContact: async () => ({ id: { _serialized: author }, pushname }),
+    ...data
+  });
+
+  const storedBodies = () => db.prepare('SELECT body FROM messages ORDER BY id').all().map(r => r.body);
+
+  beforeEach(() => {
+    testDbPath = path.join(process.cwd(), 'tests', `test-db-groups-${Date.now()}-${Math.random().toString(36).slice(2)}.sqlite`);
+    db = new SQLiteDatabase({ database: { path: testDbPath } });
+    repository = new MessageRepository(db);
+    now = Date.UTC(2026, 9, 19, 12);
+    messageCount = 0;
+  });
+
+  afterEach(() => {
+    if (db && db.close) try { db.close(); } catch (e) {}
+    for (const suffix of ['', '-wal', '-shm']) {
+      try { fs.unlinkSync(testDbPath + suffix); } catch (e) {}
+    }
+  });
+
+  it('should keep organizational messages with their author and apply the configured rate limit', async () => {
+    const handler = createHandler({ keywordLanguages: ['fr', 'en'], rateLimitSeconds: 60 });
+
+    assert.strictEqual(await handler.handle(groupMessage('mdr trop bien cette vidéo'), volley), null);
+    assert.strictEqual(await handler.handle(groupMessage('ok 👍'), volley), null);
+
+    const id = await handler.handle(groupMessage('Match jeudi à 20h, qui vient ?'), volley);
+    const row = db.prepare('SELECT * FROM messages WHERE id = ?').get(id);
+    const group = repository.getContactByPhone('120363001@g.us');
+    const author = repository.getContactById(row.author_contact_id);
+    assert.strictEqual(row.body, '[Marc] Match jeudi à 20h, qui vient ?');
+    assert.strictEqual(row.contact_id, group.id);
+    assert.strictEqual(group.is_group, 1);
+    assert.deepStrictEqual([author.phone_number, author.push_name, author.is_group], ['41790000001@c.us', 'Marc', 0]);
+
+    // Limite par groupe, puis mots-clés anglais
+    now += 30 * 1000;
+    assert.strictEqual(await handler.handle(groupMessage('Dinner tomorrow at 7pm?', { pushname: 'Sue' }), volley), null);
+    now += 31 * 1000;
+    assert.ok(await handler.handle(groupMessage('Dinner tomorrow at 7pm?', { pushname: 'Sue' }), volley));
+
+    // Liste personnalisée: remplace la liste intégrée de la langue
+    const custom = createHandler({ keywordLanguages: ['fr'], keywords: { fr: ['covoit'] }, rateLimitSeconds: 0 });
+    assert.strictEqual(await custom.handle(groupMessage('Rendez-vous samedi au stade'), volley), null);
+    assert.ok(await custom.handle(groupMessage('Qui propose un covoit pour samedi ?'), volley));
+  });
+
+  it('should apply the ignore and full capture modes per group', async () => {
+    const handler = createHandler({ defaultMode: 'full', rateLimitSeconds: 30 });
+
+    assert.ok(await handler.handle(groupMessage('haha'), volley));
+    assert.ok(await handler.handle(groupMessage('trop bien'), volley));
+
+    const group = repository.getContactByPhone('120363001@g.us');
+    repository.setGroupMode(group.id, 'ignore');
+    assert.strictEqual(await handler.handle(groupMessage('Rendez-vous samedi à 10h'), volley), null);
+
+    repository.setGroupMode(group.id, 'organizational');
+    assert.strictEqual(await handler.handle(groupMessage('on parle de quoi'), volley), null);
+    assert.ok(await handler.handle(groupMessage('Rendez-vous samedi à 10h'), volley));
+
+    assert.deepStrictEqual(storedBodies(), ['[Marc] haha', '[Marc] trop bien', '[Marc] Rendez-vous samedi à 10h']);
+  });
+
+  it('should use the cheap model triage instead of keywords and fall back when it fails', async () => {
+    const verdicts = [true, false, new Error('503 Service Unavailable')];
+    const prompts = [];
+    const provider = {
+      name: 'groq',
+      model: 'llama-3.1-8b-instant',
+      completeJSON: async ({ prompt }) => {
+        prompts.push(prompt);
+        const verdict = verdicts.shift();
+        if (verdict instanceof Error) throw verdict;
+        return { data: { organisationnel: verdict }, usage: { promptTokens: 120, completionTokens: 8, totalTokens: 128 } };
+      }
+    };
+    const handler = createHandler({ rateLimitSeconds: 0 }, { provider });
+
+    assert.ok(await handler.handle(groupMessage('Les enfants, on décale chez mamie à la semaine pro'), volley));
+    assert.strictEqual(await handler.handle(groupMessage('Samedi dernier était génial'), volley), null);
+    assert.ok(await handler.handle(groupMessage('Apéro vendredi chez moi'), volley));
+    assert.strictEqual(prompts.length, 3);
+
+    const calls = db.prepare(`SELECT * FROM ai_calls WHERE purpose = 'group_triage' ORDER BY id`).all();
+    assert.deepStrictEqual(calls.map(c => c.success), [1, 1, 0]);
+    assert.strictEqual(calls[0].model, 'llama-3.1-8b-instant');
+    assert.strictEqual(calls[0].total_tokens, 128);
+
+    const disabled = new GroupTriageService({ ai: { providers: [{ provider: 'openai', apiKey: 'x' }] }, features: { groups: {} } }, repository);
+    assert.strictEqual(disabled.model, null);
+    const enabled = new GroupTriageService({ ai: { providers: [{ provider: 'openai', apiKey: 'x' }] }, features: { groups: { triage: { enabled: true } } } }, repository);
+    assert.strictEqual(enabled.model, 'openai/gpt-4o-mini');
+  });
+
+  it('should always capture mentions and replies, notify them and list them in the report', async () => {
+    now = Date.now();
+    const notifications = [];
+    const telegram = { sendMessage: async (message) => { notifications.push(message); } };
+    const handler = createHandler({ rateLimitSeconds: 600, notifyMentions: true }, {}, {
+      telegram,
+      getOwnId: () => '41790000099@c.us'
+    });
+
+    // Message organisationnel: la limite du groupe est atteinte pour 10 minutes
+    assert.ok(await handler.handle(groupMessage('Match jeudi à 20h'), volley));
+
+    const mention = await handler.handle(groupMessage('@41790000099 t\'en penses quoi ?', { mentionedIds: ['41790000099@c.us'] }), volley);
+    const reply = await handler.handle(groupMessage('oui !', {
+      author: '41790000002@c.us',
+      pushname: 'Sue',
+      hasQuotedMsg: true,
+      _data: { quotedParticipant: { _serialized: '41790000099@c.us' }, quotedMsgId: 'own-1' }
+    }), volley);
+    const loadedReply = await handler.handle(groupMessage('bien vu', { hasQuotedMsg: true, getQuotedMessage: async () => ({ fromMe: true }) }), volley);
+    assert.strictEqual(await handler.handle(groupMessage('oui !', { hasQuotedMsg: true, _data: { quotedParticipant: '41790000001@c.us' } }), volley), null);
+
+    const rows = db.prepare('SELECT id, mention_type, quoted_message_id FROM messages WHERE mention_type IS NOT NULL ORDER BY id').all();
+    assert.deepStrictEqual(rows.map(r => [r.id, r.mention_type]), [[mention, 'mention'], [reply, 'reply'], [loadedReply, 'reply']]);
+    assert.strictEqual(rows[1].quoted_message_id, 'own-1');
+
+    // Groupe ignoré: les mentions passent quand même
+    repository.setGroupMode(repository.getContactByPhone('120363001@g.us').id, 'ignore');
+    assert.ok(await handler.handle(groupMessage('@Jonas tu confirmes ?', { mentionedIds: [{ _serialized: '41790000099@c.us' }] }), volley));
+
+    assert.strictEqual(notifications.length, 4);
+    assert.match(notifications[0], /^📣 <b>Marc t&#039;a mentionné dans Volley du jeudi<\/b>\n\n@41790000099 t&#039;en penses quoi/);
+    assert.match(notifications[1], /^↩️ <b>Sue a répondu à ton message dans Volley du jeudi<\/b>/);
+
+    const sent = [];
+    const cronService = new CronService({ features: {} }, repository, { sendMessage: async (message) => { sent.push(message); } }, logger);
+    await cronService.generateAndSendReport();
+    assert.match(sent[0], /DANS TES GROUPES[\s\S]*📣 Marc t&#039;a mentionné dans Volley du jeudi \(\d\d:\d\d\)\n   <i>@41790000099 t&#039;en penses quoi \?<\/i>/);
+    assert.match(sent[0], /↩️ Sue a répondu à ton message dans Volley du jeudi/);
+  });
+
+  it('should list groups and change their mode with /groups', async () => {
+    const handler = createHandler({ defaultMode: 'organizational' });
+    await handler.handle(groupMessage('Match jeudi à 20h'), volley);
+    await handler.handle(groupMessage('coucou'), { id: { _serialized: '120363002@g.us' }, name: 'Famille' });
+
+    const telegram = new TelegramService({ telegram: {} }, { repository });
+    const sent = [];
+    const commands = new Map();
+    const callbacks = new Map();
+    telegram.sendMessage = async (message, options = {}) => { sent.push({ message, options }); };
+    telegram.onCommand = (name, handler) => commands.set(name, handler);
+    telegram.onCallback = (prefix, handler) => callbacks.set(prefix, handler);
+    telegram.startPolling = () => {};
+    new TelegramCommandHandler({ telegram, messageRepo: repository, config: { features: { groups: { defaultMode: 'organizational' } } }, logger }).registerAll();
+
+    await commands.get('groups')([]);
+    assert.match(sent[0].message, /Volley du jeudi<\/b>: 📅 Organisationnel \(par défaut\) · 1 msg/);
+    assert.match(sent[0].message, /Famille<\/b>: 📅 Organisationnel \(par défaut\) · 0 msg/);
+
+    await commands.get('groups')(['famille', 'full']);
+    assert.match(sent[1].message, /Famille<\/b>\n\nMode: 📥 Tout enregistrer\n/);
+    assert.strictEqual(repository.getContactByPhone('120363002@g.us').group_mode, 'full');
+
+    const volleyGroup = repository.getContactByPhone('120363001@g.us');
+    await callbacks.get('gmode_')(`gmode_${volleyGroup.id}_ignore`);
+    assert.match(sent[2].message, /Mode: 🚫 Ignorer/);
+    await callbacks.get('gmode_')(`gmode_${volleyGroup.id}_default`);
+    assert.strictEqual(repository.getContactById(volleyGroup.id).group_mode, null);
+
+    await commands.get('groups')(['inconnu']);
+    assert.match(sent[4].message, /Aucun groupe trouvé/);
+  });
+});
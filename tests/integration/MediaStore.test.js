@@ -0,0 +1,140 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import { SQLiteDatabase } from '../../src/repositories/Database.js';
+import { MessageRepository } from '../../src/repositories/MessageRepository.js';
+import { MediaStore } from '../../src/services/media/MediaStore.js';
+import { TranscriptionService } from '../../src/services/TranscriptionService.js';
+import { TelegramService } from '../../src/services/TelegramService.js';
+import { TelegramCommandHandler } from '../../src/handlers/TelegramCommandHandler.js';
+import { Message } from '../../src/domain/Message.js';
+
+describe('Local media store', () => {
+  const DAY = 24 * 60 * 60 * 1000;
+  let testDbPath;
+  let mediaDir;
+  let db;
+  let repository;
+  let now;
+  let alice;
+  let messageCount;
+
+  const logger = { info: () => {}, error: () => {}, warn: () => {}, debug: () => {} };
+
+  const createStore = (media = {}) => new MediaStore({ media: { path: mediaDir, ...media } }, repository, logger, { now: () => now });
+
+  // Message reçu avec une pièce jointe enregistrée dans le store
+  const receiveFile = async (store, content, { mimeType = 'image/jpeg', filename = null, body = '[image] photo' } = {}) => {
+    const id = `in-${++messageCount}`;
+    const mediaUrl = await store.save(id, { data: Buffer.from(content), mimeType, filename });
+    return repository.saveIncomingMessage(
+      new Message({ id, from: alice.phone_number, body, timestamp: now }),
+      alice.id,
+      { mediaType: mimeType.startsWith('image/') ? 'image' : 'document', mediaUrl }
+    );
+  };
+
+  beforeEach(() => {
+    const id = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    testDbPath = path.join(process.cwd(), 'tests', `test-db-mediastore-${id}.sqlite`);
+    mediaDir = path.join(process.cwd(), 'tests', `test-mediastore-${id}`);
+    db = new SQLiteDatabase({ database: { path: testDbPath } });
+    repository = new MessageRepository(db);
+    now = Date.UTC(2026, 9, 19, 12);
+    messageCount = 0;
+    alice = repository.findOrCreateContact('alice@s.whatsapp.net', { pushName: 'Alice' });
+  });
+
+  afterEach(() => {
+    if (db && db.close) try { db.close(); } catch (e) {}
+    for (const suffix of ['', '-wal', '-shm']) {
+      try { fs.unlinkSync(testDbPath + suffix); } catch (e) {}
+    }
+    fs.rmSync(mediaDir, { recursive: true, force: true });
+  });
+
+  it('should store forwarded copies of the same file only once', async () => {
+    const store = createStore();
+    const first = await receiveFile(store, 'same-flyer');
+    now += DAY;
+    const forwarded = await receiveFile(store, 'same-flyer', { filename: 'flyer.jpg' });
+
+    const urls = db.prepare('SELECT media_url FROM messages WHERE id IN (?, ?)').all(first, forwarded).map(r => r.media_url);
+    assert.strictEqual(urls[0], urls[1]);
+    assert.deepStrictEqual(fs.readdirSync(mediaDir), [path.basename(urls[0])]);
+
+    const media = db.prepare('SELECT * FROM media').all();
+    assert.strictEqual(media.length, 1);
+    assert.strictEqual(media[0].size_bytes, 'same-flyer'.length);
+    assert.strictEqual(media[0].mime_type, 'image/jpeg');
+    assert.strictEqual(media[0].original_filename, 'flyer.jpg');
+    assert.strictEqual(media[0].last_seen_at, now);
+
+    const file = await store.getForMessage(forwarded);
+    assert.strictEqual(file.data.toString(), 'same-flyer');
+    assert.strictEqual(file.filename, 'flyer.jpg');
+
+    // Notes vocales: fichier conservé même sans transcription
+    const transcription = new TranscriptionService({ ai: { transcription: { provider: 'none' } } }, repository, logger, { store });
+    const voice = await transcription.transcribeVoiceNote({
+      id: { id: 'ptt-1' },
+      duration: '4',
+      downloadMedia: async () => ({ mimetype: 'audio/ogg; codecs=opus', data: Buffer.from('opus').toString('base64') })
+    });
+    assert.strictEqual(voice.transcribed, false);
+    assert.ok(voice.mediaUrl.endsWith('.ogg'));
+  });
+
+  it('should delete old files first, then the oldest ones above the size limit', async () => {
+    const store = createStore({ maxAgeDays: 30, maxTotalMb: 20 / 1024 / 1024 });
+    const old = await receiveFile(store, 'old-ticket');
+    now += 40 * DAY;
+    const older = await receiveFile(store, 'invoice-0001', { mimeType: 'application/pdf', body: '[document] facture' });
+    now += DAY;
+    const recent = await receiveFile(store, 'photo-0002');
+
+    assert.deepStrictEqual(await store.applyRetention(), { deleted: 2, freedBytes: 'old-ticket'.length + 'invoice-0001'.length });
+
+    const rows = db.prepare('SELECT id, media_url, body FROM messages ORDER BY id').all();
+    assert.strictEqual(rows.find(r => r.id === old).media_url, null);
+    assert.strictEqual(rows.find(r => r.id === older).media_url, null);
+    assert.strictEqual(rows.find(r => r.id === older).body, '[document] facture');
+    assert.ok(fs.existsSync(rows.find(r => r.id === recent).media_url));
+    assert.strictEqual(fs.readdirSync(mediaDir).length, 1);
+    assert.deepStrictEqual(repository.getMediaUsage(), { count: 1, totalBytes: 'photo-0002'.length });
+    assert.strictEqual(await store.getForMessage(old), null);
+  });
+
+  it('should list stored files and send them back with /media', async () => {
+    const store = createStore();
+    await receiveFile(store, '%PDF-facture', { mimeType: 'application/pdf', filename: 'facture-octobre.pdf', body: '[document] facture-octobre.pdf: CHF 245.50' });
+    const photo = await receiveFile(store, 'jpeg-flyer', { body: 'Concert samedi\n[image] Affiche: jazz à 20h' });
+
+    const telegram = new TelegramService({ telegram: {} }, { repository });
+    const sent = [];
+    const documents = [];
+    const commands = new Map();
+    const callbacks = new Map();
+    telegram.sendMessage = async (message, options = {}) => { sent.push({ message, options }); };
+    telegram.sendDocument = async (data, options) => { documents.push({ data, options }); return true; };
+    telegram.onCommand = (name, handler) => commands.set(name, handler);
+    telegram.onCallback = (prefix, handler) => callbacks.set(prefix, handler);
+    telegram.startPolling = () => {};
+    new TelegramCommandHandler({ telegram, messageRepo: repository, mediaStore: store, config: { features: {} }, logger }).registerAll();
+
+    await commands.get('media')(['Alice']);
+    assert.match(sent[0].message, /Fichiers de Alice[\s\S]*1\. 🖼️ <b>Alice<\/b>[\s\S]*Concert samedi \[image\] Affiche[\s\S]*2\. 📄[\s\S]*facture-octobre\.pdf/);
+    assert.deepStrictEqual(sent[0].options.inlineKeyboard[0].map(b => b.text), ['📥 1', '📥 2']);
+
+    await callbacks.get('media_')(sent[0].options.inlineKeyboard[0][0].callback_data);
+    assert.strictEqual(documents[0].data.toString(), 'jpeg-flyer');
+    assert.strictEqual(documents[0].options.filename, `image-${photo}.jpg`);
+    assert.match(documents[0].options.caption, /🖼️ Alice/);
+
+    // Fichier supprimé entre-temps
+    fs.rmSync(mediaDir, { recursive: true, force: true });
+    await callbacks.get('media_')(`media_${photo}`);
+    assert.match(sent[1].message, /Fichier introuvable/);
+  });
+});
@@ -0,0 +1,185 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import crypto from 'crypto';
+import { SQLiteDatabase } from '../../src/repositories/Database.js';
+import { MessageRepository } from '../../src/repositories/MessageRepository.js';
+import { MediaService } from '../../src/services/MediaService.js';
+import { MediaStore } from '../../src/services/media/MediaStore.js';
+import { AIService } from '../../src/services/AIService.js';
+import { Message } from '../../src/domain/Message.js';
+
+describe('Image and document understanding', () => {
+  const suffix = () => `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+  let testDbPath;
+  let mediaDir;
+  let db;
+  let repository;
+  let provider;
+  let service;
+  let alice;
+  let originalFetch;
+
+  // PDF minimal avec un flux de contenu compressé (comme une facture générée par un logiciel)
+  const invoicePdf = () => {
+    const content = 'BT /F1 12 Tf 72 720 Td (Facture N\\260 2024-117) Tj 0 -14 Td [(Montant d)-20(\\373:)-300(CHF 245.50)] TJ T* (Ech\\351ance: 15.11.2026) Tj ET';
+    const stream = zlib.deflateSync(Buffer.from(content, 'latin1'));
+    return Buffer.concat([
+      Buffer.from(`%PDF-1.4\n1 0 obj\n<< /Type /Catalog /Pages 2 0 R >>\nendobj\n4 0 obj\n<< /Length ${stream.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+      stream,
+      Buffer.from('\nendstream\nendobj\n%%EOF', 'latin1')
+    ]);
+  };
+
+  // Message whatsapp-web.js minimal avec pièce jointe
+  const mediaMessage = (type, { body = '', mimetype, data, filename = null, id = `media-${suffix()}` }) => ({
+    id: { id },
+    hasMedia: true,
+    type,
+    body,
+    _data: { filename },
+    async downloadMedia() {
+      return data ? { mimetype, data: data.toString('base64'), filename } : undefined;
+    }
+  });
+
+  beforeEach(() => {
+    const id = suffix();
+    testDbPath = path.join(process.cwd(), 'tests', `test-db-media-${id}.sqlite`);
+    mediaDir = path.join(process.cwd(), 'tests', `test-media-${id}`);
+    db = new SQLiteDatabase({ database: { path: testDbPath } });
+    repository = new MessageRepository(db);
+
+    provider = {
+      name: 'openai',
+      visionModel: 'gpt-4o-mini',
+      requests: [],
+      acceptsMedia: (mimeType) => mimeType.startsWith('image/'),
+      describe: async (request) => {
+        provider.requests.push(request);
+        return {
+          text: 'Affiche: Concert de jazz  le 12 mars à 20h, Salle del Castillo.\n\nEntrée CHF 25.',
+          usage: { promptTokens: 1000, completionTokens: 40, totalTokens: 1040 }
+        };
+      }
+    };
+    service = new MediaService({ ai: {} }, repository, new MediaStore({ media: { path: mediaDir } }, repository), null, { provider });
+    alice = repository.findOrCreateContact('alice@s.whatsapp.net', { pushName: 'Alice' });
+    originalFetch = global.fetch;
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    if (db && db.close) try { db.close(); } catch (e) {}
+    for (const ext of ['', '-wal', '-shm']) {
+      try { fs.unlinkSync(testDbPath + ext); } catch (e) {}
+    }
+    fs.rmSync(mediaDir, { recursive: true, force: true });
+  });
+
+  it('should store images locally and append their description to the caption', async () => {
+    const jpeg = Buffer.from('fake-jpeg-bytes');
+    const msg = mediaMessage('image', { body: 'Tu viens ?', mimetype: 'image/jpeg', data: jpeg, id: 'IMG1' });
+    assert.strictEqual(MediaService.isMedia(msg), true);
+    assert.strictEqual(MediaService.isMedia({ hasMedia: true, type: 'ptt' }), false);
+
+    const result = await service.processMedia(msg, { contactId: alice.id });
+    assert.strictEqual(result.body, 'Tu viens ?\n[image] Affiche: Concert de jazz le 12 mars à 20h, Salle del Castillo.\nEntrée CHF 25.');
+    assert.strictEqual(result.understood, true);
+    assert.strictEqual(result.mediaUrl, path.join(mediaDir, `${crypto.createHash('sha256').update(jpeg).digest('hex')}.jpg`));
+    assert.deepStrictEqual(fs.readFileSync(result.mediaUrl), jpeg);
+    assert.strictEqual(provider.requests[0].mimeType, 'image/jpeg');
+
+    const call = db.prepare(`SELECT * FROM ai_calls WHERE purpose = 'vision'`).get();
+    assert.strictEqual(call.contact_id, alice.id);
+    assert.strictEqual(call.total_tokens, 1040);
+
+    const messageId = repository.saveIncomingMessage(
+      new Message({ id: 'IMG1', from: alice.phone_number, body: result.body, timestamp: Date.now() }),
+      alice.id,
+      { mediaType: 'image', mediaUrl: result.mediaUrl }
+    );
+    assert.strictEqual(db.prepare('SELECT media_url FROM messages WHERE id = ?').get(messageId).media_url, result.mediaUrl);
+    assert.strictEqual(repository.search('castillo').results.length, 1);
+  });
+
+  it('should read text PDFs locally and fall back to vision only when possible', async () => {
+    const invoice = mediaMessage('document', { body: 'facture.pdf', mimetype: 'application/pdf', data: invoicePdf(), filename: 'facture.pdf' });
+    const result = await service.processMedia(invoice, { contactId: alice.id });
+
+    assert.strictEqual(result.body, '[document] facture.pdf: Facture N° 2024-117\nMontant dû: CHF 245.50\nEchéance: 15.11.2026');
+    assert.ok(result.mediaUrl.endsWith('.pdf'));
+    assert.strictEqual(provider.requests.length, 0);
+
+    // PDF scanné: pas de texte, et ce provider n'accepte pas les PDF
+    const scanned = mediaMessage('document', { mimetype: 'application/pdf', data: Buffer.from('%PDF-1.4\n%%EOF'), filename: 'scan.pdf' });
+    assert.deepStrictEqual(
+      { ...(await service.processMedia(scanned)), mediaUrl: null },
+      { body: '[document] scan.pdf: (contenu non lu)', mediaUrl: null, understood: false }
+    );
+
+    // Provider acceptant les PDF (Gemini): la vision prend le relais
+    provider.acceptsMedia = () => true;
+    assert.match((await service.processMedia(scanned)).body, /^\[document\] scan\.pdf: Affiche: Concert/);
+
+    // Téléchargement impossible ou vision désactivée: l'image reste visible
+    const lost = await service.processMedia(mediaMessage('image', { mimetype: 'image/jpeg', data: null }));
+    assert.deepStrictEqual(lost, { body: '[image] (image non analysée)', mediaUrl: null, understood: false });
+
+    const disabled = new MediaService({ ai: { providers: [{ provider: 'openai', apiKey: 'x' }], vision: { provider: 'none' } } }, repository);
+    assert.strictEqual(disabled.isEnabled, false);
+    assert.strictEqual(new MediaService({ ai: { providers: [{ provider: 'groq', apiKey: 'x' }] } }, repository).model, 'groq/meta-llama/llama-4-scout-17b-16e-instruct');
+  });
+
+  it('should bound the decompression of hostile PDFs and skip oversized files', async () => {
+    // Flux de quelques dizaines de Ko qui se décompresse en 32 Mo
+    const bomb = zlib.deflateSync(Buffer.concat([Buffer.from('BT (x) Tj ET '), Buffer.alloc(32 * 1024 * 1024, 0x20)]));
+    const pdf = Buffer.concat([
+      Buffer.from(`%PDF-1.4\n4 0 obj\n<< /Length ${bomb.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+      bomb,
+      Buffer.from('\nendstream\nendobj\n', 'latin1'),
+      invoicePdf().subarray('%PDF-1.4\n'.length)
+    ]);
+    assert.ok(pdf.length < 100 * 1024);
+
+    // Le flux piégé est ignoré, le texte de la facture reste lu
+    const result = await service.processMedia(mediaMessage('document', { mimetype: 'application/pdf', data: pdf, filename: 'bombe.pdf' }));
+    assert.match(result.body, /^\[document\] bombe\.pdf: Facture N° 2024-117/);
+
+    // Au-delà de VISION_MAX_MB: ni lecture locale ni vision
+    const small = new MediaService({ ai: { vision: { maxBytes: 100 } } }, repository, null, null, { provider });
+    const invoice = mediaMessage('document', { mimetype: 'application/pdf', data: invoicePdf(), filename: 'facture.pdf' });
+    assert.deepStrictEqual(await small.processMedia(invoice), { body: '[document] facture.pdf: (contenu non lu)', mediaUrl: null, understood: false });
+    assert.strictEqual(provider.requests.length, 0);
+  });
+
+  it('should give the report and event extraction the full extracted text', async () => {
+    const prompts = [];
+    global.fetch = async (url, options) => {
+      prompts.push(JSON.parse(options.body).messages.map(m => m.content).join('\n'));
+      return {
+        ok: true,
+        json: async () => ({
+          choices: [{ message: { content: JSON.stringify({ events: [], ambiguous: [], taches: [] }) } }],
+          usage: { prompt_tokens: 10, completion_tokens: 10, total_tokens: 20 }
+        })
+      };
+    };
+    const aiService = new AIService({ ai: { provider: 'openai', apiKey: 'test-key', cache: { enabled: false } } });
+
+    const body = `[document] facture.pdf: ${'Détail des prestations. '.repeat(15)}Montant dû: CHF 245.50, échéance 15.11.2026`;
+    const conversations = [{
+      contactName: 'Alice',
+      messages: [{ direction: 'incoming', body, timestamp: Date.now() }],
+      stats: { incoming: 1, outgoing: 0, categories: {}, urgencies: {} }
+    }];
+
+    await aiService.generateFullReport(conversations, {});
+    await aiService.extractEventsFromConversations(conversations);
+
+    assert.match(prompts[0], /CHF 245\.50, échéance 15\.11\.2026/);
+    assert.match(prompts[1], /CHF 245\.50, échéance 15\.11\.2026/);
+  });
+});
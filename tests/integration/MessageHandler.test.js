@@ -333,4 +333,171 @@ describe('MessageHandler Integration', () => {
       assert.strictEqual(mockRepository.messages[0].message_id, 'msg-001');
     });
   });
+
+  describe('reply approval', () => {
+    const createApprovalHandler = (approvalCategories) => {
+      mockTelegram.pending = [];
+      mockTelegram.options = [];
+      mockTelegram.sendMessage = async function(msg, options) {
+        this.messages.push(msg);
+        this.options.push(options);
+      };
+      mockTelegram.storePendingEvent = function(data, options) {
+        this.pending.push({ data, options });
+        return `rpl_${this.pending.length}`;
+      };
+
+      return new MessageHandler({
+        gatekeeper: mockGatekeeper,
+        openAI: mockOpenAI,
+        calendar: mockCalendar,
+        repository: mockRepository,
+        whatsapp: mockWhatsApp,
+        logger: mockLogger,
+        telegram: mockTelegram,
+        approvalCategories
+      });
+    };
+
+    it('should send the draft to Telegram instead of WhatsApp for approval categories', async () => {
+      const approvalHandler = createApprovalHandler(['personal']);
+
+      await approvalHandler.handle(new Message({ id: 'msg-001', from: 'user1@s.whatsapp.net', body: 'Hello' }));
+
+      assert.strictEqual(mockWhatsApp.messages.length, 0);
+      assert.strictEqual(mockRepository.responses.length, 0);
+      assert.strictEqual(mockRepository.analyses.length, 1);
+
+      assert.strictEqual(mockTelegram.pending.length, 1);
+      assert.strictEqual(mockTelegram.pending[0].data.reply, 'Test reply');
+      assert.strictEqual(mockTelegram.pending[0].data.to, 'user1@s.whatsapp.net');
+      assert.strictEqual(mockTelegram.pending[0].options.step, 'approve_reply');
+
+      const buttons = mockTelegram.options.at(-1).inlineKeyboard.flat().map(b => b.callback_data);
+      assert.deepStrictEqual(buttons, ['rsend_rpl_1', 'redit_rpl_1', 'rdrop_rpl_1', 'rauto_rpl_1']);
+    });
+
+    it('should send directly for other categories', async () => {
+      const approvalHandler = createApprovalHandler(['professional']);
+
+      await approvalHandler.handle(new Message({ id: 'msg-001', from: 'user1@s.whatsapp.net', body: 'Hello' }));
+
+      assert.strictEqual(mockWhatsApp.messages.length, 1);
+      assert.strictEqual(mockTelegram.pending.length, 0);
+      assert.strictEqual(mockRepository.responses[0].response_type, 'auto');
+    });
+
+    it('should let the contact reply mode override the category rule', async () => {
+      const approvalHandler = createApprovalHandler(['all']);
+      mockRepository.findOrCreateContact('auto@s.whatsapp.net').reply_mode = 'auto';
+      mockRepository.findOrCreateContact('vip@s.whatsapp.net').reply_mode = 'approve';
+
+      await approvalHandler.handle(new Message({ id: 'msg-001', from: 'auto@s.whatsapp.net', body: 'Hello' }));
+      assert.strictEqual(mockWhatsApp.messages.length, 1);
+
+      const strictHandler = createApprovalHandler([]);
+      await strictHandler.handle(new Message({ id: 'msg-002', from: 'vip@s.whatsapp.net', body: 'Hello' }));
+      assert.strictEqual(mockWhatsApp.messages.length, 1);
+      assert.strictEqual(mockTelegram.pending.length, 1);
+    });
+  });
+
+  describe('contact policy', () => {
+    it('should drop messages from ignored or blocked contacts', async () => {
+      mockRepository.findOrCreateContact('ignored@s.whatsapp.net').reply_mode = 'ignore';
+      mockRepository.findOrCreateContact('blocked@s.whatsapp.net').is_blocked = 1;
+      let analyzed = false;
+      mockOpenAI.analyzeMessage = async () => { analyzed = true; };
+
+      await handler.handle(new Message({ id: 'msg-001', from: 'ignored@s.whatsapp.net', body: 'Hello' }));
+      await handler.handle(new Message({ id: 'msg-002', from: 'blocked@s.whatsapp.net', body: 'Hello' }));
+
+      assert.strictEqual(analyzed, false);
+      assert.strictEqual(mockRepository.messages.length, 0);
+      assert.strictEqual(mockWhatsApp.messages.length, 0);
+    });
+
+    it('should save without analysis or reply for log-only contacts', async () => {
+      mockRepository.findOrCreateContact('log@s.whatsapp.net').reply_mode = 'log';
+      let analyzed = false;
+      mockOpenAI.analyzeMessage = async () => { analyzed = true; };
+
+      await handler.handle(new Message({ id: 'msg-001', from: 'log@s.whatsapp.net', body: 'Hello' }));
+
+      assert.strictEqual(analyzed, false);
+      assert.strictEqual(mockRepository.messages.length, 1);
+      assert.strictEqual(mockWhatsApp.messages.length, 0);
+    });
+
+    it('should pass the contact tone and language overrides to the AI', async () => {
+      const contact = mockRepository.findOrCreateContact('boss@s.whatsapp.net');
+      contact.reply_tone = 'formel';
+      contact.reply_language = 'en';
+      const analyze = mockOpenAI.analyzeMessage;
+      let options = null;
+      mockOpenAI.analyzeMessage = async (message, context, opts) => {
+        options = opts;
+        return analyze();
+      };
+
+      await handler.handle(new Message({ id: 'msg-001', from: 'boss@s.whatsapp.net', body: 'Hello' }));
+
+      assert.deepStrictEqual(options, { contactId: contact.id, tone: 'formel', language: 'en' });
+    });
+  });
+
+  describe('quiet hours', () => {
+    const createQuietHandler = () => {
+      const notified = [];
+      const awaySent = new Set();
+      const quietHours = {
+        notified,
+        isQuiet: () => true,
+        takeAwayReply(contactId) {
+          if (awaySent.has(contactId)) return null;
+          awaySent.add(contactId);
+          return 'Absent';
+        },
+        async notify(message, options) {
+          notified.push({ message, options });
+        }
+      };
+
+      const quietHandler = new MessageHandler({
+        gatekeeper: mockGatekeeper,
+        openAI: mockOpenAI,
+        calendar: mockCalendar,
+        repository: mockRepository,
+        whatsapp: mockWhatsApp,
+        logger: mockLogger,
+        telegram: mockTelegram,
+        quietHours
+      });
+      return { quietHandler, quietHours };
+    };
+
+    it('should send the away message once instead of the AI reply', async () => {
+      const { quietHandler } = createQuietHandler();
+
+      await quietHandler.handle(new Message({ id: 'msg-001', from: 'user1@s.whatsapp.net', body: 'Hello' }));
+      await quietHandler.handle(new Message({ id: 'msg-002', from: 'user1@s.whatsapp.net', body: 'Still there?' }));
+
+      assert.deepStrictEqual(mockWhatsApp.messages.map(m => m.content), ['Absent']);
+      assert.strictEqual(mockRepository.responses.length, 1);
+      assert.strictEqual(mockRepository.responses[0].response_type, 'away');
+      assert.strictEqual(mockRepository.analyses.length, 2);
+    });
+
+    it('should route alerts through quiet hours and flag critical ones', async () => {
+      const { quietHandler, quietHours } = createQuietHandler();
+      mockOpenAI.analyzeMessage = async () => ({
+        reply: 'Test reply', action: 'notify_admin', urgency: 'critical', category: 'personal'
+      });
+
+      await quietHandler.handle(new Message({ id: 'msg-001', from: 'user1@s.whatsapp.net', body: 'Help!' }));
+
+      assert.strictEqual(mockTelegram.messages.length, 0);
+      assert.deepStrictEqual(quietHours.notified.map(n => n.options.critical), [false, true]);
+    });
+  });
 });
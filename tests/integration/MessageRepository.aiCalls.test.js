@@ -0,0 +1,94 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import { SQLiteDatabase } from '../../src/repositories/Database.js';
+import { MessageRepository } from '../../src/repositories/MessageRepository.js';
+import { AIService } from '../../src/services/AIService.js';
+import { AIProvider, registerProvider } from '../../src/services/ai/AIProviderFactory.js';
+import { estimateCost } from '../../src/services/ai/ModelPricing.js';
+
+describe('MessageRepository AI calls ledger', () => {
+  const getTestDbPath = () => path.join(process.cwd(), 'tests', `test-db-aicalls-${Date.now()}-${Math.random().toString(36).slice(2)}.sqlite`);
+  let testDbPath;
+  let db;
+  let repository;
+
+  beforeEach(() => {
+    testDbPath = getTestDbPath();
+    db = new SQLiteDatabase({ database: { path: testDbPath } });
+    repository = new MessageRepository(db);
+  });
+
+  afterEach(() => {
+    if (db && db.close) try { db.close(); } catch (e) {}
+    for (const suffix of ['', '-wal', '-shm']) {
+      try { fs.unlinkSync(testDbPath + suffix); } catch (e) {}
+    }
+  });
+
+  it('should estimate costs from the price table', () => {
+    assert.strictEqual(estimateCost('openai', 'gpt-4o', 1_000_000, 0), 2.5);
+    // Variante datée: même prix que le modèle de base
+    assert.strictEqual(estimateCost('openai', 'gpt-4o-2024-08-06', 0, 1_000_000), 10);
+    assert.strictEqual(estimateCost('openai', 'gpt-4o-mini', 1_000_000, 0), 0.15);
+    assert.strictEqual(estimateCost('local', 'gpt-4o', 1_000_000, 1_000_000), 0);
+    assert.strictEqual(estimateCost('custom', 'unknown-model', 1000, 1000), 0);
+  });
+
+  it('should aggregate usage by period, purpose, model and contact', () => {
+    const alice = repository.findOrCreateContact('alice@c.us', { pushName: 'Alice' });
+    const old = Date.now() - 40 * 24 * 60 * 60 * 1000;
+
+    repository.saveAICall({ purpose: 'analysis', provider: 'openai', model: 'gpt-4o', contactId: alice.id, promptTokens: 100, completionTokens: 50, totalTokens: 150, latencyMs: 300, success: true, costUsd: 0.01 });
+    repository.saveAICall({ purpose: 'report', provider: 'gemini', model: 'gemini-2.0-flash', totalTokens: 1000, latencyMs: 900, success: true, costUsd: 0.002 });
+    repository.saveAICall({ purpose: 'report', provider: 'groq', model: 'llama-3.1-70b-versatile', latencyMs: 30000, success: false, error: 'timed out' });
+    repository.saveAICall({ purpose: 'analysis', provider: 'openai', model: 'gpt-4o', totalTokens: 5000, success: true, costUsd: 1, createdAt: old });
+
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const usage = repository.getAIUsageSince(today.getTime());
+
+    assert.strictEqual(usage.calls, 3);
+    assert.strictEqual(usage.failures, 1);
+    assert.strictEqual(usage.tokens, 1150);
+    assert.ok(Math.abs(usage.cost - 0.012) < 1e-9);
+
+    const breakdown = repository.getAIUsageBreakdown(today.getTime());
+    assert.deepStrictEqual(breakdown.byPurpose.map(r => r.purpose), ['analysis', 'report']);
+    assert.strictEqual(breakdown.byModel[0].model, 'gpt-4o');
+    assert.strictEqual(breakdown.byContact.length, 1);
+    assert.strictEqual(breakdown.byContact[0].push_name, 'Alice');
+  });
+
+  it('should record every AIService call with purpose, model and cost', async () => {
+    class LedgerProvider extends AIProvider {
+      static id = 'ledger-test';
+      static defaultModel = 'gpt-4o';
+
+      async complete() {
+        return this._result(JSON.stringify({ reply: 'ok', action: 'none', urgency: 'low', category: 'other', confidence: 1 }), {
+          promptTokens: 1000,
+          completionTokens: 500
+        });
+      }
+    }
+    registerProvider(LedgerProvider);
+
+    const contact = repository.findOrCreateContact('bob@c.us', { pushName: 'Bob' });
+    const service = new AIService({ ai: { provider: 'ledger-test', apiKey: 'unused' } }, { repository });
+
+    const analysis = await service.analyzeMessage({ body: 'hello', from: 'bob@c.us' }, [], { contactId: contact.id });
+    await service.generateBriefing({ total: 1 });
+
+    assert.strictEqual(analysis.model, 'gpt-4o');
+    assert.strictEqual(analysis.provider, 'ledger-test');
+
+    const rows = db.prepare('SELECT * FROM ai_calls ORDER BY id').all();
+    assert.deepStrictEqual(rows.map(r => r.purpose), ['analysis', 'briefing']);
+    assert.strictEqual(rows[0].contact_id, contact.id);
+    assert.strictEqual(rows[0].total_tokens, 1500);
+    assert.strictEqual(rows[0].success, 1);
+    assert.ok(Math.abs(rows[0].cost_usd - estimateCost('ledger-test', 'gpt-4o', 1000, 500)) < 1e-9);
+  });
+});
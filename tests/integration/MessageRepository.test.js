@@ -81,6 +81,28 @@ describe('MessageRepository Integration', () => {
       assert.ok(contact);
       assert.strictEqual(contact.push_name, 'John');
     });
+
+    it('should find contacts and manage their policy profile', () => {
+      const john = repository.findOrCreateContact('33611111111@s.whatsapp.net', { pushName: 'John' });
+      repository.findOrCreateContact('33622222222@s.whatsapp.net', { pushName: 'Jane' });
+      repository.findOrCreateContact('group@g.us', { pushName: 'John fans', isGroup: true });
+
+      assert.deepStrictEqual(repository.findContacts('john').map(c => c.id), [john.id]);
+      assert.strictEqual(repository.findContacts('3362').length, 1);
+
+      repository.blockContact(john.phone_number);
+      repository.updateContactProfile(john.id, { isVip: true, tone: 'formel' });
+      assert.strictEqual(repository.getContactsWithPolicy().length, 1);
+
+      // Choisir une autre politique débloque le contact
+      repository.setContactReplyMode(john.id, 'log');
+      const updated = repository.getContactById(john.id);
+      assert.strictEqual(updated.is_blocked, 0);
+      assert.strictEqual(updated.reply_mode, 'log');
+      assert.strictEqual(updated.is_vip, 1);
+      assert.strictEqual(updated.reply_tone, 'formel');
+      assert.strictEqual(updated.reply_language, null);
+    });
   });
 
   describe('Messages', () => {
@@ -0,0 +1,128 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import { SQLiteDatabase } from '../../src/repositories/Database.js';
+import { MessageRepository, SEARCH_MARKERS } from '../../src/repositories/MessageRepository.js';
+import { TelegramService } from '../../src/services/TelegramService.js';
+import { TelegramCommandHandler } from '../../src/handlers/TelegramCommandHandler.js';
+import { Message } from '../../src/domain/Message.js';
+
+// Octobre 2026, heure locale
+const at = (day, hours = 12) => new Date(2026, 9, day, hours).getTime();
+
+describe('Full-text message search', () => {
+  const getTestDbPath = () => path.join(process.cwd(), 'tests', `test-db-search-${Date.now()}-${Math.random().toString(36).slice(2)}.sqlite`);
+  let testDbPath;
+  let db;
+  let repository;
+  let alice;
+  let bob;
+  let messageCount;
+
+  const receive = (contact, timestamp, body, category = null) => {
+    const id = repository.saveIncomingMessage(
+      new Message({ id: `in-${++messageCount}`, from: contact.phone_number, body, timestamp }),
+      contact.id
+    );
+    if (category) repository.saveAnalysis(id, { category, urgency: 'low' });
+    return id;
+  };
+
+  beforeEach(() => {
+    testDbPath = getTestDbPath();
+    db = new SQLiteDatabase({ database: { path: testDbPath } });
+    repository = new MessageRepository(db);
+    messageCount = 0;
+
+    alice = repository.findOrCreateContact('alice@s.whatsapp.net', { pushName: 'Alice' });
+    bob = repository.findOrCreateContact('bob@s.whatsapp.net', { pushName: 'Bob Martin' });
+  });
+
+  afterEach(() => {
+    if (db && db.close) try { db.close(); } catch (e) {}
+    for (const suffix of ['', '-wal', '-shm']) {
+      try { fs.unlinkSync(testDbPath + suffix); } catch (e) {}
+    }
+  });
+
+  it('should find messages by word prefix, ignoring accents and FTS syntax', () => {
+    receive(alice, at(10), 'La réunion de lundi est déplacée', 'professional');
+    receive(bob, at(12), 'Tu as reçu les factures ?');
+    repository.saveOutgoingMessage('out-1', bob.id, 'Oui, la facture est payée', at(13));
+
+    const { total, results } = repository.search('reunion');
+    assert.strictEqual(total, 1);
+    assert.strictEqual(results[0].push_name, 'Alice');
+    assert.strictEqual(results[0].snippet, `La ${SEARCH_MARKERS.start}réunion${SEARCH_MARKERS.end} de lundi est déplacée`);
+
+    // Préfixe et plus récent d'abord
+    assert.deepStrictEqual(repository.search('factur').results.map(r => r.direction), ['outgoing', 'incoming']);
+
+    assert.strictEqual(repository.search('facture"*) ^').total, 2);
+    assert.deepStrictEqual(repository.search('?!'), { total: 0, results: [] });
+  });
+
+  it('should apply contact, date, direction and category filters', () => {
+    receive(alice, at(5), 'Projet volley samedi', 'personal');
+    receive(bob, at(10), 'Projet client à rendre', 'professional');
+    repository.saveOutgoingMessage('out-1', bob.id, 'Projet bien reçu', at(15));
+
+    assert.strictEqual(repository.search('projet').total, 3);
+    assert.strictEqual(repository.search('projet', { contact: 'martin' }).total, 2);
+    assert.strictEqual(repository.search('projet', { contact: alice.id }).total, 1);
+    assert.strictEqual(repository.search('projet', { from: at(6), to: at(14) }).total, 1);
+    assert.strictEqual(repository.search('projet', { direction: 'outgoing' }).results[0].body, 'Projet bien reçu');
+    assert.strictEqual(repository.search('projet', { category: 'professional' }).results[0].push_name, 'Bob Martin');
+  });
+
+  it('should keep the index in sync on update and delete, and backfill on migration', () => {
+    const id = receive(alice, at(10), 'Apéro ce soir');
+    db.prepare('UPDATE messages SET body = ? WHERE id = ?').run('Cinéma ce soir', id);
+    assert.strictEqual(repository.search('apero').total, 0);
+    assert.strictEqual(repository.search('cinema').total, 1);
+
+    db.prepare('DELETE FROM messages WHERE id = ?').run(id);
+    assert.strictEqual(repository.search('cinema').total, 0);
+
+    // Historique antérieur à la migration
+    receive(bob, at(11), 'Ancien message archivé');
+    db.exec('DROP TABLE messages_fts');
+    db.exec(`DELETE FROM schema_migrations WHERE version = 10`);
+    db.close();
+    db = new SQLiteDatabase({ database: { path: testDbPath } });
+    repository = new MessageRepository(db);
+    assert.strictEqual(repository.search('archive').total, 1);
+  });
+
+  it('should paginate /search results with a "more" button', async () => {
+    for (let day = 1; day <= 7; day++) {
+      receive(alice, at(day), `Rappel numéro ${day} pour le dentiste`);
+    }
+
+    const telegram = new TelegramService({ telegram: {} }, { repository });
+    const sent = [];
+    const commands = new Map();
+    const callbacks = new Map();
+    telegram.sendMessage = async (message, options = {}) => { sent.push({ message, options }); };
+    telegram.onCommand = (name, handler) => commands.set(name, handler);
+    telegram.onCallback = (prefix, handler) => callbacks.set(prefix, handler);
+    telegram.startPolling = () => {};
+    const logger = { info: () => {}, error: () => {}, warn: () => {}, debug: () => {} };
+    new TelegramCommandHandler({ telegram, messageRepo: repository, config: { features: {} }, logger }).registerAll();
+
+    await commands.get('search')(['dentiste', 'contact:alice', 'du:2026-10-02']);
+    assert.match(sent[0].message, /"dentiste"<\/b> · 1-5 sur 6/);
+    assert.match(sent[0].message, /Rappel numéro 7 pour le <b>dentiste<\/b>/);
+    assert.doesNotMatch(sent[0].message, /numéro 1 /);
+
+    const [[more]] = sent[0].options.inlineKeyboard;
+    assert.strictEqual(more.text, '➡️ Plus de résultats (1)');
+    await callbacks.get('smore_')(more.callback_data);
+    assert.match(sent[1].message, /6-6 sur 6[\s\S]*numéro 2 /);
+    assert.strictEqual(sent[1].options.inlineKeyboard, undefined);
+
+    await commands.get('search')(['contact:bob']);
+    assert.match(sent[2].message, /Usage: \/search/);
+  });
+});
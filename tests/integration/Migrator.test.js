@@ -0,0 +1,161 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { Migrator } from '../../src/repositories/Migrator.js';
+import { SQLiteDatabase } from '../../src/repositories/Database.js';
+import { DatabaseError } from '../../src/utils/Errors.js';
+
+describe('Migrator Integration', () => {
+  const getTestDbPath = () => path.join(process.cwd(), 'tests', `test-db-migrator-${Date.now()}-${Math.random().toString(36).slice(2)}.sqlite`);
+  let testDbPath;
+  let db;
+
+  const tableExists = (name) => !!db.prepare(
+    "SELECT name FROM sqlite_master WHERE type='table' AND name=?"
+  ).get(name);
+
+  const fakeMigrations = () => [
+    {
+      file: '001_create_foo.js',
+      up: (conn) => conn.exec('CREATE TABLE foo (id INTEGER PRIMARY KEY)'),
+      down: (conn) => conn.exec('DROP TABLE foo')
+    },
+    {
+      file: '002_create_bar.js',
+      up: (conn) => conn.exec('CREATE TABLE bar (id INTEGER PRIMARY KEY)'),
+      down: (conn) => conn.exec('DROP TABLE bar')
+    }
+  ];
+
+  beforeEach(() => {
+    testDbPath = getTestDbPath();
+    db = new Database(testDbPath);
+  });
+
+  afterEach(() => {
+    if (db?.open) try { db.close(); } catch (e) {}
+    for (const suffix of ['', '-wal', '-shm']) {
+      try { fs.unlinkSync(testDbPath + suffix); } catch (e) {}
+    }
+  });
+
+  it('should apply pending migrations in order and record checksums', () => {
+    const migrator = new Migrator(db, fakeMigrations());
+
+    const applied = migrator.migrate();
+
+    assert.deepStrictEqual(applied.map(m => m.version), [1, 2]);
+    assert.strictEqual(migrator.getCurrentVersion(), 2);
+    assert.ok(tableExists('foo'));
+    assert.ok(tableExists('bar'));
+
+    const rows = db.prepare('SELECT * FROM schema_migrations ORDER BY version').all();
+    assert.strictEqual(rows.length, 2);
+    assert.strictEqual(rows[0].name, 'create_foo');
+    assert.match(rows[0].checksum, /^[a-f0-9]{64}$/);
+  });
+
+  it('should be idempotent', () => {
+    new Migrator(db, fakeMigrations()).migrate();
+    const second = new Migrator(db, fakeMigrations()).migrate();
+
+    assert.strictEqual(second.length, 0);
+  });
+
+  it('should not apply anything in dry-run mode', () => {
+    const migrator = new Migrator(db, fakeMigrations());
+
+    const pending = migrator.migrate({ dryRun: true });
+
+    assert.strictEqual(pending.length, 2);
+    assert.strictEqual(migrator.getCurrentVersion(), 0);
+    assert.ok(!tableExists('foo'));
+  });
+
+  it('should roll back the last N migrations', () => {
+    const migrator = new Migrator(db, fakeMigrations());
+    migrator.migrate();
+
+    const rolledBack = migrator.rollback(1);
+
+    assert.deepStrictEqual(rolledBack.map(m => m.version), [2]);
+    assert.strictEqual(migrator.getCurrentVersion(), 1);
+    assert.ok(tableExists('foo'));
+    assert.ok(!tableExists('bar'));
+    assert.strictEqual(migrator.getStatus().find(s => s.version === 2).status, 'pending');
+  });
+
+  it('should refuse to migrate when an applied migration was modified', () => {
+    new Migrator(db, fakeMigrations()).migrate();
+
+    const changed = fakeMigrations();
+    changed[0].up = (conn) => conn.exec('CREATE TABLE foo (id INTEGER PRIMARY KEY, extra TEXT)');
+    const migrator = new Migrator(db, changed);
+
+    assert.strictEqual(migrator.getStatus()[0].status, 'modified');
+    assert.throws(() => migrator.migrate(), DatabaseError);
+  });
+
+  it('should roll back a failing migration without recording it', () => {
+    const migrations = [
+      ...fakeMigrations(),
+      {
+        file: '003_broken.js',
+        up: (conn) => {
+          conn.exec('CREATE TABLE baz (id INTEGER PRIMARY KEY)');
+          conn.exec('THIS IS NOT SQL');
+        },
+        down: () => {}
+      }
+    ];
+    const migrator = new Migrator(db, migrations);
+
+    assert.throws(() => migrator.migrate(), /Migration 3 \(broken\) failed/);
+    assert.strictEqual(migrator.getCurrentVersion(), 2);
+    assert.ok(!tableExists('baz'));
+  });
+
+  it('should reject invalid migration file names', () => {
+    assert.throws(
+      () => new Migrator(db, [{ file: 'create_foo.js', up: () => {}, down: () => {} }]),
+      DatabaseError
+    );
+  });
+
+  it('should adopt a legacy database created before schema_migrations', () => {
+    // Base créée par l'ancien init(): tables présentes, pas de schema_migrations
+    db.exec(`
+      CREATE TABLE contacts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        phone_number TEXT UNIQUE NOT NULL,
+        display_name TEXT,
+        push_name TEXT,
+        is_group INTEGER DEFAULT 0,
+        is_blocked INTEGER DEFAULT 0,
+        first_seen_at INTEGER NOT NULL,
+        last_seen_at INTEGER NOT NULL,
+        total_messages_received INTEGER DEFAULT 0,
+        total_messages_sent INTEGER DEFAULT 0,
+        created_at INTEGER,
+        updated_at INTEGER
+      );
+      INSERT INTO contacts (phone_number, first_seen_at, last_seen_at) VALUES ('legacy@c.us', 1, 1);
+      CREATE TABLE conversations (id INTEGER PRIMARY KEY, sender_id TEXT);
+    `);
+    db.close();
+
+    const database = new SQLiteDatabase({ database: { path: testDbPath } });
+    try {
+      assert.ok(database.getSchemaVersion() >= 1);
+      const contact = database.prepare('SELECT * FROM contacts WHERE phone_number = ?').get('legacy@c.us');
+      assert.ok(contact, 'existing data should be preserved');
+      const columns = database.prepare('PRAGMA table_info(conversations)').all().map(c => c.name);
+      assert.ok(columns.includes('contact_id'));
+      assert.ok(!columns.includes('sender_id'));
+    } finally {
+      database.close();
+    }
+  });
+});
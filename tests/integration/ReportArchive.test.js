@@ -0,0 +1,79 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import { SQLiteDatabase } from '../../src/repositories/Database.js';
+import { MessageRepository } from '../../src/repositories/MessageRepository.js';
+import { CronService } from '../../src/services/CronService.js';
+
+describe('Report archive', () => {
+  const getTestDbPath = () => path.join(process.cwd(), 'tests', `test-db-reports-${Date.now()}-${Math.random().toString(36).slice(2)}.sqlite`);
+  let testDbPath;
+  let db;
+  let repository;
+  let sent;
+  let cronService;
+  let nextReport;
+
+  beforeEach(() => {
+    testDbPath = getTestDbPath();
+    db = new SQLiteDatabase({ database: { path: testDbPath } });
+    repository = new MessageRepository(db);
+    sent = [];
+
+    const config = { features: { enableDailyBriefing: false } };
+    const logger = { info: () => {}, error: () => {}, warn: () => {} };
+    const telegram = { sendMessage: async (message) => { sent.push(message); } };
+    const aiService = { generateFullReport: async () => nextReport };
+    cronService = new CronService(config, repository, telegram, logger, aiService);
+  });
+
+  afterEach(() => {
+    if (db && db.close) try { db.close(); } catch (e) {}
+    for (const suffix of ['', '-wal', '-shm']) {
+      try { fs.unlinkSync(testDbPath + suffix); } catch (e) {}
+    }
+  });
+
+  it('should archive every report with its raw data, stats and model', async () => {
+    nextReport = {
+      formatted: '<b>Rapport 1</b>',
+      raw: { messages_actionnables: [], taches: [{ titre: 'Payer la facture' }] },
+      provider: 'gemini',
+      model: 'gemini-2.0-flash'
+    };
+    await cronService.generateAndSendReport();
+
+    const archived = repository.getLatestReport({ date: CronService.localDate() });
+    assert.strictEqual(archived.formatted, '<b>Rapport 1</b>');
+    assert.deepStrictEqual(archived.raw, nextReport.raw);
+    assert.strictEqual(archived.model, 'gemini-2.0-flash');
+    assert.strictEqual(archived.stats.received, 0);
+    assert.strictEqual(repository.getLatestReport({ date: '2000-01-01' }), null);
+  });
+
+  it('should append what changed since the previous report', async () => {
+    nextReport = {
+      formatted: 'Rapport 1',
+      raw: { messages_actionnables: [], taches: [{ titre: 'Payer la facture' }] }
+    };
+    await cronService.generateAndSendReport();
+
+    nextReport = {
+      formatted: 'Rapport 2',
+      raw: {
+        messages_actionnables: [{ expediteur: 'Julie', message_original: 'Dîner ?', action_requise: 'Répondre à Julie' }],
+        taches: []
+      }
+    };
+    await cronService.generateAndSendReport();
+
+    assert.doesNotMatch(sent[0], /DEPUIS LE DERNIER RAPPORT/);
+    assert.match(sent[1], /^Rapport 2[\s\S]*DEPUIS LE DERNIER RAPPORT[\s\S]*Répondre à Julie[\s\S]*Payer la facture/);
+
+    const reports = repository.getRecentReports();
+    assert.strictEqual(reports.length, 2);
+    assert.ok(reports.every(r => r.hasAI));
+    assert.match(repository.getReportById(reports[0].id).formatted, /DEPUIS LE DERNIER RAPPORT/);
+  });
+});
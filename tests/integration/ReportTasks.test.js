@@ -0,0 +1,106 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import { SQLiteDatabase } from '../../src/repositories/Database.js';
+import { MessageRepository } from '../../src/repositories/MessageRepository.js';
+import { CronService } from '../../src/services/CronService.js';
+import { Message } from '../../src/domain/Message.js';
+
+describe('Report tasks lifecycle', () => {
+  const getTestDbPath = () => path.join(process.cwd(), 'tests', `test-db-tasks-${Date.now()}-${Math.random().toString(36).slice(2)}.sqlite`);
+  let testDbPath;
+  let db;
+  let repository;
+  let cronService;
+  let nextTasks;
+  let handledTasksSeen;
+
+  beforeEach(() => {
+    testDbPath = getTestDbPath();
+    db = new SQLiteDatabase({ database: { path: testDbPath } });
+    repository = new MessageRepository(db);
+    handledTasksSeen = [];
+
+    const config = { features: { enableDailyBriefing: false } };
+    const logger = { info: () => {}, error: () => {}, warn: () => {} };
+    const telegram = { sendMessage: async () => {} };
+    const aiService = {
+      generateFullReport: async (conversations, stats, agenda, calendar, { handledTasks }) => {
+        handledTasksSeen.push(handledTasks.map(t => t.title));
+        return { formatted: 'rapport', raw: { messages_actionnables: [], taches: nextTasks } };
+      }
+    };
+    cronService = new CronService(config, repository, telegram, logger, aiService);
+  });
+
+  afterEach(() => {
+    if (db && db.close) try { db.close(); } catch (e) {}
+    for (const suffix of ['', '-wal', '-shm']) {
+      try { fs.unlinkSync(testDbPath + suffix); } catch (e) {}
+    }
+  });
+
+  it('should store report tasks once, linked to their source contact and message', async () => {
+    const marc = repository.findOrCreateContact('marc@s.whatsapp.net', { pushName: 'Marc' });
+    repository.saveIncomingMessage(
+      new Message({ id: 'msg-1', from: marc.phone_number, body: 'Tu peux me rappeler ?', timestamp: Date.now() }),
+      marc.id
+    );
+
+    nextTasks = [{ titre: 'Rappeler Marc', priorite: 'haute', source: 'marc' }];
+    await cronService.generateAndSendReport();
+    nextTasks = [{ titre: 'rappeler marc !', priorite: 'haute', deadline: 'Vendredi', source: 'Marc' }];
+    await cronService.generateAndSendReport();
+
+    const tasks = repository.getOpenTasks();
+    assert.strictEqual(tasks.length, 1);
+    assert.strictEqual(tasks[0].title, 'Rappeler Marc');
+    assert.strictEqual(tasks[0].seen_count, 2);
+    assert.strictEqual(tasks[0].due_date, 'Vendredi');
+    assert.strictEqual(tasks[0].contact_id, marc.id);
+    assert.ok(tasks[0].source_message_id);
+    assert.ok(tasks[0].report_id);
+  });
+
+  it('should not link a task to a source name shared by several contacts', async () => {
+    repository.findOrCreateContact('marc@s.whatsapp.net', { pushName: 'Marc' });
+    repository.findOrCreateContact('marc.pro@s.whatsapp.net', { pushName: 'Marc' });
+
+    nextTasks = [{ titre: 'Rappeler Marc', source: 'Marc' }];
+    await cronService.generateAndSendReport();
+
+    const [task] = repository.getOpenTasks();
+    assert.strictEqual(task.source, 'Marc');
+    assert.strictEqual(task.contact_id, null);
+    assert.strictEqual(task.source_message_id, null);
+  });
+
+  it('should not bring back done or dismissed tasks in the next reports', async () => {
+    nextTasks = [{ titre: 'Payer la facture' }, { titre: 'Réserver le resto' }, { titre: 'Envoyer le devis' }];
+    await cronService.generateAndSendReport();
+
+    const [facture, resto] = repository.getOpenTasks().sort((a, b) => a.id - b.id);
+    repository.updateTaskStatus(facture.id, 'done');
+    repository.updateTaskStatus(resto.id, 'dismissed');
+
+    await cronService.generateAndSendReport();
+
+    assert.deepStrictEqual(handledTasksSeen[0], []);
+    assert.deepStrictEqual(handledTasksSeen[1].sort(), ['Payer la facture', 'Réserver le resto']);
+    assert.deepStrictEqual(repository.getOpenTasks().map(t => t.title), ['Envoyer le devis']);
+    assert.strictEqual(repository.getTaskById(facture.id).status, 'done');
+  });
+
+  it('should hide snoozed tasks until the snooze ends', () => {
+    const { id } = repository.upsertReportTask({ key: 'payer la facture', title: 'Payer la facture' });
+    const until = Date.now() + 60 * 60 * 1000;
+    repository.snoozeTask(id, until);
+
+    assert.strictEqual(repository.getOpenTasks().length, 0);
+    assert.deepStrictEqual(repository.getSuppressedTasks().map(t => t.title), ['Payer la facture']);
+
+    assert.strictEqual(repository.getOpenTasks(20, until).length, 1);
+    assert.strictEqual(repository.getSuppressedTasks({ now: until }).length, 0);
+  });
+});
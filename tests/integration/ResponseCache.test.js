@@ -0,0 +1,88 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import { SQLiteDatabase } from '../../src/repositories/Database.js';
+import { MessageRepository } from '../../src/repositories/MessageRepository.js';
+import { AIProvider } from '../../src/services/ai/AIProviderFactory.js';
+import { ProviderChain } from '../../src/services/ai/ProviderChain.js';
+import { ResponseCache } from '../../src/services/ai/ResponseCache.js';
+
+class CountingProvider extends AIProvider {
+  static id = 'counting';
+  static defaultModel = 'count-1';
+  calls = 0;
+
+  async complete({ prompt }) {
+    this.calls++;
+    return this._result(JSON.stringify({ echo: prompt, n: this.calls }), { promptTokens: 10, completionTokens: 5 });
+  }
+}
+
+describe('ResponseCache Integration', () => {
+  const getTestDbPath = () => path.join(process.cwd(), 'tests', `test-db-cache-${Date.now()}-${Math.random().toString(36).slice(2)}.sqlite`);
+  let testDbPath;
+  let db;
+  let repository;
+  let now;
+  let provider;
+  let cache;
+  let chain;
+
+  beforeEach(() => {
+    testDbPath = getTestDbPath();
+    db = new SQLiteDatabase({ database: { path: testDbPath } });
+    repository = new MessageRepository(db);
+    now = 1_000_000;
+    provider = new CountingProvider({ apiKey: 'key' });
+    cache = new ResponseCache(repository, { ttlMs: 1000, now: () => now });
+    chain = new ProviderChain([provider], { cache });
+  });
+
+  afterEach(() => {
+    if (db && db.close) try { db.close(); } catch (e) {}
+    for (const suffix of ['', '-wal', '-shm']) {
+      try { fs.unlinkSync(testDbPath + suffix); } catch (e) {}
+    }
+  });
+
+  it('should serve identical cacheable prompts from SQLite until the TTL expires', async () => {
+    const first = await chain.completeJSON({ prompt: 'report', cache: true });
+    const second = await chain.completeJSON({ prompt: 'report', cache: true });
+
+    assert.strictEqual(provider.calls, 1);
+    assert.deepStrictEqual(second.data, first.data);
+    assert.strictEqual(second.cached, true);
+    assert.strictEqual(second.usage.totalTokens, 0);
+
+    now += 1000;
+    const expired = await chain.completeJSON({ prompt: 'report', cache: true });
+    assert.strictEqual(provider.calls, 2);
+    assert.strictEqual(expired.data.n, 2);
+
+    assert.deepStrictEqual(
+      { hits: cache.getStats().hits, misses: cache.getStats().misses },
+      { hits: 1, misses: 2 }
+    );
+  });
+
+  it('should key entries on prompt and parameters and ignore non-cacheable requests', async () => {
+    await chain.complete({ prompt: 'a', cache: true });
+    await chain.complete({ prompt: 'b', cache: true });
+    await chain.complete({ prompt: 'a', cache: true, temperature: 0.9 });
+    await chain.complete({ prompt: 'a' });
+
+    assert.strictEqual(provider.calls, 4);
+    assert.strictEqual(cache.getStats().entries, 3);
+  });
+
+  it('should survive a restart', async () => {
+    await chain.complete({ prompt: 'persisted', cache: true });
+
+    const restarted = new ProviderChain([provider], { cache: new ResponseCache(repository, { ttlMs: 1000, now: () => now }) });
+    const result = await restarted.complete({ prompt: 'persisted', cache: true });
+
+    assert.strictEqual(provider.calls, 1);
+    assert.strictEqual(result.cached, true);
+  });
+});
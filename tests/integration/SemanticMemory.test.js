@@ -0,0 +1,153 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import { SQLiteDatabase } from '../../src/repositories/Database.js';
+import { MessageRepository } from '../../src/repositories/MessageRepository.js';
+import { MemoryService } from '../../src/services/MemoryService.js';
+import { TelegramService } from '../../src/services/TelegramService.js';
+import { TelegramCommandHandler } from '../../src/handlers/TelegramCommandHandler.js';
+import { Message } from '../../src/domain/Message.js';
+
+// Octobre 2026, heure locale
+const at = (day, hours = 12) => new Date(2026, 9, day, hours).getTime();
+
+// Embeddings "sac de mots": une dimension par mot connu
+const VOCABULARY = ['facture', 'payer', 'montant', 'volley', 'samedi', 'match', 'loyer', 'appartement'];
+
+function createFakeProvider() {
+  const provider = {
+    name: 'local',
+    embeddingModel: 'fake',
+    calls: 0,
+    embed: async ({ texts }) => {
+      provider.calls++;
+      return {
+        vectors: texts.map(text => VOCABULARY.map(word => (text.toLowerCase().includes(word) ? 1 : 0)).concat(0.01)),
+        usage: { promptTokens: texts.length * 10, completionTokens: 0, totalTokens: texts.length * 10 }
+      };
+    }
+  };
+  return provider;
+}
+
+describe('Semantic memory', () => {
+  const getTestDbPath = () => path.join(process.cwd(), 'tests', `test-db-memory-${Date.now()}-${Math.random().toString(36).slice(2)}.sqlite`);
+  let testDbPath;
+  let db;
+  let repository;
+  let provider;
+  let memory;
+  let alice;
+  let bob;
+  let messageCount;
+
+  const receive = (contact, timestamp, body) => repository.saveIncomingMessage(
+    new Message({ id: `in-${++messageCount}`, from: contact.phone_number, body, timestamp }),
+    contact.id
+  );
+
+  beforeEach(() => {
+    testDbPath = getTestDbPath();
+    db = new SQLiteDatabase({ database: { path: testDbPath } });
+    repository = new MessageRepository(db);
+    provider = createFakeProvider();
+    memory = new MemoryService({ ai: {} }, repository, null, { provider });
+    messageCount = 0;
+
+    alice = repository.findOrCreateContact('alice@s.whatsapp.net', { pushName: 'Alice' });
+    bob = repository.findOrCreateContact('bob@s.whatsapp.net', { pushName: 'Bob' });
+  });
+
+  afterEach(() => {
+    if (db && db.close) try { db.close(); } catch (e) {}
+    for (const suffix of ['', '-wal', '-shm']) {
+      try { fs.unlinkSync(testDbPath + suffix); } catch (e) {}
+    }
+  });
+
+  it('should index history in batches, skipping short messages', async () => {
+    receive(alice, at(1), 'Tu as reçu la facture du plombier ?');
+    receive(alice, at(2), 'ok merci');
+    repository.saveOutgoingMessage('out-1', bob.id, 'Match de volley samedi ?', at(3));
+
+    assert.strictEqual(await memory.indexPending(), 2);
+    assert.strictEqual(await memory.indexPending(), 0);
+    assert.strictEqual(repository.countMessageEmbeddings('local/fake'), 2);
+
+    const call = db.prepare(`SELECT * FROM ai_calls WHERE purpose = 'embedding'`).get();
+    assert.strictEqual(call.provider, 'local');
+    assert.strictEqual(call.prompt_tokens, 20);
+  });
+
+  it('should recall older related messages and open tasks of the same contact', async () => {
+    receive(alice, at(1), 'Le montant de la facture est de 120 euros');
+    receive(alice, at(2), 'On fait un match de volley samedi ?');
+    receive(bob, at(2), 'Bob: la facture est à payer avant lundi');
+    await memory.indexPending();
+    repository.upsertReportTask({ key: 'payer-facture-alice', title: 'Payer la facture', dueDate: '2026-10-25', contactId: alice.id });
+
+    const messageId = receive(alice, at(10), 'Tu as pu payer la facture ?');
+    const result = await memory.recallForMessage({ messageId, contactId: alice.id, body: 'Tu as pu payer la facture ?', before: at(9) });
+
+    assert.deepStrictEqual(result.messages.map(m => m.body), ['Le montant de la facture est de 120 euros']);
+    assert.ok(result.messages[0].score > 0.35);
+    assert.deepStrictEqual(result.facts, ['Tâche en cours: Payer la facture (échéance: 2026-10-25)']);
+
+    // Le message entrant est indexé par le même appel
+    assert.strictEqual(repository.countMessageEmbeddings('local/fake'), 4);
+
+    // /ask cherche tous contacts confondus
+    const recalled = await memory.recall('facture à payer');
+    assert.strictEqual(recalled[0].body, 'Bob: la facture est à payer avant lundi');
+  });
+
+  it('should never fail the analysis and stay off without provider', async () => {
+    provider.embed = async () => { throw new Error('connection refused'); };
+    const messageId = receive(alice, at(1), 'Le loyer de l\'appartement');
+    const result = await memory.recallForMessage({ messageId, contactId: alice.id, body: 'Le loyer de l\'appartement' });
+    assert.deepStrictEqual(result, { messages: [], facts: [] });
+
+    const disabled = new MemoryService({ ai: { providers: [{ provider: 'openai', apiKey: 'x' }], embeddings: { provider: 'none' } } }, repository);
+    assert.strictEqual(disabled.isEnabled, false);
+    assert.deepStrictEqual(await disabled.recall('loyer'), []);
+
+    const budget = { isExhausted: () => true };
+    const exhausted = new MemoryService({ ai: {} }, repository, null, { provider: createFakeProvider(), budget });
+    assert.strictEqual(await exhausted.indexPending(), 0);
+  });
+
+  it('should answer /ask from recalled messages with their sources', async () => {
+    receive(alice, at(1), 'Le loyer de l\'appartement passe à 900 euros');
+    receive(bob, at(2), 'Match de volley samedi à 14h');
+    await memory.indexPending();
+
+    const telegram = new TelegramService({ telegram: {} }, { repository });
+    const sent = [];
+    const commands = new Map();
+    telegram.sendMessage = async (message) => { sent.push(message); };
+    telegram.onCommand = (name, handler) => commands.set(name, handler);
+    telegram.onCallback = () => {};
+    telegram.startPolling = () => {};
+    const questions = [];
+    const aiService = {
+      answerFromMemory: async (question, memories) => {
+        questions.push({ question, memories });
+        return { answer: 'Le loyer passe à 900 €.', sourceIds: [memories[0].id] };
+      }
+    };
+    const logger = { info: () => {}, error: () => {}, warn: () => {}, debug: () => {} };
+    new TelegramCommandHandler({ telegram, messageRepo: repository, aiService, memory, config: { features: {} }, logger }).registerAll();
+
+    await commands.get('ask')(['Combien', 'coûte', 'le', 'loyer', '?']);
+    assert.strictEqual(questions[0].memories.length, 1);
+    assert.match(sent.at(-1), /Le loyer passe à 900 €\.[\s\S]*Sources:[\s\S]*Alice/);
+    assert.doesNotMatch(sent.at(-1), /volley/);
+
+    await commands.get('ask')(['et', 'la', 'piscine', '?']);
+    assert.match(sent.at(-1), /Rien de pertinent/);
+
+    await commands.get('ask')([]);
+    assert.match(sent.at(-1), /Usage: \/ask/);
+  });
+});
@@ -0,0 +1,231 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import { SQLiteDatabase } from '../../src/repositories/Database.js';
+import { MessageRepository } from '../../src/repositories/MessageRepository.js';
+import { TelegramService } from '../../src/services/TelegramService.js';
+import { CronService } from '../../src/services/CronService.js';
+import { FollowUpService } from '../../src/services/FollowUpService.js';
+import { TelegramCommandHandler } from '../../src/handlers/TelegramCommandHandler.js';
+import { Message } from '../../src/domain/Message.js';
+
+describe('WhatsApp replies sent from Telegram', () => {
+  const getTestDbPath = () => path.join(process.cwd(), 'tests', `test-db-replies-${Date.now()}-${Math.random().toString(36).slice(2)}.sqlite`);
+  let testDbPath;
+  let db;
+  let repository;
+  let telegram;
+  let whatsappSent;
+  let whatsappService;
+  let commands;
+  let callbacks;
+  let marc;
+  let incomingId;
+
+  const logger = { info: () => {}, error: () => {}, warn: () => {}, debug: () => {} };
+
+  const countResponses = (type) => db.prepare('SELECT COUNT(*) AS n FROM responses WHERE response_type = ?').get(type).n;
+  const lastOutgoing = () => db.prepare(`SELECT * FROM messages WHERE direction = 'outgoing' ORDER BY id DESC LIMIT 1`).get();
+
+  beforeEach(() => {
+    testDbPath = getTestDbPath();
+    db = new SQLiteDatabase({ database: { path: testDbPath } });
+    repository = new MessageRepository(db);
+
+    // Service Telegram réel pour les brouillons en attente, envoi et polling interceptés
+    telegram = new TelegramService({ telegram: {} }, { repository });
+    telegram.sent = [];
+    telegram.sendMessage = async (message, options = {}) => { telegram.sent.push({ message, options }); };
+    commands = new Map();
+    callbacks = new Map();
+    telegram.onCommand = (name, handler) => commands.set(name, handler);
+    telegram.onCallback = (prefix, handler) => callbacks.set(prefix, handler);
+    telegram.startPolling = () => {};
+
+    whatsappSent = [];
+    whatsappService = {
+      sendMessage: async (to, text) => {
+        whatsappSent.push({ to, text });
+        return { id: { id: `wa-${whatsappSent.length}`, _serialized: `true_${to}_wa-${whatsappSent.length}` } };
+      }
+    };
+
+    new TelegramCommandHandler({ telegram, messageRepo: repository, whatsappService, config: { features: {} }, logger }).registerAll();
+
+    marc = repository.findOrCreateContact('33612345678@c.us', { pushName: 'Marc Dupont' });
+    incomingId = repository.saveIncomingMessage(
+      new Message({ id: 'in-1', from: marc.phone_number, body: 'On se voit vendredi ?', timestamp: Date.now() - 60000 }),
+      marc.id
+    );
+  });
+
+  afterEach(() => {
+    if (db && db.close) try { db.close(); } catch (e) {}
+    for (const suffix of ['', '-wal', '-shm']) {
+      try { fs.unlinkSync(testDbPath + suffix); } catch (e) {}
+    }
+  });
+
+  it('should attach send buttons to report drafts of known contacts', async () => {
+    const raw = {
+      messages_actionnables: [
+        { expediteur: 'Marc Dupont', brouillon_reponse: 'Oui, vendredi 20h !' },
+        { expediteur: 'Inconnu', brouillon_reponse: 'Bonjour' }
+      ],
+      agenda: { evenements_proposes: [{ expediteur: 'marc dupont', activite: 'Volley', reponse_suggérée: 'Partant pour le volley' }] }
+    };
+    const aiService = { generateFullReport: async () => ({ formatted: 'rapport', raw }) };
+    const cronService = new CronService({ features: { enableDailyBriefing: false } }, repository, telegram, logger, aiService);
+
+    await cronService.generateAndSendReport();
+
+    const keyboard = telegram.sent[0].options.inlineKeyboard;
+    assert.strictEqual(keyboard.length, 2);
+    assert.strictEqual(keyboard[0][0].text, '📤 Envoyer à Marc Dupont');
+
+    // Envoyer tel quel
+    await callbacks.get('rsend_')(keyboard[0][0].callback_data);
+    assert.deepStrictEqual(whatsappSent, [{ to: marc.phone_number, text: 'Oui, vendredi 20h !' }]);
+    assert.strictEqual(lastOutgoing().message_id, 'wa-1');
+    assert.strictEqual(lastOutgoing().body, 'Oui, vendredi 20h !');
+    assert.strictEqual(countResponses('manual'), 1);
+
+    // Modifier avant envoi: le prochain texte remplace le brouillon
+    const eventDraftId = keyboard[1][1].callback_data.replace('redit_', '');
+    await callbacks.get('redit_')(keyboard[1][1].callback_data);
+    await callbacks.get('reply_input_')('Volley ok, je ramène le ballon', eventDraftId);
+
+    assert.strictEqual(whatsappSent[1].text, 'Volley ok, je ramène le ballon');
+    assert.strictEqual(countResponses('manual'), 2);
+    assert.strictEqual(telegram.getPendingEvent(eventDraftId), null);
+  });
+
+  it('should send typed text to the draft whose edit button was used last', async () => {
+    const bob = repository.findOrCreateContact('41791112233@c.us', { pushName: 'Bob Martin' });
+    const raw = {
+      messages_actionnables: [
+        { expediteur: 'Marc Dupont', brouillon_reponse: 'Oui, vendredi 20h !' },
+        { expediteur: 'Bob Martin', brouillon_reponse: 'Pas dispo' }
+      ]
+    };
+    const aiService = { generateFullReport: async () => ({ formatted: 'rapport', raw }) };
+    const cronService = new CronService({ features: { enableDailyBriefing: false } }, repository, telegram, logger, aiService);
+
+    await cronService.generateAndSendReport();
+    const keyboard = telegram.sent[0].options.inlineKeyboard;
+    await callbacks.get('redit_')(keyboard[0][1].callback_data);
+    await callbacks.get('redit_')(keyboard[1][1].callback_data);
+
+    const awaiting = telegram.findPendingAwaitingInput();
+    await callbacks.get(awaiting.handlerKey)('Samedi plutôt ?', awaiting.eventId);
+
+    assert.deepStrictEqual(whatsappSent, [{ to: bob.phone_number, text: 'Samedi plutôt ?' }]);
+    assert.strictEqual(telegram.findPendingAwaitingInput(), null);
+  });
+
+  it('should send typed text to the reminder whose reply button was used last', async () => {
+    const bob = repository.findOrCreateContact('41791112233@c.us', { pushName: 'Bob Martin' });
+    repository.saveIncomingMessage(
+      new Message({ id: 'in-2', from: bob.phone_number, body: 'Tu passes ?', timestamp: Date.now() - 30000 }),
+      bob.id
+    );
+    const followUps = new FollowUpService({ features: {} }, repository, null, logger);
+    new TelegramCommandHandler({ telegram, messageRepo: repository, whatsappService, followUps, config: { features: {} }, logger }).registerAll();
+
+    await commands.get('pending')();
+    const buttons = telegram.sent[0].options.inlineKeyboard.map(row => row[0].callback_data);
+    await callbacks.get('fupr_')(buttons.find(data => data.startsWith(`fupr_${marc.id}_`)));
+    await callbacks.get('fupr_')(buttons.find(data => data.startsWith(`fupr_${bob.id}_`)));
+
+    const awaiting = telegram.findPendingAwaitingInput();
+    await callbacks.get(awaiting.handlerKey)('J\'arrive', awaiting.eventId);
+
+    assert.deepStrictEqual(whatsappSent, [{ to: bob.phone_number, text: 'J\'arrive' }]);
+    assert.strictEqual(telegram.findPendingAwaitingInput(), null);
+  });
+
+  it('should switch a contact to auto replies only once the approved reply is sent', async () => {
+    const replyMode = () => db.prepare('SELECT reply_mode FROM contacts WHERE id = ?').get(marc.id).reply_mode;
+    const replyId = telegram.storePendingEvent(
+      { to: marc.phone_number, contactId: marc.id, contactName: 'Marc Dupont', messageDbId: incomingId, reply: 'Oui !' },
+      { prefix: 'rpl', step: 'approve_reply' }
+    );
+    const send = whatsappService.sendMessage;
+    whatsappService.sendMessage = async () => { throw new Error('WhatsApp déconnecté'); };
+
+    await callbacks.get('rauto_')(`rauto_${replyId}`);
+    assert.match(telegram.sent.at(-1).message, /Envoi impossible: WhatsApp déconnecté/);
+    assert.notStrictEqual(replyMode(), 'auto');
+    assert.ok(telegram.getPendingEvent(replyId));
+
+    whatsappService.sendMessage = send;
+    await callbacks.get('rauto_')(`rauto_${replyId}`);
+    assert.deepStrictEqual(whatsappSent, [{ to: marc.phone_number, text: 'Oui !' }]);
+    assert.strictEqual(replyMode(), 'auto');
+    assert.match(telegram.sent.at(-1).message, /envoyées automatiquement/);
+  });
+
+  it('should send /reply messages to a contact with a multi-word name', async () => {
+    await commands.get('reply')(['Marc', 'Dupont', 'J\'arrive', 'dans', '10', 'min']);
+
+    assert.deepStrictEqual(whatsappSent, [{ to: marc.phone_number, text: 'J\'arrive dans 10 min' }]);
+    assert.strictEqual(lastOutgoing().contact_id, marc.id);
+    const response = db.prepare('SELECT * FROM responses WHERE message_id = ?').get(incomingId);
+    assert.strictEqual(response.response_type, 'manual');
+    assert.match(telegram.sent.at(-1).message, /Envoyé à <b>Marc Dupont<\/b>/);
+  });
+
+  it('should ask for confirmation when the /reply contact is only an approximate match', async () => {
+    const group = repository.findOrCreateContact('120363001@g.us', { pushName: 'Marc et les copains', isGroup: true });
+
+    await commands.get('reply')(['Marc', 'Pierre', 'Salut']);
+    assert.strictEqual(whatsappSent.length, 0);
+    assert.match(telegram.sent[0].message, /Envoyer à Marc Dupont \?<\/b> \(33612345678\)\n\n<i>Pierre Salut<\/i>/);
+
+    const [send, cancel] = telegram.sent[0].options.inlineKeyboard[0];
+    await callbacks.get('rdrop_')(cancel.callback_data);
+    assert.strictEqual(whatsappSent.length, 0);
+
+    await commands.get('reply')(['marc', 'Salut']);
+    await callbacks.get('rsend_')(telegram.sent.at(-1).options.inlineKeyboard[0][0].callback_data);
+    assert.deepStrictEqual(whatsappSent, [{ to: marc.phone_number, text: 'Salut' }]);
+    assert.notStrictEqual(lastOutgoing().contact_id, group.id);
+    assert.strictEqual(countResponses('manual'), 1);
+    assert.ok(send.callback_data.startsWith('rsend_rpl_'));
+
+    // Numéro exact: envoi direct
+    await commands.get('reply')(['+33612345678', 'À', 'tout', 'de', 'suite']);
+    assert.strictEqual(whatsappSent[1].text, 'À tout de suite');
+  });
+
+  it('should not pick one of several contacts sharing the same name', async () => {
+    const otherMarc = repository.findOrCreateContact('41790000001@c.us', { pushName: 'Marc Dupont' });
+
+    await commands.get('reply')(['Marc', 'Dupont', 'Salut']);
+    assert.strictEqual(whatsappSent.length, 0);
+    assert.match(telegram.sent[0].message, /Plusieurs contacts s'appellent "Marc Dupont"/);
+    assert.match(telegram.sent[0].message, /33612345678/);
+    assert.match(telegram.sent[0].message, /41790000001/);
+
+    // Le numéro lève l'ambiguïté
+    await commands.get('reply')(['+41790000001', 'Salut']);
+    assert.deepStrictEqual(whatsappSent, [{ to: otherMarc.phone_number, text: 'Salut' }]);
+
+    // Brouillon du rapport: pas de bouton d'envoi pour un nom ambigu
+    const raw = { messages_actionnables: [{ expediteur: 'Marc Dupont', brouillon_reponse: 'Oui !' }] };
+    const aiService = { generateFullReport: async () => ({ formatted: 'rapport', raw }) };
+    const cronService = new CronService({ features: { enableDailyBriefing: false } }, repository, telegram, logger, aiService);
+    await cronService.generateAndSendReport();
+    assert.strictEqual(telegram.sent.at(-1).options?.inlineKeyboard, undefined);
+  });
+
+  it('should explain the usage and unknown contacts for /reply', async () => {
+    await commands.get('reply')(['Marc']);
+    await commands.get('reply')(['Zoé', 'Salut']);
+
+    assert.strictEqual(whatsappSent.length, 0);
+    assert.match(telegram.sent[0].message, /Usage: \/reply/);
+    assert.match(telegram.sent[1].message, /Aucun contact trouvé pour "Zoé"/);
+  });
+});
@@ -0,0 +1,76 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import { SQLiteDatabase } from '../../src/repositories/Database.js';
+import { MessageRepository } from '../../src/repositories/MessageRepository.js';
+import { TelegramService } from '../../src/services/TelegramService.js';
+import { CronService } from '../../src/services/CronService.js';
+
+describe('Telegram state persistence', () => {
+  const getTestDbPath = () => path.join(process.cwd(), 'tests', `test-db-sessions-${Date.now()}-${Math.random().toString(36).slice(2)}.sqlite`);
+  let testDbPath;
+  let db;
+  let repository;
+
+  beforeEach(() => {
+    testDbPath = getTestDbPath();
+    db = new SQLiteDatabase({ database: { path: testDbPath } });
+    repository = new MessageRepository(db);
+  });
+
+  afterEach(() => {
+    if (db && db.close) try { db.close(); } catch (e) {}
+    for (const suffix of ['', '-wal', '-shm']) {
+      try { fs.unlinkSync(testDbPath + suffix); } catch (e) {}
+    }
+  });
+
+  it('should restore pending events, their step and dates after a restart', () => {
+    const before = new TelegramService({ telegram: {} }, { repository });
+    const start = new Date('2026-10-20T18:00:00.000Z');
+
+    const eventId = before.storePendingEvent({ summary: 'Volley', start });
+    const replyId = before.storePendingEvent({ reply: 'Ok' }, { prefix: 'rpl', step: 'approve_reply' });
+    const droppedId = before.storePendingEvent({ summary: 'Annulé' });
+    before.updatePendingEvent(replyId, { step: 'edit_reply' });
+    before.updatePendingEvent(eventId, { calendarId: 'family' });
+    before.removePendingEvent(droppedId);
+
+    const after = new TelegramService({ telegram: {} }, { repository });
+
+    const event = after.getPendingEvent(eventId);
+    assert.strictEqual(event.calendarId, 'family');
+    assert.ok(event.event.start instanceof Date);
+    assert.strictEqual(event.event.start.getTime(), start.getTime());
+    assert.strictEqual(after.getPendingEvent(droppedId), null);
+    assert.strictEqual(after.findPendingAwaitingInput().eventId, replyId);
+
+    // Les nouveaux IDs ne réutilisent pas ceux d'avant le redémarrage
+    assert.ok(![eventId, replyId].includes(after.storePendingEvent({ summary: 'Nouveau' })));
+  });
+
+  it('should not restore expired pending events', () => {
+    const before = new TelegramService({ telegram: {} }, { repository });
+    const eventId = before.storePendingEvent({ summary: 'Volley' }, { ttlMs: -1 });
+
+    const after = new TelegramService({ telegram: {} }, { repository });
+    assert.strictEqual(after.getPendingEvent(eventId), null);
+    assert.strictEqual(before.getPendingEvent(eventId), null);
+  });
+
+  it('should keep the last report data for /tasks across restarts', async () => {
+    const config = { features: { enableDailyBriefing: false } };
+    const logger = { info: () => {}, error: () => {}, warn: () => {} };
+    const telegram = { sendMessage: async () => {} };
+    const raw = { taches: [{ titre: 'Rappeler Marc' }], agenda: { evenements_proposes: [] } };
+    const aiService = { generateFullReport: async () => ({ formatted: 'rapport', raw }) };
+
+    const before = new CronService(config, repository, telegram, logger, aiService);
+    assert.strictEqual(before.getLastReportData(), null);
+    await before.generateAndSendReport();
+
+    const after = new CronService(config, repository, telegram, logger, aiService);
+    assert.deepStrictEqual(after.getLastReportData(), raw);
+  });
+});
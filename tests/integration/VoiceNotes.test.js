@@ -0,0 +1,108 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import { SQLiteDatabase } from '../../src/repositories/Database.js';
+import { MessageRepository } from '../../src/repositories/MessageRepository.js';
+import { TranscriptionService } from '../../src/services/TranscriptionService.js';
+import { Message } from '../../src/domain/Message.js';
+
+describe('Voice note transcription', () => {
+  const getTestDbPath = () => path.join(process.cwd(), 'tests', `test-db-voice-${Date.now()}-${Math.random().toString(36).slice(2)}.sqlite`);
+  let testDbPath;
+  let db;
+  let repository;
+  let provider;
+  let service;
+  let alice;
+
+  // Message whatsapp-web.js minimal: note vocale téléchargeable
+  const voiceNote = (duration = '42', data = Buffer.from('opus-audio').toString('base64')) => ({
+    hasMedia: true,
+    type: 'ptt',
+    duration,
+    downloads: 0,
+    async downloadMedia() {
+      this.downloads++;
+      return data ? { mimetype: 'audio/ogg; codecs=opus', data } : undefined;
+    }
+  });
+
+  beforeEach(() => {
+    testDbPath = getTestDbPath();
+    db = new SQLiteDatabase({ database: { path: testDbPath } });
+    repository = new MessageRepository(db);
+
+    provider = {
+      name: 'openai',
+      transcriptionModel: 'whisper-1',
+      requests: [],
+      transcribe: async (request) => {
+        provider.requests.push(request);
+        return { text: '  Salut Jonas,\n je serai en retard ce soir. ', usage: { promptTokens: 0, completionTokens: 0, totalTokens: 0 } };
+      }
+    };
+    service = new TranscriptionService({ ai: { transcription: { language: 'fr', maxDurationSeconds: 300 } } }, repository, null, { provider });
+    alice = repository.findOrCreateContact('alice@s.whatsapp.net', { pushName: 'Alice' });
+  });
+
+  afterEach(() => {
+    if (db && db.close) try { db.close(); } catch (e) {}
+    for (const suffix of ['', '-wal', '-shm']) {
+      try { fs.unlinkSync(testDbPath + suffix); } catch (e) {}
+    }
+  });
+
+  it('should store the transcription as a searchable [vocal] message body', async () => {
+    const msg = voiceNote('90');
+    assert.strictEqual(TranscriptionService.isVoiceNote(msg), true);
+    assert.strictEqual(TranscriptionService.isVoiceNote({ hasMedia: true, type: 'image' }), false);
+
+    const result = await service.transcribeVoiceNote(msg, { contactId: alice.id });
+    assert.deepStrictEqual(result, { body: '[vocal] Salut Jonas, je serai en retard ce soir.', transcribed: true });
+    assert.strictEqual(provider.requests[0].audio.toString(), 'opus-audio');
+    assert.strictEqual(provider.requests[0].mimeType, 'audio/ogg; codecs=opus');
+    assert.strictEqual(provider.requests[0].language, 'fr');
+
+    // Coût Whisper à la minute: 1 min 30 à 0.006 $/min
+    const call = db.prepare(`SELECT * FROM ai_calls WHERE purpose = 'transcription'`).get();
+    assert.strictEqual(call.contact_id, alice.id);
+    assert.ok(Math.abs(call.cost_usd - 0.009) < 1e-9);
+
+    repository.saveIncomingMessage(new Message({ id: 'ptt-1', from: alice.phone_number, body: result.body, timestamp: Date.now() }), alice.id);
+    assert.strictEqual(repository.search('retard').results[0].body, result.body);
+  });
+
+  it('should keep untranscribed voice notes visible with their duration', async () => {
+    // Trop longue: pas de téléchargement
+    const long = voiceNote('600');
+    assert.deepStrictEqual(await service.transcribeVoiceNote(long), { body: '[vocal] (note vocale de 10:00 non transcrite)', transcribed: false });
+    assert.strictEqual(long.downloads, 0);
+
+    // Téléchargement impossible
+    assert.strictEqual((await service.transcribeVoiceNote(voiceNote('5', null))).transcribed, false);
+
+    // Échec du provider: journalisé, message conservé
+    provider.transcribe = async () => { throw new Error('whisper server unreachable'); };
+    const failed = await service.transcribeVoiceNote(voiceNote('65'));
+    assert.strictEqual(failed.body, '[vocal] (note vocale de 1:05 non transcrite)');
+    assert.strictEqual(db.prepare(`SELECT error_message FROM ai_calls WHERE success = 0`).get().error_message, 'whisper server unreachable');
+
+    // Budget épuisé ou transcription désactivée
+    const exhausted = new TranscriptionService({ ai: {} }, repository, null, { provider, budget: { isExhausted: () => true } });
+    assert.strictEqual((await exhausted.transcribeVoiceNote(voiceNote())).transcribed, false);
+
+    const disabled = new TranscriptionService({ ai: { providers: [{ provider: 'openai', apiKey: 'x' }], transcription: { provider: 'none' } } }, repository);
+    assert.strictEqual(disabled.isEnabled, false);
+    assert.deepStrictEqual(await disabled.transcribeVoiceNote(voiceNote('')), { body: '[vocal] (note vocale non transcrite)', transcribed: false });
+  });
+
+  it('should pick a whisper.cpp endpoint or the first provider able to transcribe', () => {
+    const whisper = new TranscriptionService({ ai: { transcription: { url: 'http://localhost:8080/inference' } } }, repository);
+    assert.strictEqual(whisper.model, 'local/whisper-1');
+
+    const chain = { providers: [{ provider: 'gemini', apiKey: 'g' }, { provider: 'groq', apiKey: 'q' }] };
+    assert.strictEqual(new TranscriptionService({ ai: chain }, repository).model, 'gemini/gemini-2.0-flash');
+    assert.strictEqual(new TranscriptionService({ ai: { ...chain, transcription: { provider: 'groq' } } }, repository).model, 'groq/whisper-large-v3-turbo');
+  });
+});
@@ -5,7 +5,8 @@ import {
   ValidationError, 
   ConfigurationError, 
   DatabaseError, 
-  ServiceError 
+  ServiceError,
+  AIProviderError
 } from '../../src/utils/Errors.js';
 
 describe('Errors', () => {
@@ -55,4 +56,27 @@ describe('Errors', () => {
       assert.strictEqual(error.name, 'ServiceError');
     });
   });
+
+  describe('AIProviderError', () => {
+    it('should be a ServiceError carrying provider and status', () => {
+      const error = new AIProviderError('Quota exceeded', { provider: 'gemini', status: 429 });
+      assert.ok(error instanceof ServiceError);
+      assert.strictEqual(error.name, 'AIProviderError');
+      assert.strictEqual(error.provider, 'gemini');
+      assert.strictEqual(error.retryable, true);
+    });
+
+    it('should not be retryable on client errors', () => {
+      const error = new AIProviderError('Bad request', { provider: 'openai', status: 400 });
+      assert.strictEqual(error.retryable, false);
+      assert.strictEqual(new AIProviderError('Too large', { status: 413 }).retryable, false);
+      assert.strictEqual(new AIProviderError('Unprocessable', { status: 422 }).retryable, false);
+    });
+
+    it('should be retryable on provider-specific client errors', () => {
+      assert.strictEqual(new AIProviderError('Invalid API key', { status: 401 }).retryable, true);
+      assert.strictEqual(new AIProviderError('Forbidden', { status: 403 }).retryable, true);
+      assert.strictEqual(new AIProviderError('Model not found', { status: 404 }).retryable, true);
+    });
+  });
 });
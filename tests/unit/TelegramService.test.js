@@ -123,6 +123,43 @@ describe('TelegramService', () => {
       await telegramService.sendMessage('Test message');
     });
   });
+
+  describe('pending items', () => {
+    it('should route text input to the handler matching the pending step', () => {
+      telegramService = new TelegramService({ telegram: {} });
+
+      const eventId = telegramService.storePendingEvent({ summary: 'Match' });
+      const replyId = telegramService.storePendingEvent({ reply: 'Ok' }, { prefix: 'rpl', step: 'approve_reply' });
+
+      assert.match(eventId, /^evt_/);
+      assert.match(replyId, /^rpl_/);
+      assert.strictEqual(telegramService.findPendingAwaitingInput(), null);
+
+      telegramService.updatePendingEvent(replyId, { step: 'edit_reply' });
+      const awaiting = telegramService.findPendingAwaitingInput();
+
+      assert.strictEqual(awaiting.eventId, replyId);
+      assert.strictEqual(awaiting.handlerKey, 'reply_input_');
+      assert.strictEqual(awaiting.data.event.reply, 'Ok');
+    });
+
+    it('should route text input only to the item whose edit button was used last', () => {
+      telegramService = new TelegramService({ telegram: {} });
+
+      const firstId = telegramService.storePendingEvent({ reply: 'Ok' }, { prefix: 'rpl', step: 'approve_reply' });
+      const secondId = telegramService.storePendingEvent({ reply: 'Non' }, { prefix: 'rpl', step: 'approve_reply' });
+      const eventId = telegramService.storePendingEvent({ summary: 'Match' });
+
+      telegramService.updatePendingEvent(firstId, { step: 'edit_reply' });
+      telegramService.updatePendingEvent(secondId, { step: 'edit_reply' });
+      assert.strictEqual(telegramService.findPendingAwaitingInput().eventId, secondId);
+      assert.strictEqual(telegramService.getPendingEvent(firstId).step, 'approve_reply');
+
+      telegramService.updatePendingEvent(eventId, { step: 'edit_title' });
+      assert.strictEqual(telegramService.findPendingAwaitingInput().handlerKey, 'title_input_');
+      assert.strictEqual(telegramService.getPendingEvent(secondId).step, 'approve_reply');
+    });
+  });
 });
 
 function afterEach(fn) {
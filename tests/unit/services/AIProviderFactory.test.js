@@ -0,0 +1,213 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import http from 'node:http';
+import {
+  AIProvider,
+  registerProvider,
+  createProvider,
+  getDefaultModel,
+  listProviders,
+  parseJSON,
+  supportsTranscription,
+  supportsVision
+} from '../../../src/services/ai/AIProviderFactory.js';
+import { AIService } from '../../../src/services/AIService.js';
+import { AIProviderError } from '../../../src/utils/Errors.js';
+
+describe('AIProviderFactory', () => {
+  let originalFetch;
+
+  beforeEach(() => {
+    originalFetch = global.fetch;
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  it('should register the built-in providers', () => {
+    assert.deepStrictEqual(listProviders().slice(0, 4).sort(), ['gemini', 'groq', 'local', 'openai']);
+    assert.strictEqual(getDefaultModel('openai'), 'gpt-4o');
+    assert.throws(() => createProvider('unknown', { apiKey: 'x' }), /Unknown AI provider/);
+  });
+
+  it('should normalize OpenAI-compatible usage and output', async () => {
+    global.fetch = async () => ({
+      ok: true,
+      json: async () => ({
+        choices: [{ message: { content: '{"ok":true}' } }],
+        usage: { prompt_tokens: 12, completion_tokens: 8, total_tokens: 20 }
+      })
+    });
+
+    const provider = createProvider('groq', { apiKey: 'key' });
+    const result = await provider.completeJSON({ prompt: 'hi' });
+
+    assert.deepStrictEqual(result.data, { ok: true });
+    assert.deepStrictEqual(result.usage, { promptTokens: 12, completionTokens: 8, totalTokens: 20 });
+    assert.strictEqual(result.provider, 'groq');
+    assert.strictEqual(result.model, 'llama-3.1-70b-versatile');
+  });
+
+  it('should normalize Gemini usage metadata', async () => {
+    global.fetch = async () => ({
+      ok: true,
+      json: async () => ({
+        candidates: [{ content: { parts: [{ text: '```json\n{"a":1}\n```' }] } }],
+        usageMetadata: { promptTokenCount: 5, candidatesTokenCount: 3, totalTokenCount: 8 }
+      })
+    });
+
+    const result = await createProvider('gemini', { apiKey: 'key' }).completeJSON({ prompt: 'hi' });
+
+    assert.deepStrictEqual(result.data, { a: 1 });
+    assert.strictEqual(result.usage.totalTokens, 8);
+  });
+
+  it('should raise AIProviderError with status on HTTP errors', async () => {
+    global.fetch = async () => ({
+      ok: false,
+      status: 429,
+      statusText: 'Too Many Requests',
+      json: async () => ({ error: { message: 'Rate limit reached' } })
+    });
+
+    await assert.rejects(
+      createProvider('openai', { apiKey: 'key' }).complete({ prompt: 'hi' }),
+      (error) => {
+        assert.ok(error instanceof AIProviderError);
+        assert.strictEqual(error.provider, 'openai');
+        assert.strictEqual(error.status, 429);
+        assert.strictEqual(error.retryable, true);
+        assert.match(error.message, /Rate limit reached/);
+        return true;
+      }
+    );
+  });
+
+  it('should raise AIProviderError on invalid JSON', () => {
+    assert.throws(() => parseJSON('not json', 'openai'), AIProviderError);
+  });
+
+  it('should talk to a local OpenAI-compatible server without an API key', async () => {
+    let received;
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received = { url: req.url, headers: req.headers, body: JSON.parse(body) };
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({
+          choices: [{ message: { content: JSON.stringify({ reply: 'local', action: 'none', urgency: 'low', category: 'other', confidence: 0.9 }) } }],
+          usage: { prompt_tokens: 4, completion_tokens: 6, total_tokens: 10 }
+        }));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+      const baseUrl = `http://127.0.0.1:${server.address().port}/v1/`;
+      const service = new AIService({ ai: { provider: 'local', baseUrl, model: 'qwen2.5' } });
+      const analysis = await service.analyzeMessage({ body: 'salut', from: '123' });
+
+      assert.strictEqual(received.url, '/v1/chat/completions');
+      assert.strictEqual(received.headers.authorization, undefined);
+      assert.strictEqual(received.body.model, 'qwen2.5');
+      assert.strictEqual(analysis.reply, 'local');
+      assert.strictEqual(analysis.tokensUsed, 10);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  it('should transcribe audio through a whisper.cpp endpoint and Gemini inline data', async () => {
+    const requests = [];
+    global.fetch = async (url, options) => {
+      requests.push({ url, options });
+      return {
+        ok: true,
+        json: async () => (url.includes('googleapis')
+          ? { candidates: [{ content: { parts: [{ text: ' Bonjour Jonas ' }] } }], usageMetadata: { promptTokenCount: 40, candidatesTokenCount: 4 } }
+          : { text: ' Je serai en retard. ' })
+      };
+    };
+
+    const whisper = createProvider('local', { baseUrl: 'http://localhost:8080/inference', transcriptionUrl: 'http://localhost:8080/inference' });
+    const local = await whisper.transcribe({ audio: Buffer.from('opus'), mimeType: 'audio/ogg; codecs=opus', language: 'fr' });
+
+    assert.strictEqual(requests[0].url, 'http://localhost:8080/inference');
+    assert.strictEqual(requests[0].options.headers['Content-Type'], undefined);
+    assert.strictEqual(requests[0].options.body.get('file').name, 'voice.ogg');
+    assert.strictEqual(requests[0].options.body.get('language'), 'fr');
+    assert.deepStrictEqual({ text: local.text, model: local.model }, { text: 'Je serai en retard.', model: 'whisper-1' });
+
+    const gemini = await createProvider('gemini', { apiKey: 'key' }).transcribe({ audio: Buffer.from('opus'), mimeType: 'audio/ogg; codecs=opus' });
+    const [audioPart] = JSON.parse(requests[1].options.body).contents[0].parts;
+    assert.deepStrictEqual(audioPart.inline_data, { mime_type: 'audio/ogg', data: Buffer.from('opus').toString('base64') });
+    assert.strictEqual(gemini.text, 'Bonjour Jonas');
+    assert.strictEqual(gemini.usage.totalTokens, 44);
+
+    assert.strictEqual(supportsTranscription('groq'), true);
+    assert.strictEqual(supportsTranscription('unknown'), false);
+    await assert.rejects(new AIProvider().transcribe({ audio: Buffer.from('') }), AIProviderError);
+  });
+
+  it('should send images as data URLs and PDFs as Gemini inline data', async () => {
+    const requests = [];
+    global.fetch = async (url, options) => {
+      requests.push({ url, body: JSON.parse(options.body) });
+      return {
+        ok: true,
+        json: async () => (url.includes('googleapis')
+          ? { candidates: [{ content: { parts: [{ text: 'Facture CHF 245.50' }] } }], usageMetadata: { promptTokenCount: 300, candidatesTokenCount: 8 } }
+          : { choices: [{ message: { content: ' Affiche: concert le 12 mars ' } }], usage: { prompt_tokens: 900, completion_tokens: 12 } })
+      };
+    };
+
+    const openai = createProvider('openai', { apiKey: 'key' });
+    assert.strictEqual(openai.acceptsMedia('image/jpeg'), true);
+    assert.strictEqual(openai.acceptsMedia('application/pdf'), false);
+
+    const image = await openai.describe({ data: Buffer.from('jpeg'), mimeType: 'image/jpeg', prompt: 'Décris' });
+    const content = requests[0].body.messages[0].content;
+    assert.strictEqual(requests[0].body.model, 'gpt-4o-mini');
+    assert.strictEqual(requests[0].body.response_format, undefined);
+    assert.deepStrictEqual(content[1].image_url, { url: `data:image/jpeg;base64,${Buffer.from('jpeg').toString('base64')}` });
+    assert.deepStrictEqual({ text: image.text, model: image.model, tokens: image.usage.totalTokens }, { text: 'Affiche: concert le 12 mars', model: 'gpt-4o-mini', tokens: 912 });
+    await assert.rejects(openai.describe({ data: Buffer.from('%PDF'), mimeType: 'application/pdf', prompt: 'Lis' }), /does not support application\/pdf/);
+
+    const gemini = await createProvider('gemini', { apiKey: 'key' }).describe({ data: Buffer.from('%PDF'), mimeType: 'application/pdf', prompt: 'Lis' });
+    assert.deepStrictEqual(requests[1].body.contents[0].parts[0].inline_data, { mime_type: 'application/pdf', data: Buffer.from('%PDF').toString('base64') });
+    assert.strictEqual(gemini.text, 'Facture CHF 245.50');
+
+    assert.strictEqual(supportsVision('local'), true);
+    assert.strictEqual(supportsVision('unknown'), false);
+    assert.strictEqual(requests.length, 2);
+  });
+
+  it('should require a baseUrl for the local provider', () => {
+    assert.throws(() => createProvider('local', {}), /baseUrl required/);
+  });
+
+  it('should let AIService use a newly registered provider', async () => {
+    class EchoProvider extends AIProvider {
+      static id = 'echo-test';
+      static defaultModel = 'echo-1';
+
+      async complete() {
+        return this._result(JSON.stringify({ reply: 'echo', action: 'none', urgency: 'low', category: 'other', confidence: 1 }), {
+          promptTokens: 3,
+          completionTokens: 2
+        });
+      }
+    }
+    registerProvider(EchoProvider);
+
+    const service = new AIService({ ai: { provider: 'echo-test', apiKey: 'unused' } });
+    const analysis = await service.analyzeMessage({ body: 'hello', from: '123' });
+
+    assert.strictEqual(service.model, 'echo-1');
+    assert.strictEqual(analysis.reply, 'echo');
+    assert.strictEqual(analysis.tokensUsed, 5);
+  });
+});
@@ -0,0 +1,60 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { BudgetService } from '../../../src/services/BudgetService.js';
+
+const createRepo = (usage) => ({
+  getAIUsageSince: (since) => {
+    const midnight = new Date();
+    midnight.setHours(0, 0, 0, 0);
+    return since >= midnight.getTime() ? usage.daily : usage.monthly;
+  }
+});
+
+const createTelegram = () => {
+  const sent = [];
+  return { sent, sendMessage: async (text) => { sent.push(text); } };
+};
+
+describe('BudgetService', () => {
+  it('should be disabled when no cap is configured', () => {
+    const budget = new BudgetService({ ai: {} }, createRepo({}));
+
+    assert.strictEqual(budget.isEnabled, false);
+    assert.strictEqual(budget.isExhausted(), false);
+    assert.deepStrictEqual(budget.getStatus(), []);
+  });
+
+  it('should compute usage ratios for token and currency caps', () => {
+    const repo = createRepo({
+      daily: { tokens: 500, cost: 0.5 },
+      monthly: { tokens: 9000, cost: 12 }
+    });
+    const budget = new BudgetService({ ai: { budget: { dailyTokens: 1000, monthlyUsd: 10 } } }, repo);
+
+    const status = budget.getStatus();
+    assert.deepStrictEqual(status.map(s => [s.period, s.unit, s.ratio]), [
+      ['daily', 'tokens', 0.5],
+      ['monthly', 'usd', 1.2]
+    ]);
+    assert.strictEqual(budget.isExhausted(), true);
+  });
+
+  it('should notify at 80% and 100% only once per period', async () => {
+    const usage = { daily: { tokens: 850, cost: 0 }, monthly: { tokens: 850, cost: 0 } };
+    const telegram = createTelegram();
+    const budget = new BudgetService({ ai: { budget: { dailyTokens: 1000 } } }, createRepo(usage), telegram);
+
+    await budget.checkThresholds();
+    await budget.checkThresholds();
+    assert.strictEqual(telegram.sent.length, 1);
+    assert.match(telegram.sent[0], /85%/);
+    assert.strictEqual(budget.isExhausted(), false);
+
+    usage.daily.tokens = 1200;
+    await budget.checkThresholds();
+    await budget.checkThresholds();
+    assert.strictEqual(telegram.sent.length, 2);
+    assert.match(telegram.sent[1], /Budget IA journalier atteint/);
+    assert.strictEqual(budget.isExhausted(), true);
+  });
+});
@@ -0,0 +1,49 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { resolveProvider, callProvider } from '../../../src/services/ai/ProviderCalls.js';
+
+describe('ProviderCalls', () => {
+  const providers = [
+    { provider: 'groq', apiKey: 'groq-key', model: 'llama-3.1-70b-versatile' },
+    { provider: 'openai', apiKey: 'openai-key', model: 'gpt-4o' }
+  ];
+
+  it('should pick the first provider supporting the capability, a forced one or a dedicated endpoint', () => {
+    const embeddings = resolveProvider(providers, { capability: 'embeddings', configure: () => ({ embeddingModel: null }) });
+    assert.deepStrictEqual([embeddings.name, embeddings.apiKey, embeddings.embeddingModel], ['openai', 'openai-key', 'text-embedding-3-small']);
+
+    const triage = resolveProvider(providers, { configure: (entry) => ({ model: `${entry.provider}-light` }) });
+    assert.deepStrictEqual([triage.name, triage.model], ['groq', 'groq-light']);
+
+    assert.strictEqual(resolveProvider(providers, { capability: 'vision', provider: 'gemini' }), null);
+    assert.strictEqual(resolveProvider(providers, { capability: 'vision', provider: 'none' }), null);
+    assert.strictEqual(resolveProvider(providers, { capability: 'transcription', endpoint: { baseUrl: 'http://localhost:8080' } }).name, 'local');
+  });
+
+  it('should log successful and failed calls with their cost', async () => {
+    const calls = [];
+    const repository = { saveAICall: (call) => calls.push(call) };
+    const call = { purpose: 'vision', provider: 'openai', model: 'gpt-4o-mini', contactId: 7 };
+
+    const result = await callProvider(repository, call, async () => ({ text: 'ok', usage: { promptTokens: 1000000, completionTokens: 0, totalTokens: 1000000 } }));
+    assert.strictEqual(result.text, 'ok');
+    assert.strictEqual(calls[0].success, true);
+    assert.strictEqual(calls[0].contactId, 7);
+    assert.strictEqual(calls[0].totalTokens, 1000000);
+    assert.ok(calls[0].costUsd > 0);
+
+    await assert.rejects(callProvider(repository, call, async () => { throw new Error('quota exceeded'); }), /quota exceeded/);
+    assert.deepStrictEqual([calls[1].success, calls[1].error, calls[1].purpose], [false, 'quota exceeded', 'vision']);
+  });
+
+  it('should check the budget thresholds once the call is logged', async () => {
+    const calls = [];
+    const repository = { saveAICall: (call) => calls.push(call) };
+    let loggedBeforeCheck = null;
+    const budget = { checkThresholds: async () => { loggedBeforeCheck = calls.length === 1; } };
+
+    await callProvider(repository, { purpose: 'embedding', provider: 'openai', model: 'text-embedding-3-small' },
+      async () => ({ vectors: [], usage: { promptTokens: 10, totalTokens: 10 } }), { budget });
+    assert.strictEqual(loggedBeforeCheck, true);
+  });
+});
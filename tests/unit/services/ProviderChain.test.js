@@ -0,0 +1,189 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { AIProvider } from '../../../src/services/ai/AIProviderFactory.js';
+import { ProviderChain, CircuitBreaker } from '../../../src/services/ai/ProviderChain.js';
+import { AIProviderError } from '../../../src/utils/Errors.js';
+
+class FakeProvider extends AIProvider {
+  static id = 'fake';
+
+  constructor(name, behaviour) {
+    super({ apiKey: 'key', model: `${name}-model` });
+    this.fakeName = name;
+    this.behaviour = behaviour;
+    this.calls = 0;
+  }
+
+  get name() {
+    return this.fakeName;
+  }
+
+  async complete() {
+    this.calls++;
+    if (this.behaviour === 'fail') {
+      throw new AIProviderError(`${this.fakeName} down`, { provider: this.fakeName, status: 503 });
+    }
+    if (this.behaviour === 'invalid') {
+      throw new AIProviderError(`${this.fakeName} rejected the request`, { provider: this.fakeName, status: 400 });
+    }
+    if (typeof this.behaviour === 'number') {
+      throw new AIProviderError(`${this.fakeName} answered ${this.behaviour}`, { provider: this.fakeName, status: this.behaviour });
+    }
+    if (this.behaviour === 'slow') {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    return this._result('{"ok":true}', { promptTokens: 1, completionTokens: 1 });
+  }
+}
+
+describe('CircuitBreaker', () => {
+  it('should open after the failure threshold and half-open after the cooldown', () => {
+    let now = 0;
+    const breaker = new CircuitBreaker({ failureThreshold: 2, cooldownMs: 1000, now: () => now });
+
+    breaker.recordFailure();
+    assert.strictEqual(breaker.state, 'closed');
+    breaker.recordFailure();
+    assert.strictEqual(breaker.state, 'open');
+    assert.strictEqual(breaker.canRequest(), false);
+
+    now = 1000;
+    assert.strictEqual(breaker.state, 'half_open');
+    assert.strictEqual(breaker.canRequest(), true);
+
+    // Un échec en half-open rouvre immédiatement
+    breaker.recordFailure();
+    assert.strictEqual(breaker.state, 'open');
+
+    // Une seule requête d'essai en half-open
+    now = 2000;
+    assert.strictEqual(breaker.tryAcquire(), true);
+    assert.strictEqual(breaker.tryAcquire(), false);
+    assert.strictEqual(breaker.canRequest(), false);
+    breaker.release();
+    assert.strictEqual(breaker.canRequest(), true);
+
+    breaker.recordSuccess();
+    assert.strictEqual(breaker.state, 'closed');
+    assert.strictEqual(breaker.consecutiveFailures, 0);
+  });
+});
+
+describe('ProviderChain', () => {
+  let originalWarn;
+
+  beforeEach(() => {
+    originalWarn = console.warn;
+    console.warn = () => {};
+  });
+
+  afterEach(() => {
+    console.warn = originalWarn;
+  });
+
+  it('should fail over to the next provider and record who served the call', async () => {
+    const primary = new FakeProvider('primary', 'fail');
+    const backup = new FakeProvider('backup', 'ok');
+    const chain = new ProviderChain([primary, backup]);
+
+    const result = await chain.completeJSON({ prompt: 'hi' });
+
+    assert.strictEqual(result.provider, 'backup');
+    assert.deepStrictEqual(result.data, { ok: true });
+
+    const calls = chain.getRecentCalls();
+    assert.deepStrictEqual(calls.map(c => [c.provider, c.success]), [['primary', false], ['backup', true]]);
+    assert.strictEqual(chain.getHealth()[0].consecutiveFailures, 1);
+    assert.match(chain.getHealth()[0].lastError, /primary down/);
+  });
+
+  it('should skip a provider whose circuit is open', async () => {
+    let now = 0;
+    const primary = new FakeProvider('primary', 'fail');
+    const backup = new FakeProvider('backup', 'ok');
+    const chain = new ProviderChain([primary, backup], { failureThreshold: 2, cooldownMs: 1000, now: () => now });
+
+    await chain.complete({ prompt: '1' });
+    await chain.complete({ prompt: '2' });
+    assert.strictEqual(chain.getHealth()[0].state, 'open');
+
+    await chain.complete({ prompt: '3' });
+    assert.strictEqual(primary.calls, 2);
+    assert.strictEqual(backup.calls, 3);
+
+    // Fin du cooldown: le provider principal est retenté
+    now = 1000;
+    primary.behaviour = 'ok';
+    const result = await chain.complete({ prompt: '4' });
+    assert.strictEqual(result.provider, 'primary');
+    assert.strictEqual(chain.getHealth()[0].state, 'closed');
+  });
+
+  it('should throw an AIProviderError when every provider fails', async () => {
+    const chain = new ProviderChain([new FakeProvider('a', 'fail'), new FakeProvider('b', 'fail')]);
+
+    await assert.rejects(chain.complete({ prompt: 'hi' }), (error) => {
+      assert.ok(error instanceof AIProviderError);
+      assert.match(error.message, /All AI providers failed.*a down.*b down/);
+      return true;
+    });
+  });
+
+  it('should not fail over nor open the circuit on a non-retryable error', async () => {
+    const primary = new FakeProvider('primary', 'invalid');
+    const backup = new FakeProvider('backup', 'ok');
+    const chain = new ProviderChain([primary, backup], { failureThreshold: 1 });
+
+    await assert.rejects(chain.complete({ prompt: 'hi' }), (error) => {
+      assert.strictEqual(error.status, 400);
+      assert.strictEqual(error.retryable, false);
+      return true;
+    });
+    assert.strictEqual(backup.calls, 0);
+    assert.strictEqual(chain.getHealth()[0].state, 'closed');
+    assert.strictEqual(chain.getHealth()[0].consecutiveFailures, 0);
+    assert.deepStrictEqual(chain.getRecentCalls().map(c => [c.provider, c.success]), [['primary', false]]);
+  });
+
+  it('should fail over and open the circuit on a refused key or an unknown model', async () => {
+    for (const status of [401, 404]) {
+      const primary = new FakeProvider('primary', status);
+      const backup = new FakeProvider('backup', 'ok');
+      const chain = new ProviderChain([primary, backup], { failureThreshold: 1 });
+
+      const result = await chain.complete({ prompt: 'hi' });
+      assert.strictEqual(result.provider, 'backup');
+      assert.strictEqual(chain.getHealth()[0].state, 'open');
+      assert.strictEqual(chain.getHealth()[0].lastError, `primary answered ${status}`);
+    }
+  });
+
+  it('should let a single trial call through a half-open circuit', async () => {
+    let now = 0;
+    const primary = new FakeProvider('primary', 'fail');
+    const backup = new FakeProvider('backup', 'ok');
+    const chain = new ProviderChain([primary, backup], { failureThreshold: 1, cooldownMs: 1000, now: () => now });
+
+    await chain.complete({ prompt: '1' });
+    assert.strictEqual(chain.getHealth()[0].state, 'open');
+
+    now = 1000;
+    primary.behaviour = 'slow';
+    const results = await Promise.all([1, 2, 3].map(i => chain.complete({ prompt: `trial ${i}` })));
+
+    assert.deepStrictEqual(results.map(r => r.provider), ['primary', 'backup', 'backup']);
+    assert.strictEqual(primary.calls, 2);
+    assert.strictEqual(chain.getHealth()[0].state, 'closed');
+  });
+
+  it('should still try a provider when every circuit is open', async () => {
+    const primary = new FakeProvider('primary', 'fail');
+    const chain = new ProviderChain([primary], { failureThreshold: 1, cooldownMs: 60000 });
+
+    await assert.rejects(chain.complete({ prompt: '1' }));
+    primary.behaviour = 'ok';
+
+    const result = await chain.complete({ prompt: '2' });
+    assert.strictEqual(result.provider, 'primary');
+  });
+});
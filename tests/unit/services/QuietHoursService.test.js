@@ -0,0 +1,155 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { QuietHoursService } from '../../../src/services/QuietHoursService.js';
+import { ConfigurationError } from '../../../src/utils/Errors.js';
+
+// Lundi 19 octobre 2026, heure locale
+const at = (day, hours, minutes = 0) => new Date(2026, 9, 19 + day, hours, minutes).getTime();
+
+const createService = (schedule, clock, repository = null) => {
+  const telegram = {
+    messages: [],
+    async sendMessage(message, options = {}) {
+      this.messages.push({ message, options });
+    }
+  };
+  const config = { features: { quietHours: { schedule, awayMessage: null } } };
+  const service = new QuietHoursService(config, telegram, null, { repository, now: () => clock.now });
+  return { service, telegram };
+};
+
+// app_state en mémoire, avec la même sérialisation JSON que MessageRepository
+const createStateRepository = () => {
+  const state = new Map();
+  return {
+    getAppState: (key) => state.has(key) ? { value: JSON.parse(state.get(key)) } : null,
+    setAppState: (key, value) => state.set(key, JSON.stringify(value))
+  };
+};
+
+describe('QuietHoursService', () => {
+  it('should parse weekly schedules and reject invalid entries', () => {
+    const windows = QuietHoursService.parseSchedule('mon-fri 22:00-07:00; sat,dim 23:30-10:00');
+
+    assert.deepStrictEqual([...windows[0].days].sort(), [1, 2, 3, 4, 5]);
+    assert.strictEqual(windows[0].start, 22 * 60);
+    assert.strictEqual(windows[0].end, 7 * 60);
+    assert.deepStrictEqual([...windows[1].days].sort(), [0, 6]);
+    assert.deepStrictEqual(QuietHoursService.parseSchedule(''), []);
+
+    assert.throws(() => QuietHoursService.parseSchedule('22h-7h'), ConfigurationError);
+    assert.throws(() => QuietHoursService.parseSchedule('xyz 22:00-07:00'), ConfigurationError);
+    assert.throws(() => QuietHoursService.parseSchedule('25:00-07:00'), ConfigurationError);
+  });
+
+  it('should apply overnight windows from the day they start', () => {
+    const clock = { now: 0 };
+    const { service } = createService('mon-fri 22:00-07:00; sat,sun 23:00-10:00', clock);
+
+    assert.strictEqual(service.isQuiet(at(0, 21, 59)), false);
+    assert.strictEqual(service.isQuiet(at(0, 22)), true);
+    assert.strictEqual(service.isQuiet(at(1, 6, 59)), true);
+    assert.strictEqual(service.isQuiet(at(1, 7)), false);
+
+    // Vendredi soir => plage de semaine jusqu'à samedi 7h, puis plages du week-end
+    assert.strictEqual(service.isQuiet(at(4, 22, 30)), true);
+    assert.strictEqual(service.isQuiet(at(5, 8)), false);
+    assert.strictEqual(service.isQuiet(at(5, 23, 30)), true);
+    assert.strictEqual(service.isQuiet(at(6, 9)), true);
+    assert.strictEqual(service.isQuiet(at(6, 10, 30)), false);
+    assert.strictEqual(service.isQuiet(at(7, 9, 30)), true);
+  });
+
+  it('should batch non-critical notifications into a digest sent when quiet hours end', async () => {
+    const clock = { now: at(0, 23) };
+    const { service, telegram } = createService('22:00-07:00', clock);
+
+    assert.strictEqual(await service.notify('urgent', { critical: true }), true);
+    assert.strictEqual(await service.notify('info 1'), false);
+    await service.notify('info 2');
+    await service.notify('draft', { inlineKeyboard: [[{ text: 'OK', callback_data: 'ok' }]] });
+    assert.strictEqual(telegram.messages.length, 1);
+    assert.strictEqual(service.getStatus().queued, 3);
+
+    await service.tick();
+    assert.strictEqual(telegram.messages.length, 1);
+
+    clock.now = at(1, 7, 1);
+    await service.tick();
+
+    assert.strictEqual(telegram.messages.length, 3);
+    assert.match(telegram.messages[1].message, /heures calmes.*2 notifications[\s\S]*info 1[\s\S]*info 2/);
+    assert.strictEqual(telegram.messages[2].message, 'draft');
+    assert.ok(telegram.messages[2].options.inlineKeyboard);
+    assert.strictEqual(service.getStatus().queued, 0);
+  });
+
+  it('should send the away reply once per contact and per quiet period', async () => {
+    const clock = { now: at(0, 23) };
+    const { service } = createService('22:00-07:00', clock);
+
+    assert.strictEqual(service.takeAwayReply(1), service.awayMessage);
+    assert.strictEqual(service.takeAwayReply(1), null);
+    assert.strictEqual(service.takeAwayReply(2), service.awayMessage);
+
+    clock.now = at(1, 8);
+    await service.tick();
+    assert.strictEqual(service.takeAwayReply(1), null);
+
+    clock.now = at(1, 23);
+    assert.strictEqual(service.takeAwayReply(1), service.awayMessage);
+  });
+
+  it('should keep the digest, the away replies and /dnd across a restart', async () => {
+    const clock = { now: at(0, 23) };
+    const repository = createStateRepository();
+    const before = createService('22:00-07:00', clock, repository).service;
+
+    await before.notify('info 1');
+    await before.notify('draft', { inlineKeyboard: [[{ text: 'OK', callback_data: 'ok' }]] });
+    before.takeAwayReply(1);
+    before.enable(at(1, 9));
+
+    const { service, telegram } = createService('22:00-07:00', clock, repository);
+    assert.strictEqual(service.getStatus().queued, 2);
+    assert.strictEqual(service.getStatus().source, 'manual');
+    assert.strictEqual(service.takeAwayReply(1), null);
+
+    clock.now = at(1, 9);
+    await service.tick();
+    assert.match(telegram.messages[0].message, /info 1/);
+    assert.ok(telegram.messages[1].options.inlineKeyboard);
+
+    const after = createService('22:00-07:00', clock, repository).service;
+    assert.strictEqual(after.getStatus().queued, 0);
+    clock.now = at(1, 23);
+    assert.strictEqual(after.takeAwayReply(1), after.awayMessage);
+  });
+
+  it('should let /dnd override the schedule', async () => {
+    const clock = { now: at(0, 12) };
+    const { service, telegram } = createService('22:00-07:00', clock);
+
+    service.enable(at(0, 14));
+    assert.deepStrictEqual(
+      { quiet: service.getStatus().quiet, source: service.getStatus().source },
+      { quiet: true, source: 'manual' }
+    );
+    await service.notify('queued');
+
+    clock.now = at(0, 14);
+    assert.strictEqual(service.isQuiet(), false);
+    await service.tick();
+    assert.strictEqual(telegram.messages.length, 1);
+
+    // /dnd off pendant la plage planifiée: suspendue jusqu'à la fin de la plage
+    clock.now = at(0, 23);
+    await service.disable();
+    assert.strictEqual(service.isQuiet(), false);
+    assert.strictEqual(service.getStatus().until, at(1, 7));
+
+    clock.now = at(1, 23);
+    assert.strictEqual(service.isQuiet(), true);
+    assert.match(QuietHoursService.formatStatus(service.getStatus()), /Heures calmes en cours/);
+  });
+});
@@ -0,0 +1,39 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { ReportDiff } from '../../../src/services/ai/ReportDiff.js';
+
+describe('ReportDiff', () => {
+  const previous = {
+    messages_actionnables: [
+      { expediteur: 'Marc', message_original: 'Tu peux me rappeler ?', action_requise: 'Rappeler Marc' },
+      { expediteur: 'Banque', message_original: 'Votre facture est disponible', action_requise: 'Payer la facture' }
+    ],
+    taches: [{ titre: 'Payer la facture' }, { titre: 'Réserver le terrain' }]
+  };
+
+  it('should detect new actionable messages and resolved tasks', () => {
+    const current = {
+      messages_actionnables: [
+        { expediteur: 'marc', message_original: 'Tu peux me rappeler ?!', action_requise: 'Appeler Marc' },
+        { expediteur: 'Julie', message_original: 'Dîner samedi ?', action_requise: 'Répondre à Julie' }
+      ],
+      taches: [{ titre: 'Reserver le terrain' }, { titre: 'Acheter un cadeau' }]
+    };
+
+    const changes = ReportDiff.compare(previous, current);
+
+    assert.deepStrictEqual(changes.newActionable.map(m => m.expediteur), ['Julie']);
+    assert.deepStrictEqual(changes.handledActionable.map(m => m.expediteur), ['Banque']);
+    assert.deepStrictEqual(changes.resolvedTasks.map(t => t.titre), ['Payer la facture']);
+    assert.deepStrictEqual(changes.newTasks.map(t => t.titre), ['Acheter un cadeau']);
+
+    const section = ReportDiff.format(changes, Date.now());
+    assert.match(section, /DEPUIS LE DERNIER RAPPORT/);
+    assert.match(section, /Répondre à Julie/);
+    assert.match(section, /<s>Payer la facture<\/s>/);
+  });
+
+  it('should return an empty section when nothing changed', () => {
+    assert.strictEqual(ReportDiff.format(ReportDiff.compare(previous, previous), Date.now()), '');
+  });
+});